@@ -10,6 +10,7 @@
 import dotenv from 'dotenv';
 import express from 'express';
 import PhoenixEngine from './src/phoenix/engine.js';
+import { loadConfig, ConfigValidationError } from './src/phoenix/config.js';
 
 // Load configuration
 dotenv.config();
@@ -20,25 +21,36 @@ class PhoenixProductionLauncher {
     this.expressApp = null;
     this.server = null;
     this.isProduction = process.env.NODE_ENV === 'production';
-    this.port = process.env.PORT || 10000;
+    this.config = null;
+    this.port = null;
 
     console.log('SentryCoin v6.0 - Production Launcher');
     console.log('Initializing system components...\n');
   }
 
   /**
-   * Validate production environment
+   * Load and validate the production configuration
    */
   validateEnvironment() {
     console.log('🔍 Validating production environment...');
-    
-    const requiredVars = [
-      'TELEGRAM_BOT_TOKEN',
-      'TELEGRAM_CHAT_ID',
-      'ETHERSCAN_API_KEY'
-    ];
-    
-    const missing = requiredVars.filter(varName => !process.env[varName]);
+
+    try {
+      this.config = loadConfig();
+    } catch (error) {
+      if (!(error instanceof ConfigValidationError)) throw error;
+
+      console.error('❌ Invalid configuration:');
+      error.errors.forEach(message => console.error(`   - ${message}`));
+      console.error('\n🛑 Production deployment aborted');
+      process.exit(1);
+    }
+
+    const required = {
+      TELEGRAM_BOT_TOKEN: this.config.telegram.botToken,
+      TELEGRAM_CHAT_ID: this.config.telegram.chatId,
+      ETHERSCAN_API_KEY: this.config.providers.etherscanApiKey
+    };
+    const missing = Object.keys(required).filter(varName => !required[varName]);
     
     if (missing.length > 0) {
       console.error('❌ Missing critical environment variables:');
@@ -46,20 +58,22 @@ class PhoenixProductionLauncher {
       console.error('\n🛑 Production deployment aborted');
       process.exit(1);
     }
+
+    this.port = this.config.server.port;
     
     console.log('✅ Environment validation complete');
-    console.log(`🎯 Symbol: ${process.env.SYMBOL || 'ETHUSDT'}`);
-    console.log(`📊 Paper Trading: ${process.env.PAPER_TRADING !== 'false'}`);
-    console.log(`🔄 Real-time Feeds: ${process.env.ENABLE_REAL_TIME_FEEDS !== 'false'}`);
+    console.log(`🎯 Symbols: ${(this.config.symbols.length ? this.config.symbols : [this.config.symbol]).join(', ')}`);
+    console.log(`📊 Paper Trading: ${this.config.paperTrading}`);
+    console.log(`🔄 Real-time Feeds: ${this.config.enableRealTimeFeeds}`);
     
     // Optional API warnings
-    if (!process.env.BLOCKNATIVE_API_KEY) {
-      console.log('⚠️ Blocknative API key not configured - mempool streaming limited');
+    if (!this.config.providers.alchemyApiKey) {
+      console.log('⚠️ Alchemy API key not configured - primary mempool provider unavailable');
     }
-    if (!process.env.ALCHEMY_API_KEY) {
-      console.log('⚠️ Alchemy API key not configured - backup mempool provider unavailable');
+    if (!this.config.providers.quicknodeWsUrl) {
+      console.log('⚠️ QuickNode WebSocket URL not configured - backup mempool provider unavailable');
     }
-    if (!process.env.BYBIT_API_KEY) {
+    if (!this.config.providers.bybitApiKey) {
       console.log('⚠️ Bybit API key not configured - derivatives monitoring limited');
     }
   }
@@ -96,45 +110,8 @@ class PhoenixProductionLauncher {
 
         console.log(`[INFO] Webhook received: ${matchingTransactions?.length || 0} transactions, ${matchingReceipts?.length || 0} receipts`);
 
-        // Process native ETH transactions
-        if (matchingTransactions && this.phoenixEngine?.mempoolStreamer) {
-          matchingTransactions.forEach(tx => {
-            this.phoenixEngine.mempoolStreamer.processWebhookTransaction({
-              type: 'native',
-              hash: tx.hash,
-              from: tx.from,
-              to: tx.to,
-              value: tx.value,
-              blockNumber: tx.blockNumber,
-              timestamp: new Date().toISOString(),
-              source: 'webhook'
-            });
-          });
-        }
-
-        // Process token transfers from receipts
-        if (matchingReceipts && this.phoenixEngine?.mempoolStreamer) {
-          matchingReceipts.forEach(receipt => {
-            if (receipt.logs) {
-              receipt.logs.forEach(log => {
-                // Check for ERC-20 Transfer event signature
-                if (log.topics && log.topics[0] === '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef') {
-                  this.phoenixEngine.mempoolStreamer.processWebhookTransaction({
-                    type: 'erc20',
-                    hash: receipt.transactionHash,
-                    contractAddress: log.address,
-                    from: log.topics[1] ? '0x' + log.topics[1].slice(26) : null,
-                    to: log.topics[2] ? '0x' + log.topics[2].slice(26) : null,
-                    value: log.data,
-                    blockNumber: receipt.blockNumber,
-                    timestamp: new Date().toISOString(),
-                    source: 'webhook'
-                  });
-                }
-              });
-            }
-          });
-        }
+        // Journal the raw payload, then process native and ERC-20 transfers
+        this.phoenixEngine?.mempoolStreamer?.handleWebhookPayload(req.body);
 
         res.status(200).json({
           status: 'processed',
@@ -160,7 +137,7 @@ class PhoenixProductionLauncher {
       try {
         // Validate security token
         const authHeader = req.headers['authorization'];
-        const expectedToken = process.env.WEBHOOK_SECURITY_TOKEN;
+        const expectedToken = this.config.server.webhookToken;
 
         if (!authHeader || !expectedToken || authHeader !== `Bearer ${expectedToken}`) {
           console.log('[WARN] Webhook unauthorized access attempt');
@@ -171,53 +148,8 @@ class PhoenixProductionLauncher {
 
         console.log(`[INFO] Webhook: ${matchingTransactions?.length || 0} transactions, ${matchingReceipts?.length || 0} receipts`);
 
-        let processedCount = 0;
-
-        // Process native ETH transactions
-        if (matchingTransactions && this.phoenixEngine?.mempoolStreamer) {
-          matchingTransactions.forEach(tx => {
-            if (this.phoenixEngine.mempoolStreamer.processWebhookTransaction) {
-              this.phoenixEngine.mempoolStreamer.processWebhookTransaction({
-                type: 'native',
-                hash: tx.hash,
-                from: tx.from,
-                to: tx.to,
-                value: tx.value,
-                blockNumber: tx.blockNumber,
-                timestamp: new Date().toISOString(),
-                source: 'webhook'
-              });
-              processedCount++;
-            }
-          });
-        }
-
-        // Process token transfers from receipts
-        if (matchingReceipts && this.phoenixEngine?.mempoolStreamer) {
-          matchingReceipts.forEach(receipt => {
-            if (receipt.logs) {
-              receipt.logs.forEach(log => {
-                // Check for ERC-20 Transfer event signature
-                if (log.topics && log.topics[0] === '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef') {
-                  if (this.phoenixEngine.mempoolStreamer.processWebhookTransaction) {
-                    this.phoenixEngine.mempoolStreamer.processWebhookTransaction({
-                      type: 'erc20',
-                      hash: receipt.transactionHash,
-                      contractAddress: log.address,
-                      from: log.topics[1] ? '0x' + log.topics[1].slice(26) : null,
-                      to: log.topics[2] ? '0x' + log.topics[2].slice(26) : null,
-                      value: log.data,
-                      blockNumber: receipt.blockNumber,
-                      timestamp: new Date().toISOString(),
-                      source: 'webhook'
-                    });
-                    processedCount++;
-                  }
-                }
-              });
-            }
-          });
-        }
+        // Journal the raw payload, then process native and ERC-20 transfers
+        const processedCount = this.phoenixEngine?.mempoolStreamer?.handleWebhookPayload(req.body) || 0;
 
         res.status(200).json({
           status: 'processed',
@@ -240,6 +172,64 @@ class PhoenixProductionLauncher {
       }
     });
 
+    // Threshold hot-reload admin API (disabled unless ADMIN_API_TOKEN is set)
+    this.expressApp.get('/admin/thresholds', (req, res) => {
+      if (!this.authorizeAdmin(req, res)) return;
+
+      const manager = this.phoenixEngine.thresholdManager;
+      res.json({
+        version: manager.current.version,
+        thresholds: manager.getThresholds(),
+        history: manager.getHistory(),
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    this.expressApp.post('/admin/thresholds', (req, res) => {
+      if (!this.authorizeAdmin(req, res)) return;
+
+      const { thresholds, reason } = req.body || {};
+      const result = this.phoenixEngine.thresholdManager.apply(thresholds, { source: 'admin', reason });
+
+      console.log(result.applied
+        ? `[INFO] Thresholds updated to version ${result.version}`
+        : `[WARN] Threshold update not applied: ${result.errors.join('; ') || 'no changes'}`);
+      res.status(result.errors.length > 0 ? 400 : 200).json({ ...result, timestamp: new Date().toISOString() });
+    });
+
+    this.expressApp.post('/admin/thresholds/rollback', (req, res) => {
+      if (!this.authorizeAdmin(req, res)) return;
+
+      const { version, reason } = req.body || {};
+      const result = this.phoenixEngine.thresholdManager.rollback({
+        ...(version !== undefined && { version }),
+        source: 'admin',
+        reason
+      });
+
+      console.log(result.applied
+        ? `[INFO] Thresholds rolled back - now version ${result.version}`
+        : `[WARN] Threshold rollback not applied: ${result.errors.join('; ') || 'no changes'}`);
+      res.status(result.errors.length > 0 ? 400 : 200).json({ ...result, timestamp: new Date().toISOString() });
+    });
+
+    // Kill switch resume - the halt survives restarts, so it is cleared here
+    this.expressApp.post('/admin/risk/resume', (req, res) => {
+      if (!this.authorizeAdmin(req, res)) return;
+
+      const { operator = 'admin', reason = null } = req.body || {};
+      const result = this.phoenixEngine.resumeTrading(operator, reason);
+
+      console.log(result.resumed
+        ? `[WARN] Trading resumed by ${operator}`
+        : `[WARN] Trading resume not applied: ${result.error}`);
+      res.status(result.resumed ? 200 : 409).json({
+        ...result,
+        risk: this.phoenixEngine.riskManager.getStatus(),
+        timestamp: new Date().toISOString()
+      });
+    });
+
     // Root endpoint
     this.expressApp.get('/', (req, res) => {
       const metrics = this.phoenixEngine ? this.phoenixEngine.getMetrics() : null;
@@ -270,6 +260,81 @@ class PhoenixProductionLauncher {
       });
     });
 
+    // Regime transition history: /regimes?symbol=ETHUSDT&regime=COIL_WATCHER&type=ENTERED&since=...&limit=50
+    this.expressApp.get('/regimes', (req, res) => {
+      if (!this.phoenixEngine) {
+        return res.status(503).json({ error: 'Phoenix Engine not initialized' });
+      }
+
+      const symbol = req.query.symbol || this.phoenixEngine.primaryPipeline.symbol;
+      const toNumber = (value) => value === undefined ? null : Number(value);
+      const history = this.phoenixEngine.getRegimeHistory(symbol, {
+        regime: req.query.regime || null,
+        type: req.query.type || null,
+        since: toNumber(req.query.since),
+        until: toNumber(req.query.until),
+        limit: toNumber(req.query.limit)
+      });
+
+      if (history === null) {
+        return res.status(404).json({ error: `Unknown symbol ${symbol}` });
+      }
+
+      res.json({
+        symbol,
+        current: this.phoenixEngine.getPipeline(symbol).marketClassifier.regimeState.getState(this.phoenixEngine.clock.now()),
+        transitions: history,
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    // Why the last classification chose its regime: /explanation?symbol=ETHUSDT
+    this.expressApp.get('/explanation', (req, res) => {
+      if (!this.phoenixEngine) {
+        return res.status(503).json({ error: 'Phoenix Engine not initialized' });
+      }
+
+      const symbol = req.query.symbol || this.phoenixEngine.primaryPipeline.symbol;
+      if (!this.phoenixEngine.getPipeline(symbol)) {
+        return res.status(404).json({ error: `Unknown symbol ${symbol}` });
+      }
+
+      const explanation = this.phoenixEngine.getClassificationExplanation(symbol);
+      if (explanation === null) {
+        return res.status(404).json({ error: `No classification yet for ${symbol}` });
+      }
+
+      res.json({
+        symbol,
+        explanation,
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    // Forward-outcome accuracy: /validation?symbol=ETHUSDT&kind=signal&limit=20
+    this.expressApp.get('/validation', (req, res) => {
+      if (!this.phoenixEngine) {
+        return res.status(503).json({ error: 'Phoenix Engine not initialized' });
+      }
+
+      const symbol = req.query.symbol || this.phoenixEngine.primaryPipeline.symbol;
+      const kind = req.query.kind || 'classification';
+      const accuracy = this.phoenixEngine.getOutcomeAccuracy(symbol, kind);
+
+      if (accuracy === null) {
+        return res.status(404).json({ error: `No outcome validation for ${symbol}` });
+      }
+
+      const validator = this.phoenixEngine.getPipeline(symbol).outcomeValidator;
+      res.json({
+        symbol,
+        accuracy,
+        recent: validator.getRecords({ kind, limit: req.query.limit === undefined ? 20 : Number(req.query.limit) }),
+        stats: validator.getStats(),
+        timestamp: new Date().toISOString()
+      });
+    });
+
     // Performance metrics endpoint
     this.expressApp.get('/performance', (req, res) => {
       if (!this.phoenixEngine) {
@@ -290,6 +355,28 @@ class PhoenixProductionLauncher {
     console.log(`✅ Express server configured on port ${this.port}`);
   }
 
+  /**
+   * Check the admin bearer token; responds and returns false when the request is refused
+   */
+  authorizeAdmin(req, res) {
+    const expectedToken = this.config.server.adminToken;
+
+    if (!expectedToken) {
+      res.status(503).json({ error: 'Admin API disabled - set ADMIN_API_TOKEN' });
+      return false;
+    }
+    if (req.headers['authorization'] !== `Bearer ${expectedToken}`) {
+      console.log('[WARN] Admin API unauthorized access attempt');
+      res.status(401).json({ error: 'Unauthorized' });
+      return false;
+    }
+    if (!this.phoenixEngine) {
+      res.status(503).json({ error: 'Phoenix Engine not initialized' });
+      return false;
+    }
+    return true;
+  }
+
   /**
    * Start Express server
    */
@@ -304,6 +391,9 @@ class PhoenixProductionLauncher {
           console.log(`   Health: http://localhost:${this.port}/health`);
           console.log(`   Status: http://localhost:${this.port}/status`);
           console.log(`   Performance: http://localhost:${this.port}/performance`);
+          console.log(`   Regimes: http://localhost:${this.port}/regimes`);
+          console.log(`   Validation: http://localhost:${this.port}/validation`);
+          console.log(`   Explanation: http://localhost:${this.port}/explanation`);
           resolve();
         }
       });
@@ -316,13 +406,9 @@ class PhoenixProductionLauncher {
   async initializePhoenixEngine() {
     console.log('\nInitializing SentryCoin Engine v6.0...');
     
-    const config = {
-      symbol: process.env.SYMBOL || 'ETHUSDT',
-      paperTrading: process.env.PAPER_TRADING !== 'false',
-      enableRealTimeFeeds: process.env.ENABLE_REAL_TIME_FEEDS !== 'false'
-    };
-    
-    this.phoenixEngine = new PhoenixEngine(config);
+    // Validated config from validateEnvironment() - SYMBOLS runs one pipeline per symbol,
+    // STATE_SNAPSHOT_PATH should point at a persistent disk so redeploys restart warm
+    this.phoenixEngine = new PhoenixEngine(this.config);
     
     // Setup production event handlers
     this.setupEventHandlers();
@@ -353,6 +439,24 @@ class PhoenixProductionLauncher {
       console.log(`📊 DERIVATIVES ALERT: ${alert.type}`);
     });
     
+    // Spoofing episodes
+    this.phoenixEngine.on('SPOOFING_EPISODE', (episode) => {
+      console.log(`🎭 SPOOFING ${episode.phase}: ${episode.symbol} (${episode.pullCount} walls pulled)`);
+    });
+
+    // Cross-venue liquidity divergence
+    this.phoenixEngine.on('VENUE_DIVERGENCE', (divergence) => {
+      console.log(`🌐 VENUE DIVERGENCE: ${divergence.symbol} ${divergence.venue} ${divergence.direction} (${(divergence.deviation * 100).toFixed(0)}% vs peers)`);
+    });
+    
+    // Stable regime transitions
+    this.phoenixEngine.on('REGIME_ENTERED', (transition) => {
+      console.log(`🧭 REGIME ENTERED: ${transition.symbol} ${transition.regime}`);
+    });
+    this.phoenixEngine.on('REGIME_EXITED', (transition) => {
+      console.log(`🧭 REGIME EXITED: ${transition.symbol} ${transition.regime} after ${Math.round(transition.durationMs / 1000)}s`);
+    });
+
     // System events
     this.phoenixEngine.on('SYSTEM_EVENT', (event) => {
       if (event.type.includes('ERROR') || event.type.includes('CRITICAL')) {
@@ -418,6 +522,7 @@ class PhoenixProductionLauncher {
     console.log('='.repeat(60));
     console.log(`📊 Version: ${metrics.version}`);
     console.log(`🎯 Mandates Implemented: ${metrics.mandatesImplemented}/5`);
+    console.log(`💱 Symbols: ${Object.keys(metrics.symbols).join(', ')}`);
     console.log(`⚙️ System Health: ${this.getSystemHealthSummary()}`);
     console.log('');
     console.log('📋 COMPONENT STATUS:');
@@ -430,7 +535,7 @@ class PhoenixProductionLauncher {
     console.log('');
     console.log('='.repeat(60));
     
-    if (process.env.PAPER_TRADING !== 'false') {
+    if (this.config.paperTrading) {
       console.log('📋 MODE: PAPER TRADING (Safe simulation mode)');
     } else {
       console.log('💰 MODE: LIVE TRADING (Real capital at risk)');
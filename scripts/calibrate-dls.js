@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+
+/**
+ * Phoenix v6.1 - DLS Calibration
+ *
+ * Fits LiquidityAnalyzer's DLS weights and normalisation constants to a
+ * recorded event journal and writes a versioned parameter file the engine
+ * loads through DLS_PARAMS_FILE (dls.paramsFile).
+ *
+ * Usage: node scripts/calibrate-dls.js <journal.jsonl> [--symbol ETHUSDT]
+ *          [--target volatility|slippage] [--horizon-ms 300000]
+ *          [--size 10000] [--holdout 0.3] [--out ./data/dls-params.json]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import EventJournal from '../src/phoenix/components/event-journal.js';
+import DLSCalibrator from '../src/phoenix/components/dls-calibrator.js';
+
+const USAGE = 'Usage: node scripts/calibrate-dls.js <journal.jsonl> [--symbol ETHUSDT] [--target volatility|slippage] ' +
+  '[--horizon-ms 300000] [--size 10000] [--holdout 0.3] [--out ./data/dls-params.json]';
+
+let args;
+try {
+  args = parseArgs({
+    allowPositionals: true,
+    options: {
+      symbol: { type: 'string' },
+      target: { type: 'string', default: 'volatility' },
+      'horizon-ms': { type: 'string', default: '300000' },
+      size: { type: 'string', default: '10000' },
+      holdout: { type: 'string', default: '0.3' },
+      out: { type: 'string', default: './data/dls-params.json' }
+    }
+  });
+} catch (error) {
+  console.error(`❌ ${error.message}\n${USAGE}`);
+  process.exit(1);
+}
+
+const [filePath] = args.positionals;
+if (!filePath) {
+  console.error(USAGE);
+  process.exit(1);
+}
+
+let entries;
+try {
+  entries = await EventJournal.read(filePath);
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
+// Default to the first symbol with recorded market data
+const symbol = args.values.symbol || entries.find(entry => entry.source === 'market_data')?.symbol;
+if (!symbol) {
+  console.error(`❌ No market_data entries in ${filePath}`);
+  process.exit(1);
+}
+
+let result;
+try {
+  const calibrator = new DLSCalibrator({
+    symbol,
+    target: args.values.target,
+    horizonMs: parseInt(args.values['horizon-ms'], 10),
+    orderSizeUSD: parseFloat(args.values.size),
+    holdoutFraction: parseFloat(args.values.holdout)
+  });
+  result = calibrator.calibrate(entries);
+} catch (error) {
+  console.error(`❌ Calibration failed: ${error.message}`);
+  process.exit(1);
+}
+
+const { params, report } = result;
+
+// Each calibration written to the same path gets the next version
+const outPath = args.values.out;
+let previousVersion = 0;
+if (fs.existsSync(outPath)) {
+  try {
+    previousVersion = JSON.parse(fs.readFileSync(outPath, 'utf8')).version || 0;
+  } catch (error) {
+    console.warn(`⚠️ Ignoring unreadable previous parameter file: ${error.message}`);
+  }
+}
+
+const paramFile = {
+  version: previousVersion + 1,
+  createdAt: new Date().toISOString(),
+  source: path.resolve(filePath),
+  symbol,
+  target: report.target,
+  horizonMs: report.horizonMs,
+  weights: params.weights,
+  normalization: params.normalization,
+  report
+};
+
+fs.mkdirSync(path.dirname(outPath), { recursive: true });
+fs.writeFileSync(outPath, JSON.stringify(paramFile, null, 2) + '\n');
+
+const format = (value, digits = 3) => value === null ? '   n/a' : value.toFixed(digits).padStart(6);
+
+console.log(`\n📐 DLS calibration - ${symbol}, forward ${report.target} over ${report.horizonMs / 1000}s`);
+console.log(`   Samples: ${report.samples.train} fit, ${report.samples.holdout} held out`);
+console.log('\n   Predictive power (rank correlation with calmer/cheaper forward markets)');
+console.log('   component   raw      default  calibrated holdout   weight         scale');
+for (const row of report.components) {
+  console.log(`   ${row.component.padEnd(10)}  ${format(row.rawPower)}   ${format(row.defaultPower)}   ${format(row.calibratedPower)}     ` +
+    `${format(row.holdoutPower)}   ${row.defaultWeight.toFixed(2)} -> ${row.weight.toFixed(2)}   ${row.defaultScale} -> ${+row.scale.toPrecision(4)}`);
+}
+console.log(`\n   DLS fit:      default ${format(report.dls.train.default)}  calibrated ${format(report.dls.train.calibrated)}`);
+console.log(`   DLS holdout:  default ${format(report.dls.holdout.default)}  calibrated ${format(report.dls.holdout.calibrated)}`);
+if (!report.weightsFitted) {
+  console.log('\n   ⚠️ No component carried positive signal - default weights kept');
+}
+console.log(`\n✅ Wrote version ${paramFile.version} to ${outPath}`);
+console.log(`   Load it with DLS_PARAMS_FILE=${outPath}`);
+
+process.exit(0);
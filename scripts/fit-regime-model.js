@@ -0,0 +1,178 @@
+#!/usr/bin/env node
+
+/**
+ * Phoenix v6.1 - Regime Model Fitting
+ *
+ * Replays a recorded event journal through a Phoenix Engine, labels every
+ * classification with the rule-based stable regime and fits the shadow
+ * RegimeModel to the classifier's features. The latest part of the replay
+ * is held out for the report; the versioned model file is loaded by the
+ * engine through REGIME_MODEL_FILE (regimeModel.file).
+ *
+ * Usage: node scripts/fit-regime-model.js <journal.jsonl> [--symbol ETHUSDT]
+ *          [--holdout 0.3] [--out ./data/regime-model.json]
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import PhoenixEngine from '../src/phoenix/engine.js';
+import EventJournal from '../src/phoenix/components/event-journal.js';
+import BaseStrategy from '../src/phoenix/strategies/base-strategy.js';
+import { VirtualClock } from '../src/phoenix/components/clock.js';
+import { NO_REGIME } from '../src/phoenix/components/regime-state-machine.js';
+import { MODEL_MODES, fitRegimeModel, evaluateRegimeModel } from '../src/phoenix/components/regime-model.js';
+
+const USAGE = 'Usage: node scripts/fit-regime-model.js <journal.jsonl> [--symbol ETHUSDT] [--holdout 0.3] ' +
+  '[--out ./data/regime-model.json]';
+
+let args;
+try {
+  args = parseArgs({
+    allowPositionals: true,
+    options: {
+      symbol: { type: 'string' },
+      holdout: { type: 'string', default: '0.3' },
+      out: { type: 'string', default: './data/regime-model.json' }
+    }
+  });
+} catch (error) {
+  console.error(`❌ ${error.message}\n${USAGE}`);
+  process.exit(1);
+}
+
+const [filePath] = args.positionals;
+if (!filePath) {
+  console.error(USAGE);
+  process.exit(1);
+}
+
+// Stream up to the first market data entry - the replay below streams the rest
+let startTime;
+let symbol = args.values.symbol;
+try {
+  for await (const entry of EventJournal.stream(filePath)) {
+    startTime ??= entry.receivedAt;
+    // Default to the first symbol with recorded market data
+    if (!symbol && entry.source === 'market_data') symbol = entry.symbol;
+    if (symbol) break;
+  }
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
+if (!symbol) {
+  console.error(`❌ No market_data entries in ${filePath}`);
+  process.exit(1);
+}
+
+// Records each classification's features with the stable regime as its label
+class SampleRecorder extends BaseStrategy {
+  constructor(classifier) {
+    super({ id: 'REGIME_MODEL_SAMPLES' });
+    this.classifier = classifier;
+    this.samples = [];
+  }
+
+  onClassification({ classification, marketData }) {
+    this.samples.push({
+      timestamp: marketData.timestamp,
+      features: this.classifier.getRuleScope(marketData).features,
+      label: classification?.regime ?? NO_REGIME
+    });
+  }
+}
+
+// Replay on recorded time so dwell times and windows behave as they did live
+const engine = new PhoenixEngine({
+  symbols: [symbol],
+  enableRealTimeFeeds: false,
+  journal: { enabled: false },
+  stateSnapshot: { enabled: false },
+  regimeModel: { file: null },
+  clock: new VirtualClock({ startTime })
+});
+
+if (!await engine.initialize()) {
+  console.error('❌ Engine initialization failed');
+  process.exit(1);
+}
+
+const pipeline = engine.getPipeline(symbol);
+const recorder = new SampleRecorder(pipeline.marketClassifier);
+pipeline.strategyManager.registerStrategy(recorder);
+
+await engine.replayJournal(filePath);
+await engine.shutdown();
+
+const { samples } = recorder;
+const split = Math.floor(samples.length * (1 - parseFloat(args.values.holdout)));
+const train = samples.slice(0, split);
+const holdout = samples.slice(split);
+
+let params;
+try {
+  params = fitRegimeModel(train);
+} catch (error) {
+  console.error(`❌ Fitting failed (${samples.length} samples): ${error.message}`);
+  process.exit(1);
+}
+
+const report = {
+  samples: { train: train.length, holdout: holdout.length },
+  labels: Object.fromEntries(params.classes.map(regime => [regime, train.filter(sample => sample.label === regime).length])),
+  modes: Object.fromEntries(MODEL_MODES.map(mode => [mode, {
+    train: evaluateRegimeModel(params, train, { mode }),
+    holdout: evaluateRegimeModel(params, holdout, { mode })
+  }]))
+};
+
+// Each fit written to the same path gets the next version
+const outPath = args.values.out;
+let previousVersion = 0;
+if (fs.existsSync(outPath)) {
+  try {
+    previousVersion = JSON.parse(fs.readFileSync(outPath, 'utf8')).version || 0;
+  } catch (error) {
+    console.warn(`⚠️ Ignoring unreadable previous model file: ${error.message}`);
+  }
+}
+
+const modelFile = {
+  version: previousVersion + 1,
+  createdAt: new Date().toISOString(),
+  source: path.resolve(filePath),
+  symbol,
+  ...params,
+  report
+};
+
+fs.mkdirSync(path.dirname(outPath), { recursive: true });
+fs.writeFileSync(outPath, JSON.stringify(modelFile, null, 2) + '\n');
+
+const format = (value) => value === null ? '   n/a' : value.toFixed(3).padStart(6);
+
+console.log(`\n🎲 Regime model - ${symbol}`);
+console.log(`   Samples: ${report.samples.train} fit, ${report.samples.holdout} held out`);
+console.log(`   Labels: ${Object.entries(report.labels).map(([regime, count]) => `${regime} ${count}`).join(', ')}`);
+console.log(`   Features: ${params.features.join(', ')}`);
+console.log('\n   mode          fit accuracy  fit log loss  holdout accuracy  holdout log loss');
+for (const [mode, { train: fit, holdout: held }] of Object.entries(report.modes)) {
+  console.log(`   ${mode.padEnd(12)}  ${format(fit.accuracy)}        ${format(fit.logLoss)}        ` +
+    `${format(held.accuracy)}            ${format(held.logLoss)}`);
+}
+
+// Reliability of the held-out probabilities: predicted vs observed per bucket
+for (const [mode, { holdout: held }] of Object.entries(report.modes)) {
+  console.log(`\n   ${mode} holdout calibration (error ${format(held.calibrationError)})`);
+  console.log('   probability    predictions  mean predicted  observed');
+  for (const bucket of held.reliability.filter(row => row.count > 0)) {
+    console.log(`   ${bucket.from.toFixed(1)} - ${bucket.to.toFixed(1)}    ${String(bucket.count).padStart(11)}  ` +
+      `${format(bucket.meanProbability)}          ${format(bucket.observedRate)}`);
+  }
+}
+console.log(`\n✅ Wrote version ${modelFile.version} to ${outPath}`);
+console.log(`   Run it in shadow with REGIME_MODEL_FILE=${outPath} (REGIME_MODEL_MODE=hmm|naive-bayes)`);
+
+process.exit(0);
@@ -0,0 +1,142 @@
+/**
+ * Phoenix v6.1 - Classification Explanation
+ *
+ * WHY A REGIME WAS OR WAS NOT CHOSEN
+ *
+ * Turns one classification's rule evaluations into a structured account a
+ * trader can check against the market:
+ * - Every regime's conditions with value, threshold, pass / fail and how far
+ *   a failing value missed its threshold
+ * - The closest regime that did not match: fewest failed conditions, then
+ *   fewest without data, then the smallest summed relative miss
+ * - DLS threshold reductions from OI spikes and whale transactions, and the
+ *   whale flow inside the classifier's window
+ *
+ * Pure functions, so live and replayed classifications explain identically.
+ * formatExplanation() renders the short text attached to Telegram alerts.
+ */
+
+/**
+ * Structured explanation for one classification. `checks` are the rules in
+ * priority order with their evaluateRegime() results.
+ */
+export function buildExplanation({ symbol, timestamp, regime, checks, features, dlsThresholdInfo, stableRegime = null }) {
+  const regimes = checks.map(({ rule, result }) => ({
+    regime: rule.name,
+    label: rule.label,
+    matched: result.isValid,
+    failures: result.failures,
+    conditions: result.details.map(detail => ({
+      ...detail,
+      relativeMiss: relativeMiss(detail)
+    }))
+  }));
+
+  const closest = regimes
+    .filter(candidate => !candidate.matched)
+    .map(candidate => ({ candidate, distance: distance(candidate) }))
+    .sort((a, b) => a.candidate.failures.length - b.candidate.failures.length ||
+      a.distance.missing - b.distance.missing || a.distance.total - b.distance.total)[0]?.candidate || null;
+
+  const adjustments = dlsThresholdInfo.adjustments;
+  const explanation = {
+    symbol,
+    timestamp,
+    regime,
+    stableRegime,
+    regimes,
+    closest: closest ? {
+      regime: closest.regime,
+      label: closest.label,
+      failures: closest.failures,
+      failedConditions: closest.conditions.filter(condition => !condition.pass)
+    } : null,
+    adjustments: {
+      dlsThreshold: dlsThresholdInfo.threshold,
+      baseThreshold: dlsThresholdInfo.baseThreshold,
+      totalReduction: dlsThresholdInfo.totalReduction,
+      derivatives: adjustments.filter(adjustment => adjustment.type === 'OI_SPIKE'),
+      whale: adjustments.filter(adjustment => adjustment.type === 'WHALE_SPIKE'),
+      whaleFlowUSD: features.whaleFlow,
+      fundingRate: features.fundingRate,
+      oiChange: features.oiChange
+    }
+  };
+
+  explanation.summary = summarize(explanation);
+  return explanation;
+}
+
+/**
+ * Short multi-line text for alerts: verdict, closest alternative and active adjustments
+ */
+export function formatExplanation(explanation) {
+  const lines = [explanation.summary];
+  const matched = explanation.regimes.find(candidate => candidate.regime === explanation.regime);
+
+  if (matched) {
+    for (const condition of matched.conditions.filter(condition => condition.pass)) {
+      lines.push(`✓ ${describeCondition(condition)}`);
+    }
+  }
+
+  if (explanation.closest) {
+    lines.push(`Closest other: ${explanation.closest.label}`);
+    for (const condition of explanation.closest.failedConditions) {
+      lines.push(`✗ ${describeCondition(condition)}`);
+    }
+  }
+
+  const { totalReduction, baseThreshold, dlsThreshold, derivatives, whale } = explanation.adjustments;
+  if (totalReduction > 0) {
+    lines.push(`DLS threshold ${baseThreshold} → ${dlsThreshold} (${derivatives.length} OI spike, ${whale.length} whale)`);
+  }
+
+  return lines.join('\n');
+}
+
+// One line per condition: "Momentum -0.012 <= -0.05 (missed by 0.038)"
+function describeCondition(condition) {
+  const threshold = Array.isArray(condition.threshold)
+    ? `[${condition.threshold.map(formatNumber).join(', ')}]`
+    : formatNumber(condition.threshold);
+  const text = `${condition.label} ${formatNumber(condition.value)} ${condition.op} ${threshold}`;
+
+  if (condition.pass) return text;
+  return condition.miss === null ? `${text} (no data)` : `${text} (missed by ${formatNumber(condition.miss)})`;
+}
+
+function summarize({ regime, closest, regimes }) {
+  const matched = regimes.find(candidate => candidate.regime === regime);
+  if (matched) {
+    return `${regime}: all ${matched.label} conditions passed`;
+  }
+  if (!closest) {
+    return `${regime}: no regime rules defined`;
+  }
+  return `${regime}: closest was ${closest.regime}, failed ${closest.failures.join(', ')}`;
+}
+
+// Miss as a share of the larger of |value| and |threshold|, so features on different scales compare
+function relativeMiss({ pass, miss, value, threshold }) {
+  if (pass) return 0;
+  if (miss === null) return null;
+
+  const bound = Array.isArray(threshold) ? (value < threshold[0] ? threshold[0] : threshold[1]) : threshold;
+  const scale = Math.max(Math.abs(value), Math.abs(bound));
+  return scale > 0 ? miss / scale : 0;
+}
+
+// Failing conditions without data, then the summed relative miss of the rest
+function distance(candidate) {
+  const failing = candidate.conditions.filter(condition => !condition.pass);
+  return {
+    missing: failing.filter(condition => condition.relativeMiss === null).length,
+    total: failing.reduce((sum, condition) => sum + (condition.relativeMiss ?? 0), 0)
+  };
+}
+
+function formatNumber(value) {
+  if (value === null || value === undefined) return 'n/a';
+  return Number.isInteger(value) ? String(value) : String(parseFloat(value.toPrecision(4)));
+}
@@ -0,0 +1,169 @@
+/**
+ * Phoenix v6.1 - Clock
+ *
+ * INJECTABLE TIME SOURCE FOR SIMULATION
+ *
+ * Every Phoenix component reads time and schedules periodic work through a
+ * clock instead of calling Date.now() / setInterval directly:
+ * - SystemClock - wall-clock time and real timers (production default)
+ * - VirtualClock - simulated time advanced manually or as fast as possible,
+ *   so backtests and tests can drive hours of market time in seconds
+ *
+ * Network I/O timeouts (WebSocket connects, worker calls) stay on real timers.
+ */
+
+export default class SystemClock {
+  /**
+   * Current time in epoch milliseconds
+   */
+  now() {
+    return Date.now();
+  }
+
+  setTimeout(callback, delay, ...args) {
+    return setTimeout(callback, delay, ...args);
+  }
+
+  clearTimeout(handle) {
+    clearTimeout(handle);
+  }
+
+  setInterval(callback, delay, ...args) {
+    return setInterval(callback, delay, ...args);
+  }
+
+  clearInterval(handle) {
+    clearInterval(handle);
+  }
+}
+
+/**
+ * Shared wall clock - the default for components constructed without one
+ */
+export const systemClock = new SystemClock();
+
+export class VirtualClock {
+  constructor(config = {}) {
+    this.currentTime = config.startTime ?? Date.now();
+    this.timers = new Map();
+    this.nextTimerId = 1;
+
+    this.stats = {
+      timersFired: 0
+    };
+  }
+
+  now() {
+    return this.currentTime;
+  }
+
+  setTimeout(callback, delay = 0, ...args) {
+    return this.addTimer(callback, delay, null, args);
+  }
+
+  clearTimeout(handle) {
+    this.timers.delete(handle);
+  }
+
+  setInterval(callback, delay = 0, ...args) {
+    return this.addTimer(callback, delay, Math.max(1, delay), args);
+  }
+
+  clearInterval(handle) {
+    this.timers.delete(handle);
+  }
+
+  /**
+   * Register a timer; ids increase so equal due times fire in creation order
+   */
+  addTimer(callback, delay, interval, args) {
+    const id = this.nextTimerId++;
+    this.timers.set(id, {
+      id,
+      callback,
+      args,
+      interval,
+      due: this.currentTime + Math.max(0, delay || 0)
+    });
+    return id;
+  }
+
+  /**
+   * Earliest pending timer due at or before the target time
+   */
+  nextDueTimer(targetTime) {
+    let next = null;
+    for (const timer of this.timers.values()) {
+      if (timer.due > targetTime) continue;
+      if (!next || timer.due < next.due || (timer.due === next.due && timer.id < next.id)) {
+        next = timer;
+      }
+    }
+    return next;
+  }
+
+  /**
+   * Jump to a timer's due time and run it
+   */
+  fireTimer(timer) {
+    this.currentTime = timer.due;
+
+    if (timer.interval === null) {
+      this.timers.delete(timer.id);
+    } else {
+      timer.due += timer.interval;
+    }
+
+    this.stats.timersFired++;
+    return timer.callback(...timer.args);
+  }
+
+  /**
+   * Manually advance time, firing every timer that falls due on the way
+   */
+  advance(ms) {
+    return this.advanceTo(this.currentTime + ms);
+  }
+
+  /**
+   * Manually advance to an absolute time
+   */
+  advanceTo(targetTime) {
+    let fired = 0;
+    let timer;
+
+    while ((timer = this.nextDueTimer(targetTime))) {
+      this.fireTimer(timer);
+      fired++;
+    }
+
+    this.currentTime = Math.max(this.currentTime, targetTime);
+    return fired;
+  }
+
+  /**
+   * Run simulated time as fast as possible, letting each timer's async work
+   * settle before the next one fires
+   */
+  async run(durationMs) {
+    const targetTime = this.currentTime + durationMs;
+    let fired = 0;
+    let timer;
+
+    while ((timer = this.nextDueTimer(targetTime))) {
+      await this.fireTimer(timer);
+      await new Promise(resolve => setImmediate(resolve));
+      fired++;
+    }
+
+    this.currentTime = Math.max(this.currentTime, targetTime);
+    return fired;
+  }
+
+  /**
+   * Number of pending timers
+   */
+  get pendingTimers() {
+    return this.timers.size;
+  }
+}
@@ -0,0 +1,321 @@
+/**
+ * Phoenix v6.1 - Signal Conflict Resolver
+ *
+ * ARBITRATION BETWEEN CONCURRENT STRATEGIES
+ *
+ * Every entry signal is checked against the signals still active for the
+ * same symbol before it reaches the execution layer:
+ * - Directional conflicts (e.g. CASCADE short vs SHAKEOUT long)
+ * - Resource conflicts (combined allocation above the symbol capital cap)
+ * - Configurable precedence rules decide which side wins
+ * - Every decision is logged through StatefulLogger for audit
+ */
+
+import { systemClock } from './clock.js';
+
+const TIMEFRAME_RANK = { MACRO: 3, SWING: 2, SCALP: 1 };
+
+export const RESOLUTION_RULES = {
+  /**
+   * Explicit per-strategy precedence table (higher wins)
+   */
+  STRATEGY_PRECEDENCE: (signal, rival, config) => {
+    const table = config.strategyPrecedence || {};
+    return compare(table[signal.strategyId] ?? 0, table[rival.strategyId] ?? 0, 'strategy precedence');
+  },
+
+  /**
+   * Signal priority (1-10)
+   */
+  PRIORITY: (signal, rival) => compare(signal.priority, rival.priority, 'priority'),
+
+  /**
+   * Strategy confidence, ignoring differences below the configured margin
+   */
+  CONFIDENCE: (signal, rival, config) => {
+    const diff = signal.confidence - rival.confidence;
+    if (Math.abs(diff) < (config.confidenceMargin ?? 0.05)) return null;
+    return compare(signal.confidence, rival.confidence, 'confidence');
+  },
+
+  /**
+   * Longer timeframe beats shorter (MACRO > SWING > SCALP)
+   */
+  TIMEFRAME: (signal, rival) => compare(
+    TIMEFRAME_RANK[signal.timeframe] || 1,
+    TIMEFRAME_RANK[rival.timeframe] || 1,
+    'timeframe'
+  ),
+
+  /**
+   * Newest information wins
+   */
+  RECENCY: (signal, rival) => compare(signal.timestamp, rival.timestamp, 'recency')
+};
+
+function compare(a, b, label) {
+  if (a === b) return null;
+  return {
+    winner: a > b ? 'NEW' : 'ACTIVE',
+    reason: `${label} ${a > b ? '>' : '<'} (${a} vs ${b})`
+  };
+}
+
+export default class ConflictResolver {
+  constructor(config = {}) {
+    this.logger = config.logger;
+    this.clock = config.clock || systemClock;
+
+    this.config = {
+      rules: config.rules || ['STRATEGY_PRECEDENCE', 'PRIORITY', 'CONFIDENCE', 'TIMEFRAME'],
+      strategyPrecedence: config.strategyPrecedence || {},
+      confidenceMargin: config.confidenceMargin ?? 0.05,
+      maxSymbolAllocation: config.maxSymbolAllocation ?? 1.0, // Share of symbol capital
+      signalTtlMs: config.signalTtlMs ?? 900000,              // Active signals expire after 15 minutes
+      tieBreaker: config.tieBreaker || 'REJECT_NEW',          // REJECT_NEW or ACCEPT_NEW
+      maxHistorySize: config.maxHistorySize || 500
+    };
+
+    for (const rule of this.config.rules) {
+      if (!RESOLUTION_RULES[rule]) {
+        throw new Error(`ConflictResolver: unknown resolution rule '${rule}'`);
+      }
+    }
+
+    // Active entry signals by id
+    this.activeSignals = new Map();
+    this.resolutionHistory = [];
+
+    this.stats = {
+      signalsEvaluated: 0,
+      conflictsDetected: 0,
+      directionalConflicts: 0,
+      resourceConflicts: 0,
+      signalsApproved: 0,
+      signalsRejected: 0,
+      signalsSuperseded: 0,
+      startTime: this.clock.now()
+    };
+
+    this.logger?.info('conflict_resolver_init', {
+      rules: this.config.rules,
+      maxSymbolAllocation: this.config.maxSymbolAllocation,
+      signalTtlMs: this.config.signalTtlMs,
+      tieBreaker: this.config.tieBreaker
+    });
+  }
+
+  /**
+   * Resolve a new signal against the active set
+   */
+  resolve(signal) {
+    this.stats.signalsEvaluated++;
+    this.expireSignals(signal.timestamp);
+
+    // Exits release the entries they flatten
+    if (signal.action === 'EXIT_LONG' || signal.action === 'EXIT_SHORT') {
+      const flattened = signal.action === 'EXIT_LONG' ? 'ENTER_LONG' : 'ENTER_SHORT';
+      for (const [id, active] of this.activeSignals) {
+        if (active.symbol === signal.symbol && active.action === flattened) {
+          this.activeSignals.delete(id);
+        }
+      }
+    }
+
+    // Exits and alerts never compete for capital or direction
+    if (!signal.isEntry()) {
+      return this.recordDecision(signal, {
+        approved: true,
+        reason: 'Non-entry signal',
+        conflicts: [],
+        superseded: []
+      });
+    }
+
+    const conflicts = this.findConflicts(signal);
+
+    if (conflicts.length === 0) {
+      this.activeSignals.set(signal.id, signal);
+      return this.recordDecision(signal, {
+        approved: true,
+        reason: 'No conflicts detected',
+        conflicts: [],
+        superseded: []
+      });
+    }
+
+    this.stats.conflictsDetected++;
+    const resolution = this.applyResolutionRules(signal, conflicts);
+
+    if (resolution.approved) {
+      for (const { signal: rival } of conflicts) {
+        rival.status = 'SUPERSEDED';
+        this.activeSignals.delete(rival.id);
+        this.stats.signalsSuperseded++;
+      }
+      this.activeSignals.set(signal.id, signal);
+    }
+
+    return this.recordDecision(signal, {
+      ...resolution,
+      superseded: resolution.approved ? conflicts.map(c => c.signal.id) : []
+    });
+  }
+
+  /**
+   * Find active signals that conflict with the new signal
+   */
+  findConflicts(signal) {
+    const conflicts = [];
+    let allocation = signal.positionSizeFactor;
+
+    for (const active of this.activeSignals.values()) {
+      if (active.symbol !== signal.symbol) continue;
+
+      if (this.isDirectionalConflict(active, signal)) {
+        this.stats.directionalConflicts++;
+        conflicts.push({ type: 'DIRECTIONAL', signal: active });
+        continue;
+      }
+
+      allocation += active.positionSizeFactor;
+      if (allocation > this.config.maxSymbolAllocation + 1e-9) {
+        this.stats.resourceConflicts++;
+        conflicts.push({ type: 'RESOURCE', signal: active });
+      }
+    }
+
+    return conflicts;
+  }
+
+  /**
+   * Check if two signals point in opposite directions
+   */
+  isDirectionalConflict(a, b) {
+    const dirA = a.getDirection();
+    const dirB = b.getDirection();
+    return dirA !== null && dirB !== null && dirA !== dirB;
+  }
+
+  /**
+   * Apply precedence rules in order; the new signal must beat every rival
+   */
+  applyResolutionRules(signal, conflicts) {
+    const decisions = [];
+
+    for (const conflict of conflicts) {
+      let outcome = null;
+
+      for (const rule of this.config.rules) {
+        outcome = RESOLUTION_RULES[rule](signal, conflict.signal, this.config);
+        if (outcome) {
+          outcome.rule = rule;
+          break;
+        }
+      }
+
+      if (!outcome) {
+        outcome = {
+          winner: this.config.tieBreaker === 'ACCEPT_NEW' ? 'NEW' : 'ACTIVE',
+          reason: `All rules tied - ${this.config.tieBreaker}`,
+          rule: 'TIE_BREAKER'
+        };
+      }
+
+      decisions.push({
+        conflictType: conflict.type,
+        rivalId: conflict.signal.id,
+        rivalStrategy: conflict.signal.strategyId,
+        rivalAction: conflict.signal.action,
+        ...outcome
+      });
+
+      if (outcome.winner === 'ACTIVE') {
+        return {
+          approved: false,
+          reason: `${conflict.type} conflict with ${conflict.signal.strategyId} ${conflict.signal.action} lost on ${outcome.reason}`,
+          conflicts: decisions
+        };
+      }
+    }
+
+    return {
+      approved: true,
+      reason: `Won ${decisions.length} conflict(s)`,
+      conflicts: decisions
+    };
+  }
+
+  /**
+   * Log and store a resolution decision
+   */
+  recordDecision(signal, resolution) {
+    if (resolution.approved) {
+      this.stats.signalsApproved++;
+    } else {
+      this.stats.signalsRejected++;
+      signal.status = 'REJECTED';
+    }
+
+    const decision = {
+      signalId: signal.id,
+      strategyId: signal.strategyId,
+      action: signal.action,
+      symbol: signal.symbol,
+      approved: resolution.approved,
+      reason: resolution.reason,
+      conflicts: resolution.conflicts,
+      superseded: resolution.superseded,
+      timestamp: signal.timestamp
+    };
+
+    this.resolutionHistory.push(decision);
+    if (this.resolutionHistory.length > this.config.maxHistorySize) {
+      this.resolutionHistory.shift();
+    }
+
+    if (resolution.approved) {
+      this.logger?.info('conflict_resolution', decision);
+    } else {
+      this.logger?.warn('conflict_resolution', decision);
+    }
+
+    return { ...resolution, decision };
+  }
+
+  /**
+   * Drop signals older than the configured TTL
+   */
+  expireSignals(now = this.clock.now()) {
+    for (const [id, signal] of this.activeSignals) {
+      if (now - signal.timestamp > this.config.signalTtlMs) {
+        this.activeSignals.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Release an active signal (e.g. once its position has closed)
+   */
+  releaseSignal(signalId) {
+    return this.activeSignals.delete(signalId);
+  }
+
+  /**
+   * Recent resolution decisions for audit
+   */
+  getResolutionHistory(limit = 50) {
+    return this.resolutionHistory.slice(-limit);
+  }
+
+  /**
+   * Get resolver statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      uptime: Math.floor((this.clock.now() - this.stats.startTime) / 1000),
+      activeSignals: this.activeSignals.size
+    };
+  }
+}
@@ -0,0 +1,337 @@
+/**
+ * Phoenix v6.1 - Cross-Venue Aggregator
+ *
+ * CONSOLIDATED LIQUIDITY ACROSS EXCHANGES
+ *
+ * DLS alone only sees the Binance spot book. The aggregator merges the
+ * pipeline's book with books fetched from other venues (see VENUE_ADAPTERS):
+ * - Each venue's levels are fee-adjusted (bids down, asks up by its taker
+ *   fee) so the consolidated book reflects what a taker actually pays
+ * - Consolidated DLS, scored by the pipeline's LiquidityAnalyzer
+ * - Per-venue depth within bandBps of the consolidated mid and its share
+ * - Divergence: each venue's depth change against its own EWMA baseline is
+ *   compared with the median change on the other venues; a gap beyond
+ *   divergenceThreshold flags that venue and emits VENUE_DIVERGENCE
+ *
+ * Fetched books are journaled so analyses rebuild identically on replay.
+ */
+
+import { EventEmitter } from 'events';
+import { systemClock } from './clock.js';
+import { VENUE_ADAPTERS, VENUES } from './venue-adapters.js';
+
+export default class CrossVenueAggregator extends EventEmitter {
+  constructor(config = {}) {
+    super();
+
+    this.symbol = config.symbol || 'ETHUSDT';
+    this.logger = config.logger;
+    this.clock = config.clock || systemClock;
+    this.journal = config.journal || null; // Optional EventJournal for replay
+    this.liquidityAnalyzer = config.liquidityAnalyzer || null; // Scores consolidated and per-venue DLS
+
+    this.config = {
+      venues: config.venues || VENUES,
+      // Venue fed by the pipeline's own book instead of being fetched
+      primaryVenue: config.primaryVenue || 'binanceSpot',
+      feeBps: config.feeBps || {},
+      depth: config.depth || 50,
+      bandBps: config.bandBps || 50,
+      maxBookAgeMs: config.maxBookAgeMs || 60000,
+      divergenceThreshold: config.divergenceThreshold || 0.5,
+      baselineAlpha: config.baselineAlpha || 0.1,
+      warmupSamples: config.warmupSamples ?? 5
+    };
+
+    // venue -> { bids, asks, timestamp, receivedAt }
+    this.books = new Map();
+
+    // venue -> { baselineDepthUSD, samples, diverging }
+    this.venueState = new Map();
+
+    this.lastAnalysis = null;
+
+    this.stats = {
+      fetches: 0,
+      fetchFailures: 0,
+      booksProcessed: 0,
+      invalidBooks: 0,
+      analyses: 0,
+      divergenceEvents: 0,
+      lastAnalysisAt: null
+    };
+  }
+
+  /**
+   * Taker fee applied to a venue's prices (configured override or adapter default)
+   */
+  getFeeBps(venue) {
+    return this.config.feeBps[venue] ?? VENUE_ADAPTERS[venue].takerFeeBps;
+  }
+
+  /**
+   * Fetch every configured venue except the primary one; failures are
+   * logged per venue and leave that venue's previous book in place
+   */
+  async fetchBooks(apiClient) {
+    const venues = this.config.venues.filter(venue => venue !== this.config.primaryVenue);
+
+    const results = await Promise.allSettled(venues.map(async (venue) => {
+      const adapter = VENUE_ADAPTERS[venue];
+      const raw = await apiClient.request({
+        url: adapter.depthPath(this.symbol, this.config.depth),
+        method: 'GET',
+        providers: adapter.providers
+      });
+      return this.handleVenueBook(venue, raw);
+    }));
+
+    let fetched = 0;
+    for (const [index, result] of results.entries()) {
+      this.stats.fetches++;
+      if (result.status === 'fulfilled' && result.value) {
+        fetched++;
+        continue;
+      }
+
+      this.stats.fetchFailures++;
+      if (result.status === 'rejected') {
+        this.logger?.warn('cross_venue_fetch_failed', {
+          symbol: this.symbol,
+          venue: venues[index],
+          error: result.reason?.message
+        });
+      }
+    }
+
+    return fetched;
+  }
+
+  /**
+   * Journal a raw venue response, then process it
+   */
+  handleVenueBook(venue, raw, receivedAt = this.clock.now()) {
+    this.journal?.record('cross_venue', venue, raw, { symbol: this.symbol, receivedAt });
+    return this.processVenueBook(venue, raw, receivedAt);
+  }
+
+  /**
+   * Normalise one venue's raw book (live or replayed) and store it
+   */
+  processVenueBook(venue, raw, receivedAt = this.clock.now()) {
+    const adapter = VENUE_ADAPTERS[venue];
+    if (!adapter) return false;
+
+    let book;
+    try {
+      book = adapter.normalize(raw);
+    } catch (error) {
+      this.stats.invalidBooks++;
+      this.logger?.warn('cross_venue_invalid_book', { symbol: this.symbol, venue, error: error.message });
+      return false;
+    }
+
+    if (book.bids.length === 0 || book.asks.length === 0) {
+      this.stats.invalidBooks++;
+      return false;
+    }
+
+    this.books.set(venue, {
+      bids: book.bids.slice(0, this.config.depth),
+      asks: book.asks.slice(0, this.config.depth),
+      timestamp: book.timestamp,
+      receivedAt
+    });
+    this.stats.booksProcessed++;
+    return true;
+  }
+
+  /**
+   * Fee-adjusted books no older than maxBookAgeMs, keyed by venue
+   */
+  getFreshBooks(now) {
+    const fresh = new Map();
+
+    for (const venue of this.config.venues) {
+      const book = this.books.get(venue);
+      if (!book || now - book.receivedAt > this.config.maxBookAgeMs) continue;
+
+      const fee = this.getFeeBps(venue) / 10000;
+      fresh.set(venue, {
+        bids: book.bids.map(([price, quantity]) => [price * (1 - fee), quantity]),
+        asks: book.asks.map(([price, quantity]) => [price * (1 + fee), quantity]),
+        receivedAt: book.receivedAt
+      });
+    }
+
+    return fresh;
+  }
+
+  /**
+   * Merge fee-adjusted levels from every fresh venue into one book, best
+   * first; null when no venue has a fresh book
+   */
+  getConsolidatedBook(now = this.clock.now(), fresh = this.getFreshBooks(now)) {
+    if (fresh.size === 0) return null;
+
+    const merge = (sideName, compare) => {
+      const levels = new Map();
+      for (const book of fresh.values()) {
+        for (const [price, quantity] of book[sideName]) {
+          levels.set(price, (levels.get(price) || 0) + quantity);
+        }
+      }
+      return [...levels].sort(compare);
+    };
+
+    return {
+      symbol: this.symbol,
+      venues: [...fresh.keys()],
+      bids: merge('bids', (a, b) => b[0] - a[0]),
+      asks: merge('asks', (a, b) => a[0] - b[0]),
+      timestamp: now
+    };
+  }
+
+  /**
+   * Consolidated DLS, per-venue depth shares and divergence flags. Advances
+   * each venue's depth baseline, so call it once per market-data cycle.
+   */
+  analyze(now = this.clock.now()) {
+    const fresh = this.getFreshBooks(now);
+    const consolidated = this.getConsolidatedBook(now, fresh);
+    if (!consolidated) return null;
+
+    const bestBid = consolidated.bids[0][0];
+    const bestAsk = consolidated.asks[0][0];
+    const midPrice = (bestBid + bestAsk) / 2;
+    const band = this.config.bandBps / 10000;
+
+    const venues = {};
+    let totalDepthUSD = 0;
+
+    for (const [venue, book] of fresh) {
+      const venueMid = (book.bids[0][0] + book.asks[0][0]) / 2;
+      const bidDepthUSD = book.bids
+        .filter(([price]) => price >= midPrice * (1 - band))
+        .reduce((sum, [price, quantity]) => sum + price * quantity, 0);
+      const askDepthUSD = book.asks
+        .filter(([price]) => price <= midPrice * (1 + band))
+        .reduce((sum, [price, quantity]) => sum + price * quantity, 0);
+
+      venues[venue] = {
+        venue,
+        feeBps: this.getFeeBps(venue),
+        midPrice: venueMid,
+        spreadBps: (book.asks[0][0] - book.bids[0][0]) / venueMid * 10000,
+        priceDeviationBps: (venueMid - midPrice) / midPrice * 10000,
+        bidDepthUSD,
+        askDepthUSD,
+        depthUSD: bidDepthUSD + askDepthUSD,
+        dls: this.liquidityAnalyzer?.scoreBook(book.bids, book.asks, now) ?? null,
+        ageMs: now - book.receivedAt
+      };
+      totalDepthUSD += bidDepthUSD + askDepthUSD;
+    }
+
+    for (const entry of Object.values(venues)) {
+      entry.share = totalDepthUSD > 0 ? entry.depthUSD / totalDepthUSD : 0;
+    }
+
+    this.updateDivergence(venues, now);
+
+    this.stats.analyses++;
+    this.stats.lastAnalysisAt = now;
+
+    this.lastAnalysis = {
+      symbol: this.symbol,
+      timestamp: now,
+      consolidated: {
+        dls: this.liquidityAnalyzer?.scoreBook(consolidated.bids, consolidated.asks, now) ?? null,
+        midPrice,
+        bestBid,
+        bestAsk,
+        // After fees a crossed book is a real arbitrage, not a data error
+        crossed: bestBid >= bestAsk,
+        depthUSD: totalDepthUSD,
+        venueCount: fresh.size
+      },
+      venues,
+      staleVenues: this.config.venues.filter(venue => !fresh.has(venue)),
+      divergingVenues: Object.values(venues).filter(entry => entry.diverging).map(entry => entry.venue)
+    };
+
+    return this.lastAnalysis;
+  }
+
+  /**
+   * Compare each venue's depth change with the other venues' median change,
+   * flag transitions, then fold the new depth into each venue's baseline
+   */
+  updateDivergence(venues, now) {
+    const entries = Object.values(venues);
+
+    for (const entry of entries) {
+      const state = this.venueState.get(entry.venue);
+      entry.depthChange = state?.samples >= this.config.warmupSamples
+        ? entry.depthUSD / state.baselineDepthUSD - 1
+        : null;
+    }
+
+    for (const entry of entries) {
+      const state = this.venueState.get(entry.venue) || { baselineDepthUSD: null, samples: 0, diverging: false };
+      const others = entries
+        .filter(other => other.venue !== entry.venue && other.depthChange !== null)
+        .map(other => other.depthChange);
+
+      entry.deviation = entry.depthChange !== null && others.length > 0
+        ? entry.depthChange - median(others)
+        : null;
+      entry.diverging = entry.deviation !== null && Math.abs(entry.deviation) >= this.config.divergenceThreshold;
+
+      if (entry.diverging && !state.diverging) {
+        this.stats.divergenceEvents++;
+        const divergence = {
+          symbol: this.symbol,
+          venue: entry.venue,
+          direction: entry.deviation < 0 ? 'THINNING' : 'THICKENING',
+          depthUSD: entry.depthUSD,
+          baselineDepthUSD: state.baselineDepthUSD,
+          depthChange: entry.depthChange,
+          peerMedianChange: median(others),
+          deviation: entry.deviation,
+          timestamp: now
+        };
+        this.logger?.warn('cross_venue_divergence', divergence);
+        this.emit('VENUE_DIVERGENCE', divergence);
+      } else if (!entry.diverging && state.diverging) {
+        this.logger?.info('cross_venue_divergence_cleared', { symbol: this.symbol, venue: entry.venue });
+      }
+
+      state.baselineDepthUSD = state.baselineDepthUSD === null
+        ? entry.depthUSD
+        : state.baselineDepthUSD + this.config.baselineAlpha * (entry.depthUSD - state.baselineDepthUSD);
+      state.samples++;
+      state.diverging = entry.diverging;
+      this.venueState.set(entry.venue, state);
+    }
+  }
+
+  /**
+   * Get cross-venue aggregator statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      venues: this.config.venues,
+      booksHeld: this.books.size,
+      divergingVenues: this.lastAnalysis?.divergingVenues || []
+    };
+  }
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
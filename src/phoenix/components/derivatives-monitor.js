@@ -16,6 +16,7 @@
 import { EventEmitter } from 'events';
 import WebSocket from 'ws';
 import axios from 'axios';
+import { systemClock } from './clock.js';
 
 export default class DerivativesMonitor extends EventEmitter {
   constructor(config = {}) {
@@ -23,7 +24,15 @@ export default class DerivativesMonitor extends EventEmitter {
     
     this.symbol = config.symbol || 'ETHUSDT';
     this.logger = config.logger;
+    this.clock = config.clock || systemClock;
     this.bybitConfig = config.bybitConfig || {};
+    this.journal = config.journal || null; // Optional EventJournal for replay
+
+    // Spike cut-offs - hot-reloaded through applyThresholds()
+    this.thresholds = {
+      fundingSpikeRate: config.thresholds?.fundingSpikeRate ?? 0.018,  // 1.8% daily
+      oiSpikeRatePerMin: config.thresholds?.oiSpikeRatePerMin ?? 0.05  // 5% per minute
+    };
     
     // Current derivatives data
     this.data = {
@@ -54,6 +63,7 @@ export default class DerivativesMonitor extends EventEmitter {
     // WebSocket connections
     this.connections = new Map();
     this.isStreaming = false;
+    this.analysisInterval = null;
     
     // Performance stats
     this.stats = {
@@ -63,7 +73,7 @@ export default class DerivativesMonitor extends EventEmitter {
       markPriceUpdates: 0,
       alertsGenerated: 0,
       avgUpdateLatency: 0,
-      startTime: Date.now()
+      startTime: this.clock.now()
     };
     
     this.logger?.info('derivatives_monitor_init', {
@@ -109,7 +119,7 @@ export default class DerivativesMonitor extends EventEmitter {
       }
 
       this.isStreaming = true;
-      this.stats.startTime = Date.now();
+      this.stats.startTime = this.clock.now();
 
       // Start periodic analysis
       this.startPeriodicAnalysis();
@@ -164,7 +174,7 @@ export default class DerivativesMonitor extends EventEmitter {
       ws.on('message', (data) => {
         try {
           const event = JSON.parse(data.toString());
-          this.processBybitEvent(event);
+          this.handleExchangeMessage('bybit', event);
         } catch (error) {
           this.logger?.error('bybit_message_error', error.message);
         }
@@ -216,7 +226,7 @@ export default class DerivativesMonitor extends EventEmitter {
       ws.on('message', (data) => {
         try {
           const event = JSON.parse(data.toString());
-          this.processBinanceEvent(event);
+          this.handleExchangeMessage('binance', event);
         } catch (error) {
           this.logger?.error('binance_message_error', error.message);
         }
@@ -234,27 +244,49 @@ export default class DerivativesMonitor extends EventEmitter {
     });
   }
 
+  /**
+   * Journal a raw WebSocket message, then process it
+   */
+  handleExchangeMessage(exchange, event, receivedAt = this.clock.now()) {
+    this.journal?.record('derivatives', exchange, event, {
+      symbol: this.symbol,
+      receivedAt
+    });
+    this.processExchangeEvent(exchange, event);
+  }
+
+  /**
+   * Route an exchange message to its parser (live or replayed)
+   */
+  processExchangeEvent(exchange, event) {
+    if (exchange === 'bybit') {
+      this.processBybitEvent(event);
+    } else if (exchange === 'binance') {
+      this.processBinanceEvent(event);
+    }
+  }
+
   /**
    * Process Bybit events
    */
   processBybitEvent(event) {
     if (!event.data) return;
     
-    const startTime = Date.now();
+    const startTime = this.clock.now();
     
     if (event.topic && event.topic.includes('tickers')) {
       this.processTickerUpdate(event.data, 'bybit');
     }
     
     this.stats.totalUpdates++;
-    this.updateAverageLatency(Date.now() - startTime);
+    this.updateAverageLatency(this.clock.now() - startTime);
   }
 
   /**
    * Process Binance events
    */
   processBinanceEvent(event) {
-    const startTime = Date.now();
+    const startTime = this.clock.now();
     
     if (event.stream && event.data) {
       const { stream, data } = event;
@@ -270,7 +302,7 @@ export default class DerivativesMonitor extends EventEmitter {
     }
     
     this.stats.totalUpdates++;
-    this.updateAverageLatency(Date.now() - startTime);
+    this.updateAverageLatency(this.clock.now() - startTime);
   }
 
   /**
@@ -299,7 +331,7 @@ export default class DerivativesMonitor extends EventEmitter {
       type: 'TICKER_UPDATE',
       exchange,
       data: this.data,
-      timestamp: Date.now()
+      timestamp: this.clock.now()
     });
   }
 
@@ -308,7 +340,7 @@ export default class DerivativesMonitor extends EventEmitter {
    */
   updateMarkPrice(newPrice, exchange) {
     const previousPrice = this.data.markPrice.current;
-    const timeDiff = Date.now() - this.data.markPrice.lastUpdate;
+    const timeDiff = this.clock.now() - this.data.markPrice.lastUpdate;
     
     this.data.markPrice.current = newPrice;
     
@@ -328,7 +360,7 @@ export default class DerivativesMonitor extends EventEmitter {
       this.data.markPrice.volatility = Math.abs(changePercent);
     }
     
-    this.data.markPrice.lastUpdate = Date.now();
+    this.data.markPrice.lastUpdate = this.clock.now();
   }
 
   /**
@@ -347,8 +379,8 @@ export default class DerivativesMonitor extends EventEmitter {
       this.data.fundingRates.average = validRates.reduce((sum, r) => sum + r, 0) / validRates.length;
     }
     
-    // Detect spikes (>1.8% daily)
-    this.data.fundingRates.spike = Math.abs(this.data.fundingRates.average) > 0.018;
+    // Detect spikes (default >1.8% daily)
+    this.data.fundingRates.spike = Math.abs(this.data.fundingRates.average) > this.thresholds.fundingSpikeRate;
     
     // Determine trend
     if (this.data.fundingRates.average > previousAverage + 0.001) {
@@ -359,7 +391,7 @@ export default class DerivativesMonitor extends EventEmitter {
       this.data.fundingRates.trend = 'NEUTRAL';
     }
     
-    this.data.fundingRates.lastUpdate = Date.now();
+    this.data.fundingRates.lastUpdate = this.clock.now();
     
     // Generate alert for funding spikes
     if (this.data.fundingRates.spike) {
@@ -379,7 +411,7 @@ export default class DerivativesMonitor extends EventEmitter {
    */
   updateOpenInterest(newOI, exchange) {
     const previousTotal = this.data.openInterest.total;
-    const timeDiff = Date.now() - this.data.openInterest.lastUpdate;
+    const timeDiff = this.clock.now() - this.data.openInterest.lastUpdate;
     
     this.data.openInterest.total = newOI;
     
@@ -396,10 +428,10 @@ export default class DerivativesMonitor extends EventEmitter {
       this.data.openInterest.ath = false;
     }
     
-    this.data.openInterest.lastUpdate = Date.now();
+    this.data.openInterest.lastUpdate = this.clock.now();
     
     // Generate alert for rapid OI changes
-    if (Math.abs(this.data.openInterest.changeRate) > 0.05) { // 5% per minute
+    if (Math.abs(this.data.openInterest.changeRate) > this.thresholds.oiSpikeRatePerMin) {
       this.generateAlert('OI_SPIKE', {
         changeRate: this.data.openInterest.changeRate,
         total: newOI,
@@ -408,6 +440,13 @@ export default class DerivativesMonitor extends EventEmitter {
     }
   }
 
+  /**
+   * Swap in new validated spike cut-offs in one assignment
+   */
+  applyThresholds(thresholds) {
+    this.thresholds = { ...thresholds };
+  }
+
   /**
    * Generate alert
    */
@@ -415,7 +454,7 @@ export default class DerivativesMonitor extends EventEmitter {
     const alert = {
       type: alertType,
       data,
-      timestamp: Date.now(),
+      timestamp: this.clock.now(),
       symbol: this.symbol
     };
     
@@ -426,7 +465,7 @@ export default class DerivativesMonitor extends EventEmitter {
       type: alertType,
       exchange: data.exchange,
       data: alert,
-      timestamp: Date.now()
+      timestamp: this.clock.now()
     });
   }
 
@@ -434,7 +473,7 @@ export default class DerivativesMonitor extends EventEmitter {
    * Start periodic analysis
    */
   startPeriodicAnalysis() {
-    setInterval(() => {
+    this.analysisInterval = this.clock.setInterval(() => {
       this.analyzeDerivativesData();
     }, 10000); // Every 10 seconds
   }
@@ -447,7 +486,7 @@ export default class DerivativesMonitor extends EventEmitter {
       oiChangeRate: this.data.openInterest.changeRate,
       fundingSpike: this.data.fundingRates.spike,
       markPriceVolatility: this.data.markPrice.volatility,
-      timestamp: Date.now()
+      timestamp: this.clock.now()
     };
     
     // Check for high volatility
@@ -494,6 +533,11 @@ export default class DerivativesMonitor extends EventEmitter {
    */
   async stop() {
     this.logger?.info('derivatives_monitoring_stop', 'Stopping derivatives monitoring');
+
+    if (this.analysisInterval) {
+      this.clock.clearInterval(this.analysisInterval);
+      this.analysisInterval = null;
+    }
     
     for (const [exchangeName, connection] of this.connections) {
       connection.close();
@@ -508,7 +552,7 @@ export default class DerivativesMonitor extends EventEmitter {
    * Get performance statistics
    */
   getStats() {
-    const uptime = Date.now() - this.stats.startTime;
+    const uptime = this.clock.now() - this.stats.startTime;
     
     return {
       ...this.stats,
@@ -0,0 +1,313 @@
+/**
+ * Phoenix v6.1 - DLS Calibrator
+ *
+ * FITS DLS WEIGHTS AGAINST FORWARD REALISED OUTCOMES
+ *
+ * Replays recorded order books (journal market_data entries, with any
+ * trade_flow entries feeding the volume profile) through a LiquidityAnalyzer:
+ * - Target per snapshot: forward realised volatility of the mid (bps) or the
+ *   mean forward round-trip slippage for orderSizeUSD, over horizonMs
+ * - Quality score: 100 x (1 - percentile rank of the target), so a book
+ *   followed by calm, cheap markets scores high
+ * - Normalisation constants: per component, the scale (default x 2^k) whose
+ *   normalised values correlate best with the quality score
+ * - Weights: non-negative least squares of the quality score on the
+ *   normalised components, rescaled to sum to 1
+ *
+ * Fits on the earlier part of the history and holds out the rest, so the
+ * report compares calibrated and default DLS on data the fit never saw.
+ */
+
+import LiquidityAnalyzer, { DLS_COMPONENTS, DEFAULT_DLS_PARAMS } from './liquidity-analyzer.js';
+import TradeFlowMonitor from './trade-flow-monitor.js';
+
+export const CALIBRATION_TARGETS = ['volatility', 'slippage'];
+
+export default class DLSCalibrator {
+  constructor(config = {}) {
+    this.symbol = config.symbol || 'ETHUSDT';
+    this.logger = config.logger;
+
+    this.config = {
+      target: config.target || 'volatility',
+      horizonMs: config.horizonMs || 5 * 60 * 1000,
+      orderSizeUSD: config.orderSizeUSD || 10000,
+      holdoutFraction: config.holdoutFraction ?? 0.3,
+      minSamples: config.minSamples || 30,
+      scaleSteps: config.scaleSteps || 12,
+      iterations: config.iterations || 5000
+    };
+
+    if (!CALIBRATION_TARGETS.includes(this.config.target)) {
+      throw new Error(`DLSCalibrator: target must be one of ${CALIBRATION_TARGETS.join(', ')}`);
+    }
+
+    // Scratch analyzer - component maths only, never scores live books
+    this.analyzer = new LiquidityAnalyzer({ symbol: this.symbol });
+  }
+
+  /**
+   * Fit DLS parameters to a journal's entries; throws if too few usable samples
+   */
+  calibrate(entries) {
+    const samples = this.attachTargets(this.extractSamples(entries));
+    if (samples.length < this.config.minSamples) {
+      throw new Error(`Not enough samples with a complete ${this.config.horizonMs}ms forward window for ${this.symbol} ` +
+        `(${samples.length}, need ${this.config.minSamples})`);
+    }
+
+    const split = Math.max(2, Math.floor(samples.length * (1 - this.config.holdoutFraction)));
+    const train = samples.slice(0, split);
+    const holdout = samples.slice(split);
+    const quality = qualityScores(train.map(sample => sample.target));
+
+    const normalization = {};
+    for (const component of DLS_COMPONENTS) {
+      normalization[component] = this.fitScale(component, train, quality);
+    }
+
+    const columns = DLS_COMPONENTS.map(component =>
+      train.map(sample => this.analyzer.normalizeComponents(sample.components, normalization)[component]));
+    const fitted = this.fitWeights(columns, quality);
+
+    const params = {
+      weights: fitted || { ...DEFAULT_DLS_PARAMS.weights },
+      normalization
+    };
+
+    this.logger?.info('dls_calibration_complete', {
+      symbol: this.symbol,
+      target: this.config.target,
+      samples: samples.length,
+      weightsFitted: fitted !== null
+    });
+
+    return {
+      params,
+      report: this.buildReport(train, holdout, params, fitted !== null)
+    };
+  }
+
+  /**
+   * Replay entries for this symbol and record each book's raw DLS inputs,
+   * mid price and round-trip slippage
+   */
+  extractSamples(entries) {
+    const tradeFlow = new TradeFlowMonitor({ symbol: this.symbol });
+    this.analyzer.tradeFlow = tradeFlow;
+
+    const samples = [];
+    for (const entry of entries) {
+      if (entry.symbol !== this.symbol) continue;
+
+      if (entry.source === 'trade_flow') {
+        tradeFlow.processTrade(entry.payload);
+        continue;
+      }
+      if (entry.source !== 'market_data') continue;
+
+      const { bids, asks } = entry.payload.orderBook || {};
+      const components = this.analyzer.calculateComponents(bids, asks, entry.receivedAt);
+      if (!components) continue;
+
+      const curve = this.analyzer.getSlippageCurve(bids, asks, [this.config.orderSizeUSD]);
+      const [buy] = curve.buy;
+      const [sell] = curve.sell;
+
+      samples.push({
+        timestamp: entry.receivedAt,
+        midPrice: curve.midPrice,
+        slippageBps: buy.complete && sell.complete ? (buy.impactBps + sell.impactBps) / 2 : null,
+        components
+      });
+    }
+
+    return samples;
+  }
+
+  /**
+   * Forward outcome over (t, t + horizonMs] for every sample whose window is
+   * fully covered by the recording
+   */
+  attachTargets(samples) {
+    const lastTimestamp = samples[samples.length - 1]?.timestamp ?? -Infinity;
+    const withTargets = [];
+
+    for (const [index, sample] of samples.entries()) {
+      const windowEnd = sample.timestamp + this.config.horizonMs;
+      if (lastTimestamp < windowEnd) break;
+
+      const forward = [];
+      for (let j = index + 1; j < samples.length && samples[j].timestamp <= windowEnd; j++) {
+        forward.push(samples[j]);
+      }
+
+      let target = null;
+      if (this.config.target === 'volatility') {
+        const mids = [sample.midPrice, ...forward.map(next => next.midPrice)];
+        const returns = mids.slice(1).map((mid, i) => Math.log(mid / mids[i]));
+        if (returns.length >= 2) target = standardDeviation(returns) * 10000;
+      } else {
+        const slippage = forward.map(next => next.slippageBps).filter(value => value !== null);
+        if (slippage.length > 0) target = mean(slippage);
+      }
+
+      if (target !== null) withTargets.push({ ...sample, target });
+    }
+
+    return withTargets;
+  }
+
+  /**
+   * Normalisation constant for one component: default x 2^k with the best
+   * linear correlation to the quality score (ties keep the one nearest default)
+   */
+  fitScale(component, samples, quality) {
+    const defaultScale = DEFAULT_DLS_PARAMS.normalization[component];
+    let best = { scale: defaultScale, correlation: -Infinity };
+
+    for (let step = 0; step <= this.config.scaleSteps; step++) {
+      for (const k of step === 0 ? [0] : [-step, step]) {
+        const scale = defaultScale * 2 ** k;
+        const normalization = { ...DEFAULT_DLS_PARAMS.normalization, [component]: scale };
+        const values = samples.map(sample => this.analyzer.normalizeComponents(sample.components, normalization)[component]);
+        const correlation = pearson(values, quality);
+
+        if (correlation > best.correlation + 1e-12) {
+          best = { scale, correlation };
+        }
+      }
+    }
+
+    return best.scale;
+  }
+
+  /**
+   * Non-negative least squares (projected gradient on centred data) of the
+   * quality score on the normalised components; weights rescaled to sum to 1,
+   * null when no component carries positive signal
+   */
+  fitWeights(columns, quality) {
+    const n = quality.length;
+    const centred = columns.map(column => {
+      const columnMean = mean(column);
+      return column.map(value => value - columnMean);
+    });
+    const qualityMean = mean(quality);
+    const target = quality.map(value => value - qualityMean);
+
+    const gram = centred.map(a => centred.map(b => a.reduce((sum, value, i) => sum + value * b[i], 0) / n));
+    const moments = centred.map(column => column.reduce((sum, value, i) => sum + value * target[i], 0) / n);
+    const trace = gram.reduce((sum, row, i) => sum + row[i], 0);
+    if (trace === 0) return null;
+
+    // The trace bounds the largest eigenvalue, so 1 / trace is a safe step.
+    // Starting from zero keeps components with no variance at zero weight.
+    const step = 1 / trace;
+    let weights = columns.map(() => 0);
+
+    for (let iteration = 0; iteration < this.config.iterations; iteration++) {
+      weights = weights.map((weight, i) => {
+        const gradient = gram[i].reduce((sum, value, j) => sum + value * weights[j], 0) - moments[i];
+        return Math.max(0, weight - step * gradient);
+      });
+    }
+
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    if (!(total > 0)) return null;
+
+    return Object.fromEntries(DLS_COMPONENTS.map((component, i) => [component, weights[i] / total]));
+  }
+
+  /**
+   * Predictive power (rank correlation with the inverted target) of each
+   * component and of default vs calibrated DLS, in and out of sample. Raw
+   * spread and impact are bps (lower is better), so their raw power is
+   * negative when they carry signal; an unfillable impact ranks worst.
+   */
+  buildReport(train, holdout, params, weightsFitted) {
+    const power = (samples, score) => samples.length >= 3
+      ? -spearman(samples.map(score), samples.map(sample => sample.target))
+      : null;
+    const dls = (dlsParams) => (sample) => {
+      const normalized = this.analyzer.normalizeComponents(sample.components, dlsParams.normalization);
+      return DLS_COMPONENTS.reduce((sum, component) => sum + normalized[component] * dlsParams.weights[component], 0);
+    };
+    const normalizedComponent = (component, normalization) => (sample) =>
+      this.analyzer.normalizeComponents(sample.components, normalization)[component];
+
+    return {
+      symbol: this.symbol,
+      target: this.config.target,
+      horizonMs: this.config.horizonMs,
+      orderSizeUSD: this.config.orderSizeUSD,
+      samples: { train: train.length, holdout: holdout.length },
+      weightsFitted,
+      dls: {
+        train: { default: power(train, dls(DEFAULT_DLS_PARAMS)), calibrated: power(train, dls(params)) },
+        holdout: { default: power(holdout, dls(DEFAULT_DLS_PARAMS)), calibrated: power(holdout, dls(params)) }
+      },
+      components: DLS_COMPONENTS.map(component => ({
+        component,
+        rawPower: power(train, sample => sample.components[component] ?? Infinity),
+        defaultPower: power(train, normalizedComponent(component, DEFAULT_DLS_PARAMS.normalization)),
+        calibratedPower: power(train, normalizedComponent(component, params.normalization)),
+        holdoutPower: power(holdout, normalizedComponent(component, params.normalization)),
+        defaultScale: DEFAULT_DLS_PARAMS.normalization[component],
+        scale: params.normalization[component],
+        defaultWeight: DEFAULT_DLS_PARAMS.weights[component],
+        weight: params.weights[component]
+      }))
+    };
+  }
+}
+
+function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function standardDeviation(values) {
+  const average = mean(values);
+  return Math.sqrt(values.reduce((sum, value) => sum + (value - average) ** 2, 0) / (values.length - 1));
+}
+
+// Fractional ranks in [0, 1], ties sharing their average rank
+function ranks(values) {
+  const order = values.map((value, index) => ({ value, index })).sort((a, b) => a.value - b.value);
+  const result = new Array(values.length);
+
+  for (let start = 0; start < order.length;) {
+    let end = start;
+    while (end + 1 < order.length && order[end + 1].value === order[start].value) end++;
+    const rank = (start + end) / 2 / Math.max(1, values.length - 1);
+    for (let i = start; i <= end; i++) result[order[i].index] = rank;
+    start = end + 1;
+  }
+
+  return result;
+}
+
+function pearson(xs, ys) {
+  const xMean = mean(xs);
+  const yMean = mean(ys);
+  let covariance = 0;
+  let xVariance = 0;
+  let yVariance = 0;
+
+  for (let i = 0; i < xs.length; i++) {
+    covariance += (xs[i] - xMean) * (ys[i] - yMean);
+    xVariance += (xs[i] - xMean) ** 2;
+    yVariance += (ys[i] - yMean) ** 2;
+  }
+
+  return xVariance > 0 && yVariance > 0 ? covariance / Math.sqrt(xVariance * yVariance) : 0;
+}
+
+function spearman(xs, ys) {
+  return pearson(ranks(xs), ranks(ys));
+}
+
+// Higher = calmer / cheaper forward market
+function qualityScores(targets) {
+  return ranks(targets).map(rank => 100 * (1 - rank));
+}
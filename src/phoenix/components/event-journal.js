@@ -0,0 +1,224 @@
+/**
+ * Phoenix v6.1 - Event Journal
+ *
+ * DETERMINISTIC REPLAY OF EXTERNAL INPUTS
+ *
+ * Append-only JSONL record of every external input the engine consumes:
+ * - Order-book snapshots and tickers from fetchMarketData()
+ * - Depth snapshots and diff events maintaining the local order book
+ * - Aggregated trades feeding the trade flow monitor
+ * - Order books fetched from other venues for the cross-venue aggregator
+ * - Mempool provider events and webhook payloads
+ * - Derivatives WebSocket messages
+ *
+ * Each line carries a sequence number and receive timestamp so a journal
+ * can be fed back through the same components in the same order.
+ *
+ * The live file rotates once it reaches maxBytes (journal.1 is the newest
+ * rotated segment) and only maxFiles rotated segments are kept, so disk use
+ * is capped. Readers stream every segment oldest first, line by line.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { systemClock } from './clock.js';
+
+export const JOURNAL_SOURCES = ['market_data', 'order_book', 'trade_flow', 'cross_venue', 'mempool', 'derivatives', 'webhook'];
+
+export default class EventJournal {
+  constructor(config = {}) {
+    this.logger = config.logger;
+    this.clock = config.clock || systemClock;
+
+    this.config = {
+      filePath: config.filePath || './data/journal/phoenix-journal.jsonl',
+      maxBytes: config.maxBytes ?? 256 * 1024 * 1024,
+      maxFiles: config.maxFiles ?? 4
+    };
+
+    this.fd = null;
+    this.fileBytes = 0;
+    this.seq = 0;
+
+    this.stats = {
+      eventsRecorded: 0,
+      recordFailures: 0,
+      bytesWritten: 0,
+      rotations: 0,
+      bySource: Object.fromEntries(JOURNAL_SOURCES.map(source => [source, 0])),
+      lastRecordedAt: null
+    };
+  }
+
+  /**
+   * Append one external input - synchronous so file order is receive order
+   */
+  record(source, type, payload, { symbol = null, receivedAt = this.clock.now() } = {}) {
+    const entry = {
+      seq: ++this.seq,
+      receivedAt,
+      source,
+      type,
+      symbol,
+      payload
+    };
+
+    try {
+      const line = JSON.stringify(entry) + '\n';
+      const bytes = Buffer.byteLength(line);
+
+      if (this.fd !== null && this.fileBytes > 0 && this.fileBytes + bytes > this.config.maxBytes) {
+        this.rotate();
+      }
+      if (this.fd === null) {
+        fs.mkdirSync(path.dirname(this.config.filePath), { recursive: true });
+        this.fd = fs.openSync(this.config.filePath, 'a');
+        this.fileBytes = fs.fstatSync(this.fd).size;
+      }
+
+      fs.writeSync(this.fd, line);
+      this.fileBytes += bytes;
+
+      this.stats.eventsRecorded++;
+      this.stats.bytesWritten += bytes;
+      this.stats.bySource[source] = (this.stats.bySource[source] || 0) + 1;
+      this.stats.lastRecordedAt = receivedAt;
+
+      return entry;
+
+    } catch (error) {
+      // Journaling must never take down the live pipeline
+      this.stats.recordFailures++;
+      this.logger?.error('event_journal_write_failed', {
+        seq: entry.seq,
+        source,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Shift the live file to .1 (and .1 to .2, ...), dropping segments past maxFiles
+   */
+  rotate() {
+    fs.closeSync(this.fd);
+    this.fd = null;
+
+    const filePath = this.config.filePath;
+    fs.rmSync(`${filePath}.${this.config.maxFiles}`, { force: true });
+    for (let index = this.config.maxFiles - 1; index >= 1; index--) {
+      if (fs.existsSync(`${filePath}.${index}`)) {
+        fs.renameSync(`${filePath}.${index}`, `${filePath}.${index + 1}`);
+      }
+    }
+    if (this.config.maxFiles > 0) {
+      fs.renameSync(filePath, `${filePath}.1`);
+    } else {
+      fs.rmSync(filePath, { force: true });
+    }
+
+    this.stats.rotations++;
+    this.logger?.info('event_journal_rotated', {
+      filePath,
+      bytes: this.fileBytes,
+      maxFiles: this.config.maxFiles
+    });
+  }
+
+  /**
+   * Close the journal file
+   */
+  close() {
+    if (this.fd === null) return;
+
+    fs.closeSync(this.fd);
+    this.fd = null;
+
+    this.logger?.info('event_journal_closed', {
+      filePath: this.config.filePath,
+      eventsRecorded: this.stats.eventsRecorded
+    });
+  }
+
+  /**
+   * Get journal statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      filePath: this.config.filePath,
+      fileBytes: this.fileBytes,
+      isOpen: this.fd !== null
+    };
+  }
+
+  /**
+   * Existing files of a journal, oldest rotated segment first and the live file last
+   */
+  static segments(filePath) {
+    const rotated = [];
+    for (let index = 1; fs.existsSync(`${filePath}.${index}`); index++) {
+      rotated.unshift(`${filePath}.${index}`);
+    }
+    return fs.existsSync(filePath) ? [...rotated, filePath] : rotated;
+  }
+
+  /**
+   * Stream a journal's entries in file order without loading it into memory;
+   * corrupt lines (a write torn by a crash) are skipped
+   */
+  static async *stream(filePath, logger = null) {
+    const segments = EventJournal.segments(filePath);
+    if (segments.length === 0) {
+      throw new Error(`Journal not found: ${filePath}`);
+    }
+
+    let entries = 0;
+    let corrupt = 0;
+
+    for (const segment of segments) {
+      const input = fs.createReadStream(segment, 'utf8');
+      const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+      try {
+        for await (const line of lines) {
+          if (!line.trim()) continue;
+
+          let entry;
+          try {
+            entry = JSON.parse(line);
+          } catch (error) {
+            corrupt++;
+            continue;
+          }
+          entries++;
+          yield entry;
+        }
+      } finally {
+        // Release the file when the consumer stops early
+        input.destroy();
+      }
+    }
+
+    if (corrupt > 0) {
+      logger?.warn('event_journal_corrupt_lines', {
+        filePath,
+        corrupt,
+        entries
+      });
+    }
+  }
+
+  /**
+   * Read a whole journal into an array - for offline tools that need every entry at once
+   */
+  static async read(filePath, logger = null) {
+    const entries = [];
+    for await (const entry of EventJournal.stream(filePath, logger)) {
+      entries.push(entry);
+    }
+    return entries;
+  }
+}
@@ -7,10 +7,65 @@
  * - Calculates real-time liquidity percentiles (24h rolling window)
  * - Adapts to asset-specific liquidity regimes
  * - Provides predictive liquidity crisis detection
+ * - Prices buy/sell fills across a notional ladder (slippage curve)
+ * - Weights the volume profile by real traded volume when trade flow is wired
+ * - Scores arbitrary books (other venues, consolidated) without side effects
+ * - DLS weights and normalisation constants loadable from a versioned
+ *   parameter file written by scripts/calibrate-dls.js
  * - Eliminates fantasy-land static thresholds
  */
 
+import fs from 'fs';
 import { EventEmitter } from 'events';
+import { systemClock } from './clock.js';
+
+export const DLS_COMPONENTS = ['depth', 'density', 'spread', 'impact', 'volume'];
+
+/**
+ * Hand-picked DLS parameters (version 0) - used until a calibrated file is loaded
+ */
+export const DEFAULT_DLS_PARAMS = {
+  version: 0,
+  weights: { depth: 0.25, density: 0.25, spread: 0.20, impact: 0.20, volume: 0.10 },
+  normalization: { depth: 20, density: 100, spread: 10, impact: 20, volume: 100 }
+};
+
+/**
+ * Read and validate a calibrated DLS parameter file; throws on any problem
+ */
+export function loadDLSParams(filePath) {
+  let params;
+  try {
+    params = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Unreadable DLS parameter file ${filePath}: ${error.message}`);
+  }
+
+  const errors = [];
+  if (!Number.isInteger(params.version) || params.version < 1) {
+    errors.push('version must be a positive integer');
+  }
+  for (const component of DLS_COMPONENTS) {
+    const weight = params.weights?.[component];
+    const scale = params.normalization?.[component];
+    if (!Number.isFinite(weight) || weight < 0) errors.push(`weights.${component} must be a non-negative number`);
+    if (!Number.isFinite(scale) || scale <= 0) errors.push(`normalization.${component} must be a positive number`);
+  }
+  const weightSum = DLS_COMPONENTS.reduce((sum, component) => sum + (params.weights?.[component] || 0), 0);
+  if (Math.abs(weightSum - 1) > 1e-6) {
+    errors.push(`weights must sum to 1 (got ${weightSum})`);
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid DLS parameter file ${filePath}: ${errors.join('; ')}`);
+  }
+
+  return {
+    version: params.version,
+    weights: { ...params.weights },
+    normalization: { ...params.normalization }
+  };
+}
 
 export default class LiquidityAnalyzer extends EventEmitter {
   constructor(config = {}) {
@@ -18,6 +73,7 @@ export default class LiquidityAnalyzer extends EventEmitter {
     
     this.symbol = config.symbol || 'ETHUSDT';
     this.logger = config.logger;
+    this.clock = config.clock || systemClock;
     
     // MANDATE 1: ADAPTIVE PERCENTILE-BASED THRESHOLDS
     // No more static CASCADE_LIQUIDITY_THRESHOLD fantasy numbers
@@ -28,6 +84,20 @@ export default class LiquidityAnalyzer extends EventEmitter {
       criticalLiquidity: config.criticalLiquidity || 10  // 10th percentile for critical alerts
     };
 
+    // Optional LocalOrderBook for sub-second reads (top analysisDepth levels,
+    // matching the REST depth the DLS history was built from)
+    this.orderBook = config.orderBook || null;
+    this.analysisDepth = config.analysisDepth || 50;
+
+    // Default USD notional ladder for slippage curves
+    this.slippageLadderUSD = config.slippageLadderUSD || [1000, 5000, 10000, 25000, 50000, 100000, 250000];
+
+    // Optional TradeFlowMonitor - real traded volume for the volume profile
+    this.tradeFlow = config.tradeFlow || null;
+
+    // DLS weights and normalisation constants (calibrated or hand-picked)
+    this.dlsParams = config.dlsParams || DEFAULT_DLS_PARAMS;
+
     // DLS HISTORY FOR REAL-TIME PERCENTILE CALCULATION
     // 24-hour rolling window at 30-second intervals = 2880 data points
     this.dlsHistory = [];
@@ -51,17 +121,74 @@ export default class LiquidityAnalyzer extends EventEmitter {
       lowLiquidityWarnings: 0,
       criticalLiquidityEvents: 0,
       avgDLS: 0,
-      startTime: Date.now()
+      startTime: this.clock.now()
     };
     
     this.logger?.info('mandate_1_dynamic_liquidity_analyzer_initialized', {
       symbol: this.symbol,
       thresholds: this.thresholds,
+      dlsParamsVersion: this.dlsParams.version,
       mandate: 'MANDATE_1_ACTIVE',
       description: 'Static CASCADE_LIQUIDITY_THRESHOLD eliminated - Adaptive DLS system operational'
     });
   }
 
+  /**
+   * Swap in new validated percentile thresholds in one assignment
+   */
+  applyThresholds(thresholds) {
+    this.thresholds = { ...thresholds };
+  }
+
+  /**
+   * Score the live local order book without touching DLS history, stats or
+   * events, so it can be polled sub-second; null until the book is in sync
+   */
+  getLiveLiquidity(timestamp = this.clock.now()) {
+    if (!this.orderBook?.isSynced()) return null;
+
+    const { bids, asks, lastUpdateId } = this.orderBook.getSnapshot(this.analysisDepth);
+    const dls = this.scoreBook(bids, asks, timestamp);
+    if (dls === null) return null;
+
+    const percentile = this.calculatePercentile(dls);
+
+    return {
+      dls,
+      percentile,
+      regime: this.getLiquidityRegime(percentile),
+      lastUpdateId,
+      timestamp
+    };
+  }
+
+  /**
+   * DLS for any book (e.g. another venue or a consolidated book) with no
+   * side effects; null for a one-sided book
+   */
+  scoreBook(bids, asks, timestamp = this.clock.now()) {
+    const components = this.calculateComponents(bids, asks, timestamp);
+    if (!components) return null;
+
+    const { depth, density, spread, impact, volume } = components;
+    return this.calculateDLS(depth, density, spread, impact, volume);
+  }
+
+  /**
+   * Raw DLS inputs for one book, keyed like DLS_COMPONENTS; null for a one-sided book
+   */
+  calculateComponents(bids, asks, timestamp = this.clock.now()) {
+    if (!bids?.length || !asks?.length) return null;
+
+    return {
+      depth: this.calculateDepth(bids, asks),
+      density: this.calculateDensity(bids, asks),
+      spread: this.calculateSpreadBps(bids, asks),
+      impact: this.estimateMarketImpact(bids, asks, 10000),
+      volume: this.calculateVolumeProfile(timestamp)
+    };
+  }
+
   /**
    * MANDATE 1: DYNAMIC LIQUIDITY ANALYZER
    *
@@ -84,10 +211,10 @@ export default class LiquidityAnalyzer extends EventEmitter {
       // 2. Order Book Density (distribution around mid-price)
       const density = this.calculateDensity(bids, asks);
 
-      // 3. Spread Tightness (bid-ask spread analysis)
-      const spread = this.calculateSpreadTightness(bids, asks);
+      // 3. Bid-ask spread in bps
+      const spread = this.calculateSpreadBps(bids, asks);
 
-      // 4. Market Impact Cost (for $10k order)
+      // 4. Market Impact Cost in bps (for $10k order, null if a side cannot fill)
       const impact = this.estimateMarketImpact(bids, asks, 10000);
 
       // 5. Recent Volume Profile (1-hour rolling VWAP integration)
@@ -175,94 +302,176 @@ export default class LiquidityAnalyzer extends EventEmitter {
   }
 
   /**
-   * Calculate spread tightness
+   * Bid-ask spread in bps of mid (lower = tighter); null without a two-sided book
    */
-  calculateSpreadTightness(bids, asks) {
-    if (bids.length === 0 || asks.length === 0) return 0;
+  calculateSpreadBps(bids, asks) {
+    if (bids.length === 0 || asks.length === 0) return null;
     
     const bestBid = parseFloat(bids[0][0]);
     const bestAsk = parseFloat(asks[0][0]);
     const midPrice = (bestBid + bestAsk) / 2;
-    const spread = bestAsk - bestBid;
-    const spreadBps = (spread / midPrice) * 10000;
-    
-    // Tighter spreads = higher score
-    return Math.max(0, 100 - spreadBps);
+    return ((bestAsk - bestBid) / midPrice) * 10000;
   }
 
   /**
-   * Estimate market impact for given order size
+   * Market impact in bps (lower = cheaper) for a round trip of the given
+   * size - the mean buy/sell impact; null when a side cannot fill
    */
   estimateMarketImpact(bids, asks, orderSizeUSD) {
+    const curve = this.getSlippageCurve(bids, asks, [orderSizeUSD]);
+    if (!curve) return null;
+
+    const [buy] = curve.buy;
+    const [sell] = curve.sell;
+    if (!buy.complete || !sell.complete) return null;
+
+    return (buy.impactBps + sell.impactBps) / 2;
+  }
+
+  /**
+   * Expected fills for a ladder of USD notionals on both sides of the book
+   *
+   * BUY sizes walk the asks, SELL sizes walk the bids. Each point reports the
+   * average fill price, impact vs mid in bps and how much of the visible side
+   * the order consumes. Returns null without a two-sided book.
+   */
+  getSlippageCurve(bids, asks, sizesUSD = this.slippageLadderUSD) {
+    if (!bids?.length || !asks?.length) return null;
+
     const midPrice = this.getMidPrice(bids, asks);
-    const orderSizeTokens = orderSizeUSD / midPrice;
-    
-    let cumulativeVolume = 0;
-    let weightedPrice = 0;
-    
-    // Walk through bids to estimate execution price
-    for (const [price, qty] of bids) {
+    const sides = {
+      buy: this.summarizeSide(asks),
+      sell: this.summarizeSide(bids)
+    };
+
+    return {
+      symbol: this.symbol,
+      midPrice,
+      bestBid: parseFloat(bids[0][0]),
+      bestAsk: parseFloat(asks[0][0]),
+      visibleDepth: {
+        buy: { quantity: sides.buy.quantity, notionalUSD: sides.buy.notionalUSD, levels: asks.length },
+        sell: { quantity: sides.sell.quantity, notionalUSD: sides.sell.notionalUSD, levels: bids.length }
+      },
+      buy: sizesUSD.map(size => this.walkBook('BUY', asks, size, midPrice, sides.buy.quantity)),
+      sell: sizesUSD.map(size => this.walkBook('SELL', bids, size, midPrice, sides.sell.quantity))
+    };
+  }
+
+  /**
+   * Slippage curve from the full live local order book; null until in sync
+   */
+  getLiveSlippageCurve(sizesUSD = this.slippageLadderUSD) {
+    if (!this.orderBook?.isSynced()) return null;
+
+    const { bids, asks, lastUpdateId } = this.orderBook.getSnapshot();
+    const curve = this.getSlippageCurve(bids, asks, sizesUSD);
+    return curve && { ...curve, lastUpdateId };
+  }
+
+  /**
+   * Total quantity and notional resting on one side of the book
+   */
+  summarizeSide(levels) {
+    let quantity = 0;
+    let notionalUSD = 0;
+
+    for (const [price, qty] of levels) {
+      quantity += parseFloat(qty);
+      notionalUSD += parseFloat(price) * parseFloat(qty);
+    }
+
+    return { quantity, notionalUSD };
+  }
+
+  /**
+   * Walk one side level by level for a USD notional sized at mid, counting
+   * the partially consumed last level
+   */
+  walkBook(side, levels, notionalUSD, midPrice, sideQuantity) {
+    const targetQuantity = notionalUSD / midPrice;
+    let remaining = targetQuantity;
+    let filledQuantity = 0;
+    let cost = 0;
+    let levelsConsumed = 0;
+    let worstPrice = null;
+
+    for (const [price, qty] of levels) {
+      if (remaining <= 0) break;
+
       const priceFloat = parseFloat(price);
-      const qtyFloat = parseFloat(qty);
-      
-      if (cumulativeVolume + qtyFloat >= orderSizeTokens) {
-        const remainingSize = orderSizeTokens - cumulativeVolume;
-        weightedPrice += priceFloat * remainingSize;
-        break;
-      } else {
-        weightedPrice += priceFloat * qtyFloat;
-        cumulativeVolume += qtyFloat;
-      }
+      const takeQuantity = Math.min(remaining, parseFloat(qty));
+
+      cost += priceFloat * takeQuantity;
+      filledQuantity += takeQuantity;
+      remaining -= takeQuantity;
+      levelsConsumed++;
+      worstPrice = priceFloat;
     }
-    
-    if (cumulativeVolume === 0) return 100; // High impact
-    
-    const avgExecutionPrice = weightedPrice / orderSizeTokens;
-    const impactBps = Math.abs((avgExecutionPrice - midPrice) / midPrice) * 10000;
-    
-    return Math.max(0, 100 - impactBps);
+
+    const avgPrice = filledQuantity > 0 ? cost / filledQuantity : null;
+    const impactBps = avgPrice === null ? null :
+      (side === 'BUY' ? avgPrice - midPrice : midPrice - avgPrice) / midPrice * 10000;
+
+    return {
+      side,
+      notionalUSD,
+      targetQuantity,
+      filledQuantity,
+      filledNotionalUSD: cost,
+      avgPrice,
+      worstPrice,
+      impactBps,
+      levelsConsumed,
+      bookConsumedPct: sideQuantity > 0 ? filledQuantity / sideQuantity * 100 : 0,
+      complete: remaining <= targetQuantity * 1e-9
+    };
   }
 
   /**
    * Calculate composite Dynamic Liquidity Score
    */
   calculateDLS(depth, density, spread, impact, volumeProfile = 1.0) {
-    // MANDATE 1: Enhanced weighted scoring with volume profile integration
-    const depthWeight = 0.25;      // Order book depth
-    const densityWeight = 0.25;    // Order distribution density
-    const spreadWeight = 0.20;     // Bid-ask spread tightness
-    const impactWeight = 0.20;     // Market impact cost
-    const volumeWeight = 0.10;     // Recent volume profile (1-hour VWAP)
-
-    // Normalize components to 0-100 scale with improved scaling
-    const normalizedDepth = Math.min(100, Math.log10(depth + 1) * 20);
-    const normalizedDensity = Math.min(100, density * 100);
-    const normalizedSpread = Math.max(0, 100 - (spread * 2000)); // Tighter spread = higher score
-    const normalizedImpact = Math.max(0, 100 - (impact * 20)); // Lower impact = higher score
-    const normalizedVolume = Math.min(100, volumeProfile * 100); // Volume profile factor
-
-    // Calculate composite DLS with all factors
-    const dls = (
-      normalizedDepth * depthWeight +
-      normalizedDensity * densityWeight +
-      normalizedSpread * spreadWeight +
-      normalizedImpact * impactWeight +
-      normalizedVolume * volumeWeight
-    );
+    // MANDATE 1: Weighted scoring with volume profile integration - weights
+    // and normalisation constants come from the loaded DLS parameters
+    const { weights } = this.dlsParams;
+    const normalized = this.normalizeComponents({ depth, density, spread, impact, volume: volumeProfile });
+
+    const dls = DLS_COMPONENTS.reduce((sum, component) => sum + normalized[component] * weights[component], 0);
 
     return Math.round(Math.max(0, Math.min(100, dls)));
   }
 
+  /**
+   * Map raw DLS inputs onto a 0-100 scale, higher = more liquid. Spread and
+   * impact arrive in bps (lower is better), so they score down from 100; a
+   * missing spread or an unfillable impact scores 0.
+   */
+  normalizeComponents({ depth, density, spread, impact, volume }, normalization = this.dlsParams.normalization) {
+    return {
+      depth: Math.min(100, Math.log10(depth + 1) * normalization.depth),
+      density: Math.min(100, density * normalization.density),
+      spread: spread === null ? 0 : Math.max(0, 100 - spread * normalization.spread),
+      impact: impact === null ? 0 : Math.max(0, 100 - impact * normalization.impact),
+      volume: Math.min(100, volume * normalization.volume)
+    };
+  }
+
   /**
    * MANDATE 1: Calculate volume profile for DLS enhancement
    */
   calculateVolumeProfile(timestamp) {
+    const tradeActivity = this.calculateTradeActivity(timestamp || this.clock.now());
+    if (tradeActivity !== null) {
+      return tradeActivity;
+    }
+
     if (this.vwapWindow.length === 0) {
       return 1.0; // Neutral factor if no volume data
     }
 
     // Calculate 1-hour rolling VWAP factor
-    const now = timestamp || Date.now();
+    const now = timestamp || this.clock.now();
     const oneHourAgo = now - (60 * 60 * 1000);
 
     // Filter recent volume data
@@ -280,16 +489,35 @@ export default class LiquidityAnalyzer extends EventEmitter {
     return Math.max(0.5, Math.min(1.5, avgVolume / 1000000)); // Normalize to typical volume
   }
 
+  /**
+   * Traded quote volume over the last 5 minutes relative to the rolling
+   * window's rate (0.5 to 1.5); null until trade flow covers 10 minutes
+   */
+  calculateTradeActivity(now) {
+    const recentWindowMs = 5 * 60 * 1000;
+    const flow = this.tradeFlow?.getMetrics({ now });
+    if (!flow) return null;
+
+    const coveredMs = now - flow.firstTradeTime;
+    if (coveredMs < recentWindowMs * 2) return null;
+
+    const recent = this.tradeFlow.getMetrics({ windowMs: recentWindowMs, now });
+    const baselineRate = flow.quoteVolume / Math.min(coveredMs, flow.windowMs);
+    const recentRate = (recent?.quoteVolume || 0) / recentWindowMs;
+
+    return Math.max(0.5, Math.min(1.5, recentRate / baselineRate));
+  }
+
   /**
    * Update DLS history and calculate percentile
    */
-  updateDLSHistory(dls) {
+  updateDLSHistory(dls, timestamp = this.clock.now()) {
     this.currentDLS = dls;
     
-    // Add to history
+    // Add to history - stamped with the order book time so replays match
     this.dlsHistory.push({
       dls,
-      timestamp: Date.now()
+      timestamp
     });
     
     // Maintain history length
@@ -346,7 +574,7 @@ export default class LiquidityAnalyzer extends EventEmitter {
       isValidForSignal,
       regime: this.getLiquidityRegime(percentile),
       status,
-      timestamp: Date.now(),
+      timestamp: this.clock.now(),
       thresholds: this.thresholds
     };
   }
@@ -362,11 +590,58 @@ export default class LiquidityAnalyzer extends EventEmitter {
     return 'CRITICAL';
   }
 
+  /**
+   * Serializable state for warm restart
+   */
+  exportState() {
+    return {
+      dlsHistory: this.dlsHistory,
+      vwapWindow: this.vwapWindow,
+      currentDLS: this.currentDLS,
+      dlsParamsVersion: this.dlsParams.version
+    };
+  }
+
+  /**
+   * Restore state from a snapshot, dropping points older than the 24h window
+   */
+  importState(state = {}, now = this.clock.now()) {
+    const windowStart = now - 24 * 60 * 60 * 1000;
+    const fresh = (entry) => Number.isFinite(entry?.timestamp) && entry.timestamp >= windowStart && entry.timestamp <= now;
+
+    // Scores from other DLS parameters are on a different scale - start the history over
+    const paramsChanged = (state.dlsParamsVersion ?? 0) !== this.dlsParams.version;
+
+    if (Array.isArray(state.dlsHistory) && !paramsChanged) {
+      this.dlsHistory = state.dlsHistory
+        .filter(entry => fresh(entry) && Number.isFinite(entry.dls))
+        .slice(-this.maxHistorySize);
+    }
+
+    if (Array.isArray(state.vwapWindow)) {
+      this.vwapWindow = state.vwapWindow.filter(fresh).slice(-this.maxVwapSize);
+    }
+
+    if (this.dlsHistory.length > 0) {
+      this.currentDLS = this.dlsHistory[this.dlsHistory.length - 1].dls;
+      this.currentPercentile = this.calculatePercentile(this.currentDLS);
+    }
+
+    this.logger?.info('liquidity_state_restored', {
+      symbol: this.symbol,
+      historyLength: this.dlsHistory.length,
+      vwapWindowLength: this.vwapWindow.length,
+      historyDiscarded: paramsChanged && Array.isArray(state.dlsHistory)
+    });
+
+    return this.dlsHistory.length;
+  }
+
   /**
    * Get performance statistics
    */
   getStats() {
-    const uptime = Date.now() - this.stats.startTime;
+    const uptime = this.clock.now() - this.stats.startTime;
     
     return {
       ...this.stats,
@@ -374,6 +649,7 @@ export default class LiquidityAnalyzer extends EventEmitter {
       currentDLS: this.currentDLS,
       currentPercentile: this.currentPercentile,
       historyLength: this.dlsHistory.length,
+      dlsParamsVersion: this.dlsParams.version,
       validationRate: this.stats.signalsValidated / (this.stats.signalsValidated + this.stats.signalsRejected) * 100 || 0
     };
   }
@@ -0,0 +1,427 @@
+/**
+ * Phoenix v6.1 - Local Order Book
+ *
+ * FULL-DEPTH BOOK MAINTAINED FROM THE BINANCE DIFF STREAM
+ *
+ * Replaces the 30-second /depth?limit=50 poll with a book that is current to
+ * the last 100ms diff:
+ * - REST snapshot + <symbol>@depth@100ms diff events (Binance spot procedure)
+ * - Diffs buffered until the snapshot lands, stale diffs dropped
+ * - U/u sequence validation - any gap triggers an automatic resync
+ * - Snapshots and diffs journaled so the book can be rebuilt on replay
+ * - Dropped or refused streams reconnect with exponential backoff until stop()
+ *
+ * Readers (LiquidityAnalyzer, SymbolPipeline) pull getSnapshot() at whatever
+ * cadence they need.
+ */
+
+import { EventEmitter } from 'events';
+import WebSocket from 'ws';
+import { systemClock } from './clock.js';
+
+export default class LocalOrderBook extends EventEmitter {
+  constructor(config = {}) {
+    super();
+
+    this.symbol = config.symbol || 'ETHUSDT';
+    this.logger = config.logger;
+    this.clock = config.clock || systemClock;
+    this.journal = config.journal || null; // Optional EventJournal for replay
+
+    this.config = {
+      streamUrl: config.streamUrl || 'wss://stream.binance.com:9443/ws',
+      snapshotDepth: config.snapshotDepth || 5000,
+      maxBufferedEvents: config.maxBufferedEvents || 1000,
+      resyncDelayMs: config.resyncDelayMs ?? 1000,
+      reconnectDelayMs: config.reconnectDelayMs ?? 1000,
+      maxReconnectDelayMs: config.maxReconnectDelayMs ?? 60000
+    };
+
+    // price string -> quantity string, exactly as Binance sends them
+    this.bids = new Map();
+    this.asks = new Map();
+    this.lastUpdateId = null;
+    this.synced = false;
+    this.lastEventTime = null;
+    this.sortedCache = null;
+
+    // Diffs received before the snapshot (or during a resync)
+    this.buffer = [];
+
+    this.apiClient = null;
+    this.ws = null;
+    this.isStreaming = false;
+    this.resyncInFlight = false;
+    this.resyncTimer = null;
+    this.reconnectTimer = null;
+    this.reconnectAttempts = 0;
+    this.stopped = false;
+
+    this.stats = {
+      snapshotsLoaded: 0,
+      diffsApplied: 0,
+      diffsBuffered: 0,
+      staleDiffsDropped: 0,
+      sequenceGaps: 0,
+      resyncs: 0,
+      resyncFailures: 0,
+      reconnects: 0,
+      lastSyncedAt: null
+    };
+  }
+
+  /**
+   * Open the diff stream and load the initial snapshot; a failed connect keeps retrying until stop()
+   */
+  async start(apiClient) {
+    this.apiClient = apiClient;
+    this.stopped = false;
+
+    try {
+      await this.connect();
+    } catch (error) {
+      this.logger?.warn('order_book_stream_failed', {
+        symbol: this.symbol,
+        error: error.message
+      });
+      this.scheduleReconnect();
+      return false;
+    }
+
+    await this.resync('startup');
+    return true;
+  }
+
+  /**
+   * Connect to the depth diff stream; diffs buffer until a snapshot is loaded
+   */
+  async connect() {
+    const streamUrl = `${this.config.streamUrl}/${this.symbol.toLowerCase()}@depth@100ms`;
+
+    return new Promise((resolve, reject) => {
+      const ws = new WebSocket(streamUrl);
+
+      const timeout = setTimeout(() => {
+        ws.close();
+        reject(new Error('Depth stream connection timeout'));
+      }, 15000);
+
+      ws.on('open', () => {
+        clearTimeout(timeout);
+        this.ws = ws;
+        this.isStreaming = true;
+        this.reconnectAttempts = 0;
+        this.logger?.info('order_book_stream_connected', {
+          symbol: this.symbol,
+          stream: streamUrl
+        });
+        resolve();
+      });
+
+      ws.on('message', (data) => {
+        try {
+          this.handleDepthMessage(JSON.parse(data.toString()));
+        } catch (error) {
+          this.logger?.error('order_book_message_error', error.message);
+        }
+      });
+
+      ws.on('error', (error) => {
+        clearTimeout(timeout);
+        this.logger?.error('order_book_stream_error', error.message);
+        reject(error);
+      });
+
+      ws.on('close', () => {
+        this.handleConnectionClose();
+      });
+    });
+  }
+
+  /**
+   * Journal a raw diff event, then process it
+   */
+  handleDepthMessage(event, receivedAt = this.clock.now()) {
+    this.journal?.record('order_book', 'depth_diff', event, { symbol: this.symbol, receivedAt });
+    return this.processDepthEvent(event);
+  }
+
+  /**
+   * Apply one diff event (live or replayed), validating its sequence range
+   */
+  processDepthEvent(event) {
+    if (!this.synced) {
+      this.buffer.push(event);
+      this.stats.diffsBuffered++;
+      if (this.buffer.length > this.config.maxBufferedEvents) {
+        this.buffer.shift();
+      }
+      return 'BUFFERED';
+    }
+
+    // Already covered by the snapshot or an earlier diff
+    if (event.u <= this.lastUpdateId) {
+      this.stats.staleDiffsDropped++;
+      return 'STALE';
+    }
+
+    // The next diff must start at or before lastUpdateId + 1
+    if (event.U > this.lastUpdateId + 1) {
+      this.handleSequenceGap(event);
+      return 'GAP';
+    }
+
+    this.applyLevels(this.bids, event.b);
+    this.applyLevels(this.asks, event.a);
+    this.lastUpdateId = event.u;
+    this.lastEventTime = event.E ?? this.clock.now();
+    this.sortedCache = null;
+    this.stats.diffsApplied++;
+
+    this.emit('BOOK_UPDATED', { symbol: this.symbol, lastUpdateId: this.lastUpdateId, eventTime: this.lastEventTime });
+    return 'APPLIED';
+  }
+
+  /**
+   * Set or remove price levels (quantity 0 removes the level)
+   */
+  applyLevels(side, levels = []) {
+    for (const [price, quantity] of levels) {
+      if (parseFloat(quantity) === 0) {
+        side.delete(price);
+      } else {
+        side.set(price, quantity);
+      }
+    }
+  }
+
+  /**
+   * Missing diffs - the book can no longer be trusted until a fresh snapshot
+   */
+  handleSequenceGap(event) {
+    this.stats.sequenceGaps++;
+    this.logger?.warn('order_book_sequence_gap', {
+      symbol: this.symbol,
+      lastUpdateId: this.lastUpdateId,
+      firstUpdateId: event.U,
+      missing: event.U - this.lastUpdateId - 1
+    });
+
+    this.synced = false;
+    this.buffer = [event];
+    this.emit('RESYNC_REQUIRED', { symbol: this.symbol, reason: 'SEQUENCE_GAP' });
+
+    // Replay has no live stream - the journaled resync snapshot follows in the log
+    if (this.isStreaming) {
+      if (this.resyncInFlight) {
+        this.scheduleResync('sequence_gap');
+      } else {
+        this.resync('sequence_gap');
+      }
+    }
+  }
+
+  /**
+   * Fetch a REST snapshot and rebuild the book from it
+   */
+  async resync(reason = 'manual') {
+    if (this.resyncInFlight || !this.apiClient) return false;
+
+    this.resyncInFlight = true;
+    this.synced = false;
+    this.stats.resyncs++;
+
+    try {
+      const snapshot = await this.apiClient.request({
+        url: `/api/v3/depth?symbol=${this.symbol}&limit=${this.config.snapshotDepth}`,
+        method: 'GET',
+        providers: ['binance', 'binanceBackup']
+      });
+
+      this.loadSnapshot(snapshot);
+      this.logger?.info('order_book_resynced', {
+        symbol: this.symbol,
+        reason,
+        lastUpdateId: this.lastUpdateId,
+        levels: this.bids.size + this.asks.size,
+        synced: this.synced
+      });
+      return this.synced;
+
+    } catch (error) {
+      this.stats.resyncFailures++;
+      this.logger?.warn('order_book_resync_failed', {
+        symbol: this.symbol,
+        reason,
+        error: error.message
+      });
+      this.scheduleResync(reason);
+      return false;
+
+    } finally {
+      this.resyncInFlight = false;
+    }
+  }
+
+  /**
+   * Retry a failed resync while the stream is up
+   */
+  scheduleResync(reason) {
+    if (!this.isStreaming || this.resyncTimer) return;
+
+    this.resyncTimer = this.clock.setTimeout(() => {
+      this.resyncTimer = null;
+      this.resync(reason);
+    }, this.config.resyncDelayMs);
+  }
+
+  /**
+   * Journal a REST snapshot, then load it
+   */
+  loadSnapshot(snapshot, receivedAt = this.clock.now()) {
+    this.journal?.record('order_book', 'snapshot', snapshot, { symbol: this.symbol, receivedAt });
+    return this.processSnapshot(snapshot);
+  }
+
+  /**
+   * Replace the book with a snapshot, then apply buffered diffs past it
+   */
+  processSnapshot(snapshot) {
+    this.bids = new Map(snapshot.bids.map(([price, quantity]) => [price, quantity]));
+    this.asks = new Map(snapshot.asks.map(([price, quantity]) => [price, quantity]));
+    this.lastUpdateId = snapshot.lastUpdateId;
+    this.sortedCache = null;
+    this.synced = true;
+    this.stats.snapshotsLoaded++;
+    this.stats.lastSyncedAt = this.clock.now();
+
+    const buffered = this.buffer;
+    this.buffer = [];
+
+    for (const [index, event] of buffered.entries()) {
+      // A gap here re-buffers the rest and triggers another resync
+      if (this.processDepthEvent(event) === 'GAP') {
+        this.buffer.push(...buffered.slice(index + 1));
+        break;
+      }
+    }
+
+    if (this.synced) {
+      this.emit('BOOK_SYNCED', { symbol: this.symbol, lastUpdateId: this.lastUpdateId });
+    }
+    return this.synced;
+  }
+
+  /**
+   * Whether the book reflects an unbroken diff sequence since the last snapshot
+   */
+  isSynced() {
+    return this.synced;
+  }
+
+  /**
+   * Sorted book in REST format ([price, quantity] strings), best levels first
+   */
+  getSnapshot(depth = null) {
+    if (!this.sortedCache) {
+      this.sortedCache = {
+        bids: [...this.bids].sort((a, b) => parseFloat(b[0]) - parseFloat(a[0])),
+        asks: [...this.asks].sort((a, b) => parseFloat(a[0]) - parseFloat(b[0]))
+      };
+    }
+
+    const { bids, asks } = this.sortedCache;
+    return {
+      symbol: this.symbol,
+      lastUpdateId: this.lastUpdateId,
+      synced: this.synced,
+      eventTime: this.lastEventTime,
+      bids: depth ? bids.slice(0, depth) : bids.slice(),
+      asks: depth ? asks.slice(0, depth) : asks.slice()
+    };
+  }
+
+  /**
+   * Best bid/ask prices, or null until the book has both sides
+   */
+  getTopOfBook() {
+    const { bids, asks } = this.getSnapshot(1);
+    if (bids.length === 0 || asks.length === 0) return null;
+
+    return {
+      bid: parseFloat(bids[0][0]),
+      bidQuantity: parseFloat(bids[0][1]),
+      ask: parseFloat(asks[0][0]),
+      askQuantity: parseFloat(asks[0][1])
+    };
+  }
+
+  /**
+   * Stream dropped - the book is stale until reconnected and resynced
+   */
+  handleConnectionClose() {
+    this.ws = null;
+    this.isStreaming = false;
+    this.synced = false;
+    this.buffer = [];
+
+    this.logger?.warn('order_book_stream_closed', { symbol: this.symbol });
+    this.scheduleReconnect();
+  }
+
+  /**
+   * Reconnect with exponential backoff (capped at maxReconnectDelayMs) until stop()
+   */
+  scheduleReconnect() {
+    if (this.stopped || this.reconnectTimer) return;
+
+    const delayMs = Math.min(
+      this.config.reconnectDelayMs * 2 ** this.reconnectAttempts,
+      this.config.maxReconnectDelayMs
+    );
+    this.reconnectAttempts++;
+
+    this.reconnectTimer = this.clock.setTimeout(async () => {
+      this.reconnectTimer = null;
+      this.stats.reconnects++;
+      await this.start(this.apiClient);
+    }, delayMs);
+  }
+
+  /**
+   * Close the stream and cancel pending resyncs and reconnects
+   */
+  async stop() {
+    this.stopped = true;
+
+    if (this.resyncTimer) {
+      this.clock.clearTimeout(this.resyncTimer);
+      this.resyncTimer = null;
+    }
+    if (this.reconnectTimer) {
+      this.clock.clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+
+    if (this.ws) {
+      this.ws.close();
+      this.ws = null;
+    }
+    this.isStreaming = false;
+  }
+
+  /**
+   * Get order book statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      synced: this.synced,
+      lastUpdateId: this.lastUpdateId,
+      bidLevels: this.bids.size,
+      askLevels: this.asks.size,
+      bufferedEvents: this.buffer.length,
+      isStreaming: this.isStreaming
+    };
+  }
+}
@@ -5,9 +5,23 @@
  * 
  * Implements high-fidelity diagnostic logging for the entire decision-making
  * pipeline with structured JSON output and stateful logging integration.
+ *
+ * Regimes are declarative rules (see regime-rules.js), checked in order over
+ * named features. Each sample is classified on its own; the
+ * RegimeStateMachine turns those verdicts into stable regimes (entry/exit
+ * hysteresis, dwell times) and the classifier emits REGIME_ENTERED /
+ * REGIME_EXITED on every transition.
+ *
+ * Every classification carries a structured explanation
+ * (classification-explanation.js): per-condition misses, the closest other
+ * regime and the active DLS threshold adjustments.
  */
 
 import { EventEmitter } from 'events';
+import { systemClock } from './clock.js';
+import RegimeStateMachine, { NO_REGIME } from './regime-state-machine.js';
+import { DEFAULT_REGIME_RULES, compileRegimeRules, extractFeatures, evaluateRegime, scoreConfidence } from './regime-rules.js';
+import { buildExplanation } from './classification-explanation.js';
 
 export default class MarketClassifier extends EventEmitter {
   constructor(config = {}) {
@@ -15,26 +29,58 @@ export default class MarketClassifier extends EventEmitter {
     
     this.symbol = config.symbol || 'ETHUSDT';
     this.logger = config.logger;
+    this.clock = config.clock || systemClock;
     
-    // RED TEAM MANDATE 1: AGGRESSIVE CALIBRATION - Fix paralyzed classifier
-    this.thresholds = {
+    // Pressure is the depth-weighted sell-side imbalance from
+    // order-book-features.js: -1 (all bids) .. 0 (balanced) .. 1 (all asks).
+    // Momentum thresholds are % price change over the default rules' trend
+    // window (trendMomentum: 5m momentum). They were tuned as "any move" on
+    // the 24h ticker change; over 5 minutes the same values mean a clear
+    // drop (-0.05%), a flush (-0.1%) and a flat tape (+/-0.02%), which is
+    // what each regime describes, so they carry over unchanged. While the
+    // 24h change stands in for 5m momentum they are looser than intended -
+    // the classifier warns for as long as that lasts.
+    // Defaults below; hot-reloaded through applyThresholds()
+    this.thresholds = config.thresholds ? structuredClone(config.thresholds) : {
       cascade: {
-        pressure: 1.00001,  // ULTRA-LOW: Detect any pressure above baseline
+        pressure: 0.25,     // Ask side outweighs bids ~5:3 within 20 levels
         liquidity: 25000,   // ULTRA-LOW: Minimal liquidity requirement
-        momentum: -0.05     // ULTRA-LOW: Capture any negative momentum
+        momentum: -0.05     // Price down 0.05% over the trend window
       },
       coil: {
-        pressure: 1.000005, // ULTRA-LOW: Detect minimal accumulation pressure
+        pressure: 0.1,      // Balanced or bid-heavy book - size absorbing supply
         liquidity: 30000,   // ULTRA-LOW: Minimal liquidity for coil detection
-        momentumMin: -0.02, // ULTRA-TIGHT: Very narrow neutral range
-        momentumMax: 0.02   // ULTRA-TIGHT: Very narrow neutral range
+        momentumMin: -0.02, // Flat tape: within 0.02% over the trend window
+        momentumMax: 0.02
       },
       shakeout: {
-        pressure: 1.000001, // ULTRA-LOW: Detect minimal shakeout pressure
+        pressure: 0,        // Flush with bids at least matching asks
         liquidity: 20000,   // ULTRA-LOW: Minimal liquidity for shakeout
-        momentum: -0.1      // MODERATE: Capture moderate shakeouts
+        momentum: -0.1      // Flush: price down 0.1% over the trend window
+      },
+      // Exit conditions: default rules loosen each threshold by these
+      // margins so an active regime is not dropped on the next sample
+      hysteresis: {
+        pressure: 0.05,
+        liquidity: 5,       // DLS points
+        momentum: 0.02
       }
     };
+
+    // Regime definitions, validated and compiled once (REGIME_RULES_FILE or the defaults)
+    this.rules = compileRegimeRules(config.rules || DEFAULT_REGIME_RULES);
+
+    // Whale transactions feeding the whaleFlow rule feature
+    this.whaleFlow = [];
+    this.whaleFlowWindowMs = config.whaleFlowWindowMs || 5 * 60 * 1000;
+
+    // Stable regimes (entry/minimum dwell, transition history) built from
+    // the per-sample classifications
+    this.regimeState = new RegimeStateMachine({
+      symbol: this.symbol,
+      logger: this.logger,
+      ...config.regime
+    });
     
     // Performance metrics
     this.stats = {
@@ -42,10 +88,15 @@ export default class MarketClassifier extends EventEmitter {
       regimeDetections: 0,
       noRegimeCount: 0,
       lastClassification: null,
+      lastExplanation: null,
       lastLogTime: 0,
-      silentPeriods: 0
+      silentPeriods: 0,
+      momentumFallbacks: 0
     };
 
+    // Set while trendMomentum reads the ticker change for lack of 5m momentum
+    this.momentumFallbackActive = false;
+
     // RED TEAM MANDATE 3: Intelligence feed integration
     this.derivativesAlerts = {
       activeAlerts: new Map(),
@@ -56,7 +107,7 @@ export default class MarketClassifier extends EventEmitter {
     };
 
     // CRUCIBLE MANDATE 2: Glass Box Doctrine - Force periodic logging
-    this.diagnosticInterval = setInterval(() => {
+    this.diagnosticInterval = this.clock.setInterval(() => {
       this.forceDiagnosticLog();
     }, 60000); // Every 60 seconds as mandated
     
@@ -68,18 +119,10 @@ export default class MarketClassifier extends EventEmitter {
   }
 
   /**
-   * RED TEAM MANDATE 1: Fix floating-point precision comparison
+   * Swap in a new validated threshold set in one assignment
    */
-  floatCompare(a, b, epsilon = 1e-10) {
-    return Math.abs(a - b) < epsilon;
-  }
-
-  floatGreaterEqual(a, b, epsilon = 1e-10) {
-    return a > b || this.floatCompare(a, b, epsilon);
-  }
-
-  floatLessEqual(a, b, epsilon = 1e-10) {
-    return a < b || this.floatCompare(a, b, epsilon);
+  applyThresholds(thresholds) {
+    this.thresholds = structuredClone(thresholds);
   }
 
   /**
@@ -117,6 +160,8 @@ export default class MarketClassifier extends EventEmitter {
     const { type, data, timestamp } = transaction;
 
     if (type === 'WHALE_TRANSACTION' && data.value >= 10000) {
+      this.whaleFlow.push({ value: data.value, timestamp });
+
       const alertId = `WHALE_${timestamp}`;
       const expiryTime = timestamp + 30000; // 30-second window for whale transactions
 
@@ -148,7 +193,7 @@ export default class MarketClassifier extends EventEmitter {
    * RED TEAM MANDATE 3: Get current DLS threshold with derivatives adjustments
    */
   getCurrentDLSThreshold(baseThreshold = 25) { // RED TEAM MANDATE 1: ULTRA-LOW - Force signal generation
-    const now = Date.now();
+    const now = this.clock.now();
     let adjustedThreshold = baseThreshold;
     let activeAdjustments = [];
 
@@ -187,7 +232,9 @@ export default class MarketClassifier extends EventEmitter {
       dlsScore,
       pressure,
       momentum,
-      timestamp = Date.now()
+      orderBookFeatures = null,
+      tradeFlow = null,
+      timestamp = this.clock.now()
     } = marketData;
 
     this.stats.totalClassifications++;
@@ -195,26 +242,19 @@ export default class MarketClassifier extends EventEmitter {
     // RED TEAM MANDATE 3: Get dynamic DLS threshold with derivatives adjustments
     const dlsThresholdInfo = this.getCurrentDLSThreshold();
 
-    // Evaluate all regime conditions with dynamic threshold
-    const cascadeCheck = this.evaluateCascadeConditions(pressure, dlsScore, momentum, dlsThresholdInfo.threshold);
-    const coilCheck = this.evaluateCoilConditions(pressure, dlsScore, momentum);
-    const shakeoutCheck = this.evaluateShakeoutConditions(pressure, dlsScore, momentum);
+    // Evaluate every rule in priority order against the named features
+    const scope = this.getRuleScope(marketData, dlsThresholdInfo.threshold);
+    this.trackMomentumFallback(scope.features, timestamp);
+    const checks = this.rules.map(rule => ({ rule, result: evaluateRegime(rule, scope) }));
+    const match = checks.find(check => check.result.isValid);
 
     // Determine regime (mutually exclusive, priority order)
     let regime = 'NO_REGIME';
     let reason = 'No conditions met';
 
-    if (cascadeCheck.isValid) {
-      regime = 'CASCADE_HUNTER';
-      reason = 'All CASCADE conditions satisfied';
-      this.stats.regimeDetections++;
-    } else if (coilCheck.isValid) {
-      regime = 'COIL_WATCHER';
-      reason = 'All COIL conditions satisfied';
-      this.stats.regimeDetections++;
-    } else if (shakeoutCheck.isValid) {
-      regime = 'SHAKEOUT_DETECTOR';
-      reason = 'All SHAKEOUT conditions satisfied';
+    if (match) {
+      regime = match.rule.name;
+      reason = `All ${match.rule.label} conditions satisfied`;
       this.stats.regimeDetections++;
     } else {
       this.stats.noRegimeCount++;
@@ -225,34 +265,69 @@ export default class MarketClassifier extends EventEmitter {
         if (dlsThresholdInfo.adjustments.length > 0) {
           reason += ` [Adjusted from ${dlsThresholdInfo.baseThreshold} due to derivatives alerts]`;
         }
-      } else if (Math.abs(pressure - this.thresholds.cascade.pressure) < 0.5) {
+      } else if (Math.abs(pressure - this.thresholds.cascade.pressure) < 0.1) {
         reason = `Pressure (${pressure}) close to CASCADE threshold but insufficient`;
-      } else if (Math.abs(momentum) < 0.1) {
-        reason = `Momentum (${momentum}) too weak for any regime`;
+      } else if (scope.features.trendMomentum === null) {
+        reason = 'No momentum available';
+      } else if (Math.abs(scope.features.trendMomentum) < 0.1) {
+        reason = `Momentum (${scope.features.trendMomentum}) too weak for any regime`;
       } else {
         reason = 'Multiple conditions failed';
       }
     }
 
+    // Hold the active regime while its exit conditions (entry thresholds
+    // loosened by the hysteresis margins) still pass
+    const activeRegime = this.regimeState.regime;
+    const holding = activeRegime !== NO_REGIME && this.evaluateRegimeConditions(activeRegime, scope, { exit: true }).isValid;
+    const transitions = this.regimeState.update({
+      detected: regime,
+      holding,
+      timestamp,
+      inputs: { price, dlsScore, pressure, momentum }
+    });
+
+    // Why this regime (or none) was chosen, and which regime came closest
+    const explanation = buildExplanation({
+      symbol: this.symbol,
+      timestamp,
+      regime,
+      checks,
+      features: scope.features,
+      dlsThresholdInfo,
+      stableRegime: { regime: this.regimeState.regime, holding }
+    });
+
     // FORTRESS v6.1: Structured diagnostic log
     const diagnosticLog = {
       logType: 'DIAGNOSTIC',
-      timestamp: new Date().toISOString(),
+      timestamp: new Date(this.clock.now()).toISOString(),
       symbol: this.symbol,
       inputs: {
         price: parseFloat(price?.toFixed(2) || 0),
         dlsScore: parseFloat(dlsScore?.toFixed(1) || 0),
-        pressure: parseFloat(pressure?.toFixed(2) || 0),
-        momentum: parseFloat(momentum?.toFixed(3) || 0)
+        pressure: parseFloat(pressure?.toFixed(3) || 0),
+        momentum: parseFloat(momentum?.toFixed(3) || 0),
+        orderBook: orderBookFeatures ? {
+          imbalanceByDepth: Object.fromEntries(Object.entries(orderBookFeatures.imbalanceByDepth)
+            .map(([depth, value]) => [depth, parseFloat(value.toFixed(3))])),
+          micropriceOffsetBps: parseFloat(orderBookFeatures.micropriceOffsetBps.toFixed(2)),
+          slopeImbalance: parseFloat(orderBookFeatures.slope.imbalance.toFixed(3))
+        } : null,
+        orderFlow: tradeFlow ? {
+          vwap: parseFloat(tradeFlow.vwap.toFixed(2)),
+          takerBuyRatio: parseFloat(tradeFlow.takerBuyRatio.toFixed(3)),
+          volumeDelta: parseFloat(tradeFlow.volumeDelta.toFixed(4)),
+          cumulativeVolumeDelta: parseFloat(tradeFlow.cumulativeVolumeDelta.toFixed(4))
+        } : null
       },
       classifierOutput: {
         regime,
         reason,
-        checks: {
-          CASCADE: cascadeCheck.isValid ? 'PASS' : `FAIL (${cascadeCheck.failures.join(', ')})`,
-          COIL: coilCheck.isValid ? 'PASS' : `FAIL (${coilCheck.failures.join(', ')})`,
-          SHAKEOUT: shakeoutCheck.isValid ? 'PASS' : `FAIL (${shakeoutCheck.failures.join(', ')})`
-        }
+        checks: Object.fromEntries(checks.map(({ rule, result }) =>
+          [rule.label, result.isValid ? 'PASS' : `FAIL (${result.failures.join(', ')})`])),
+        regimeState: this.regimeState.getState(timestamp),
+        explanation
       },
       // RED TEAM MANDATE 3: Include derivatives integration status
       derivativesIntegration: {
@@ -276,10 +351,15 @@ export default class MarketClassifier extends EventEmitter {
 
     // Force logging for Glass Box Doctrine compliance
     this.logger?.info(logKey, diagnosticLog);
-    this.stats.lastLogTime = Date.now();
+    this.stats.lastLogTime = this.clock.now();
 
     // Store last classification
     this.stats.lastClassification = diagnosticLog;
+    this.stats.lastExplanation = explanation;
+
+    for (const transition of transitions) {
+      this.emit(transition.type === 'ENTERED' ? 'REGIME_ENTERED' : 'REGIME_EXITED', transition);
+    }
 
     // Emit events for regime detection
     if (regime !== 'NO_REGIME') {
@@ -301,137 +381,124 @@ export default class MarketClassifier extends EventEmitter {
   }
 
   /**
-   * Evaluate CASCADE_HUNTER conditions
+   * Features, thresholds and the dynamic DLS threshold rules are evaluated against
    */
-  evaluateCascadeConditions(pressure, dlsScore, momentum, dlsThreshold = 75) {
-    const failures = [];
-
-    // RED TEAM MANDATE 1: Fix floating-point precision comparison
-    const pressurePass = this.floatGreaterEqual(pressure, this.thresholds.cascade.pressure);
-    const liquidityPass = dlsScore >= dlsThreshold;
-    const momentumPass = momentum <= this.thresholds.cascade.momentum;
-
-    if (!pressurePass) {
-      failures.push('Pressure');
-    }
-    if (!liquidityPass) {
-      failures.push('Liquidity');
-    }
-    if (!momentumPass) {
-      failures.push('Momentum');
-    }
-
-    // Enhanced debugging for floating-point issues
-    this.logger?.debug('cascade_evaluation_debug', {
-      pressure: { value: pressure, threshold: this.thresholds.cascade.pressure, pass: pressurePass, diff: pressure - this.thresholds.cascade.pressure },
-      liquidity: { value: dlsScore, threshold: dlsThreshold, pass: liquidityPass },
-      momentum: { value: momentum, threshold: this.thresholds.cascade.momentum, pass: momentumPass },
-      failures: failures
-    });
-
+  getRuleScope(marketData, dlsThreshold = this.getCurrentDLSThreshold().threshold) {
+    const now = marketData.timestamp ?? this.clock.now();
     return {
-      isValid: failures.length === 0,
-      failures,
-      details: {
-        pressure: { value: pressure, threshold: this.thresholds.cascade.pressure, pass: pressurePass },
-        liquidity: { value: dlsScore, threshold: dlsThreshold, pass: liquidityPass },
-        momentum: { value: momentum, threshold: this.thresholds.cascade.momentum, pass: momentumPass }
-      }
+      features: extractFeatures(marketData, { whaleFlowUSD: this.getWhaleFlowUSD(now) }),
+      thresholds: this.thresholds,
+      dlsThreshold
     };
   }
 
   /**
-   * Evaluate COIL_WATCHER conditions
+   * Warn once when trendMomentum starts standing in the ticker change for
+   * missing 5m momentum, and note when 5m momentum returns
    */
-  evaluateCoilConditions(pressure, dlsScore, momentum) {
-    const failures = [];
+  trackMomentumFallback(features, timestamp) {
+    const fallback = features.momentum5m === null && features.trendMomentum !== null;
+    if (fallback) this.stats.momentumFallbacks++;
+    if (fallback === this.momentumFallbackActive) return;
+
+    this.momentumFallbackActive = fallback;
+    if (fallback) {
+      this.logger?.warn('regime_momentum_fallback', {
+        symbol: this.symbol,
+        reason: '5m momentum unavailable (timeframes disabled or series shorter than 5 minutes) - regimes read the ticker momentum',
+        timestamp
+      });
+    } else {
+      this.logger?.info('regime_momentum_restored', { symbol: this.symbol, timestamp });
+    }
+  }
 
-    // RED TEAM MANDATE 1: Fix floating-point precision comparison
-    const pressurePass = this.floatLessEqual(pressure, this.thresholds.coil.pressure);
-    const liquidityPass = dlsScore >= 85;
-    const momentumPass = momentum >= this.thresholds.coil.momentumMin && momentum <= this.thresholds.coil.momentumMax;
+  /**
+   * USD value of whale transactions within whaleFlowWindowMs of `now`
+   */
+  getWhaleFlowUSD(now = this.clock.now()) {
+    this.whaleFlow = this.whaleFlow.filter(entry => now - entry.timestamp <= this.whaleFlowWindowMs);
+    return this.whaleFlow.reduce((sum, entry) => sum + entry.value, 0);
+  }
 
-    if (!pressurePass) {
-      failures.push('Pressure');
-    }
-    if (!liquidityPass) {
-      failures.push('Liquidity');
-    }
-    if (!momentumPass) {
-      failures.push('Momentum');
+  /**
+   * Evaluate one regime's rule; `exit` applies its hysteresis margins
+   */
+  evaluateRegimeConditions(regime, scope, { exit = false } = {}) {
+    const rule = this.rules.find(candidate => candidate.name === regime);
+    if (!rule) {
+      return { isValid: false, failures: ['Regime'], details: [] };
     }
+    return evaluateRegime(rule, scope, { exit });
+  }
 
-    return {
-      isValid: failures.length === 0,
-      failures,
-      details: {
-        pressure: { value: pressure, threshold: this.thresholds.coil.pressure, pass: pressurePass },
-        liquidity: { value: dlsScore, threshold: 85, pass: liquidityPass },
-        momentum: { value: momentum, thresholdMin: this.thresholds.coil.momentumMin, thresholdMax: this.thresholds.coil.momentumMax, pass: momentumPass }
-      }
-    };
+  /**
+   * Calculate confidence score for a regime from its rule's formula (0-100)
+   */
+  calculateConfidence(regime, marketData) {
+    const rule = this.rules.find(candidate => candidate.name === regime);
+    return rule ? scoreConfidence(rule, this.getRuleScope(marketData)) : 0;
   }
 
   /**
-   * Evaluate SHAKEOUT_DETECTOR conditions
+   * Classification for the stable regime held by the state machine (null
+   * when none is active); confidence is scored on the latest inputs
    */
-  evaluateShakeoutConditions(pressure, dlsScore, momentum) {
-    const failures = [];
+  getActiveRegime(marketData) {
+    const state = this.regimeState.getState(marketData.timestamp ?? this.clock.now());
+    if (state.regime === NO_REGIME) return null;
 
-    // RED TEAM MANDATE 1: Fix floating-point precision comparison
-    const pressurePass = this.floatLessEqual(pressure, this.thresholds.shakeout.pressure);
-    const liquidityPass = dlsScore >= 80;
-    const momentumPass = momentum <= this.thresholds.shakeout.momentum;
+    return {
+      type: state.regime,
+      regime: state.regime,
+      confidence: this.calculateConfidence(state.regime, marketData),
+      enteredAt: state.enteredAt,
+      dwellMs: state.dwellMs,
+      timestamp: marketData.timestamp ?? this.clock.now()
+    };
+  }
 
-    if (!pressurePass) {
-      failures.push('Pressure');
-    }
-    if (!liquidityPass) {
-      failures.push('Liquidity');
-    }
-    if (!momentumPass) {
-      failures.push('Momentum');
-    }
+  /**
+   * Regime transitions, filtered by regime, type ('ENTERED' / 'EXITED') and time range
+   */
+  getRegimeHistory(filters = {}) {
+    return this.regimeState.getHistory(filters);
+  }
 
+  /**
+   * Serializable state for warm restart
+   */
+  exportState() {
     return {
-      isValid: failures.length === 0,
-      failures,
-      details: {
-        pressure: { value: pressure, threshold: this.thresholds.shakeout.pressure, pass: pressurePass },
-        liquidity: { value: dlsScore, threshold: 80, pass: liquidityPass },
-        momentum: { value: momentum, threshold: this.thresholds.shakeout.momentum, pass: momentumPass }
-      }
+      activeAlerts: [...this.derivativesAlerts.activeAlerts.entries()],
+      regimeState: this.regimeState.exportState()
     };
   }
 
   /**
-   * Calculate confidence score for detected regime
+   * Restore threshold adjustments that have not yet expired
    */
-  calculateConfidence(regime, marketData) {
-    const { pressure, dlsScore, momentum } = marketData;
-    
-    switch (regime) {
-      case 'CASCADE_HUNTER':
-        return Math.min(100, 
-          (pressure / this.thresholds.cascade.pressure) * 30 +
-          (dlsScore / 100) * 40 +
-          (Math.abs(momentum) / Math.abs(this.thresholds.cascade.momentum)) * 30
-        );
-      case 'COIL_WATCHER':
-        return Math.min(100, 
-          ((this.thresholds.coil.pressure - pressure) / this.thresholds.coil.pressure) * 40 +
-          (dlsScore / 100) * 40 +
-          (1 - Math.abs(momentum) / 0.1) * 20
-        );
-      case 'SHAKEOUT_DETECTOR':
-        return Math.min(100,
-          ((this.thresholds.shakeout.pressure - pressure) / this.thresholds.shakeout.pressure) * 30 +
-          (dlsScore / 100) * 40 +
-          (Math.abs(momentum) / Math.abs(this.thresholds.shakeout.momentum)) * 30
-        );
-      default:
-        return 0;
+  importState(state = {}, now = this.clock.now()) {
+    let restored = 0;
+
+    for (const [alertId, alert] of state.activeAlerts || []) {
+      if (alert?.expiryTime > now) {
+        this.derivativesAlerts.activeAlerts.set(alertId, alert);
+        restored++;
+      }
     }
+
+    if (state.regimeState) {
+      this.regimeState.importState(state.regimeState);
+    }
+
+    this.logger?.info('classifier_state_restored', {
+      symbol: this.symbol,
+      activeAdjustments: restored,
+      regime: this.regimeState.regime
+    });
+
+    return restored;
   }
 
   /**
@@ -441,7 +508,8 @@ export default class MarketClassifier extends EventEmitter {
     return {
       ...this.stats,
       successRate: this.stats.totalClassifications > 0 ? 
-        (this.stats.regimeDetections / this.stats.totalClassifications * 100).toFixed(2) : 0
+        (this.stats.regimeDetections / this.stats.totalClassifications * 100).toFixed(2) : 0,
+      regimeState: this.regimeState.getStats()
     };
   }
 
@@ -452,23 +520,31 @@ export default class MarketClassifier extends EventEmitter {
     return this.stats.lastClassification;
   }
 
+  /**
+   * Explanation of the last classification (null before the first)
+   */
+  getLastExplanation() {
+    return this.stats.lastExplanation;
+  }
+
   /**
    * CRUCIBLE MANDATE 2: Force diagnostic log every 60 seconds for Glass Box Doctrine
    */
   forceDiagnosticLog() {
-    const timeSinceLastLog = Date.now() - this.stats.lastLogTime;
+    const timeSinceLastLog = this.clock.now() - this.stats.lastLogTime;
 
     if (timeSinceLastLog >= 60000) { // 60 seconds
       this.stats.silentPeriods++;
 
       const forcedDiagnostic = {
         logType: 'FORCED_DIAGNOSTIC',
-        timestamp: new Date().toISOString(),
+        timestamp: new Date(this.clock.now()).toISOString(),
         symbol: this.symbol,
         status: 'CLASSIFIER_SILENT',
         reason: 'No market data received for classification',
         silentDuration: timeSinceLastLog,
         silentPeriods: this.stats.silentPeriods,
+        lastExplanation: this.stats.lastExplanation?.summary ?? null,
         stats: {
           totalClassifications: this.stats.totalClassifications,
           regimeDetections: this.stats.regimeDetections,
@@ -478,7 +554,7 @@ export default class MarketClassifier extends EventEmitter {
       };
 
       this.logger?.warn('classifier_forced_diagnostic', forcedDiagnostic);
-      this.stats.lastLogTime = Date.now();
+      this.stats.lastLogTime = this.clock.now();
     }
   }
 
@@ -487,7 +563,7 @@ export default class MarketClassifier extends EventEmitter {
    */
   shutdown() {
     if (this.diagnosticInterval) {
-      clearInterval(this.diagnosticInterval);
+      this.clock.clearInterval(this.diagnosticInterval);
       this.diagnosticInterval = null;
     }
   }
@@ -17,6 +17,12 @@ import { EventEmitter } from 'events';
 import WebSocket from 'ws';
 import axios from 'axios';
 import ResilientAPIClient from './resilient-api-client.js';
+import { systemClock } from './clock.js';
+import { decodeTransferCall, formatTokenAmount } from './token-registry.js';
+import { DEFAULT_WHALE_WATCHLIST } from '../config.js';
+
+// keccak256("Transfer(address,address,uint256)")
+const ERC20_TRANSFER_TOPIC = '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
 
 export default class MempoolStreamer extends EventEmitter {
   constructor(config = {}) {
@@ -24,11 +30,20 @@ export default class MempoolStreamer extends EventEmitter {
 
     this.symbol = config.symbol || 'ETH';
     this.logger = config.logger;
+    this.clock = config.clock || systemClock;
     this.providers = config.providers || {};
     this.enableRealTimeFeeds = config.enableRealTimeFeeds !== false;
+    this.journal = config.journal || null; // Optional EventJournal for replay
+    this.priceOracle = config.priceOracle || null; // Live USD prices (PriceOracle)
+    this.tokenRegistry = config.tokenRegistry || null; // ERC-20 symbols and decimals (TokenRegistry)
+
+    // Whale floor - hot-reloaded through applyThresholds()
+    this.thresholds = {
+      whaleMinValueUSD: config.thresholds?.whaleMinValueUSD ?? 100000
+    };
     
-    // Whale watchlist
-    this.whaleWatchlist = new Set(this.loadWhaleWatchlist());
+    // Whale watchlist (validated by the config schema)
+    this.whaleWatchlist = new Set(this.loadWhaleWatchlist(config.whaleWatchlist));
     
     // Exchange addresses for deposit detection
     this.exchangeAddresses = new Map([
@@ -49,7 +64,7 @@ export default class MempoolStreamer extends EventEmitter {
       whaleTransactions: 0,
       intentsDetected: 0,
       avgDetectionLatency: 0,
-      startTime: Date.now()
+      startTime: this.clock.now()
     };
 
     // CRUCIBLE MANDATE 1: Latency tracking for sub-500ms requirement validation
@@ -69,7 +84,7 @@ export default class MempoolStreamer extends EventEmitter {
       providers: {
         etherscan: {
           name: 'etherscan',
-          enabled: !!process.env.ETHERSCAN_API_KEY,
+          enabled: !!this.providers.etherscan?.apiKey,
           baseUrl: 'https://api.etherscan.io/api',
           headers: {},
           timeout: 10000,
@@ -77,8 +92,8 @@ export default class MempoolStreamer extends EventEmitter {
         },
         alchemy: {
           name: 'alchemy',
-          enabled: !!process.env.ALCHEMY_API_KEY,
-          baseUrl: `https://eth-mainnet.g.alchemy.com/v2/${process.env.ALCHEMY_API_KEY}`,
+          enabled: !!this.providers.alchemy?.apiKey,
+          baseUrl: `https://eth-mainnet.g.alchemy.com/v2/${this.providers.alchemy?.apiKey}`,
           headers: {},
           timeout: 10000,
           priority: 2
@@ -142,13 +157,13 @@ export default class MempoolStreamer extends EventEmitter {
         this.logger?.error('mempool_streaming_failed_all_providers', {
           alchemyEnabled: this.providers.alchemy?.enabled,
           quicknodeEnabled: this.providers.quicknode?.enabled,
-          alchemyUrl: process.env.ALCHEMY_WS_URL ? 'configured' : 'missing',
-          quicknodeUrl: process.env.QUICKNODE_WS_URL ? 'configured' : 'missing'
+          alchemyUrl: this.providers.alchemy?.wsUrl ? 'configured' : 'missing',
+          quicknodeUrl: this.providers.quicknode?.wsUrl ? 'configured' : 'missing'
         });
         return false; // RED TEAM MANDATE 2: Fail if no connections established
       }
 
-      this.stats.startTime = Date.now();
+      this.stats.startTime = this.clock.now();
       this.logger?.info('mempool_streaming_active', {
         message: 'ON-CHAIN INTELLIGENCE OPERATIONAL',
         activeConnections: this.connections.size,
@@ -178,7 +193,7 @@ export default class MempoolStreamer extends EventEmitter {
    * Connect to QuickNode mempool stream (backup provider)
    */
   async connectQuickNode() {
-    const wsUrl = process.env.QUICKNODE_WS_URL;
+    const wsUrl = this.providers.quicknode?.wsUrl;
     if (!wsUrl) {
       throw new Error('QuickNode WebSocket URL not configured');
     }
@@ -212,7 +227,7 @@ export default class MempoolStreamer extends EventEmitter {
       ws.on('message', (data) => {
         try {
           const message = JSON.parse(data.toString());
-          this.handleAlchemyMessage(message); // Same format as Alchemy
+          this.handleProviderMessage('quicknode', message);
         } catch (error) {
           this.logger?.error('quicknode_message_error', error.message);
         }
@@ -234,7 +249,7 @@ export default class MempoolStreamer extends EventEmitter {
    * Connect to Alchemy mempool stream
    */
   async connectAlchemy() {
-    const wsUrl = process.env.ALCHEMY_WS_URL;
+    const wsUrl = this.providers.alchemy?.wsUrl;
     if (!wsUrl) {
       throw new Error('Alchemy WebSocket URL not configured');
     }
@@ -270,7 +285,7 @@ export default class MempoolStreamer extends EventEmitter {
       ws.on('message', (data) => {
         try {
           const event = JSON.parse(data.toString());
-          this.processAlchemyEvent(event);
+          this.handleProviderMessage('alchemy', event);
         } catch (error) {
           this.logger?.error('alchemy_message_error', error.message);
         }
@@ -288,19 +303,40 @@ export default class MempoolStreamer extends EventEmitter {
     });
   }
 
+  /**
+   * Journal a raw provider message, then process it
+   */
+  handleProviderMessage(provider, event, receivedAt = this.clock.now()) {
+    this.journal?.record('mempool', provider, event, { receivedAt });
+    this.processProviderEvent(provider, event, receivedAt);
+  }
+
+  /**
+   * Route a provider message to its parser (live or replayed)
+   */
+  processProviderEvent(provider, event, receivedAt = this.clock.now()) {
+    if (provider === 'alchemy' || provider === 'quicknode') {
+      // QuickNode uses the same subscription format as Alchemy
+      this.processAlchemyEvent(event, receivedAt);
+    } else if (provider === 'blocknative') {
+      this.processBlocknativeEvent(event);
+    }
+  }
+
   /**
    * Process Blocknative events
    */
   processBlocknativeEvent(event) {
     // CRUCIBLE MANDATE 1: Capture precise WebSocket receive timestamp
-    const wsReceiveTimestamp = Date.now();
+    const wsReceiveTimestamp = this.clock.now();
 
     if (event.status !== 'pending' || !event.transaction) return;
 
     this.stats.totalTransactions++;
 
     const transaction = event.transaction;
-    const whaleAddress = this.isWhaleTransaction(transaction.from, transaction.to);
+    const transfer = this.describeTransfer(transaction);
+    const whaleAddress = this.isWhaleTransaction(transfer.from, transfer.to);
 
     if (whaleAddress) {
       this.stats.whaleTransactions++;
@@ -321,22 +357,23 @@ export default class MempoolStreamer extends EventEmitter {
    */
   processAlchemyEvent(event, wsReceiveTimestamp = null) {
     // CRUCIBLE MANDATE 1: Capture precise WebSocket receive timestamp
-    const receiveTimestamp = wsReceiveTimestamp || Date.now();
+    const receiveTimestamp = wsReceiveTimestamp || this.clock.now();
 
     if (!event.params?.result) return;
 
     this.stats.totalTransactions++;
 
     const transaction = event.params.result;
-    const whaleAddress = this.isWhaleTransaction(transaction.from, transaction.to);
+    const transfer = this.describeTransfer(transaction);
+    const whaleAddress = this.isWhaleTransaction(transfer.from, transfer.to);
 
     if (whaleAddress) {
       this.stats.whaleTransactions++;
-      this.stats.lastTransactionTime = Date.now(); // RED TEAM MANDATE 2: Track transaction timing
+      this.stats.lastTransactionTime = this.clock.now(); // RED TEAM MANDATE 2: Track transaction timing
 
       // RED TEAM MANDATE 2: Enhanced transaction value detection
-      const valueEth = parseInt(transaction.value || '0', 16) / 1e18;
-      const valueUSD = valueEth * 3500; // Approximate ETH price
+      const { valueUSD, priceStale } = this.valueTransfer(transfer);
+      const { whaleMinValueUSD } = this.thresholds; // HIGH above the hot-reloaded whale floor
 
       // RED TEAM MANDATE 2: Log ALL whale transactions for live data throughput
       this.logWhaleTransaction(transaction, whaleAddress, true, 'alchemy', receiveTimestamp);
@@ -345,8 +382,9 @@ export default class MempoolStreamer extends EventEmitter {
       this.emit('WHALE_INTENT_DETECTED', {
         whaleAddress,
         estimatedValue: valueUSD,
-        threatLevel: valueUSD > 100000 ? 'HIGH' : valueUSD > 10000 ? 'MEDIUM' : 'LOW',
-        detectionLatency: receiveTimestamp ? (Date.now() - receiveTimestamp) : 0,
+        priceStale,
+        threatLevel: valueUSD > whaleMinValueUSD ? 'HIGH' : valueUSD > 10000 ? 'MEDIUM' : 'LOW',
+        detectionLatency: receiveTimestamp ? (this.clock.now() - receiveTimestamp) : 0,
         transactionHash: transaction.hash
       });
 
@@ -355,7 +393,7 @@ export default class MempoolStreamer extends EventEmitter {
         this.logger?.info('high_value_whale_detected', {
           whaleAddress,
           valueUSD: Math.round(valueUSD),
-          threatLevel: valueUSD > 100000 ? 'HIGH' : 'MEDIUM',
+          threatLevel: valueUSD > whaleMinValueUSD ? 'HIGH' : 'MEDIUM',
           strategicValue: 'CRITICAL'
         });
       }
@@ -372,10 +410,11 @@ export default class MempoolStreamer extends EventEmitter {
    * CRUCIBLE MANDATE 1: Log whale transaction with precise endToEndLatency measurement
    */
   logWhaleTransaction(transaction, whaleAddress, isNew, provider = 'unknown', wsReceiveTimestamp = null) {
-    const logStartTimestamp = Date.now();
-    const { from, to, value, hash } = transaction;
-    const valueEth = parseInt(value || '0', 16) / 1e18;
-    const valueUSD = valueEth * 3500; // Approximate ETH price
+    const logStartTimestamp = this.clock.now();
+    const { hash } = transaction;
+    const transfer = this.describeTransfer(transaction);
+    const { from, to, asset, amount } = transfer;
+    const { valueUSD, priceUSD, priceStale } = this.valueTransfer(transfer);
 
     // CRUCIBLE MANDATE 1: Calculate true end-to-end latency
     // From WebSocket message receipt to log completion
@@ -387,14 +426,19 @@ export default class MempoolStreamer extends EventEmitter {
       transactionHash: hash,
       from,
       to,
-      valueEth: parseFloat(valueEth.toFixed(4)),
+      asset,
+      contractAddress: transfer.contractAddress,
+      amount: amount === null ? null : parseFloat(amount.toFixed(4)),
+      valueEth: transfer.contractAddress ? null : parseFloat(amount.toFixed(4)),
       valueUSD: Math.round(valueUSD),
+      priceUSD,
+      priceStale,
       isNew,
       provider,
-      timestamp: new Date().toISOString(),
+      timestamp: new Date(this.clock.now()).toISOString(),
       wsReceiveTimestamp: wsReceiveTimestamp ? new Date(wsReceiveTimestamp).toISOString() : null,
       endToEndLatency, // CRUCIBLE MANDATE 1: Critical metric for sub-500ms requirement
-      logCompletionTimestamp: Date.now()
+      logCompletionTimestamp: this.clock.now()
     };
 
     // Log via stateful logger
@@ -437,7 +481,7 @@ export default class MempoolStreamer extends EventEmitter {
     // Add to measurements array (rolling window)
     this.latencyStats.measurements.push({
       latency,
-      timestamp: Date.now()
+      timestamp: this.clock.now()
     });
 
     // Keep only recent measurements
@@ -499,51 +543,112 @@ export default class MempoolStreamer extends EventEmitter {
    * Analyze whale transaction to determine intent
    */
   analyzeWhaleIntent(transaction, whaleAddress) {
-    const { from, to, value, hash } = transaction;
-    const valueEth = parseInt(value || '0', 16) / 1e18;
-    const valueUSD = valueEth * 3500; // Approximate ETH price
+    const { hash } = transaction;
+    const transfer = this.describeTransfer(transaction);
+    const { to, asset } = transfer;
+    const { valueUSD, priceUSD, priceStale } = this.valueTransfer(transfer);
     
-    // Skip small transactions
-    if (valueUSD < 100000) return null; // Less than $100k
+    // Skip small transactions (unpriced transfers value at 0)
+    if (valueUSD < this.thresholds.whaleMinValueUSD) return null; // Default $100k
     
-    const detectionLatency = Date.now() - this.stats.startTime;
+    const detectionLatency = this.clock.now() - this.stats.startTime;
     
     // Detect exchange deposits
     const targetExchange = this.exchangeAddresses.get(to?.toLowerCase());
     if (targetExchange) {
       return {
-        id: `whale_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+        id: `whale_${this.clock.now()}_${Math.random().toString(36).substr(2, 6)}`,
         whaleAddress,
         transactionHash: hash,
         intentType: 'EXCHANGE_DEPOSIT',
+        asset,
         estimatedValue: valueUSD,
+        priceUSD,
+        priceStale,
         targetExchange,
         threatLevel: this.calculateThreatLevel(valueUSD, 'EXCHANGE_DEPOSIT'),
         confidence: 0.95,
         detectionLatency,
-        timestamp: Date.now()
+        timestamp: this.clock.now()
       };
     }
     
     // Detect large transfers
     if (valueUSD > 1000000) {
       return {
-        id: `whale_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+        id: `whale_${this.clock.now()}_${Math.random().toString(36).substr(2, 6)}`,
         whaleAddress,
         transactionHash: hash,
         intentType: 'LARGE_TRANSFER',
+        asset,
         estimatedValue: valueUSD,
+        priceUSD,
+        priceStale,
         targetExchange: null,
         threatLevel: this.calculateThreatLevel(valueUSD, 'LARGE_TRANSFER'),
         confidence: 0.8,
         detectionLatency,
-        timestamp: Date.now()
+        timestamp: this.clock.now()
       };
     }
     
     return null;
   }
 
+  /**
+   * What a transaction moves: { asset, token, contractAddress, from, to, amount }.
+   * Webhook token transfers arrive decoded; pending ERC-20 transfer calls to
+   * a registered token are decoded from their calldata; anything else is
+   * native ETH in wei. Unregistered token amounts are null.
+   */
+  describeTransfer(transaction) {
+    const { from, to, value } = transaction;
+
+    if (transaction.amount !== undefined) {
+      const { asset, token = null, contractAddress = null, amount } = transaction;
+      return { asset, token, contractAddress, from, to, amount };
+    }
+
+    const call = decodeTransferCall(transaction.input);
+    const token = call ? this.tokenRegistry?.getToken(to) : null;
+    if (token) {
+      return {
+        asset: token.symbol,
+        token,
+        contractAddress: token.address,
+        from: call.from || from,
+        to: call.to,
+        amount: this.parseTokenValue(call.value, token.decimals)
+      };
+    }
+
+    return { asset: 'ETH', token: null, contractAddress: null, from, to, amount: parseInt(value || '0', 16) / 1e18 };
+  }
+
+  /**
+   * USD value of a described transfer: stablecoins at $1, registered tokens
+   * as their price source, native transfers as ETH
+   */
+  valueTransfer({ asset, token, amount }) {
+    if (token?.stablecoin) {
+      return { valueUSD: amount ?? 0, priceUSD: 1, priceStale: false };
+    }
+    return this.valueInUSD(token ? token.priceSource : asset, amount);
+  }
+
+  /**
+   * USD value of an asset amount from the price oracle. Unpriced amounts
+   * (no oracle, unknown asset, no price yet) value at 0, below every whale
+   * floor, with priceUSD null; a last known price past its age is flagged stale.
+   */
+  valueInUSD(asset, amount) {
+    const conversion = asset && amount !== null ? this.priceOracle?.toUSD(asset, amount) : null;
+    if (!conversion) {
+      return { valueUSD: 0, priceUSD: null, priceStale: true };
+    }
+    return { valueUSD: conversion.valueUSD, priceUSD: conversion.price, priceStale: conversion.stale };
+  }
+
   /**
    * Calculate threat level based on transaction
    */
@@ -597,20 +702,17 @@ export default class MempoolStreamer extends EventEmitter {
   }
 
   /**
-   * Load whale watchlist from environment
+   * Swap in a new validated whale floor in one assignment
    */
-  loadWhaleWatchlist() {
-    const watchlistEnv = process.env.WHALE_WATCHLIST;
-    if (watchlistEnv) {
-      return watchlistEnv.split(',').map(addr => addr.trim());
-    }
-    
-    // Default whale addresses
-    return [
-      '0x3f5ce5fbfe3e9af3971dd833d26ba9b5c936f0be',
-      '0xa910f92acdaf488fa6ef02174fb86208ad7722ba',
-      '0x28c6c06298d514db089934071355e5743bf21d60'
-    ];
+  applyThresholds(thresholds) {
+    this.thresholds = { ...thresholds };
+  }
+
+  /**
+   * Load the configured whale watchlist, falling back to the default addresses
+   */
+  loadWhaleWatchlist(watchlist) {
+    return watchlist?.length ? watchlist.map(addr => addr.toLowerCase()) : DEFAULT_WHALE_WATCHLIST;
   }
 
   /**
@@ -630,8 +732,8 @@ export default class MempoolStreamer extends EventEmitter {
    * RED TEAM MANDATE 2: Start aggressive connection monitoring
    */
   startConnectionMonitoring() {
-    this.connectionMonitorInterval = setInterval(() => {
-      const now = Date.now();
+    this.connectionMonitorInterval = this.clock.setInterval(() => {
+      const now = this.clock.now();
       const timeSinceLastTransaction = now - (this.stats.lastTransactionTime || now);
 
       this.logger?.info('connection_status_check', {
@@ -661,13 +763,13 @@ export default class MempoolStreamer extends EventEmitter {
 
     // RED TEAM MANDATE 2: Clean up monitoring intervals
     if (this.testInterval) {
-      clearInterval(this.testInterval);
+      this.clock.clearInterval(this.testInterval);
       this.testInterval = null;
       this.logger?.info('mempool_test_mode_stopped', 'Test mode cleaned up during shutdown');
     }
 
     if (this.connectionMonitorInterval) {
-      clearInterval(this.connectionMonitorInterval);
+      this.clock.clearInterval(this.connectionMonitorInterval);
       this.connectionMonitorInterval = null;
     }
 
@@ -680,6 +782,61 @@ export default class MempoolStreamer extends EventEmitter {
     this.isStreaming = false;
   }
 
+  /**
+   * FORTRESS v6.1: Journal a raw webhook payload, then process it
+   */
+  handleWebhookPayload(payload, receivedAt = this.clock.now()) {
+    this.journal?.record('webhook', 'whale_transactions', payload, { receivedAt });
+    return this.processWebhookPayload(payload, receivedAt);
+  }
+
+  /**
+   * FORTRESS v6.1: Split a webhook payload into native and ERC-20 transactions
+   */
+  processWebhookPayload(payload, receivedAt = this.clock.now()) {
+    const { matchingTransactions, matchingReceipts } = payload || {};
+    const timestamp = new Date(receivedAt).toISOString();
+    let processedCount = 0;
+
+    // Process native ETH transactions
+    for (const tx of matchingTransactions || []) {
+      this.processWebhookTransaction({
+        type: 'native',
+        hash: tx.hash,
+        from: tx.from,
+        to: tx.to,
+        value: tx.value,
+        blockNumber: tx.blockNumber,
+        timestamp,
+        source: 'webhook'
+      });
+      processedCount++;
+    }
+
+    // Process token transfers from receipts
+    for (const receipt of matchingReceipts || []) {
+      for (const log of receipt.logs || []) {
+        // Check for ERC-20 Transfer event signature
+        if (log.topics && log.topics[0] === ERC20_TRANSFER_TOPIC) {
+          this.processWebhookTransaction({
+            type: 'erc20',
+            hash: receipt.transactionHash,
+            contractAddress: log.address,
+            from: log.topics[1] ? '0x' + log.topics[1].slice(26) : null,
+            to: log.topics[2] ? '0x' + log.topics[2].slice(26) : null,
+            value: log.data,
+            blockNumber: receipt.blockNumber,
+            timestamp,
+            source: 'webhook'
+          });
+          processedCount++;
+        }
+      }
+    }
+
+    return processedCount;
+  }
+
   /**
    * FORTRESS v6.1: Process webhook transaction data
    */
@@ -692,13 +849,18 @@ export default class MempoolStreamer extends EventEmitter {
     if (whaleAddress) {
       this.stats.whaleTransactions++;
 
-      // Log the whale transaction with webhook source
-      this.logWhaleTransaction({
+      // Log the whale transaction with webhook source; token amounts are
+      // decoded with the registered decimals
+      const token = type === 'native' ? null : this.tokenRegistry?.getToken(contractAddress) || null;
+      this.logWhaleTransaction(type === 'native' ? { hash, from, to, value } : {
         hash,
         from,
         to,
-        value: type === 'native' ? value : this.parseTokenValue(value),
-        contractAddress
+        value,
+        contractAddress: contractAddress?.toLowerCase() || null,
+        token,
+        asset: token?.symbol || null,
+        amount: token ? this.parseTokenValue(value, token.decimals) : null
       }, whaleAddress, true, source); // isNew = true, source = 'webhook'
 
       console.log(`[SUCCESS] Fortress webhook processed whale transaction: ${hash.slice(0, 10)}...`);
@@ -706,16 +868,10 @@ export default class MempoolStreamer extends EventEmitter {
   }
 
   /**
-   * Parse token value from hex data
+   * Parse a raw token amount from hex data with the token's decimals
    */
-  parseTokenValue(hexValue) {
-    try {
-      if (!hexValue || hexValue === '0x') return '0';
-      const value = parseInt(hexValue, 16);
-      return (value / 1e18).toFixed(4); // Assume 18 decimals for most tokens
-    } catch (error) {
-      return '0';
-    }
+  parseTokenValue(hexValue, decimals) {
+    return formatTokenAmount(hexValue, decimals) ?? 0;
   }
 
   /**
@@ -728,15 +884,15 @@ export default class MempoolStreamer extends EventEmitter {
     });
 
     // Generate test whale transactions every 10 seconds
-    this.testInterval = setInterval(() => {
+    this.testInterval = this.clock.setInterval(() => {
       const testTransaction = {
         from: Array.from(this.whaleWatchlist)[0], // Use first whale address
         to: '0x742d35Cc6634C0532925a3b8D4C9db96590c6C87', // Random address
         value: '0x56BC75E2D630E000', // 100 ETH in hex
-        hash: `0x${Date.now().toString(16)}${Math.random().toString(16).substr(2, 8)}`
+        hash: `0x${this.clock.now().toString(16)}${Math.random().toString(16).substr(2, 8)}`
       };
 
-      const wsReceiveTimestamp = Date.now();
+      const wsReceiveTimestamp = this.clock.now();
       this.processAlchemyEvent({
         params: { result: testTransaction }
       }, wsReceiveTimestamp);
@@ -744,9 +900,9 @@ export default class MempoolStreamer extends EventEmitter {
     }, 10000);
 
     // Stop test mode after 5 minutes
-    setTimeout(() => {
+    this.clock.setTimeout(() => {
       if (this.testInterval) {
-        clearInterval(this.testInterval);
+        this.clock.clearInterval(this.testInterval);
         this.testInterval = null;
         this.logger?.info('mempool_test_mode_stopped', 'Test mode completed');
       }
@@ -757,7 +913,7 @@ export default class MempoolStreamer extends EventEmitter {
    * Get performance statistics
    */
   getStats() {
-    const uptime = Date.now() - this.stats.startTime;
+    const uptime = this.clock.now() - this.stats.startTime;
 
     return {
       ...this.stats,
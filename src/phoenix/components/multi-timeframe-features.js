@@ -0,0 +1,189 @@
+/**
+ * Phoenix v6.1 - Multi-Timeframe Features
+ *
+ * MOMENTUM AND VOLATILITY OVER 1m / 5m / 15m / 1h
+ *
+ * Binance's 24h priceChangePercent is far too slow for a 30-second regime
+ * decision. This keeps a rolling price series (OHLC base bars of barMs,
+ * fed by aggTrades or by each market data sample) and computes, per window:
+ * - momentum<w>: % change from the close before the window to the last price
+ * - realizedVol<w>: close-to-close realised volatility (%), sqrt of summed
+ *   squared log returns of the window's sub-bars
+ * - parkinsonVol<w>: Parkinson high-low volatility (%) over the same sub-bars
+ * - atr<w>: average true range of the sub-bars, in price units
+ *
+ * Each window is split into barsPerWindow sub-bars, so every timeframe is
+ * measured at the same resolution. A window's features stay null until the
+ * series covers it. Timestamps come from the prices themselves, so replayed
+ * trades and books give the same values.
+ */
+
+import { systemClock } from './clock.js';
+
+export const TIMEFRAMES = [
+  { label: '1m', ms: 60 * 1000 },
+  { label: '5m', ms: 5 * 60 * 1000 },
+  { label: '15m', ms: 15 * 60 * 1000 },
+  { label: '1h', ms: 60 * 60 * 1000 }
+];
+
+export const TIMEFRAME_METRICS = ['momentum', 'realizedVol', 'parkinsonVol', 'atr'];
+
+// Feature names readable by regime rules and strategies, e.g. 'momentum5m'
+export const TIMEFRAME_FEATURES = TIMEFRAMES.flatMap(({ label }) => TIMEFRAME_METRICS.map(metric => `${metric}${label}`));
+
+export default class MultiTimeframeFeatures {
+  constructor(config = {}) {
+    this.symbol = config.symbol || 'ETHUSDT';
+    this.logger = config.logger;
+    this.clock = config.clock || systemClock;
+
+    this.config = {
+      barMs: config.barMs || 5000,
+      barsPerWindow: config.barsPerWindow || 12
+    };
+
+    const unaligned = TIMEFRAMES.filter(({ ms }) => ms % (this.config.barMs * this.config.barsPerWindow) !== 0);
+    if (unaligned.length > 0) {
+      throw new Error(`MultiTimeframeFeatures: barMs x barsPerWindow must divide every window (${unaligned.map(t => t.label).join(', ')})`);
+    }
+
+    // Base OHLC bars, oldest first; the last one may still be forming
+    this.bars = [];
+    this.retentionMs = Math.max(...TIMEFRAMES.map(({ ms }) => ms)) + 2 * this.config.barMs;
+
+    this.stats = {
+      pricesProcessed: 0,
+      outOfOrderDropped: 0,
+      lastPriceAt: null
+    };
+  }
+
+  /**
+   * Add one traded or sampled price; prices older than the forming bar are dropped
+   */
+  processPrice(price, timestamp = this.clock.now()) {
+    if (!(price > 0) || !Number.isFinite(timestamp)) return false;
+
+    const start = timestamp - (timestamp % this.config.barMs);
+    const last = this.bars[this.bars.length - 1];
+
+    if (last && start < last.start) {
+      this.stats.outOfOrderDropped++;
+      return false;
+    }
+
+    if (last && start === last.start) {
+      last.high = Math.max(last.high, price);
+      last.low = Math.min(last.low, price);
+      last.close = price;
+    } else {
+      this.bars.push({ start, open: price, high: price, low: price, close: price });
+      while (this.bars.length > 0 && this.bars[0].start < start - this.retentionMs) {
+        this.bars.shift();
+      }
+    }
+
+    this.stats.pricesProcessed++;
+    this.stats.lastPriceAt = timestamp;
+    return true;
+  }
+
+  /**
+   * Every timeframe feature at `now` by name (null where the series is too short)
+   */
+  getFeatures(now = this.stats.lastPriceAt ?? this.clock.now()) {
+    const features = {};
+    for (const timeframe of TIMEFRAMES) {
+      const values = this.computeWindow(timeframe.ms, now);
+      for (const metric of TIMEFRAME_METRICS) {
+        features[`${metric}${timeframe.label}`] = values ? values[metric] : null;
+      }
+    }
+    return features;
+  }
+
+  /**
+   * One feature by name, e.g. getFeature('realizedVol15m')
+   */
+  getFeature(name, now) {
+    if (!TIMEFRAME_FEATURES.includes(name)) {
+      throw new Error(`MultiTimeframeFeatures: unknown feature '${name}'`);
+    }
+    return this.getFeatures(now)[name];
+  }
+
+  /**
+   * Momentum, realised / Parkinson volatility and ATR over (now - windowMs, now]
+   */
+  computeWindow(windowMs, now) {
+    const windowStart = now - windowMs;
+    const subMs = windowMs / this.config.barsPerWindow;
+
+    // The series must reach back to the window start: the last bar before it is the reference
+    let reference = null;
+    const subBars = [];
+    for (const bar of this.bars) {
+      if (bar.start < windowStart) {
+        reference = bar;
+        continue;
+      }
+      if (bar.start > now) break;
+
+      const index = Math.floor((bar.start - windowStart) / subMs);
+      const sub = subBars[subBars.length - 1];
+      if (sub && sub.index === index) {
+        sub.high = Math.max(sub.high, bar.high);
+        sub.low = Math.min(sub.low, bar.low);
+        sub.close = bar.close;
+      } else {
+        subBars.push({ index, high: bar.high, low: bar.low, close: bar.close });
+      }
+    }
+    if (!reference || subBars.length === 0) return null;
+
+    let previousClose = reference.close;
+    let squaredReturns = 0;
+    let squaredRanges = 0;
+    let trueRanges = 0;
+
+    for (const sub of subBars) {
+      squaredReturns += Math.log(sub.close / previousClose) ** 2;
+      squaredRanges += Math.log(sub.high / sub.low) ** 2;
+      trueRanges += Math.max(sub.high - sub.low, Math.abs(sub.high - previousClose), Math.abs(sub.low - previousClose));
+      previousClose = sub.close;
+    }
+
+    return {
+      momentum: (previousClose / reference.close - 1) * 100,
+      realizedVol: Math.sqrt(squaredReturns) * 100,
+      parkinsonVol: Math.sqrt(squaredRanges / (4 * Math.LN2)) * 100,
+      atr: trueRanges / subBars.length
+    };
+  }
+
+  /**
+   * Serializable state for warm restart
+   */
+  exportState() {
+    return { bars: this.bars };
+  }
+
+  /**
+   * Restore the base bars (the series continues where it stopped)
+   */
+  importState(state = {}) {
+    this.bars = (state.bars || []).filter(bar => bar.start % this.config.barMs === 0 && bar.close > 0);
+  }
+
+  /**
+   * Get feature engine statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      bars: this.bars.length,
+      coverageMs: this.bars.length > 0 ? this.bars[this.bars.length - 1].start + this.config.barMs - this.bars[0].start : 0
+    };
+  }
+}
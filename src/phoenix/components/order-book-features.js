@@ -0,0 +1,101 @@
+/**
+ * Phoenix v6.1 - Order Book Features
+ *
+ * DEPTH IMBALANCE, MICROPRICE AND BOOK SLOPE
+ *
+ * Replaces the topAsk / topBid "pressure" ratio - which only measured the
+ * spread and sat near 1.0001 - with features that describe where resting
+ * size actually is:
+ * - Depth-weighted imbalance at several depths (default 1, 5, 10, 20 levels)
+ * - Microprice: mid pulled toward the side with less size at the touch
+ * - Book slope: resting quantity added per bps away from mid, per side
+ * - Pressure: sell-side imbalance in [-1, 1] (positive = ask-heavy), the
+ *   input MarketClassifier thresholds are calibrated against
+ *
+ * Pure functions over REST-format [price, quantity] levels, best first, so
+ * live, polled and replayed books produce identical features.
+ */
+
+export const DEFAULT_IMBALANCE_DEPTHS = [1, 5, 10, 20];
+
+/**
+ * (bid - ask) / (bid + ask) over the top `depth` levels, level i weighted
+ * (depth - i) / depth so size near the touch counts most. Range [-1, 1].
+ */
+export function depthImbalance(bids, asks, depth) {
+  const weightedSize = (levels) => levels
+    .slice(0, depth)
+    .reduce((sum, [, qty], index) => sum + parseFloat(qty) * (depth - index) / depth, 0);
+
+  const bidSize = weightedSize(bids);
+  const askSize = weightedSize(asks);
+  const total = bidSize + askSize;
+
+  return total > 0 ? (bidSize - askSize) / total : 0;
+}
+
+/**
+ * Size-weighted mid: leans toward the ask when bids outweigh asks at the touch
+ */
+export function microprice(bids, asks) {
+  const bestBid = parseFloat(bids[0][0]);
+  const bestAsk = parseFloat(asks[0][0]);
+  const bidQty = parseFloat(bids[0][1]);
+  const askQty = parseFloat(asks[0][1]);
+
+  if (bidQty + askQty === 0) return (bestBid + bestAsk) / 2;
+  return (bestBid * askQty + bestAsk * bidQty) / (bidQty + askQty);
+}
+
+/**
+ * Least-squares slope (through the origin) of cumulative quantity against
+ * distance from mid in bps - how quickly one side thickens
+ */
+export function bookSlope(levels, midPrice, depth) {
+  let cumulative = 0;
+  let sumXY = 0;
+  let sumXX = 0;
+
+  for (const [price, qty] of levels.slice(0, depth)) {
+    const distanceBps = Math.abs(parseFloat(price) - midPrice) / midPrice * 10000;
+    cumulative += parseFloat(qty);
+    sumXY += distanceBps * cumulative;
+    sumXX += distanceBps * distanceBps;
+  }
+
+  return sumXX > 0 ? sumXY / sumXX : 0;
+}
+
+/**
+ * All order-book features for one snapshot; null without a two-sided book
+ */
+export function computeOrderBookFeatures(bids, asks, { depths = DEFAULT_IMBALANCE_DEPTHS } = {}) {
+  if (!bids?.length || !asks?.length) return null;
+
+  const bestBid = parseFloat(bids[0][0]);
+  const bestAsk = parseFloat(asks[0][0]);
+  const midPrice = (bestBid + bestAsk) / 2;
+  const slopeDepth = Math.max(...depths);
+
+  const imbalanceByDepth = Object.fromEntries(depths.map(depth => [depth, depthImbalance(bids, asks, depth)]));
+  const imbalance = depths.reduce((sum, depth) => sum + imbalanceByDepth[depth], 0) / depths.length;
+
+  const micro = microprice(bids, asks);
+  const bidSlope = bookSlope(bids, midPrice, slopeDepth);
+  const askSlope = bookSlope(asks, midPrice, slopeDepth);
+
+  return {
+    midPrice,
+    spreadBps: (bestAsk - bestBid) / midPrice * 10000,
+    imbalanceByDepth,
+    imbalance,
+    microprice: micro,
+    micropriceOffsetBps: (micro - midPrice) / midPrice * 10000,
+    slope: {
+      bid: bidSlope,
+      ask: askSlope,
+      imbalance: bidSlope + askSlope > 0 ? (bidSlope - askSlope) / (bidSlope + askSlope) : 0
+    },
+    pressure: -imbalance
+  };
+}
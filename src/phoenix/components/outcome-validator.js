@@ -0,0 +1,329 @@
+/**
+ * Phoenix v6.1 - Outcome Validator
+ *
+ * FORWARD-OUTCOME VALIDATION OF CLASSIFICATIONS AND SIGNALS
+ *
+ * Successor to the legacy v5 SignalValidator, run on MarketClassifier
+ * verdicts and strategy signals:
+ * - Every classification and entry / alert signal is recorded with the
+ *   price at that moment and an expected direction (regimes map to LONG /
+ *   SHORT like the paper trader; COIL and alerts expect a BREAKOUT either way)
+ * - The price path is followed over each horizon (default 1m, 5m, 15m, 1h),
+ *   tracking max favourable and max adverse excursion in bps; the pipeline
+ *   feeds it every aggTrade as well as each classification sample
+ * - A horizon is a hit when the favourable excursion reaches targetBps
+ *   before the adverse excursion reaches stopBps, otherwise a miss
+ * - Resolved horizons feed accuracy tables by regime (strategy for signals)
+ *   and by confidence bucket
+ *
+ * Timestamps come from the market data, so replayed journals produce the
+ * same outcomes.
+ */
+
+import { EventEmitter } from 'events';
+import { systemClock } from './clock.js';
+
+export const PREDICTION_KINDS = ['classification', 'signal'];
+
+const HORIZON_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+
+/**
+ * Horizon label ('30s', '5m', '1h') to milliseconds; null when malformed
+ */
+export function parseHorizon(label) {
+  const match = /^(\d+)(s|m|h)$/.exec(String(label).trim());
+  if (!match || Number(match[1]) === 0) return null;
+  return Number(match[1]) * HORIZON_UNITS[match[2]];
+}
+
+export default class OutcomeValidator extends EventEmitter {
+  constructor(config = {}) {
+    super();
+
+    this.symbol = config.symbol || 'ETHUSDT';
+    this.logger = config.logger;
+    this.clock = config.clock || systemClock;
+
+    this.config = {
+      horizons: config.horizons || ['1m', '5m', '15m', '1h'],
+      targetBps: config.targetBps ?? 30,
+      stopBps: config.stopBps ?? 30,
+      confidenceBucket: config.confidenceBucket || 20,
+      maxPending: config.maxPending || 5000,
+      maxRecords: config.maxRecords || 1000,
+      // Expected move per regime; unlisted regimes are scored as BREAKOUT
+      regimeDirections: {
+        CASCADE_HUNTER: 'SHORT',
+        SHAKEOUT_DETECTOR: 'LONG',
+        COIL_WATCHER: 'BREAKOUT',
+        ...config.regimeDirections
+      }
+    };
+
+    this.horizons = this.config.horizons.map(label => ({ label, ms: parseHorizon(label) }));
+    const invalid = this.horizons.filter(horizon => horizon.ms === null).map(horizon => horizon.label);
+    if (invalid.length > 0) {
+      throw new Error(`OutcomeValidator: invalid horizons ${invalid.join(', ')} (use e.g. 30s, 5m, 1h)`);
+    }
+    this.horizons.sort((a, b) => a.ms - b.ms);
+
+    // Predictions whose longest horizon has not closed, oldest first
+    this.pending = [];
+    // Fully resolved predictions, oldest first
+    this.records = [];
+    this.seq = 0;
+
+    // kind -> { byRegime, byConfidence } -> key -> horizon -> tally
+    this.tables = Object.fromEntries(PREDICTION_KINDS.map(kind => [kind, { byRegime: {}, byConfidence: {} }]));
+
+    this.stats = {
+      classificationsRecorded: 0,
+      signalsRecorded: 0,
+      horizonsResolved: 0,
+      hits: 0,
+      misses: 0,
+      predictionsDropped: 0,
+      lastPriceAt: null
+    };
+  }
+
+  /**
+   * Record a classifier verdict ({regime, confidence 0-100, timestamp})
+   */
+  recordClassification(classification, price) {
+    if (!classification?.regime) return null;
+
+    return this.record({
+      kind: 'classification',
+      label: classification.regime,
+      direction: this.config.regimeDirections[classification.regime] || 'BREAKOUT',
+      confidence: classification.confidence ?? 0,
+      price,
+      timestamp: classification.timestamp ?? this.clock.now()
+    });
+  }
+
+  /**
+   * Record an entry or alert StrategySignal; exits predict nothing and are skipped
+   */
+  recordSignal(signal, price = signal.price) {
+    if (!signal.isEntry() && signal.action !== 'ALERT') return null;
+
+    return this.record({
+      kind: 'signal',
+      label: signal.strategyId,
+      signalId: signal.id,
+      direction: signal.getDirection() || 'BREAKOUT',
+      confidence: signal.confidence * 100,
+      price,
+      timestamp: signal.timestamp
+    });
+  }
+
+  record({ kind, label, signalId = null, direction, confidence, price, timestamp }) {
+    if (!(price > 0)) return null;
+
+    const prediction = {
+      id: `${this.symbol}_${kind}_${++this.seq}`,
+      kind,
+      label,
+      signalId,
+      direction,
+      confidence,
+      bucket: this.bucketFor(confidence),
+      price,
+      timestamp,
+      mfeBps: 0,
+      maeBps: 0,
+      lastPrice: price,
+      targetAt: null,
+      stopAt: null,
+      outcomes: Object.fromEntries(this.horizons.map(horizon => [horizon.label, null]))
+    };
+
+    this.pending.push(prediction);
+    if (this.pending.length > this.config.maxPending) {
+      this.pending.shift();
+      this.stats.predictionsDropped++;
+    }
+
+    this.stats[kind === 'signal' ? 'signalsRecorded' : 'classificationsRecorded']++;
+    return prediction.id;
+  }
+
+  /**
+   * Advance every pending prediction along the price path. Horizons ending
+   * before this sample close without it; those ending on it close with it.
+   */
+  processPrice(price, timestamp = this.clock.now()) {
+    if (!(price > 0)) return [];
+    this.stats.lastPriceAt = timestamp;
+
+    const completed = [];
+    this.pending = this.pending.filter(prediction => {
+      if (timestamp <= prediction.timestamp) return true;
+
+      this.resolveHorizons(prediction, end => end < timestamp);
+      this.trackPrice(prediction, price, timestamp);
+      this.resolveHorizons(prediction, end => end <= timestamp);
+
+      if (Object.values(prediction.outcomes).some(outcome => outcome === null)) return true;
+      completed.push(prediction);
+      return false;
+    });
+
+    for (const prediction of completed) {
+      const record = this.toRecord(prediction);
+      this.records.push(record);
+      if (this.records.length > this.config.maxRecords) {
+        this.records.shift();
+      }
+      this.emit('PREDICTION_VALIDATED', record);
+    }
+
+    return completed.map(prediction => prediction.id);
+  }
+
+  trackPrice(prediction, price, timestamp) {
+    const moveBps = (price / prediction.price - 1) * 10000;
+    const favourable = prediction.direction === 'LONG' ? moveBps
+      : prediction.direction === 'SHORT' ? -moveBps
+        : Math.abs(moveBps);
+    const adverse = prediction.direction === 'BREAKOUT' ? 0 : -favourable;
+
+    prediction.mfeBps = Math.max(prediction.mfeBps, favourable);
+    prediction.maeBps = Math.max(prediction.maeBps, adverse);
+    prediction.lastPrice = price;
+
+    if (prediction.targetAt === null && prediction.mfeBps >= this.config.targetBps) {
+      prediction.targetAt = timestamp;
+    }
+    if (prediction.stopAt === null && prediction.direction !== 'BREAKOUT' && prediction.maeBps >= this.config.stopBps) {
+      prediction.stopAt = timestamp;
+    }
+  }
+
+  /**
+   * Label the still-open horizons whose end passes `closes`
+   */
+  resolveHorizons(prediction, closes) {
+    for (const horizon of this.horizons) {
+      const end = prediction.timestamp + horizon.ms;
+      if (prediction.outcomes[horizon.label] !== null || !closes(end)) continue;
+
+      const hit = prediction.targetAt !== null && prediction.targetAt <= end &&
+        (prediction.stopAt === null || prediction.targetAt < prediction.stopAt);
+      const outcome = {
+        hit,
+        mfeBps: prediction.mfeBps,
+        maeBps: prediction.maeBps,
+        priceChangeBps: (prediction.lastPrice / prediction.price - 1) * 10000
+      };
+      prediction.outcomes[horizon.label] = outcome;
+
+      this.tally(this.tables[prediction.kind].byRegime, prediction.label, horizon.label, outcome);
+      this.tally(this.tables[prediction.kind].byConfidence, prediction.bucket, horizon.label, outcome);
+      this.stats.horizonsResolved++;
+      this.stats[hit ? 'hits' : 'misses']++;
+    }
+  }
+
+  tally(table, key, horizon, outcome) {
+    table[key] ??= {};
+    const tally = table[key][horizon] ??= { total: 0, hits: 0, sumMfeBps: 0, sumMaeBps: 0 };
+    tally.total++;
+    if (outcome.hit) tally.hits++;
+    tally.sumMfeBps += outcome.mfeBps;
+    tally.sumMaeBps += outcome.maeBps;
+  }
+
+  /**
+   * Confidence bucket label, e.g. '60-80' (0-100 scale)
+   */
+  bucketFor(confidence) {
+    const size = this.config.confidenceBucket;
+    const index = Math.min(Math.floor(Math.max(0, confidence) / size), Math.ceil(100 / size) - 1);
+    return `${index * size}-${Math.min(100, (index + 1) * size)}`;
+  }
+
+  toRecord(prediction) {
+    const { mfeBps, maeBps, lastPrice, targetAt, stopAt, ...record } = prediction;
+    return record;
+  }
+
+  /**
+   * Hit rate and average excursions per horizon, by regime (strategy for
+   * signals) and by confidence bucket
+   */
+  getAccuracy(kind = 'classification') {
+    const summarize = (table) => Object.fromEntries(Object.entries(table).map(([key, horizons]) => [key,
+      Object.fromEntries(this.horizons.filter(horizon => horizons[horizon.label]).map(({ label }) => {
+        const { total, hits, sumMfeBps, sumMaeBps } = horizons[label];
+        return [label, { total, hits, hitRate: hits / total, avgMfeBps: sumMfeBps / total, avgMaeBps: sumMaeBps / total }];
+      }))]));
+
+    return {
+      kind,
+      horizons: this.horizons.map(horizon => horizon.label),
+      targetBps: this.config.targetBps,
+      stopBps: this.config.stopBps,
+      byRegime: summarize(this.tables[kind]?.byRegime || {}),
+      byConfidence: summarize(this.tables[kind]?.byConfidence || {})
+    };
+  }
+
+  /**
+   * Resolved predictions oldest first, optionally filtered by kind and label
+   * and limited to the most recent `limit`
+   */
+  getRecords({ kind = null, label = null, limit = null } = {}) {
+    const matches = this.records.filter(record =>
+      (kind === null || record.kind === kind) &&
+      (label === null || record.label === label));
+
+    return limit === null ? matches : matches.slice(-limit);
+  }
+
+  /**
+   * Serializable state for warm restart
+   */
+  exportState() {
+    return {
+      seq: this.seq,
+      pending: this.pending,
+      records: this.records,
+      tables: this.tables
+    };
+  }
+
+  /**
+   * Restore pending predictions, resolved records and accuracy tables
+   */
+  importState(state = {}) {
+    this.seq = state.seq || 0;
+    // Horizons may have been reconfigured since the snapshot
+    this.pending = (state.pending || []).slice(-this.config.maxPending).map(prediction => ({
+      ...prediction,
+      outcomes: Object.fromEntries(this.horizons.map(({ label }) => [label, prediction.outcomes?.[label] ?? null]))
+    }));
+    this.records = (state.records || []).slice(-this.config.maxRecords);
+    for (const kind of PREDICTION_KINDS) {
+      this.tables[kind] = {
+        byRegime: state.tables?.[kind]?.byRegime || {},
+        byConfidence: state.tables?.[kind]?.byConfidence || {}
+      };
+    }
+  }
+
+  /**
+   * Get validator statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      pending: this.pending.length,
+      records: this.records.length,
+      hitRate: this.stats.horizonsResolved > 0 ? this.stats.hits / this.stats.horizonsResolved : null
+    };
+  }
+}
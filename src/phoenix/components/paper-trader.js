@@ -0,0 +1,480 @@
+/**
+ * Phoenix v6.1 - Paper Trading Execution Layer
+ *
+ * SIMULATED EXECUTION AGAINST THE LIVE ORDER BOOK
+ *
+ * Turns MarketClassifier regimes into simulated orders and tracks the
+ * resulting positions without touching a real exchange account:
+ * - Fills walk the live order book level by level (real slippage)
+ * - Taker fees are charged on both entry and exit
+ * - Stop loss, take profit and trailing stop management per position
+ * - Closed trades are recorded in a PnL ledger for performance review
+ * - Entries are gated by an optional RiskManager pre-trade check
+ */
+
+import { EventEmitter } from 'events';
+import { systemClock } from './clock.js';
+
+export default class PaperTrader extends EventEmitter {
+  constructor(config = {}) {
+    super();
+
+    this.symbol = config.symbol || 'ETHUSDT';
+    this.logger = config.logger;
+    this.clock = config.clock || systemClock;
+    this.riskManager = config.riskManager || null;
+
+    this.config = {
+      positionSizeUSD: config.positionSizeUSD ?? 500,
+      maxConcurrentPositions: config.maxConcurrentPositions || 3,
+      stopLossPercent: config.stopLossPercent ?? 1.5,
+      takeProfitPercent: config.takeProfitPercent || 3.0,
+      feeRate: config.feeRate ?? 0.001,                  // 0.1% taker fee
+      enableTrailingStop: config.enableTrailingStop !== false,
+      trailProfitTrigger: config.trailProfitTrigger ?? 1.5, // % profit before trailing starts
+      trailDistance: config.trailDistance ?? 1.0,           // % distance behind price
+      signalCooldownMs: config.signalCooldownMs ?? 900000,  // 15 minutes between entries
+      maxLedgerSize: config.maxLedgerSize || 1000,
+      // CASCADE = distribution (short), SHAKEOUT = stop hunt reversal (long), COIL = alert only
+      regimeActions: {
+        CASCADE_HUNTER: 'SHORT',
+        SHAKEOUT_DETECTOR: 'LONG',
+        COIL_WATCHER: null,
+        ...config.regimeActions
+      }
+    };
+
+    // Position tracking
+    this.positions = new Map();
+    this.ledger = [];
+    this.lastEntryTime = null;
+
+    // Performance metrics
+    this.stats = {
+      signalsReceived: 0,
+      signalsIgnored: 0,
+      positionsOpened: 0,
+      positionsClosed: 0,
+      winners: 0,
+      losers: 0,
+      realizedPnL: 0,
+      feesPaid: 0,
+      avgSlippageBps: 0,
+      maxDrawdown: 0,
+      peakPnL: 0,
+      startTime: this.clock.now()
+    };
+
+    this.logger?.info('paper_trader_init', {
+      symbol: this.symbol,
+      positionSizeUSD: this.config.positionSizeUSD,
+      stopLossPercent: this.config.stopLossPercent,
+      takeProfitPercent: this.config.takeProfitPercent,
+      feeRate: this.config.feeRate,
+      regimeActions: this.config.regimeActions
+    });
+  }
+
+  /**
+   * Handle a classifier result and open a position when the regime maps to a direction
+   */
+  processClassification(classification, marketData) {
+    if (!classification) return null;
+
+    const direction = this.config.regimeActions[classification.regime];
+
+    return this.processSignal({
+      action: direction ? `ENTER_${direction}` : 'ALERT',
+      regime: classification.regime,
+      confidence: Math.max(0, Math.min(1, (classification.confidence || 0) / 100))
+    }, marketData);
+  }
+
+  /**
+   * Handle a strategy signal: entries open positions, exits flatten that side
+   */
+  processSignal(signal, marketData) {
+    this.stats.signalsReceived++;
+
+    const label = signal.strategyId || signal.regime;
+
+    if (signal.action === 'EXIT_LONG' || signal.action === 'EXIT_SHORT') {
+      const type = signal.action === 'EXIT_LONG' ? 'LONG' : 'SHORT';
+      return this.closePositionsByType(type, `SIGNAL_EXIT:${label}`, marketData);
+    }
+
+    if (signal.action !== 'ENTER_LONG' && signal.action !== 'ENTER_SHORT') {
+      return this.ignoreSignal(signal, 'Signal is alert-only');
+    }
+
+    if (!marketData?.orderBook) {
+      return this.ignoreSignal(signal, 'No order book available for fill simulation');
+    }
+
+    if (this.positions.size >= this.config.maxConcurrentPositions) {
+      return this.ignoreSignal(signal, `Maximum ${this.config.maxConcurrentPositions} concurrent positions`);
+    }
+
+    const now = marketData.timestamp || this.clock.now();
+    if (this.lastEntryTime !== null && now - this.lastEntryTime < this.config.signalCooldownMs) {
+      return this.ignoreSignal(signal, 'Entry cooldown active');
+    }
+
+    const direction = signal.action === 'ENTER_LONG' ? 'LONG' : 'SHORT';
+
+    if (this.riskManager) {
+      const check = this.riskManager.checkOrder({
+        symbol: this.symbol,
+        direction,
+        notionalUSD: this.config.positionSizeUSD,
+        stopLossPercent: this.config.stopLossPercent,
+        source: label,
+        timestamp: now
+      });
+      if (!check.approved) {
+        return this.ignoreSignal(signal, `Risk check failed: ${check.reason}`);
+      }
+    }
+
+    const position = this.openPosition(direction, signal, marketData);
+    if (position) {
+      this.lastEntryTime = now;
+    }
+
+    return position;
+  }
+
+  /**
+   * Close every open position on one side of the market
+   */
+  closePositionsByType(type, reason, marketData) {
+    if (!marketData?.orderBook) return [];
+
+    return this.getPositions()
+      .filter(position => position.type === type)
+      .map(position => this.closePosition(position, reason, marketData))
+      .filter(Boolean);
+  }
+
+  /**
+   * Record an ignored signal
+   */
+  ignoreSignal(signal, reason) {
+    this.stats.signalsIgnored++;
+
+    this.logger?.debug('paper_signal_ignored', {
+      source: signal.strategyId || signal.regime,
+      action: signal.action,
+      confidence: signal.confidence,
+      reason
+    });
+
+    return null;
+  }
+
+  /**
+   * Open a simulated position with a fill taken from the order book
+   */
+  openPosition(direction, signal, marketData) {
+    const side = direction === 'LONG' ? 'BUY' : 'SELL';
+    const fill = this.simulateFill(side, this.config.positionSizeUSD, marketData.orderBook);
+
+    if (!fill) {
+      this.logger?.warn('paper_fill_failed', {
+        side,
+        notional: this.config.positionSizeUSD,
+        reason: 'Order book could not absorb order'
+      });
+      return null;
+    }
+
+    const entryPrice = fill.avgPrice;
+    const stopDistance = this.config.stopLossPercent / 100;
+    const targetDistance = this.config.takeProfitPercent / 100;
+
+    const position = {
+      id: `paper_${this.clock.now()}_${Math.random().toString(36).substr(2, 6)}`,
+      symbol: this.symbol,
+      type: direction,
+      regime: signal.regime || signal.strategyId,
+      strategyId: signal.strategyId || null,
+      signalId: signal.id || null,
+      confidence: signal.confidence,
+      entryPrice,
+      quantity: fill.quantity,
+      notional: fill.notional,
+      entryFee: fill.fee,
+      entrySlippageBps: fill.slippageBps,
+      stopLoss: direction === 'LONG' ? entryPrice * (1 - stopDistance) : entryPrice * (1 + stopDistance),
+      takeProfit: direction === 'LONG' ? entryPrice * (1 + targetDistance) : entryPrice * (1 - targetDistance),
+      trailingActive: false,
+      currentPrice: entryPrice,
+      unrealizedPnL: -fill.fee,
+      openTime: marketData.timestamp || this.clock.now(),
+      status: 'OPEN'
+    };
+
+    this.positions.set(position.id, position);
+    this.stats.positionsOpened++;
+    this.stats.feesPaid += fill.fee;
+    this.updateAverageSlippage(fill.slippageBps);
+
+    this.logger?.info('paper_position_opened', {
+      id: position.id,
+      type: position.type,
+      regime: position.regime,
+      entryPrice: position.entryPrice,
+      quantity: position.quantity,
+      slippageBps: fill.slippageBps,
+      fee: fill.fee,
+      stopLoss: position.stopLoss,
+      takeProfit: position.takeProfit
+    });
+
+    this.emit('POSITION_OPENED', position);
+    return position;
+  }
+
+  /**
+   * Walk the order book to simulate a taker fill for the given USD notional
+   *
+   * BUY orders consume asks, SELL orders consume bids. Returns null when the
+   * visible book cannot fill the full size.
+   */
+  simulateFill(side, notionalUSD, orderBook, quantity = null) {
+    const { bids, asks } = orderBook || {};
+    if (!bids?.length || !asks?.length) return null;
+
+    const levels = side === 'BUY' ? asks : bids;
+    const bestBid = parseFloat(bids[0][0]);
+    const bestAsk = parseFloat(asks[0][0]);
+    const midPrice = (bestBid + bestAsk) / 2;
+
+    let remainingQty = quantity ?? notionalUSD / midPrice;
+    const targetQty = remainingQty;
+    let filledQty = 0;
+    let cost = 0;
+    let levelsConsumed = 0;
+
+    for (const [price, qty] of levels) {
+      if (remainingQty <= 0) break;
+
+      const priceFloat = parseFloat(price);
+      const takeQty = Math.min(remainingQty, parseFloat(qty));
+
+      cost += priceFloat * takeQty;
+      filledQty += takeQty;
+      remainingQty -= takeQty;
+      levelsConsumed++;
+    }
+
+    if (filledQty === 0 || remainingQty > targetQty * 1e-9) return null;
+
+    const avgPrice = cost / filledQty;
+    const slippageBps = Math.abs(avgPrice - midPrice) / midPrice * 10000;
+
+    return {
+      side,
+      avgPrice,
+      quantity: filledQty,
+      notional: cost,
+      fee: cost * this.config.feeRate,
+      slippageBps,
+      levelsConsumed,
+      midPrice
+    };
+  }
+
+  /**
+   * Mark open positions to market and close any that hit their exits
+   */
+  updatePositions(marketData) {
+    const orderBook = marketData?.orderBook;
+    if (!orderBook?.bids?.length || !orderBook?.asks?.length || this.positions.size === 0) {
+      return [];
+    }
+
+    const markPrice = (parseFloat(orderBook.bids[0][0]) + parseFloat(orderBook.asks[0][0])) / 2;
+    const closed = [];
+
+    for (const position of [...this.positions.values()]) {
+      position.currentPrice = markPrice;
+      position.unrealizedPnL = this.calculatePnL(position, markPrice) - position.entryFee;
+
+      if (this.config.enableTrailingStop) {
+        this.updateTrailingStop(position, markPrice);
+      }
+
+      const exitReason = this.checkExitConditions(position, markPrice);
+      if (exitReason) {
+        const trade = this.closePosition(position, exitReason, marketData);
+        if (trade) closed.push(trade);
+      }
+    }
+
+    return closed;
+  }
+
+  /**
+   * Trail the stop behind price once the trade is sufficiently in profit
+   */
+  updateTrailingStop(position, currentPrice) {
+    const pnlPercent = this.calculatePnLPercent(position, currentPrice);
+    if (pnlPercent <= this.config.trailProfitTrigger) return;
+
+    const trail = this.config.trailDistance / 100;
+
+    if (position.type === 'SHORT') {
+      const newStop = currentPrice * (1 + trail);
+      if (newStop < position.stopLoss) {
+        position.stopLoss = newStop;
+        position.trailingActive = true;
+      }
+    } else {
+      const newStop = currentPrice * (1 - trail);
+      if (newStop > position.stopLoss) {
+        position.stopLoss = newStop;
+        position.trailingActive = true;
+      }
+    }
+  }
+
+  /**
+   * Determine whether a position should be closed at the current price
+   */
+  checkExitConditions(position, currentPrice) {
+    if (position.type === 'SHORT') {
+      if (currentPrice >= position.stopLoss) return position.trailingActive ? 'TRAILING_STOP' : 'STOP_LOSS';
+      if (currentPrice <= position.takeProfit) return 'TAKE_PROFIT';
+    } else {
+      if (currentPrice <= position.stopLoss) return position.trailingActive ? 'TRAILING_STOP' : 'STOP_LOSS';
+      if (currentPrice >= position.takeProfit) return 'TAKE_PROFIT';
+    }
+    return null;
+  }
+
+  /**
+   * Close a position with an exit fill simulated against the order book
+   */
+  closePosition(position, reason, marketData) {
+    const side = position.type === 'LONG' ? 'SELL' : 'BUY';
+    const fill = this.simulateFill(side, null, marketData.orderBook, position.quantity);
+
+    if (!fill) {
+      this.logger?.warn('paper_exit_fill_failed', {
+        id: position.id,
+        reason,
+        message: 'Order book could not absorb exit - position left open'
+      });
+      return null;
+    }
+
+    const grossPnL = this.calculatePnL(position, fill.avgPrice);
+    const fees = position.entryFee + fill.fee;
+    const netPnL = grossPnL - fees;
+
+    const trade = {
+      ...position,
+      status: 'CLOSED',
+      exitPrice: fill.avgPrice,
+      exitFee: fill.fee,
+      exitSlippageBps: fill.slippageBps,
+      closeReason: reason,
+      closeTime: marketData.timestamp || this.clock.now(),
+      grossPnL,
+      fees,
+      realizedPnL: netPnL,
+      returnPercent: (netPnL / position.notional) * 100
+    };
+
+    this.positions.delete(position.id);
+    this.ledger.push(trade);
+    if (this.ledger.length > this.config.maxLedgerSize) {
+      this.ledger.shift();
+    }
+
+    this.stats.positionsClosed++;
+    this.stats.realizedPnL += netPnL;
+    this.stats.feesPaid += fill.fee;
+    this.updateAverageSlippage(fill.slippageBps);
+
+    if (netPnL > 0) {
+      this.stats.winners++;
+    } else {
+      this.stats.losers++;
+    }
+
+    this.stats.peakPnL = Math.max(this.stats.peakPnL, this.stats.realizedPnL);
+    this.stats.maxDrawdown = Math.max(this.stats.maxDrawdown, this.stats.peakPnL - this.stats.realizedPnL);
+
+    this.logger?.info('paper_position_closed', {
+      id: trade.id,
+      type: trade.type,
+      reason,
+      entryPrice: trade.entryPrice,
+      exitPrice: trade.exitPrice,
+      realizedPnL: parseFloat(netPnL.toFixed(2)),
+      returnPercent: parseFloat(trade.returnPercent.toFixed(3)),
+      totalPnL: parseFloat(this.stats.realizedPnL.toFixed(2))
+    });
+
+    this.emit('POSITION_CLOSED', trade);
+    return trade;
+  }
+
+  /**
+   * Gross USD PnL for a position at the given price
+   */
+  calculatePnL(position, price) {
+    const direction = position.type === 'LONG' ? 1 : -1;
+    return (price - position.entryPrice) * position.quantity * direction;
+  }
+
+  /**
+   * Gross percentage PnL for a position at the given price
+   */
+  calculatePnLPercent(position, price) {
+    const direction = position.type === 'LONG' ? 1 : -1;
+    return ((price - position.entryPrice) / position.entryPrice) * 100 * direction;
+  }
+
+  /**
+   * Update running average slippage across all fills
+   */
+  updateAverageSlippage(slippageBps) {
+    const fills = this.stats.positionsOpened + this.stats.positionsClosed;
+    this.stats.avgSlippageBps += (slippageBps - this.stats.avgSlippageBps) / Math.max(1, fills);
+  }
+
+  /**
+   * Get open positions
+   */
+  getPositions() {
+    return Array.from(this.positions.values());
+  }
+
+  /**
+   * Get closed trade ledger
+   */
+  getLedger(limit = 50) {
+    return this.ledger.slice(-limit);
+  }
+
+  /**
+   * Get performance statistics
+   */
+  getStats() {
+    const uptime = this.clock.now() - this.stats.startTime;
+    const unrealizedPnL = this.getPositions().reduce((sum, p) => sum + p.unrealizedPnL, 0);
+
+    return {
+      ...this.stats,
+      uptime: Math.floor(uptime / 1000),
+      openPositions: this.positions.size,
+      unrealizedPnL,
+      totalPnL: this.stats.realizedPnL + unrealizedPnL,
+      winRate: this.stats.positionsClosed > 0 ?
+        (this.stats.winners / this.stats.positionsClosed * 100).toFixed(2) : 0
+    };
+  }
+}
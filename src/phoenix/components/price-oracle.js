@@ -0,0 +1,167 @@
+/**
+ * Phoenix v6.1 - Price Oracle
+ *
+ * LIVE USD PRICES FOR WHALE VALUATION
+ *
+ * USD prices the mempool streamer values whale transfers with, so whale
+ * floors and threat levels follow the market:
+ * - Fed by the Binance data the engine already consumes: each symbol
+ *   pipeline's ticker samples and aggTrades update its base asset
+ * - Tracked assets without a pipeline (e.g. ERC-20 tokens) are polled from
+ *   the Binance ticker through the shared API client
+ * - The last known price is kept (and snapshotted for warm restart) when the
+ *   feed goes quiet; conversions flag it as stale after maxAgeMs
+ * - Assets never priced convert to null - callers decide what unpriced means
+ */
+
+import { EventEmitter } from 'events';
+import { systemClock } from './clock.js';
+
+export default class PriceOracle extends EventEmitter {
+  constructor(config = {}) {
+    super();
+
+    this.logger = config.logger;
+    this.clock = config.clock || systemClock;
+
+    this.config = {
+      assets: (config.assets || ['ETH']).map(asset => asset.toUpperCase()),
+      quote: config.quote || 'USDT',
+      maxAgeMs: config.maxAgeMs ?? 120000
+    };
+
+    // asset -> { price, updatedAt, source, stale }
+    this.prices = new Map();
+
+    this.stats = {
+      updates: 0,
+      outOfOrderDropped: 0,
+      refreshes: 0,
+      refreshFailures: 0,
+      staleConversions: 0,
+      unpricedConversions: 0
+    };
+  }
+
+  /**
+   * Record a price for an asset; older than the current one is dropped
+   */
+  updatePrice(asset, price, timestamp = this.clock.now(), source = 'binance') {
+    if (!asset || !(price > 0) || !Number.isFinite(timestamp)) return false;
+
+    const key = asset.toUpperCase();
+    const current = this.prices.get(key);
+    if (current && timestamp < current.updatedAt) {
+      this.stats.outOfOrderDropped++;
+      return false;
+    }
+
+    if (current?.stale) {
+      this.logger?.info('price_oracle_fresh', { asset: key, price, source, staleForMs: timestamp - current.updatedAt });
+    }
+
+    this.prices.set(key, { price, updatedAt: timestamp, source, stale: false });
+    this.stats.updates++;
+    return true;
+  }
+
+  /**
+   * Latest price for an asset with its age and stale flag (null if never priced)
+   */
+  getPrice(asset, now = this.clock.now()) {
+    const key = asset?.toUpperCase();
+    const entry = this.prices.get(key);
+    if (!entry) return null;
+
+    const ageMs = Math.max(0, now - entry.updatedAt);
+    const stale = ageMs > this.config.maxAgeMs;
+
+    // Warn once per stale episode
+    if (stale && !entry.stale) {
+      this.logger?.warn('price_oracle_stale', { asset: key, price: entry.price, ageMs, maxAgeMs: this.config.maxAgeMs });
+      this.emit('PRICE_STALE', { asset: key, price: entry.price, updatedAt: entry.updatedAt, ageMs });
+    }
+    entry.stale = stale;
+
+    return { asset: key, price: entry.price, updatedAt: entry.updatedAt, source: entry.source, ageMs, stale };
+  }
+
+  /**
+   * USD value of an amount of an asset: { valueUSD, price, stale, ageMs }, or null when unpriced
+   */
+  toUSD(asset, amount, now = this.clock.now()) {
+    const quote = this.getPrice(asset, now);
+    if (!quote) {
+      this.stats.unpricedConversions++;
+      return null;
+    }
+    if (quote.stale) this.stats.staleConversions++;
+
+    return { valueUSD: amount * quote.price, price: quote.price, stale: quote.stale, ageMs: quote.ageMs };
+  }
+
+  /**
+   * Poll the Binance ticker for tracked assets without a fresh price (e.g.
+   * tokens with no symbol pipeline); failures keep the last known price
+   */
+  async refresh(apiClient, now = this.clock.now()) {
+    const due = this.config.assets.filter(asset => {
+      const entry = this.prices.get(asset);
+      return !entry || now - entry.updatedAt > this.config.maxAgeMs / 2;
+    });
+
+    let refreshed = 0;
+    for (const asset of due) {
+      try {
+        const ticker = await apiClient.request({
+          url: `/api/v3/ticker/price?symbol=${asset}${this.config.quote}`,
+          method: 'GET',
+          providers: ['binance', 'binanceBackup']
+        });
+        if (this.updatePrice(asset, parseFloat(ticker?.price), this.clock.now(), 'binance_ticker')) {
+          refreshed++;
+        }
+      } catch (error) {
+        this.stats.refreshFailures++;
+        this.logger?.warn('price_oracle_refresh_failed', { asset, error: error.message });
+      }
+    }
+
+    this.stats.refreshes++;
+    return refreshed;
+  }
+
+  /**
+   * Serializable state for warm restart
+   */
+  exportState() {
+    return {
+      prices: [...this.prices.entries()].map(([asset, { price, updatedAt, source }]) => [asset, { price, updatedAt, source }])
+    };
+  }
+
+  /**
+   * Restore last known prices; they keep their original timestamps, so an old one is stale
+   */
+  importState(state = {}) {
+    let restored = 0;
+    for (const [asset, entry] of state.prices || []) {
+      if (this.updatePrice(asset, entry?.price, entry?.updatedAt, entry?.source)) restored++;
+    }
+    return restored;
+  }
+
+  /**
+   * Get price oracle statistics
+   */
+  getStats(now = this.clock.now()) {
+    return {
+      ...this.stats,
+      assets: this.config.assets,
+      prices: Object.fromEntries([...this.prices.keys()].map(asset => {
+        const { price, ageMs, stale, source } = this.getPrice(asset, now);
+        return [asset, { price, ageMs, stale, source }];
+      }))
+    };
+  }
+}
@@ -0,0 +1,338 @@
+/**
+ * Phoenix v6.1 - Probabilistic Regime Model
+ *
+ * REGIME PROBABILITIES FROM RECORDED FEATURES
+ *
+ * Shadow companion to the rule-based MarketClassifier: instead of one hard
+ * regime it gives a probability for every regime (NO_REGIME included).
+ * - Emissions: Gaussian naive Bayes over the named rule features
+ *   (regime-rules.js); a feature that is missing on a sample is left out
+ * - hmm mode: a hidden Markov forward filter - the previous sample's belief
+ *   carried through the fitted regime transition matrix, so one noisy sample
+ *   does not flip the regime; the belief restarts after maxGapMs without data
+ * - naive-bayes mode: each sample judged on its own against the priors
+ *
+ * Parameters are fitted (scripts/fit-regime-model.js) on journal replays
+ * labelled with the rule-based stable regime, and loaded through
+ * REGIME_MODEL_FILE (regimeModel.file). The model only observes: its output
+ * is logged next to the rule-based verdict and never reaches strategies.
+ */
+
+import fs from 'fs';
+import { systemClock } from './clock.js';
+import { REGIME_FEATURES } from './regime-rules.js';
+
+export const MODEL_MODES = ['hmm', 'naive-bayes'];
+
+// Naive Bayes multiplies per-feature likelihoods, so correlated features
+// (dls vs pressure, momentum across windows, the volatility estimators) count
+// the same evidence several times. The default keeps one feature per signal:
+// book imbalance, 5m trend, 5m volatility, taker flow and funding.
+export const DEFAULT_MODEL_FEATURES = ['pressure', 'momentum5m', 'realizedVol5m', 'takerBuyRatio', 'fundingRate'];
+
+/**
+ * Fit priors, transitions and per-regime Gaussian emissions to samples
+ * ({features, label}) in recorded order. Transition and prior counts get
+ * additive smoothing; variances are floored at varianceFloor x the feature's
+ * overall variance so a regime seen with one value stays usable.
+ */
+export function fitRegimeModel(samples, { features = DEFAULT_MODEL_FEATURES, smoothing = 1, varianceFloor = 1e-3 } = {}) {
+  if (samples.length === 0) {
+    throw new Error('Cannot fit a regime model without samples');
+  }
+
+  const classes = [...new Set(samples.map(sample => sample.label))].sort();
+  const overall = Object.fromEntries(features.map(feature => [feature, moments(samples, feature)]));
+
+  // Features never recorded (e.g. no derivatives feed) carry no information
+  const observed = features.filter(feature => overall[feature].count > 0);
+  if (observed.length === 0) {
+    throw new Error('Cannot fit a regime model: none of the features were recorded');
+  }
+
+  const priors = {};
+  const transitions = {};
+  const emissions = {};
+
+  for (const regime of classes) {
+    const members = samples.filter(sample => sample.label === regime);
+    priors[regime] = (members.length + smoothing) / (samples.length + smoothing * classes.length);
+
+    emissions[regime] = {};
+    for (const feature of observed) {
+      const { mean, variance, count } = moments(members, feature);
+      const floor = Math.max(overall[feature].variance * varianceFloor, 1e-12);
+      emissions[regime][feature] = count === 0
+        ? { mean: overall[feature].mean, variance: Math.max(overall[feature].variance, floor), count }
+        : { mean, variance: Math.max(variance, floor), count };
+    }
+  }
+
+  for (const from of classes) {
+    const counts = Object.fromEntries(classes.map(to => [to, smoothing]));
+    for (let i = 1; i < samples.length; i++) {
+      if (samples[i - 1].label === from) counts[samples[i].label]++;
+    }
+    const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+    transitions[from] = Object.fromEntries(classes.map(to => [to, total > 0 ? counts[to] / total : 1 / classes.length]));
+  }
+
+  return { features: observed, classes, priors, transitions, emissions };
+}
+
+/**
+ * Check a model parameter object; returns 'path: message' strings (empty when valid)
+ */
+export function validateRegimeModel(params) {
+  const errors = [];
+  if (!params || typeof params !== 'object') return ['model: must be an object'];
+
+  if (!Number.isInteger(params.version) || params.version < 1) {
+    errors.push('version: must be a positive integer');
+  }
+
+  const features = Array.isArray(params.features) ? params.features : [];
+  if (features.length === 0) errors.push('features: must be a non-empty list');
+  for (const feature of features) {
+    if (!REGIME_FEATURES[feature]) errors.push(`features: unknown feature '${feature}'`);
+  }
+
+  const classes = Array.isArray(params.classes) ? params.classes : [];
+  if (classes.length === 0) errors.push('classes: must be a non-empty list');
+  if (new Set(classes).size !== classes.length) errors.push('classes: must be unique');
+
+  const sumsToOne = (row) => Math.abs(classes.reduce((sum, regime) => sum + (row?.[regime] || 0), 0) - 1) < 1e-6;
+  const isProbability = (value) => Number.isFinite(value) && value >= 0 && value <= 1;
+
+  for (const regime of classes) {
+    if (!isProbability(params.priors?.[regime])) errors.push(`priors.${regime}: must be a probability`);
+    for (const to of classes) {
+      if (!isProbability(params.transitions?.[regime]?.[to])) errors.push(`transitions.${regime}.${to}: must be a probability`);
+    }
+    if (!sumsToOne(params.transitions?.[regime])) errors.push(`transitions.${regime}: must sum to 1`);
+
+    for (const feature of features) {
+      const emission = params.emissions?.[regime]?.[feature];
+      if (!Number.isFinite(emission?.mean)) errors.push(`emissions.${regime}.${feature}.mean: must be a number`);
+      if (!(emission?.variance > 0)) errors.push(`emissions.${regime}.${feature}.variance: must be positive`);
+    }
+  }
+  if (classes.length > 0 && !sumsToOne(params.priors)) errors.push('priors: must sum to 1');
+
+  return errors;
+}
+
+/**
+ * Read and validate a fitted model file; throws listing every problem
+ */
+export function loadRegimeModel(filePath) {
+  let params;
+  try {
+    params = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Unreadable regime model file ${filePath}: ${error.message}`);
+  }
+
+  const errors = validateRegimeModel(params);
+  if (errors.length > 0) {
+    throw new Error(`Invalid regime model file ${filePath}: ${errors.join('; ')}`);
+  }
+
+  return {
+    version: params.version,
+    features: params.features,
+    classes: params.classes,
+    priors: params.priors,
+    transitions: params.transitions,
+    emissions: params.emissions
+  };
+}
+
+/**
+ * Run a fresh model over labelled samples in order: accuracy, log loss,
+ * per-regime hit rate / mean probability of the true regime, and a
+ * reliability table - every regime probability bucketed by value, with how
+ * often that regime was the label (a calibrated model matches the two)
+ */
+export function evaluateRegimeModel(params, samples, { mode = 'hmm', buckets = 10 } = {}) {
+  const model = new RegimeModel({ params, mode });
+  const byRegime = {};
+  const reliability = Array.from({ length: buckets }, (_, index) => ({
+    from: index / buckets,
+    to: (index + 1) / buckets,
+    count: 0,
+    sumProbability: 0,
+    hits: 0
+  }));
+  let correct = 0;
+  let logLoss = 0;
+
+  for (const sample of samples) {
+    const result = model.classify(sample.features, sample.timestamp);
+    const probability = result.probabilities[sample.label] ?? 0;
+
+    correct += result.regime === sample.label ? 1 : 0;
+    logLoss -= Math.log(Math.max(probability, 1e-15));
+
+    const row = byRegime[sample.label] ??= { samples: 0, correct: 0, sumProbability: 0 };
+    row.samples++;
+    row.correct += result.regime === sample.label ? 1 : 0;
+    row.sumProbability += probability;
+
+    for (const [regime, predicted] of Object.entries(result.probabilities)) {
+      const bucket = reliability[Math.min(Math.floor(predicted * buckets), buckets - 1)];
+      bucket.count++;
+      bucket.sumProbability += predicted;
+      bucket.hits += regime === sample.label ? 1 : 0;
+    }
+  }
+
+  const predictions = reliability.reduce((sum, bucket) => sum + bucket.count, 0);
+
+  return {
+    mode,
+    samples: samples.length,
+    accuracy: samples.length > 0 ? correct / samples.length : null,
+    logLoss: samples.length > 0 ? logLoss / samples.length : null,
+    byRegime: Object.fromEntries(Object.entries(byRegime).map(([regime, row]) => [regime, {
+      samples: row.samples,
+      accuracy: row.correct / row.samples,
+      meanProbability: row.sumProbability / row.samples
+    }])),
+    reliability: reliability.map(bucket => ({
+      from: bucket.from,
+      to: bucket.to,
+      count: bucket.count,
+      meanProbability: bucket.count > 0 ? bucket.sumProbability / bucket.count : null,
+      observedRate: bucket.count > 0 ? bucket.hits / bucket.count : null
+    })),
+    // Expected calibration error: count-weighted gap between the two
+    calibrationError: predictions > 0
+      ? reliability.reduce((sum, bucket) => sum + Math.abs(bucket.sumProbability - bucket.hits), 0) / predictions
+      : null
+  };
+}
+
+export default class RegimeModel {
+  constructor(config = {}) {
+    if (!config.params) {
+      throw new Error('RegimeModel: fitted params are required');
+    }
+
+    this.symbol = config.symbol || 'ETHUSDT';
+    this.logger = config.logger;
+    this.clock = config.clock || systemClock;
+    this.params = config.params;
+
+    this.config = {
+      mode: config.mode || 'hmm',
+      maxGapMs: config.maxGapMs ?? 300000
+    };
+
+    if (!MODEL_MODES.includes(this.config.mode)) {
+      throw new Error(`RegimeModel: mode must be one of ${MODEL_MODES.join(', ')}`);
+    }
+
+    // Log-probability per regime after the last sample (hmm mode)
+    this.belief = null;
+    this.lastSampleAt = null;
+
+    this.stats = {
+      samples: 0,
+      beliefResets: 0,
+      featuresMissing: 0,
+      lastRegime: null
+    };
+  }
+
+  /**
+   * Probability of every regime given this sample's features ({name: value|null})
+   */
+  classify(features, timestamp = this.clock.now()) {
+    const { classes, priors, transitions } = this.params;
+    this.stats.samples++;
+
+    const emission = this.logEmissions(features);
+    const restart = this.config.mode === 'naive-bayes' || this.belief === null ||
+      (this.lastSampleAt !== null && timestamp - this.lastSampleAt > this.config.maxGapMs);
+    if (restart && this.belief !== null && this.config.mode === 'hmm') {
+      this.stats.beliefResets++;
+    }
+
+    const logPosterior = {};
+    for (const regime of classes) {
+      const logPrior = restart
+        ? Math.log(priors[regime])
+        : logSumExp(classes.map(from => this.belief[from] + Math.log(transitions[from][regime])));
+      logPosterior[regime] = logPrior + emission[regime];
+    }
+
+    const normalizer = logSumExp(Object.values(logPosterior));
+    this.belief = Object.fromEntries(classes.map(regime => [regime, logPosterior[regime] - normalizer]));
+    this.lastSampleAt = timestamp;
+
+    const probabilities = Object.fromEntries(classes.map(regime => [regime, Math.exp(this.belief[regime])]));
+    const regime = classes.reduce((best, candidate) => probabilities[candidate] > probabilities[best] ? candidate : best);
+    this.stats.lastRegime = regime;
+
+    return { regime, probability: probabilities[regime], probabilities, mode: this.config.mode, timestamp };
+  }
+
+  /**
+   * Log-likelihood of the sample under each regime's Gaussians, skipping missing features
+   */
+  logEmissions(features) {
+    const result = Object.fromEntries(this.params.classes.map(regime => [regime, 0]));
+
+    for (const feature of this.params.features) {
+      const value = features[feature];
+      if (value === null || value === undefined) {
+        this.stats.featuresMissing++;
+        continue;
+      }
+
+      for (const regime of this.params.classes) {
+        const { mean, variance } = this.params.emissions[regime][feature];
+        result[regime] += -0.5 * (Math.log(2 * Math.PI * variance) + (value - mean) ** 2 / variance);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Forget the belief so the next sample starts from the priors
+   */
+  reset() {
+    this.belief = null;
+    this.lastSampleAt = null;
+  }
+
+  /**
+   * Get model statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      mode: this.config.mode,
+      version: this.params.version ?? null,
+      classes: this.params.classes
+    };
+  }
+}
+
+// Mean and population variance of one feature over the samples where it is present
+function moments(samples, feature) {
+  const values = samples.map(sample => sample.features[feature]).filter(value => Number.isFinite(value));
+  if (values.length === 0) return { mean: null, variance: null, count: 0 };
+
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+  return { mean, variance, count: values.length };
+}
+
+function logSumExp(values) {
+  const max = Math.max(...values);
+  if (max === -Infinity) return -Infinity;
+  return max + Math.log(values.reduce((sum, value) => sum + Math.exp(value - max), 0));
+}
@@ -0,0 +1,560 @@
+/**
+ * Phoenix v6.1 - Regime Rules
+ *
+ * DECLARATIVE REGIME DEFINITIONS
+ *
+ * Regimes are JSON data rather than classifier code, so a new regime (e.g. a
+ * short squeeze) ships as a rules file (REGIME_RULES_FILE):
+ * - Conditions compare a named feature (REGIME_FEATURES) with a value:
+ *   { "feature": "pressure", "op": ">=", "value": "cascade.pressure" };
+ *   multi-timeframe features are named metric + window, e.g. "momentum5m"
+ * - Nodes combine with { "all": [...] }, { "any": [...] } or a weighted
+ *   { "score": [{ "weight": 2, "when": node }], "atLeast": 3 }
+ * - Values, hysteresis margins and the confidence formula are expressions
+ *   over features, classifier thresholds (dotted paths such as
+ *   "coil.momentumMax", hot-reloaded), dlsThreshold (derivatives-adjusted)
+ *   and min / max / abs / clamp
+ * - A condition's hysteresis margin loosens it while its regime is active
+ * - Regimes are checked in file order; the first match wins
+ *
+ * Every rule is validated when it is loaded; an invalid file is rejected as
+ * a whole.
+ */
+
+import fs from 'fs';
+import { CONFIG_SCHEMA } from '../config.js';
+import { TIMEFRAME_FEATURES } from './multi-timeframe-features.js';
+
+// Named features rules can reference, read from classifier market data
+export const REGIME_FEATURES = {
+  price: (marketData) => marketData.price,
+  pressure: (marketData) => marketData.pressure,
+  dls: (marketData) => marketData.dlsScore,
+  dlsPercentile: (marketData) => marketData.dlsPercentile,
+  momentum: (marketData) => marketData.momentum,
+  fundingRate: (marketData) => marketData.derivatives?.fundingRate,
+  oiChange: (marketData) => marketData.derivatives?.oiChangeRate,
+  // USD value of whale transactions inside the classifier's whale-flow window
+  whaleFlow: (marketData, context) => context.whaleFlowUSD,
+  takerBuyRatio: (marketData) => marketData.tradeFlow?.takerBuyRatio,
+  volumeDelta: (marketData) => marketData.tradeFlow?.volumeDelta,
+  micropriceOffsetBps: (marketData) => marketData.orderBookFeatures?.micropriceOffsetBps,
+  // 5m momentum, or the ticker momentum while there is none (timeframes
+  // disabled, or the series has not covered 5 minutes since a cold start)
+  trendMomentum: (marketData) => marketData.timeframes?.momentum5m ?? marketData.momentum,
+  // momentum1m ... atr1h from the multi-timeframe feature engine
+  ...Object.fromEntries(TIMEFRAME_FEATURES.map(name => [name, (marketData) => marketData.timeframes?.[name]]))
+};
+
+export const CONDITION_OPERATORS = ['>', '>=', '<', '<=', 'between'];
+
+// Function name -> [min args, max args]
+const FUNCTIONS = {
+  min: [1, Infinity],
+  max: [1, Infinity],
+  abs: [1, 1],
+  clamp: [3, 3]
+};
+
+// Classifier threshold paths rules may reference, e.g. 'cascade.pressure'
+const THRESHOLD_PREFIX = 'thresholds.classifier.';
+export const THRESHOLD_PATHS = Object.keys(CONFIG_SCHEMA)
+  .filter(path => path.startsWith(THRESHOLD_PREFIX))
+  .map(path => path.slice(THRESHOLD_PREFIX.length));
+
+// Same tolerance the classifier has always used for >= and <=
+const EPSILON = 1e-10;
+
+/**
+ * The CASCADE, COIL and SHAKEOUT regimes as rules. Momentum conditions read
+ * trendMomentum: 5-minute momentum - the 24h ticker change barely moves
+ * between 30-second samples - falling back to the ticker momentum until the
+ * price series covers 5 minutes or when timeframes are disabled.
+ */
+export const DEFAULT_REGIME_RULES = {
+  version: 1,
+  regimes: [
+    {
+      name: 'CASCADE_HUNTER',
+      label: 'CASCADE',
+      description: 'Distribution: ask-heavy book with negative momentum',
+      when: {
+        all: [
+          { feature: 'pressure', op: '>=', value: 'cascade.pressure', hysteresis: 'hysteresis.pressure', label: 'Pressure' },
+          { feature: 'dls', op: '>=', value: 'dlsThreshold', hysteresis: 'hysteresis.liquidity', label: 'Liquidity' },
+          { feature: 'trendMomentum', op: '<=', value: 'cascade.momentum', hysteresis: 'hysteresis.momentum', label: 'Momentum' }
+        ]
+      },
+      confidence: 'min(100, (1 + pressure - cascade.pressure) * 30 + dls / 100 * 40 + abs(trendMomentum) / abs(cascade.momentum) * 30)'
+    },
+    {
+      name: 'COIL_WATCHER',
+      label: 'COIL',
+      description: 'Accumulation: balanced or bid-heavy deep book with flat momentum',
+      when: {
+        all: [
+          { feature: 'pressure', op: '<=', value: 'coil.pressure', hysteresis: 'hysteresis.pressure', label: 'Pressure' },
+          { feature: 'dls', op: '>=', value: 85, hysteresis: 'hysteresis.liquidity', label: 'Liquidity' },
+          { feature: 'trendMomentum', op: 'between', value: ['coil.momentumMin', 'coil.momentumMax'], hysteresis: 'hysteresis.momentum', label: 'Momentum' }
+        ]
+      },
+      confidence: 'min(100, (coil.pressure - pressure) * 40 + dls / 100 * 40 + (1 - abs(trendMomentum) / 0.1) * 20)'
+    },
+    {
+      name: 'SHAKEOUT_DETECTOR',
+      label: 'SHAKEOUT',
+      description: 'Stop hunt: momentum flush without sell pressure',
+      when: {
+        all: [
+          { feature: 'pressure', op: '<=', value: 'shakeout.pressure', hysteresis: 'hysteresis.pressure', label: 'Pressure' },
+          { feature: 'dls', op: '>=', value: 80, hysteresis: 'hysteresis.liquidity', label: 'Liquidity' },
+          { feature: 'trendMomentum', op: '<=', value: 'shakeout.momentum', hysteresis: 'hysteresis.momentum', label: 'Momentum' }
+        ]
+      },
+      confidence: 'min(100, (1 + shakeout.pressure - pressure) * 30 + dls / 100 * 40 + abs(trendMomentum) / abs(shakeout.momentum) * 30)'
+    }
+  ]
+};
+
+/**
+ * Every problem with a rules definition, as 'path: message' strings
+ */
+export function validateRegimeRules(definition) {
+  const errors = [];
+
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    return ['rules must be an object with a regimes array'];
+  }
+  if (definition.version !== undefined && !(Number.isInteger(definition.version) && definition.version >= 1)) {
+    errors.push('version: must be an integer >= 1');
+  }
+  if (!Array.isArray(definition.regimes) || definition.regimes.length === 0) {
+    errors.push('regimes: must be a non-empty array');
+    return errors;
+  }
+
+  const names = new Set();
+  definition.regimes.forEach((regime, index) => {
+    const path = `regimes[${index}]`;
+
+    if (!regime || typeof regime !== 'object') {
+      errors.push(`${path}: must be an object`);
+      return;
+    }
+    if (typeof regime.name !== 'string' || !/^[A-Z][A-Z0-9_]*$/.test(regime.name)) {
+      errors.push(`${path}.name: must be an UPPER_SNAKE_CASE string`);
+    } else if (regime.name === 'NO_REGIME' || names.has(regime.name)) {
+      errors.push(`${path}.name: ${regime.name} is reserved or already defined`);
+    } else {
+      names.add(regime.name);
+    }
+    if (regime.label !== undefined && typeof regime.label !== 'string') {
+      errors.push(`${path}.label: must be a string`);
+    }
+
+    validateNode(regime.when, `${path}.when`, errors);
+    validateExpression(regime.confidence, `${path}.confidence`, errors);
+  });
+
+  return errors;
+}
+
+/**
+ * Read and validate a JSON rules file; throws listing every problem
+ */
+export function loadRegimeRules(filePath) {
+  let definition;
+  try {
+    definition = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Unreadable regime rules file ${filePath}: ${error.message}`);
+  }
+
+  const errors = validateRegimeRules(definition);
+  if (errors.length > 0) {
+    throw new Error(`Invalid regime rules file ${filePath}: ${errors.join('; ')}`);
+  }
+
+  return definition;
+}
+
+/**
+ * Compile a definition into evaluable regimes; throws if it does not validate
+ */
+export function compileRegimeRules(definition) {
+  const errors = validateRegimeRules(definition);
+  if (errors.length > 0) {
+    throw new Error(`Invalid regime rules: ${errors.join('; ')}`);
+  }
+
+  return definition.regimes.map(regime => ({
+    name: regime.name,
+    label: regime.label || regime.name,
+    description: regime.description || null,
+    when: compileNode(regime.when),
+    confidence: parseExpression(regime.confidence)
+  }));
+}
+
+/**
+ * Feature values for one market data sample; missing values are null
+ */
+export function extractFeatures(marketData, context = {}) {
+  const features = {};
+  for (const [name, extract] of Object.entries(REGIME_FEATURES)) {
+    const value = extract(marketData, context);
+    features[name] = Number.isFinite(value) ? value : null;
+  }
+  return features;
+}
+
+/**
+ * Evaluate a compiled regime's conditions. `scope` holds features,
+ * thresholds and dlsThreshold; with `exit` set, hysteresis margins apply.
+ * Returns { isValid, failures, details } - details has one entry per condition,
+ * with `miss` the distance from its value to the threshold (0 when it passes).
+ */
+export function evaluateRegime(regime, scope, { exit = false } = {}) {
+  const details = [];
+  const result = evaluateNode(regime.when, scope, exit, details);
+  return { isValid: result.pass, failures: result.failures, details };
+}
+
+/**
+ * Confidence formula for a compiled regime, clamped to 0..100 (0 if a feature is missing)
+ */
+export function scoreConfidence(regime, scope) {
+  const value = evaluateExpression(regime.confidence, scope);
+  return value === null || Number.isNaN(value) ? 0 : Math.max(0, Math.min(100, value));
+}
+
+function validateNode(node, path, errors) {
+  if (!node || typeof node !== 'object' || Array.isArray(node)) {
+    errors.push(`${path}: must be a condition object`);
+    return;
+  }
+
+  const kinds = ['all', 'any', 'score', 'feature'].filter(kind => node[kind] !== undefined);
+  if (kinds.length !== 1) {
+    errors.push(`${path}: must have exactly one of all, any, score or feature`);
+    return;
+  }
+
+  switch (kinds[0]) {
+    case 'all':
+    case 'any': {
+      const children = node[kinds[0]];
+      if (!Array.isArray(children) || children.length === 0) {
+        errors.push(`${path}.${kinds[0]}: must be a non-empty array`);
+        return;
+      }
+      children.forEach((child, index) => validateNode(child, `${path}.${kinds[0]}[${index}]`, errors));
+      return;
+    }
+
+    case 'score':
+      if (!Array.isArray(node.score) || node.score.length === 0) {
+        errors.push(`${path}.score: must be a non-empty array`);
+        return;
+      }
+      node.score.forEach((term, index) => {
+        if (!(typeof term?.weight === 'number' && term.weight > 0)) {
+          errors.push(`${path}.score[${index}].weight: must be a positive number`);
+        }
+        validateNode(term?.when, `${path}.score[${index}].when`, errors);
+      });
+      validateExpression(node.atLeast, `${path}.atLeast`, errors);
+      return;
+
+    default:
+      if (!Object.hasOwn(REGIME_FEATURES, node.feature)) {
+        errors.push(`${path}.feature: unknown feature ${JSON.stringify(node.feature)} (known: ${Object.keys(REGIME_FEATURES).join(', ')})`);
+      }
+      if (!CONDITION_OPERATORS.includes(node.op)) {
+        errors.push(`${path}.op: must be one of ${CONDITION_OPERATORS.join(', ')}`);
+      } else if (node.op === 'between') {
+        if (!Array.isArray(node.value) || node.value.length !== 2) {
+          errors.push(`${path}.value: between needs [min, max]`);
+        } else {
+          node.value.forEach((bound, index) => validateExpression(bound, `${path}.value[${index}]`, errors));
+        }
+      } else {
+        validateExpression(node.value, `${path}.value`, errors);
+      }
+      if (node.hysteresis !== undefined) {
+        validateExpression(node.hysteresis, `${path}.hysteresis`, errors);
+        if (typeof node.hysteresis === 'number' && node.hysteresis < 0) {
+          errors.push(`${path}.hysteresis: must not be negative`);
+        }
+      }
+      if (node.label !== undefined && typeof node.label !== 'string') {
+        errors.push(`${path}.label: must be a string`);
+      }
+  }
+}
+
+function validateExpression(source, path, errors) {
+  if (typeof source === 'number') {
+    if (!Number.isFinite(source)) errors.push(`${path}: must be a finite number`);
+    return;
+  }
+  if (typeof source !== 'string') {
+    errors.push(`${path}: must be a number or an expression string`);
+    return;
+  }
+
+  let ast;
+  try {
+    ast = parseExpression(source);
+  } catch (error) {
+    errors.push(`${path}: ${error.message}`);
+    return;
+  }
+
+  for (const name of collectIdentifiers(ast)) {
+    if (!Object.hasOwn(REGIME_FEATURES, name) && name !== 'dlsThreshold' && !THRESHOLD_PATHS.includes(name)) {
+      errors.push(`${path}: unknown identifier ${name}`);
+    }
+  }
+}
+
+function compileNode(node) {
+  if (node.all) return { type: 'all', children: node.all.map(compileNode) };
+  if (node.any) return { type: 'any', children: node.any.map(compileNode) };
+  if (node.score) {
+    return {
+      type: 'score',
+      terms: node.score.map(term => ({ weight: term.weight, when: compileNode(term.when) })),
+      atLeast: parseExpression(node.atLeast),
+      label: node.label || 'Score'
+    };
+  }
+
+  const bounds = node.op === 'between' ? node.value : [node.value];
+  return {
+    type: 'condition',
+    feature: node.feature,
+    op: node.op,
+    bounds: bounds.map(parseExpression),
+    hysteresis: node.hysteresis === undefined ? null : parseExpression(node.hysteresis),
+    label: node.label || node.feature
+  };
+}
+
+function evaluateNode(node, scope, exit, details) {
+  switch (node.type) {
+    case 'all': {
+      const results = node.children.map(child => evaluateNode(child, scope, exit, details));
+      return { pass: results.every(result => result.pass), failures: results.flatMap(result => result.failures) };
+    }
+
+    case 'any': {
+      const results = node.children.map(child => evaluateNode(child, scope, exit, details));
+      const pass = results.some(result => result.pass);
+      return { pass, failures: pass ? [] : results.flatMap(result => result.failures) };
+    }
+
+    case 'score': {
+      const score = node.terms.reduce((sum, term) =>
+        sum + (evaluateNode(term.when, scope, exit, details).pass ? term.weight : 0), 0);
+      const atLeast = evaluateExpression(node.atLeast, scope);
+      const pass = atLeast !== null && score >= atLeast;
+      return { pass, failures: pass ? [] : [node.label] };
+    }
+
+    default: {
+      const value = scope.features[node.feature];
+      const slack = exit && node.hysteresis ? evaluateExpression(node.hysteresis, scope) ?? 0 : 0;
+      const bounds = node.bounds.map(bound => evaluateExpression(bound, scope));
+      const threshold = loosen(node.op, bounds, slack);
+      const pass = value !== null && threshold.every(bound => bound !== null) && compare(node.op, value, threshold);
+
+      details.push({
+        label: node.label,
+        feature: node.feature,
+        op: node.op,
+        value,
+        threshold: node.op === 'between' ? threshold : threshold[0],
+        pass,
+        miss: pass ? 0 : missDistance(node.op, value, threshold)
+      });
+      return { pass, failures: pass ? [] : [node.label] };
+    }
+  }
+}
+
+// Widen a condition's bounds by its hysteresis margin
+function loosen(op, bounds, slack) {
+  if (slack === 0) return bounds;
+  const shift = (bound, delta) => bound === null ? null : bound + delta;
+
+  switch (op) {
+    case '>':
+    case '>=':
+      return [shift(bounds[0], -slack)];
+    case '<':
+    case '<=':
+      return [shift(bounds[0], slack)];
+    default:
+      return [shift(bounds[0], -slack), shift(bounds[1], slack)];
+  }
+}
+
+// How far a failing value is from its threshold; null when either is missing
+function missDistance(op, value, [first, second]) {
+  if (value === null || first === null || (op === 'between' && second === null)) return null;
+
+  switch (op) {
+    case '>':
+    case '>=':
+      return Math.max(0, first - value);
+    case '<':
+    case '<=':
+      return Math.max(0, value - first);
+    default:
+      return value < first ? first - value : Math.max(0, value - second);
+  }
+}
+
+function compare(op, value, [first, second]) {
+  switch (op) {
+    case '>': return value > first;
+    case '>=': return value > first || Math.abs(value - first) < EPSILON;
+    case '<': return value < first;
+    case '<=': return value < first || Math.abs(value - first) < EPSILON;
+    default: return value >= first && value <= second;
+  }
+}
+
+// Expressions: numbers, identifiers (features, dotted threshold paths,
+// dlsThreshold), + - * /, unary minus, parentheses and FUNCTIONS
+function parseExpression(source) {
+  if (typeof source === 'number') return { type: 'number', value: source };
+
+  const tokens = source.match(/\s*(\d+\.?\d*(?:e[+-]?\d+)?|\.\d+|[A-Za-z_][A-Za-z0-9_]*(?:\.[A-Za-z_][A-Za-z0-9_]*)*|[-+*/(),]|\S)/gi)
+    ?.map(token => token.trim()) || [];
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const expect = (token) => {
+    if (tokens[position] !== token) {
+      throw new Error(`expected '${token}' but found ${tokens[position] === undefined ? 'end of expression' : `'${tokens[position]}'`}`);
+    }
+    position++;
+  };
+
+  const parseSum = () => {
+    let node = parseProduct();
+    while (peek() === '+' || peek() === '-') {
+      const op = tokens[position++];
+      node = { type: 'binary', op, left: node, right: parseProduct() };
+    }
+    return node;
+  };
+
+  const parseProduct = () => {
+    let node = parseUnary();
+    while (peek() === '*' || peek() === '/') {
+      const op = tokens[position++];
+      node = { type: 'binary', op, left: node, right: parseUnary() };
+    }
+    return node;
+  };
+
+  const parseUnary = () => {
+    if (peek() === '-') {
+      position++;
+      return { type: 'negate', operand: parseUnary() };
+    }
+    return parsePrimary();
+  };
+
+  const parsePrimary = () => {
+    const token = tokens[position++];
+    if (token === undefined) throw new Error('unexpected end of expression');
+
+    if (token === '(') {
+      const node = parseSum();
+      expect(')');
+      return node;
+    }
+    if (/^(\d|\.\d)/.test(token)) {
+      return { type: 'number', value: parseFloat(token) };
+    }
+    if (/^[A-Za-z_]/.test(token)) {
+      if (peek() !== '(') return { type: 'identifier', name: token };
+
+      const arity = FUNCTIONS[token];
+      if (!arity) throw new Error(`unknown function ${token}`);
+      position++;
+      const args = [parseSum()];
+      while (peek() === ',') {
+        position++;
+        args.push(parseSum());
+      }
+      expect(')');
+      if (args.length < arity[0] || args.length > arity[1]) {
+        throw new Error(`${token} takes ${arity[0] === arity[1] ? arity[0] : `at least ${arity[0]}`} argument(s)`);
+      }
+      return { type: 'call', name: token, args };
+    }
+    throw new Error(`unexpected '${token}'`);
+  };
+
+  const ast = parseSum();
+  if (position < tokens.length) throw new Error(`unexpected '${tokens[position]}'`);
+  return ast;
+}
+
+function collectIdentifiers(node, names = new Set()) {
+  switch (node.type) {
+    case 'identifier': names.add(node.name); break;
+    case 'negate': collectIdentifiers(node.operand, names); break;
+    case 'binary': collectIdentifiers(node.left, names); collectIdentifiers(node.right, names); break;
+    case 'call': node.args.forEach(arg => collectIdentifiers(arg, names)); break;
+  }
+  return names;
+}
+
+// Missing features propagate as null
+function evaluateExpression(node, scope) {
+  switch (node.type) {
+    case 'number':
+      return node.value;
+
+    case 'identifier': {
+      if (Object.hasOwn(scope.features, node.name)) return scope.features[node.name];
+      if (node.name === 'dlsThreshold') return scope.dlsThreshold ?? null;
+      const value = node.name.split('.').reduce((object, key) => object?.[key], scope.thresholds);
+      return typeof value === 'number' ? value : null;
+    }
+
+    case 'negate': {
+      const value = evaluateExpression(node.operand, scope);
+      return value === null ? null : -value;
+    }
+
+    case 'binary': {
+      const left = evaluateExpression(node.left, scope);
+      const right = evaluateExpression(node.right, scope);
+      if (left === null || right === null) return null;
+      switch (node.op) {
+        case '+': return left + right;
+        case '-': return left - right;
+        case '*': return left * right;
+        default: return left / right;
+      }
+    }
+
+    default: {
+      const args = node.args.map(arg => evaluateExpression(arg, scope));
+      if (args.includes(null)) return null;
+      switch (node.name) {
+        case 'min': return Math.min(...args);
+        case 'max': return Math.max(...args);
+        case 'abs': return Math.abs(args[0]);
+        default: return Math.min(Math.max(args[0], args[1]), args[2]);
+      }
+    }
+  }
+}
@@ -0,0 +1,196 @@
+/**
+ * Phoenix v6.1 - Regime State Machine
+ *
+ * STABLE REGIMES FROM PER-SAMPLE CLASSIFICATIONS
+ *
+ * MarketClassifier judges every sample on its own; this turns those verdicts
+ * into regimes that persist long enough to act on:
+ * - Entry dwell: a regime's entry conditions must hold on consecutive
+ *   samples for entryDwellMs before it becomes active
+ * - Hysteresis: an active regime is held while its (looser) exit conditions
+ *   hold, even when the entry conditions no longer do
+ * - Minimum dwell: an active regime is not exited before minDwellMs
+ * - Every ENTERED / EXITED transition is kept in a bounded, queryable history
+ *
+ * The classifier evaluates the conditions and emits REGIME_ENTERED and
+ * REGIME_EXITED; this module only holds the state.
+ */
+
+export const NO_REGIME = 'NO_REGIME';
+
+export default class RegimeStateMachine {
+  constructor(config = {}) {
+    this.symbol = config.symbol || 'ETHUSDT';
+    this.logger = config.logger;
+
+    this.config = {
+      entryDwellMs: config.entryDwellMs ?? 30000,
+      minDwellMs: config.minDwellMs ?? 120000,
+      maxHistorySize: config.maxHistorySize || 500
+    };
+
+    this.regime = NO_REGIME;
+    this.enteredAt = null;
+
+    // Regime whose entry conditions held on every sample since `since`
+    this.candidate = null;
+
+    this.history = [];
+
+    this.stats = {
+      samples: 0,
+      entries: 0,
+      exits: 0,
+      heldByHysteresis: 0,
+      heldByMinDwell: 0
+    };
+  }
+
+  /**
+   * Advance on one sample. `detected` is the regime whose entry conditions
+   * hold (NO_REGIME when none), `holding` whether the active regime's exit
+   * conditions still hold. Returns the transitions this sample caused.
+   */
+  update({ detected, holding, timestamp, inputs = null }) {
+    const transitions = [];
+    this.stats.samples++;
+
+    if (this.regime !== NO_REGIME) {
+      if (!holding) {
+        if (timestamp - this.enteredAt >= this.config.minDwellMs) {
+          transitions.push(this.exit(timestamp, inputs));
+        } else {
+          this.stats.heldByMinDwell++;
+        }
+      } else if (detected !== this.regime) {
+        this.stats.heldByHysteresis++;
+      }
+    }
+
+    if (detected === NO_REGIME || detected === this.regime) {
+      this.candidate = null;
+    } else if (this.candidate?.regime !== detected) {
+      this.candidate = { regime: detected, since: timestamp };
+    }
+
+    if (this.regime === NO_REGIME && this.candidate && timestamp - this.candidate.since >= this.config.entryDwellMs) {
+      transitions.push(this.enter(timestamp, inputs));
+    }
+
+    return transitions;
+  }
+
+  /**
+   * Activate the confirmed candidate
+   */
+  enter(timestamp, inputs) {
+    const transition = {
+      type: 'ENTERED',
+      symbol: this.symbol,
+      regime: this.candidate.regime,
+      previousRegime: this.regime,
+      timestamp,
+      confirmedAfterMs: timestamp - this.candidate.since,
+      inputs
+    };
+
+    this.regime = this.candidate.regime;
+    this.enteredAt = timestamp;
+    this.candidate = null;
+    this.stats.entries++;
+
+    this.logger?.info('regime_entered', transition);
+    return this.record(transition);
+  }
+
+  /**
+   * Leave the active regime once its exit conditions fail
+   */
+  exit(timestamp, inputs) {
+    const transition = {
+      type: 'EXITED',
+      symbol: this.symbol,
+      regime: this.regime,
+      timestamp,
+      enteredAt: this.enteredAt,
+      durationMs: timestamp - this.enteredAt,
+      inputs
+    };
+
+    this.regime = NO_REGIME;
+    this.enteredAt = null;
+    this.stats.exits++;
+
+    this.logger?.info('regime_exited', transition);
+    return this.record(transition);
+  }
+
+  record(transition) {
+    this.history.push(transition);
+    if (this.history.length > this.config.maxHistorySize) {
+      this.history.shift();
+    }
+    return transition;
+  }
+
+  /**
+   * Active regime, how long it has been held and any pending candidate
+   */
+  getState(now) {
+    return {
+      regime: this.regime,
+      enteredAt: this.enteredAt,
+      dwellMs: this.enteredAt === null ? null : now - this.enteredAt,
+      candidate: this.candidate ? { ...this.candidate } : null
+    };
+  }
+
+  /**
+   * Transitions oldest first, optionally filtered by regime, type and time
+   * range and limited to the most recent `limit`
+   */
+  getHistory({ regime = null, type = null, since = null, until = null, limit = null } = {}) {
+    const matches = this.history.filter(transition =>
+      (regime === null || transition.regime === regime) &&
+      (type === null || transition.type === type) &&
+      (since === null || transition.timestamp >= since) &&
+      (until === null || transition.timestamp <= until));
+
+    return limit === null ? matches : matches.slice(-limit);
+  }
+
+  /**
+   * Serializable state for warm restart
+   */
+  exportState() {
+    return {
+      regime: this.regime,
+      enteredAt: this.enteredAt,
+      candidate: this.candidate,
+      history: this.history
+    };
+  }
+
+  /**
+   * Restore the active regime and transition history
+   */
+  importState(state = {}) {
+    const active = state.regime && state.regime !== NO_REGIME && Number.isFinite(state.enteredAt);
+    this.regime = active ? state.regime : NO_REGIME;
+    this.enteredAt = active ? state.enteredAt : null;
+    this.candidate = state.candidate || null;
+    this.history = (state.history || []).slice(-this.config.maxHistorySize);
+  }
+
+  /**
+   * Get state machine statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      regime: this.regime,
+      enteredAt: this.enteredAt,
+      transitions: this.history.length
+    };
+  }
+}
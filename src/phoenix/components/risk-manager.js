@@ -0,0 +1,300 @@
+/**
+ * Phoenix v6.1 - Portfolio Risk Manager
+ *
+ * PRE-TRADE LIMITS AND KILL SWITCH
+ *
+ * Sits in front of every order path and enforces portfolio limits:
+ * - Maximum position size per symbol (MAX_POSITION_SIZE)
+ * - Maximum stop distance per order (DEFAULT_STOP_LOSS)
+ * - Maximum gross exposure across all symbols
+ * - Cooldown after a stop-out (COOLDOWN_MINUTES)
+ * - Daily loss limit and consecutive loss limit trip the kill switch,
+ *   which halts all new entries until an operator resumes trading
+ */
+
+import { EventEmitter } from 'events';
+import { MAX_POSITION_SIZE, DEFAULT_STOP_LOSS, COOLDOWN_MINUTES } from '../../utils/index.js';
+import { systemClock } from './clock.js';
+
+export default class RiskManager extends EventEmitter {
+  constructor(config = {}) {
+    super();
+
+    this.logger = config.logger;
+    this.clock = config.clock || systemClock;
+
+    this.config = {
+      maxPositionSizeUSD: config.maxPositionSizeUSD ?? MAX_POSITION_SIZE,     // Per symbol notional
+      maxGrossExposureUSD: config.maxGrossExposureUSD ?? MAX_POSITION_SIZE * 3,
+      maxStopLossPercent: config.maxStopLossPercent ?? DEFAULT_STOP_LOSS,
+      dailyLossLimitUSD: config.dailyLossLimitUSD ?? MAX_POSITION_SIZE * 0.1,
+      maxConsecutiveLosses: config.maxConsecutiveLosses ?? 3,
+      stopOutCooldownMs: config.stopOutCooldownMs ?? COOLDOWN_MINUTES * 60 * 1000
+    };
+
+    // Open exposure by position id
+    this.openPositions = new Map();
+    this.cooldowns = new Map();   // symbol -> cooldown expiry
+    this.dailyPnL = 0;
+    this.tradingDay = null;
+    this.consecutiveLosses = 0;
+    this.halt = null;
+
+    this.stats = {
+      ordersChecked: 0,
+      ordersApproved: 0,
+      ordersRejected: 0,
+      stopOuts: 0,
+      haltsTriggered: 0,
+      startTime: this.clock.now()
+    };
+
+    this.logger?.info('risk_manager_init', this.config);
+  }
+
+  /**
+   * Pre-trade check for a new entry order
+   */
+  checkOrder(order) {
+    this.stats.ordersChecked++;
+
+    const { symbol, notionalUSD, stopLossPercent } = order;
+    const now = order.timestamp || this.clock.now();
+
+    if (this.halt) {
+      return this.rejectOrder(order, `Kill switch active: ${this.halt.reason}`);
+    }
+
+    const cooldownUntil = this.cooldowns.get(symbol);
+    if (cooldownUntil && now < cooldownUntil) {
+      return this.rejectOrder(order, `Stop-out cooldown until ${new Date(cooldownUntil).toISOString()}`);
+    }
+
+    if (stopLossPercent === undefined || stopLossPercent > this.config.maxStopLossPercent) {
+      return this.rejectOrder(order, `Stop loss ${stopLossPercent}% exceeds ${this.config.maxStopLossPercent}% limit`);
+    }
+
+    const symbolExposure = this.getSymbolExposure(symbol);
+    if (symbolExposure + notionalUSD > this.config.maxPositionSizeUSD) {
+      return this.rejectOrder(order, `Position size $${(symbolExposure + notionalUSD).toFixed(2)} exceeds $${this.config.maxPositionSizeUSD} per symbol`);
+    }
+
+    const grossExposure = this.getGrossExposure();
+    if (grossExposure + notionalUSD > this.config.maxGrossExposureUSD) {
+      return this.rejectOrder(order, `Gross exposure $${(grossExposure + notionalUSD).toFixed(2)} exceeds $${this.config.maxGrossExposureUSD}`);
+    }
+
+    this.stats.ordersApproved++;
+    return { approved: true, reason: 'Within risk limits' };
+  }
+
+  /**
+   * Record a rejected order
+   */
+  rejectOrder(order, reason) {
+    this.stats.ordersRejected++;
+
+    this.logger?.warn('risk_order_rejected', {
+      symbol: order.symbol,
+      direction: order.direction,
+      notionalUSD: order.notionalUSD,
+      source: order.source,
+      reason
+    });
+
+    return { approved: false, reason };
+  }
+
+  /**
+   * Track exposure of a newly opened position
+   */
+  recordPositionOpened(position) {
+    this.openPositions.set(position.id, {
+      symbol: position.symbol,
+      notional: position.notional
+    });
+  }
+
+  /**
+   * Update loss counters from a closed trade and trip the kill switch on breach
+   */
+  recordPositionClosed(trade) {
+    this.openPositions.delete(trade.id);
+
+    const closeTime = trade.closeTime || this.clock.now();
+    this.rollTradingDay(closeTime);
+
+    this.dailyPnL += trade.realizedPnL;
+    this.consecutiveLosses = trade.realizedPnL < 0 ? this.consecutiveLosses + 1 : 0;
+
+    if (trade.closeReason === 'STOP_LOSS') {
+      this.stats.stopOuts++;
+      this.cooldowns.set(trade.symbol, closeTime + this.config.stopOutCooldownMs);
+    }
+
+    if (this.dailyPnL <= -this.config.dailyLossLimitUSD) {
+      this.triggerHalt('DAILY_LOSS_LIMIT', {
+        dailyPnL: this.dailyPnL,
+        limit: this.config.dailyLossLimitUSD
+      }, closeTime);
+    } else if (this.consecutiveLosses >= this.config.maxConsecutiveLosses) {
+      this.triggerHalt('CONSECUTIVE_LOSSES', {
+        consecutiveLosses: this.consecutiveLosses,
+        limit: this.config.maxConsecutiveLosses
+      }, closeTime);
+    }
+  }
+
+  /**
+   * Reset the daily PnL counter when the UTC day changes
+   */
+  rollTradingDay(timestamp) {
+    const day = new Date(timestamp).toISOString().slice(0, 10);
+    if (day !== this.tradingDay) {
+      this.tradingDay = day;
+      this.dailyPnL = 0;
+    }
+  }
+
+  /**
+   * Trip the kill switch - halts all new entries until resume()
+   */
+  triggerHalt(reason, details = {}, timestamp = this.clock.now()) {
+    if (this.halt) return this.halt;
+
+    this.halt = { reason, details, haltedAt: timestamp };
+    this.stats.haltsTriggered++;
+
+    this.logger?.error('risk_kill_switch', { reason, ...details, haltedAt: timestamp });
+    this.emit('KILL_SWITCH', this.halt);
+
+    return this.halt;
+  }
+
+  /**
+   * Clear the kill switch after operator review
+   */
+  resume(operator = 'manual') {
+    if (!this.halt) return false;
+
+    this.logger?.warn('risk_trading_resumed', {
+      operator,
+      previousReason: this.halt.reason,
+      haltedAt: this.halt.haltedAt
+    });
+
+    this.halt = null;
+    this.consecutiveLosses = 0;
+    this.emit('RESUMED', { operator, timestamp: this.clock.now() });
+
+    return true;
+  }
+
+  /**
+   * Whether the kill switch is active
+   */
+  isHalted() {
+    return this.halt !== null;
+  }
+
+  /**
+   * Open notional for one symbol
+   */
+  getSymbolExposure(symbol) {
+    let exposure = 0;
+    for (const position of this.openPositions.values()) {
+      if (position.symbol === symbol) exposure += position.notional;
+    }
+    return exposure;
+  }
+
+  /**
+   * Open notional across all symbols
+   */
+  getGrossExposure() {
+    let exposure = 0;
+    for (const position of this.openPositions.values()) {
+      exposure += position.notional;
+    }
+    return exposure;
+  }
+
+  /**
+   * Serializable state for warm restart - a redeploy must not clear the kill switch
+   */
+  exportState() {
+    return {
+      halt: this.halt,
+      dailyPnL: this.dailyPnL,
+      tradingDay: this.tradingDay,
+      consecutiveLosses: this.consecutiveLosses,
+      cooldowns: [...this.cooldowns.entries()]
+    };
+  }
+
+  /**
+   * Restore loss counters, cooldowns and any active halt
+   */
+  importState(state = {}, now = this.clock.now()) {
+    this.halt = state.halt || null;
+    this.consecutiveLosses = state.consecutiveLosses || 0;
+
+    // Daily PnL only carries over within the same UTC day
+    this.tradingDay = state.tradingDay || null;
+    this.dailyPnL = state.dailyPnL || 0;
+    this.rollTradingDay(now);
+
+    for (const [symbol, until] of state.cooldowns || []) {
+      if (until > now) this.cooldowns.set(symbol, until);
+    }
+
+    this.logger?.info('risk_state_restored', {
+      halted: this.isHalted(),
+      haltReason: this.halt?.reason || null,
+      dailyPnL: this.dailyPnL,
+      consecutiveLosses: this.consecutiveLosses
+    });
+  }
+
+  /**
+   * Current risk state for /status
+   */
+  getStatus() {
+    const now = this.clock.now();
+    const exposureBySymbol = {};
+    for (const position of this.openPositions.values()) {
+      exposureBySymbol[position.symbol] = (exposureBySymbol[position.symbol] || 0) + position.notional;
+    }
+
+    const cooldowns = {};
+    for (const [symbol, until] of this.cooldowns) {
+      if (until > now) cooldowns[symbol] = new Date(until).toISOString();
+    }
+
+    return {
+      halted: this.isHalted(),
+      haltReason: this.halt?.reason || null,
+      haltDetails: this.halt?.details || null,
+      haltedAt: this.halt ? new Date(this.halt.haltedAt).toISOString() : null,
+      dailyPnL: this.dailyPnL,
+      tradingDay: this.tradingDay,
+      consecutiveLosses: this.consecutiveLosses,
+      grossExposure: this.getGrossExposure(),
+      exposureBySymbol,
+      cooldowns,
+      limits: this.config
+    };
+  }
+
+  /**
+   * Get risk manager statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      uptime: Math.floor((this.clock.now() - this.stats.startTime) / 1000),
+      halted: this.isHalted(),
+      openPositions: this.openPositions.size
+    };
+  }
+}
@@ -0,0 +1,339 @@
+/**
+ * Phoenix v6.1 - Spoofing Detector
+ *
+ * ORDER-WALL TRACKING AND SPOOFING EPISODES
+ *
+ * Successor to the legacy v5 ManipulationDetector (findLargeWalls /
+ * isSpoofingActive), run on consecutive order-book states:
+ * - Walls: levels near mid holding wallMultiple x the side's median level size
+ * - Each wall tracked by price level - lifetime, peak size, how far price
+ *   approached it and how it ended (cancelled vs filled, abrupt vs gradual)
+ * - Short-lived walls cancelled before they trade count as spoof pulls
+ * - episodePulls spoof pulls inside episodeWindowMs open a spoofing episode;
+ *   it closes after episodeCooldownMs without another pull
+ *
+ * While an episode is active getAssessment() returns the weight liquidity-
+ * based signals are scaled by (0 in suppress mode). Timestamps come from the
+ * order-book states themselves, so replayed books produce the same episodes.
+ */
+
+import { EventEmitter } from 'events';
+import { systemClock } from './clock.js';
+
+export default class SpoofingDetector extends EventEmitter {
+  constructor(config = {}) {
+    super();
+
+    this.symbol = config.symbol || 'ETHUSDT';
+    this.logger = config.logger;
+    this.clock = config.clock || systemClock;
+    this.tradeFlow = config.tradeFlow || null; // Optional TradeFlowMonitor - tells fills from cancels
+
+    this.config = {
+      depth: config.depth || 50,
+      wallMultiple: config.wallMultiple || 5,
+      maxDistanceBps: config.maxDistanceBps || 50,
+      pullRatio: config.pullRatio ?? 0.25,
+      minWallLifetimeMs: config.minWallLifetimeMs ?? 1000,
+      maxSpoofLifetimeMs: config.maxSpoofLifetimeMs || 30000,
+      episodePulls: config.episodePulls || 3,
+      episodeWindowMs: config.episodeWindowMs || 5 * 60 * 1000,
+      episodeCooldownMs: config.episodeCooldownMs || 2 * 60 * 1000,
+      sampleIntervalMs: config.sampleIntervalMs ?? 250,
+      action: config.action || 'downweight',
+      signalWeight: config.signalWeight ?? 0.5
+    };
+
+    // `${side}:${price}` -> tracked wall
+    this.walls = new Map();
+    this.lastSampleAt = null;
+
+    // Spoof pulls inside the episode window, oldest first
+    this.recentPulls = [];
+    this.activeEpisode = null;
+    this.episodeSeq = 0;
+
+    this.stats = {
+      statesProcessed: 0,
+      wallsDetected: 0,
+      wallsCancelled: 0,
+      wallsFilled: 0,
+      spoofPulls: 0,
+      episodes: 0,
+      lastEpisodeAt: null
+    };
+  }
+
+  /**
+   * Whether a book state at this timestamp would be sampled - lets callers
+   * skip building a snapshot that processOrderBook() would throttle away
+   */
+  isSampleDue(timestamp = this.clock.now()) {
+    return this.lastSampleAt === null || timestamp - this.lastSampleAt >= this.config.sampleIntervalMs;
+  }
+
+  /**
+   * Compare one order-book state ({bids, asks, timestamp}) with the walls
+   * being tracked; states closer than sampleIntervalMs are skipped
+   */
+  processOrderBook({ bids, asks, timestamp = this.clock.now() }) {
+    if (!bids?.length || !asks?.length) return false;
+    if (!this.isSampleDue(timestamp)) return false;
+
+    this.lastSampleAt = timestamp;
+    this.stats.statesProcessed++;
+
+    const bestBid = parseFloat(bids[0][0]);
+    const bestAsk = parseFloat(asks[0][0]);
+    const midPrice = (bestBid + bestAsk) / 2;
+
+    const sides = {
+      bid: this.indexSide(bids.slice(0, this.config.depth)),
+      ask: this.indexSide(asks.slice(0, this.config.depth))
+    };
+
+    // Update walls already being tracked
+    for (const [key, wall] of this.walls) {
+      const side = sides[wall.side];
+      const beyondView = wall.side === 'bid' ? wall.priceValue < side.deepest : wall.priceValue > side.deepest;
+      const quantity = side.levels.get(wall.price) || 0;
+
+      if (quantity >= wall.peakQuantity * this.config.pullRatio) {
+        wall.quantity = quantity;
+        wall.peakQuantity = Math.max(wall.peakQuantity, quantity);
+        wall.lastSeen = timestamp;
+        wall.minDistanceBps = Math.min(wall.minDistanceBps, this.distanceBps(wall.priceValue, midPrice));
+        wall.atTouch = wall.priceValue === (wall.side === 'bid' ? bestBid : bestAsk);
+        continue;
+      }
+
+      this.walls.delete(key);
+
+      // Shifted out of the scanned levels - no way to tell what happened
+      if (beyondView && quantity === 0) continue;
+
+      this.handleWallRemoved(wall, quantity, timestamp, midPrice);
+    }
+
+    // Pick up new walls
+    for (const sideName of ['bid', 'ask']) {
+      const side = sides[sideName];
+      const wallSize = side.medianQuantity * this.config.wallMultiple;
+
+      for (const [price, quantity] of side.levels) {
+        const key = `${sideName}:${price}`;
+        if (this.walls.has(key) || quantity < wallSize) continue;
+
+        const priceValue = parseFloat(price);
+        const distanceBps = this.distanceBps(priceValue, midPrice);
+        if (distanceBps > this.config.maxDistanceBps) continue;
+
+        this.walls.set(key, {
+          side: sideName,
+          price,
+          priceValue,
+          quantity,
+          peakQuantity: quantity,
+          firstSeen: timestamp,
+          lastSeen: timestamp,
+          initialDistanceBps: distanceBps,
+          minDistanceBps: distanceBps,
+          atTouch: priceValue === (sideName === 'bid' ? bestBid : bestAsk)
+        });
+        this.stats.wallsDetected++;
+      }
+    }
+
+    this.checkEpisodeEnd(timestamp);
+    return true;
+  }
+
+  /**
+   * Price -> quantity map plus the median size and deepest price of one side
+   */
+  indexSide(levels) {
+    const quantities = levels.map(([, qty]) => parseFloat(qty)).sort((a, b) => a - b);
+    const middle = Math.floor(quantities.length / 2);
+
+    return {
+      levels: new Map(levels.map(([price, qty]) => [price, parseFloat(qty)])),
+      medianQuantity: quantities.length % 2 ? quantities[middle] : (quantities[middle - 1] + quantities[middle]) / 2,
+      deepest: parseFloat(levels[levels.length - 1][0])
+    };
+  }
+
+  /**
+   * Distance of a price from mid in bps
+   */
+  distanceBps(price, midPrice) {
+    return Math.abs(price - midPrice) / midPrice * 10000;
+  }
+
+  /**
+   * Classify how a wall disappeared and count it towards an episode
+   */
+  handleWallRemoved(wall, remainingQuantity, timestamp, midPrice) {
+    const removedQuantity = wall.peakQuantity - remainingQuantity;
+    const executed = this.tradeFlow
+      ? this.tradeFlow.getVolumeAtPrice(wall.priceValue, { since: wall.firstSeen, until: timestamp })
+      : null;
+
+    // Without trades, a wall behind the touch cannot have been filled;
+    // one at the touch could have been either
+    let removal;
+    if (executed !== null) {
+      removal = executed >= removedQuantity * 0.5 ? 'FILLED' : 'CANCELLED';
+    } else {
+      removal = wall.atTouch ? 'UNKNOWN' : 'CANCELLED';
+    }
+
+    const pull = {
+      symbol: this.symbol,
+      side: wall.side,
+      price: wall.priceValue,
+      peakQuantity: wall.peakQuantity,
+      notionalUSD: wall.peakQuantity * wall.priceValue,
+      lifetimeMs: wall.lastSeen - wall.firstSeen,
+      removal,
+      // Still near full size on its last sighting -> removed in one step
+      speed: wall.quantity >= wall.peakQuantity * 0.75 ? 'ABRUPT' : 'GRADUAL',
+      approachBps: wall.initialDistanceBps - this.distanceBps(wall.priceValue, midPrice),
+      executedQuantity: executed,
+      removedAt: timestamp
+    };
+
+    pull.isSpoof = removal === 'CANCELLED' &&
+      pull.lifetimeMs >= this.config.minWallLifetimeMs &&
+      pull.lifetimeMs <= this.config.maxSpoofLifetimeMs;
+
+    if (removal === 'FILLED') this.stats.wallsFilled++;
+    if (removal === 'CANCELLED') this.stats.wallsCancelled++;
+
+    this.emit('WALL_REMOVED', pull);
+
+    if (pull.isSpoof) {
+      this.stats.spoofPulls++;
+      this.recordSpoofPull(pull);
+    }
+  }
+
+  /**
+   * Add a spoof pull to the window and open an episode at the threshold
+   */
+  recordSpoofPull(pull) {
+    const windowStart = pull.removedAt - this.config.episodeWindowMs;
+    this.recentPulls = this.recentPulls.filter(p => p.removedAt > windowStart);
+    this.recentPulls.push(pull);
+
+    if (this.activeEpisode) {
+      this.activeEpisode.pulls.push(pull);
+      this.activeEpisode.lastPullAt = pull.removedAt;
+      return;
+    }
+
+    if (this.recentPulls.length < this.config.episodePulls) return;
+
+    this.episodeSeq++;
+    this.stats.episodes++;
+    this.stats.lastEpisodeAt = pull.removedAt;
+    this.activeEpisode = {
+      id: `${this.symbol}-spoof-${this.episodeSeq}`,
+      symbol: this.symbol,
+      startedAt: this.recentPulls[0].removedAt,
+      detectedAt: pull.removedAt,
+      lastPullAt: pull.removedAt,
+      pulls: [...this.recentPulls]
+    };
+
+    this.logger?.warn('spoofing_episode_started', {
+      symbol: this.symbol,
+      episodeId: this.activeEpisode.id,
+      pulls: this.activeEpisode.pulls.length,
+      action: this.config.action
+    });
+    this.emit('SPOOFING_EPISODE', this.summarizeEpisode('STARTED'));
+  }
+
+  /**
+   * Close the active episode once no spoof pull has been seen for the cooldown
+   */
+  checkEpisodeEnd(now) {
+    if (!this.activeEpisode || now - this.activeEpisode.lastPullAt < this.config.episodeCooldownMs) return;
+
+    const summary = this.summarizeEpisode('ENDED', now);
+    this.activeEpisode = null;
+    this.recentPulls = [];
+
+    this.logger?.info('spoofing_episode_ended', {
+      symbol: this.symbol,
+      episodeId: summary.id,
+      pulls: summary.pullCount,
+      durationMs: summary.durationMs
+    });
+    this.emit('SPOOFING_EPISODE', summary);
+  }
+
+  /**
+   * Event payload for the active episode
+   */
+  summarizeEpisode(phase, endedAt = null) {
+    const { pulls, ...episode } = this.activeEpisode;
+
+    return {
+      ...episode,
+      phase,
+      endedAt,
+      durationMs: endedAt !== null ? endedAt - episode.startedAt : null,
+      pullCount: pulls.length,
+      sides: {
+        bid: pulls.filter(p => p.side === 'bid').length,
+        ask: pulls.filter(p => p.side === 'ask').length
+      },
+      pulledNotionalUSD: pulls.reduce((sum, p) => sum + p.notionalUSD, 0),
+      pulls
+    };
+  }
+
+  /**
+   * Whether a spoofing episode is in progress
+   */
+  isSpoofingActive(now = this.clock.now()) {
+    this.checkEpisodeEnd(now);
+    return this.activeEpisode !== null;
+  }
+
+  /**
+   * Weight to apply to liquidity-based signals right now
+   */
+  getAssessment(now = this.clock.now()) {
+    const active = this.isSpoofingActive(now);
+
+    return {
+      spoofingActive: active,
+      episodeId: this.activeEpisode?.id ?? null,
+      action: active ? this.config.action : null,
+      signalWeight: !active ? 1 : this.config.action === 'suppress' ? 0 : this.config.signalWeight,
+      trackedWalls: this.walls.size
+    };
+  }
+
+  /**
+   * Forget tracked walls (the book was rebuilt, so their history is broken)
+   */
+  reset() {
+    this.walls.clear();
+    this.lastSampleAt = null;
+  }
+
+  /**
+   * Get spoofing detector statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      trackedWalls: this.walls.size,
+      recentSpoofPulls: this.recentPulls.length,
+      activeEpisode: this.activeEpisode?.id ?? null
+    };
+  }
+}
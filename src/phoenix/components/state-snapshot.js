@@ -0,0 +1,141 @@
+/**
+ * Phoenix v6.1 - State Snapshot Store
+ *
+ * WARM RESTART ACROSS DEPLOYS
+ *
+ * Persists component state to disk so a redeploy is not a cold start:
+ * - Atomic writes (temp file + rename) so a crash never leaves half a snapshot
+ * - Schema version check - snapshots from an incompatible layout are ignored
+ * - Staleness check - snapshots older than maxAgeMs are ignored
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { systemClock } from './clock.js';
+
+export const SNAPSHOT_SCHEMA_VERSION = 1;
+
+export default class StateSnapshotStore {
+  constructor(config = {}) {
+    this.logger = config.logger;
+    this.clock = config.clock || systemClock;
+
+    this.config = {
+      filePath: config.filePath || './data/phoenix-state.json',
+      maxAgeMs: config.maxAgeMs ?? 24 * 60 * 60 * 1000 // DLS history spans 24 hours
+    };
+
+    this.stats = {
+      snapshotsSaved: 0,
+      snapshotsFailed: 0,
+      lastSavedAt: null,
+      lastSnapshotBytes: 0,
+      restoredFrom: null
+    };
+  }
+
+  /**
+   * Write a snapshot atomically
+   */
+  save(state, timestamp = this.clock.now()) {
+    const snapshot = {
+      schemaVersion: SNAPSHOT_SCHEMA_VERSION,
+      savedAt: timestamp,
+      state
+    };
+
+    const tempPath = `${this.config.filePath}.tmp`;
+
+    try {
+      fs.mkdirSync(path.dirname(this.config.filePath), { recursive: true });
+
+      const payload = JSON.stringify(snapshot);
+      fs.writeFileSync(tempPath, payload);
+      fs.renameSync(tempPath, this.config.filePath);
+
+      this.stats.snapshotsSaved++;
+      this.stats.lastSavedAt = timestamp;
+      this.stats.lastSnapshotBytes = payload.length;
+
+      this.logger?.debug('state_snapshot_saved', {
+        filePath: this.config.filePath,
+        bytes: payload.length,
+        savedAt: new Date(timestamp).toISOString()
+      });
+
+      return true;
+
+    } catch (error) {
+      this.stats.snapshotsFailed++;
+      this.logger?.error('state_snapshot_failed', {
+        filePath: this.config.filePath,
+        error: error.message
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Load the last snapshot, or null when missing, stale or incompatible
+   */
+  load(now = this.clock.now()) {
+    if (!fs.existsSync(this.config.filePath)) {
+      this.logger?.info('state_snapshot_missing', {
+        filePath: this.config.filePath,
+        message: 'No snapshot found - cold start'
+      });
+      return null;
+    }
+
+    let snapshot;
+    try {
+      snapshot = JSON.parse(fs.readFileSync(this.config.filePath, 'utf8'));
+    } catch (error) {
+      this.logger?.warn('state_snapshot_unreadable', {
+        filePath: this.config.filePath,
+        error: error.message
+      });
+      return null;
+    }
+
+    if (snapshot?.schemaVersion !== SNAPSHOT_SCHEMA_VERSION) {
+      this.logger?.warn('state_snapshot_rejected', {
+        reason: 'SCHEMA_VERSION',
+        found: snapshot?.schemaVersion ?? null,
+        expected: SNAPSHOT_SCHEMA_VERSION
+      });
+      return null;
+    }
+
+    const age = now - snapshot.savedAt;
+    if (!Number.isFinite(age) || age < 0 || age > this.config.maxAgeMs) {
+      this.logger?.warn('state_snapshot_rejected', {
+        reason: 'STALE',
+        savedAt: snapshot.savedAt,
+        ageMs: age,
+        maxAgeMs: this.config.maxAgeMs
+      });
+      return null;
+    }
+
+    this.stats.restoredFrom = snapshot.savedAt;
+    this.logger?.info('state_snapshot_loaded', {
+      filePath: this.config.filePath,
+      savedAt: new Date(snapshot.savedAt).toISOString(),
+      ageMs: age
+    });
+
+    return snapshot;
+  }
+
+  /**
+   * Get snapshot statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      filePath: this.config.filePath,
+      schemaVersion: SNAPSHOT_SCHEMA_VERSION
+    };
+  }
+}
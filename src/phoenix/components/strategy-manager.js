@@ -0,0 +1,227 @@
+/**
+ * Phoenix v6.1 - Strategy Manager
+ *
+ * PLUGGABLE STRATEGY ORCHESTRATION
+ *
+ * Owns the registry of strategy modules and fans engine events out to
+ * them, so new strategies ship as modules without touching engine.js:
+ * - registerStrategy() wires a strategy's hooks to engine event types
+ * - dispatch() delivers classifier, liquidity, whale and derivatives events
+ * - Typed StrategySignals are re-emitted as STRATEGY_SIGNAL
+ * - Misbehaving strategies are isolated and disabled after repeated errors
+ */
+
+import { EventEmitter } from 'events';
+import { STRATEGY_HOOKS } from '../strategies/base-strategy.js';
+import { StrategySignal } from '../strategies/strategy-signal.js';
+import { systemClock } from './clock.js';
+
+export default class StrategyManager extends EventEmitter {
+  constructor(config = {}) {
+    super();
+
+    this.logger = config.logger;
+    this.clock = config.clock || systemClock;
+    this.maxErrors = config.maxErrors || 5;
+    this.maxHistorySize = config.maxHistorySize || 500;
+
+    // Strategy registry
+    this.strategies = new Map();
+    this.signalHistory = [];
+
+    this.stats = {
+      strategiesRegistered: 0,
+      eventsDispatched: 0,
+      signalsReceived: 0,
+      strategyErrors: 0,
+      startTime: this.clock.now()
+    };
+  }
+
+  /**
+   * Register a strategy module
+   */
+  registerStrategy(strategy) {
+    if (!strategy?.id) {
+      throw new Error('StrategyManager: strategy must have an id');
+    }
+
+    const subscriptions = Object.entries(STRATEGY_HOOKS)
+      .filter(([, hook]) => typeof strategy[hook] === 'function')
+      .map(([eventType]) => eventType);
+
+    if (subscriptions.length === 0) {
+      throw new Error(`StrategyManager: strategy ${strategy.id} implements no event hooks`);
+    }
+
+    if (this.strategies.has(strategy.id)) {
+      this.logger?.warn('strategy_replaced', { strategyId: strategy.id });
+      this.unregisterStrategy(strategy.id);
+    }
+
+    const onSignal = (signal) => this.handleStrategySignal(strategy.id, signal);
+    strategy.on('signal', onSignal);
+
+    this.strategies.set(strategy.id, {
+      instance: strategy,
+      subscriptions,
+      enabled: true,
+      errorCount: 0,
+      signalCount: 0,
+      lastSignalTime: 0,
+      onSignal
+    });
+
+    this.stats.strategiesRegistered++;
+    this.logger?.info('strategy_registered', {
+      strategyId: strategy.id,
+      subscriptions
+    });
+
+    return strategy;
+  }
+
+  /**
+   * Remove a strategy from the registry
+   */
+  unregisterStrategy(strategyId) {
+    const entry = this.strategies.get(strategyId);
+    if (!entry) return false;
+
+    entry.instance.off('signal', entry.onSignal);
+    this.strategies.delete(strategyId);
+
+    this.logger?.info('strategy_unregistered', { strategyId });
+    return true;
+  }
+
+  /**
+   * Enable or disable a registered strategy
+   */
+  setStrategyEnabled(strategyId, enabled) {
+    const entry = this.strategies.get(strategyId);
+    if (!entry) return false;
+
+    entry.enabled = enabled;
+    if (enabled) entry.errorCount = 0;
+
+    this.logger?.info('strategy_state_changed', { strategyId, enabled });
+    return true;
+  }
+
+  /**
+   * Deliver an engine event to every subscribed strategy
+   */
+  dispatch(eventType, payload) {
+    const hook = STRATEGY_HOOKS[eventType];
+    if (!hook) {
+      throw new Error(`StrategyManager: unknown event type '${eventType}'`);
+    }
+
+    this.stats.eventsDispatched++;
+
+    for (const [strategyId, entry] of this.strategies) {
+      if (!entry.enabled || !entry.subscriptions.includes(eventType)) continue;
+
+      try {
+        entry.instance[hook](payload);
+      } catch (error) {
+        this.handleStrategyError(strategyId, eventType, error);
+      }
+    }
+  }
+
+  /**
+   * Validate and republish a signal from a strategy
+   */
+  handleStrategySignal(strategyId, signal) {
+    const entry = this.strategies.get(strategyId);
+    if (!entry?.enabled) return;
+
+    if (!(signal instanceof StrategySignal) || signal.strategyId !== strategyId) {
+      this.handleStrategyError(strategyId, 'signal', new Error('Strategy emitted an untyped or foreign signal'));
+      return;
+    }
+
+    entry.signalCount++;
+    entry.lastSignalTime = signal.timestamp;
+    this.stats.signalsReceived++;
+
+    this.signalHistory.push(signal);
+    if (this.signalHistory.length > this.maxHistorySize) {
+      this.signalHistory.shift();
+    }
+
+    this.logger?.info('strategy_signal', signal.toJSON());
+    this.emit('STRATEGY_SIGNAL', signal);
+  }
+
+  /**
+   * Isolate strategy failures and disable repeat offenders
+   */
+  handleStrategyError(strategyId, eventType, error) {
+    const entry = this.strategies.get(strategyId);
+    this.stats.strategyErrors++;
+
+    if (entry) {
+      entry.errorCount++;
+      if (entry.errorCount >= this.maxErrors) {
+        entry.enabled = false;
+        this.logger?.error('strategy_disabled', {
+          strategyId,
+          errorCount: entry.errorCount,
+          reason: 'Excessive errors'
+        });
+      }
+    }
+
+    this.logger?.error('strategy_error', {
+      strategyId,
+      eventType,
+      error: error.message
+    });
+  }
+
+  /**
+   * Recent signals across all strategies
+   */
+  getRecentSignals(limit = 50) {
+    return this.signalHistory.slice(-limit).map(signal => signal.toJSON());
+  }
+
+  /**
+   * Get manager and per-strategy statistics
+   */
+  getStats() {
+    const strategies = {};
+    for (const [strategyId, entry] of this.strategies) {
+      strategies[strategyId] = {
+        enabled: entry.enabled,
+        subscriptions: entry.subscriptions,
+        signalCount: entry.signalCount,
+        lastSignalTime: entry.lastSignalTime,
+        errorCount: entry.errorCount,
+        ...(entry.instance.getStats ? { stats: entry.instance.getStats() } : {})
+      };
+    }
+
+    return {
+      ...this.stats,
+      uptime: Math.floor((this.clock.now() - this.stats.startTime) / 1000),
+      strategies
+    };
+  }
+
+  /**
+   * Shutdown all strategies
+   */
+  async shutdown() {
+    for (const [strategyId, entry] of this.strategies) {
+      try {
+        await entry.instance.shutdown?.();
+      } catch (error) {
+        this.logger?.error('strategy_shutdown_error', { strategyId, error: error.message });
+      }
+    }
+  }
+}
@@ -0,0 +1,651 @@
+/**
+ * Phoenix v6.1 - Symbol Pipeline
+ *
+ * PER-SYMBOL ANALYSIS PIPELINE
+ *
+ * Owns the components that are bound to a single trading symbol so one
+ * engine process can run ETH, BTC, SOL side by side:
+ * - LiquidityAnalyzer, MarketClassifier, DerivativesMonitor per symbol
+ * - Strategies act on the classifier's stable regime (hysteresis, dwell
+ *   times), not on each sample's verdict
+ * - Local order book kept current from the depth diff stream
+ * - Trade flow (VWAP, taker volume, CVD) from the aggTrade stream
+ * - Multi-timeframe momentum / volatility / ATR (1m to 1h) from trades, or
+ *   from each sample's price when no trades arrive
+ * - Spoofing detector down-weighting liquidity signals during episodes
+ * - Optional cross-venue aggregator: consolidated DLS and venue depth shares
+ * - Outcome validator scoring classifications and signals against the
+ *   forward price path
+ * - Optional probabilistic regime model run in shadow: its regime
+ *   probabilities are logged next to the rule-based verdict, never dispatched
+ * - Paper trader and strategy registry per symbol
+ * - Per-symbol metrics, component health and heartbeat
+ * - Order-book snapshots journaled on fetch so classification can be replayed
+ *
+ * Shared infrastructure (TaskScheduler, ResilientAPIClient, TelegramReporter,
+ * RiskManager, PriceOracle) is owned by the engine and passed in where
+ * needed; each pipeline's prices keep the oracle's base-asset price live.
+ */
+
+import { EventEmitter } from 'events';
+import LiquidityAnalyzer from './liquidity-analyzer.js';
+import MarketClassifier from './market-classifier.js';
+import RegimeModel from './regime-model.js';
+import DerivativesMonitor from './derivatives-monitor.js';
+import LocalOrderBook from './local-order-book.js';
+import TradeFlowMonitor from './trade-flow-monitor.js';
+import MultiTimeframeFeatures from './multi-timeframe-features.js';
+import SpoofingDetector from './spoofing-detector.js';
+import CrossVenueAggregator from './cross-venue-aggregator.js';
+import OutcomeValidator from './outcome-validator.js';
+import { computeOrderBookFeatures } from './order-book-features.js';
+import PaperTrader from './paper-trader.js';
+import StrategyManager from './strategy-manager.js';
+import { systemClock } from './clock.js';
+
+export default class SymbolPipeline extends EventEmitter {
+  constructor(config = {}) {
+    super();
+
+    if (!config.symbol) {
+      throw new Error('SymbolPipeline: symbol is required');
+    }
+
+    this.symbol = config.symbol;
+    this.logger = config.logger;
+    this.clock = config.clock || systemClock;
+    this.config = {
+      paperTrading: config.paperTrading !== false,
+      paperTrader: config.paperTrader || {},
+      bybitConfig: config.bybitConfig || {},
+      riskManager: config.riskManager || null,
+      orderBook: { enabled: true, analysisDepth: 50, ...config.orderBook },
+      tradeFlow: { enabled: true, ...config.tradeFlow },
+      timeframes: { enabled: true, tradeStaleMs: 60000, ...config.timeframes },
+      spoofing: { enabled: true, ...config.spoofing },
+      crossVenue: { enabled: false, ...config.crossVenue },
+      validation: { enabled: true, ...config.validation },
+      regime: config.regime || {}
+    };
+
+    // Optional EventJournal shared with the engine
+    this.journal = config.journal || null;
+
+    // Shared PriceOracle: this pipeline's prices update its base asset (ETH for ETHUSDT)
+    this.priceOracle = config.priceOracle || null;
+    this.baseAsset = this.symbol.endsWith('USDT') ? this.symbol.slice(0, -'USDT'.length) : null;
+
+    // Calibrated DLS parameters loaded by the engine (null = hand-picked defaults)
+    this.dlsParams = config.dlsParams || null;
+
+    // Validated regime rules loaded by the engine (null = built-in regimes)
+    this.regimeRules = config.regimeRules || null;
+
+    // Fitted shadow model settings ({params, mode, maxGapMs}; null = no shadow model)
+    this.regimeModelConfig = config.regimeModel || null;
+
+    // Live thresholds (classifier, liquidity, derivatives) - components created
+    // in initialize() pick up the latest set
+    this.thresholds = config.thresholds || null;
+
+    // Strategy registry - available before initialize() so modules can register early
+    this.strategyManager = new StrategyManager({ logger: this.logger, clock: this.clock });
+
+    // Symbol-bound components
+    this.localOrderBook = null;
+    this.tradeFlowMonitor = null;
+    this.timeframeFeatures = null;
+    this.spoofingDetector = null;
+    this.liquidityAnalyzer = null;
+    this.crossVenueAggregator = null;
+    this.marketClassifier = null;
+    this.regimeModel = null;
+    this.outcomeValidator = null;
+    this.derivativesMonitor = null;
+    this.paperTrader = null;
+    this.lastMarketData = null;
+
+    this.systemHealth = {
+      liquidityAnalyzer: 'INITIALIZING',
+      marketClassifier: 'INITIALIZING',
+      derivativesMonitor: 'INITIALIZING'
+    };
+
+    this.lastActivity = {
+      liquidityAnalyzer: this.clock.now(),
+      marketClassifier: this.clock.now(),
+      derivativesMonitor: this.clock.now()
+    };
+
+    this.metrics = {
+      liquidityValidations: 0,
+      derivativesUpdates: 0,
+      classifications: 0,
+      whaleIntentsRouted: 0,
+      strategySignals: 0,
+      signalsRejected: 0,
+      shadowClassifications: 0,
+      shadowAgreements: 0,
+      paperPositionsOpened: 0,
+      paperPositionsClosed: 0,
+      startTime: this.clock.now()
+    };
+  }
+
+  /**
+   * Create the symbol-bound components
+   */
+  initialize() {
+    if (this.config.orderBook.enabled) {
+      this.localOrderBook = new LocalOrderBook({
+        symbol: this.symbol,
+        logger: this.logger,
+        clock: this.clock,
+        journal: this.journal,
+        ...this.config.orderBook
+      });
+    }
+
+    if (this.config.tradeFlow.enabled) {
+      this.tradeFlowMonitor = new TradeFlowMonitor({
+        symbol: this.symbol,
+        logger: this.logger,
+        clock: this.clock,
+        journal: this.journal,
+        ...this.config.tradeFlow
+      });
+    }
+
+    if (this.priceOracle && this.baseAsset) {
+      this.tradeFlowMonitor?.on('TRADE', (trade) => this.priceOracle.updatePrice(this.baseAsset, trade.price, trade.time, 'binance_trades'));
+    }
+
+    if (this.config.timeframes.enabled) {
+      this.timeframeFeatures = new MultiTimeframeFeatures({
+        symbol: this.symbol,
+        logger: this.logger,
+        clock: this.clock,
+        ...this.config.timeframes
+      });
+      this.tradeFlowMonitor?.on('TRADE', (trade) => this.timeframeFeatures.processPrice(trade.price, trade.time));
+    }
+
+    if (this.config.spoofing.enabled) {
+      this.spoofingDetector = new SpoofingDetector({
+        symbol: this.symbol,
+        logger: this.logger,
+        clock: this.clock,
+        tradeFlow: this.tradeFlowMonitor,
+        ...this.config.spoofing
+      });
+
+      // Sample the live book as it changes; a rebuilt book breaks wall history.
+      // The throttle is checked first so diffs between samples never sort the book
+      if (this.localOrderBook) {
+        const { depth } = this.spoofingDetector.config;
+        this.localOrderBook.on('BOOK_UPDATED', ({ eventTime }) => {
+          if (!this.spoofingDetector.isSampleDue(eventTime)) return;
+          const book = this.localOrderBook.getSnapshot(depth);
+          this.spoofingDetector.processOrderBook({ bids: book.bids, asks: book.asks, timestamp: book.eventTime });
+        });
+        this.localOrderBook.on('RESYNC_REQUIRED', () => this.spoofingDetector.reset());
+      }
+    }
+
+    this.liquidityAnalyzer = new LiquidityAnalyzer({
+      symbol: this.symbol,
+      logger: this.logger,
+      clock: this.clock,
+      orderBook: this.localOrderBook,
+      tradeFlow: this.tradeFlowMonitor,
+      analysisDepth: this.config.orderBook.analysisDepth,
+      dlsParams: this.dlsParams,
+      ...this.thresholds?.liquidity
+    });
+    this.systemHealth.liquidityAnalyzer = 'ONLINE';
+
+    if (this.config.crossVenue.enabled) {
+      this.crossVenueAggregator = new CrossVenueAggregator({
+        symbol: this.symbol,
+        logger: this.logger,
+        clock: this.clock,
+        journal: this.journal,
+        liquidityAnalyzer: this.liquidityAnalyzer,
+        ...this.config.crossVenue
+      });
+    }
+
+    this.marketClassifier = new MarketClassifier({
+      symbol: this.symbol,
+      logger: this.logger,
+      clock: this.clock,
+      thresholds: this.thresholds?.classifier,
+      rules: this.regimeRules,
+      regime: this.config.regime
+    });
+    this.systemHealth.marketClassifier = 'ONLINE';
+
+    if (this.regimeModelConfig) {
+      this.regimeModel = new RegimeModel({
+        symbol: this.symbol,
+        logger: this.logger,
+        clock: this.clock,
+        ...this.regimeModelConfig
+      });
+    }
+
+    if (this.config.validation.enabled) {
+      this.outcomeValidator = new OutcomeValidator({
+        symbol: this.symbol,
+        logger: this.logger,
+        clock: this.clock,
+        ...this.config.validation
+      });
+
+      // Signals are scored from the price they were generated at
+      this.strategyManager.on('STRATEGY_SIGNAL', (signal) => {
+        this.outcomeValidator.recordSignal(signal, signal.price ?? this.lastMarketData?.price);
+      });
+
+      // Every executed trade advances the price path, so excursions between
+      // classification samples count towards hits and stops
+      this.tradeFlowMonitor?.on('TRADE', (trade) => this.outcomeValidator.processPrice(trade.price, trade.time));
+    }
+
+    this.derivativesMonitor = new DerivativesMonitor({
+      symbol: this.symbol,
+      logger: this.logger,
+      clock: this.clock,
+      bybitConfig: this.config.bybitConfig,
+      journal: this.journal,
+      thresholds: this.thresholds?.derivatives
+    });
+    this.systemHealth.derivativesMonitor = 'ONLINE';
+
+    if (this.config.paperTrading) {
+      this.paperTrader = new PaperTrader({
+        symbol: this.symbol,
+        logger: this.logger,
+        clock: this.clock,
+        riskManager: this.config.riskManager,
+        ...this.config.paperTrader
+      });
+    }
+
+    this.logger?.info('symbol_pipeline_ready', {
+      symbol: this.symbol,
+      paperTrading: !!this.paperTrader,
+      strategies: this.strategyManager.strategies.size
+    });
+  }
+
+  /**
+   * Apply a new threshold set to every symbol-bound component
+   */
+  applyThresholds(thresholds) {
+    this.thresholds = thresholds;
+    this.marketClassifier?.applyThresholds(thresholds.classifier);
+    this.liquidityAnalyzer?.applyThresholds(thresholds.liquidity);
+    this.derivativesMonitor?.applyThresholds(thresholds.derivatives);
+  }
+
+  /**
+   * Start the symbol's real-time feeds
+   */
+  async start(apiClient = null) {
+    if (this.localOrderBook && apiClient) {
+      const bookStarted = await this.localOrderBook.start(apiClient);
+      if (!bookStarted) {
+        this.logger?.warn('order_book_start_failed', {
+          symbol: this.symbol,
+          message: 'Local order book unavailable - falling back to REST depth polling'
+        });
+      }
+    }
+
+    if (this.tradeFlowMonitor) {
+      const flowStarted = await this.tradeFlowMonitor.start();
+      if (!flowStarted) {
+        this.logger?.warn('trade_flow_start_failed', {
+          symbol: this.symbol,
+          message: 'Trade flow unavailable - volume profile stays neutral'
+        });
+      }
+    }
+
+    const derivativesStarted = await this.derivativesMonitor.start();
+    if (!derivativesStarted) {
+      this.logger?.warn('derivatives_start_failed', {
+        symbol: this.symbol,
+        message: 'Derivatives monitoring failed to start'
+      });
+    }
+    return derivativesStarted;
+  }
+
+  /**
+   * Fetch order book and ticker for this symbol through the shared API client
+   */
+  async fetchMarketData(apiClient) {
+    try {
+      // CRUCIBLE MANDATE 3: Use resilient API client with circuit breaker
+
+      // Other venues are fetched alongside and journaled before the Binance data
+      const crossVenueFetch = this.crossVenueAggregator?.fetchBooks(apiClient);
+
+      // Read the local order book when it is in sync, otherwise poll REST depth
+      const orderBook = this.localOrderBook?.isSynced()
+        ? this.localOrderBook.getSnapshot(this.config.orderBook.analysisDepth)
+        : await apiClient.request({
+          url: `/api/v3/depth?symbol=${this.symbol}&limit=${this.config.orderBook.analysisDepth}`,
+          method: 'GET',
+          providers: ['binance', 'binanceBackup']
+        });
+
+      // Fetch 24hr ticker for price and momentum with resilience
+      const ticker = await apiClient.request({
+        url: `/api/v3/ticker/24hr?symbol=${this.symbol}`,
+        method: 'GET',
+        providers: ['binance', 'binanceBackup']
+      });
+
+      await crossVenueFetch;
+
+      const receivedAt = this.clock.now();
+      this.journal?.record('market_data', 'binance', { orderBook, ticker }, {
+        symbol: this.symbol,
+        receivedAt
+      });
+
+      return await this.buildMarketData(orderBook, ticker, receivedAt);
+
+    } catch (error) {
+      this.logger?.warn('market_data_fetch_failed', {
+        error: error.message,
+        symbol: this.symbol
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Derive market data from a raw order book and ticker (live or replayed)
+   */
+  async buildMarketData(orderBook, ticker, timestamp = this.clock.now()) {
+    // Calculate basic metrics
+    const price = parseFloat(ticker.lastPrice);
+    const momentum = parseFloat(ticker.priceChangePercent);
+
+    // Depth imbalance, microprice and slope - pressure is the ask-heavy imbalance
+    const orderBookFeatures = computeOrderBookFeatures(orderBook.bids, orderBook.asks);
+    const pressure = orderBookFeatures.pressure;
+
+    // Use liquidity analyzer if available, otherwise calculate basic DLS
+    let dlsScore = 50; // Default neutral score
+    let dlsPercentile = null;
+    if (this.liquidityAnalyzer) {
+      const analysis = await this.liquidityAnalyzer.analyzeOrderBook({
+        bids: orderBook.bids,
+        asks: orderBook.asks,
+        timestamp
+      });
+      dlsScore = analysis.dlsScore || 50;
+      dlsPercentile = analysis.percentile ?? null;
+    }
+
+    // Polled REST books feed the spoofing detector here; the live book feeds it on every update
+    if (this.spoofingDetector && !orderBook.synced) {
+      this.spoofingDetector.processOrderBook({ bids: orderBook.bids, asks: orderBook.asks, timestamp });
+    }
+
+    // Walls being flashed make displayed liquidity unreliable - scale it down
+    const manipulation = this.spoofingDetector?.getAssessment(timestamp) || null;
+    if (manipulation?.spoofingActive) {
+      dlsScore *= manipulation.signalWeight;
+    }
+
+    // Order-flow metrics up to this snapshot (null until trades arrive)
+    const tradeFlow = this.tradeFlowMonitor?.getMetrics({ now: timestamp }) || null;
+
+    // Trades drive the price series while the aggTrade stream delivers; with no trade
+    // inside tradeStaleMs (never connected, or dropped) each sample's price does
+    let timeframes = null;
+    if (this.timeframeFeatures) {
+      const lastTradeTime = this.tradeFlowMonitor?.lastTradeTime ?? null;
+      if (lastTradeTime === null || timestamp - lastTradeTime > this.config.timeframes.tradeStaleMs) {
+        this.timeframeFeatures.processPrice(price, timestamp);
+      }
+      timeframes = this.timeframeFeatures.getFeatures(timestamp);
+    }
+
+    // Funding and open-interest change for regime rules (null until the monitor has data)
+    const derivativesData = this.derivativesMonitor?.data;
+    const derivatives = derivativesData ? {
+      fundingRate: derivativesData.fundingRates.lastUpdate ? derivativesData.fundingRates.average : null,
+      oiChangeRate: derivativesData.openInterest.lastUpdate ? derivativesData.openInterest.changeRate : null
+    } : null;
+
+    // This book is the primary venue's; the others were fetched with it
+    let crossVenue = null;
+    if (this.crossVenueAggregator) {
+      this.crossVenueAggregator.processVenueBook(this.crossVenueAggregator.config.primaryVenue, orderBook, timestamp);
+      crossVenue = this.crossVenueAggregator.analyze(timestamp);
+    }
+
+    return {
+      symbol: this.symbol,
+      price,
+      dlsScore,
+      dlsPercentile,
+      pressure,
+      momentum,
+      orderBookFeatures,
+      tradeFlow,
+      timeframes,
+      derivatives,
+      manipulation,
+      crossVenue,
+      orderBook: {
+        bids: orderBook.bids,
+        asks: orderBook.asks
+      },
+      timestamp
+    };
+  }
+
+  /**
+   * CRUCIBLE MANDATE 2: Classify the current market for this symbol
+   */
+  async performMarketClassification(apiClient) {
+    if (!this.marketClassifier || this.systemHealth.marketClassifier !== 'ONLINE') {
+      return null;
+    }
+
+    const marketData = await this.fetchMarketData(apiClient);
+    if (!marketData) return null;
+
+    return this.processMarketData(marketData);
+  }
+
+  /**
+   * Classify one market data snapshot and dispatch it to strategies
+   */
+  processMarketData(marketData) {
+    this.lastMarketData = marketData;
+
+    // Mark open paper positions before acting on the new classification
+    this.paperTrader?.updatePositions(marketData);
+
+    if (this.baseAsset) {
+      this.priceOracle?.updatePrice(this.baseAsset, marketData.price, marketData.timestamp, 'binance');
+    }
+
+    // Advance earlier predictions along the price path before recording new ones
+    this.outcomeValidator?.processPrice(marketData.price, marketData.timestamp);
+
+    // Per-sample verdict; also advances the classifier's regime state machine
+    const rawClassification = this.marketClassifier.classifyMarketCondition(marketData);
+    const classification = this.marketClassifier.getActiveRegime(marketData);
+    this.outcomeValidator?.recordClassification(rawClassification, marketData.price);
+
+    // Every named rule feature (multi-timeframe included) for strategies and the shadow model
+    const { features } = this.marketClassifier.getRuleScope(marketData);
+    const shadow = this.regimeModel ? this.runShadowModel(marketData, features, classification, rawClassification) : null;
+    this.metrics.classifications++;
+    this.updateComponentActivity('marketClassifier');
+
+    if (rawClassification) {
+      this.logger?.info('market_regime_detected', {
+        symbol: this.symbol,
+        regime: rawClassification.type,
+        confidence: rawClassification.confidence,
+        activeRegime: classification?.regime ?? 'NO_REGIME',
+        timestamp: rawClassification.timestamp
+      });
+    }
+
+    // Strategies see every classification of the stable regime, including
+    // NO_REGIME (null); the per-sample verdict and named features ride along
+    this.strategyManager.dispatch('classification', { classification, rawClassification, features, marketData });
+
+    return { classification, rawClassification, shadow, marketData };
+  }
+
+  /**
+   * Run the shadow regime model on the classifier's features and log its
+   * probabilities next to the rule-based verdict for comparison
+   */
+  runShadowModel(marketData, features, classification, rawClassification) {
+    const shadow = this.regimeModel.classify(features, marketData.timestamp);
+    const ruleRegime = classification?.regime ?? 'NO_REGIME';
+    const agrees = shadow.regime === ruleRegime;
+
+    this.metrics.shadowClassifications++;
+    if (agrees) this.metrics.shadowAgreements++;
+
+    this.logger?.info('regime_shadow_classification', {
+      symbol: this.symbol,
+      timestamp: marketData.timestamp,
+      rule: {
+        regime: ruleRegime,
+        rawRegime: rawClassification?.regime ?? 'NO_REGIME',
+        confidence: rawClassification?.confidence ?? null
+      },
+      model: {
+        mode: shadow.mode,
+        regime: shadow.regime,
+        probability: shadow.probability,
+        probabilities: shadow.probabilities
+      },
+      agrees
+    });
+
+    return shadow;
+  }
+
+  /**
+   * CRUCIBLE MANDATE 4: Update component activity and realistic status
+   */
+  updateComponentActivity(componentName, isActive = true, hasErrors = false) {
+    this.lastActivity[componentName] = this.clock.now();
+
+    if (hasErrors) {
+      this.systemHealth[componentName] = 'DEGRADED';
+    } else if (isActive) {
+      this.systemHealth[componentName] = 'ONLINE';
+    }
+  }
+
+  /**
+   * CRUCIBLE MANDATE 4: Flag symbol components that stopped reporting
+   */
+  checkForStalledComponents(stalledThreshold = 120000) {
+    const now = this.clock.now();
+
+    for (const [component, lastActivity] of Object.entries(this.lastActivity)) {
+      if (now - lastActivity > stalledThreshold && this.systemHealth[component] === 'ONLINE') {
+        this.systemHealth[component] = 'STALLED';
+        this.logger?.warn('component_stalled', {
+          symbol: this.symbol,
+          component,
+          lastActivity: new Date(lastActivity).toISOString(),
+          stalledDuration: now - lastActivity
+        });
+      }
+    }
+  }
+
+  /**
+   * Per-symbol heartbeat section
+   */
+  getHeartbeat() {
+    this.checkForStalledComponents();
+
+    const activeComponents = Object.values(this.systemHealth).filter(status => status === 'ONLINE').length;
+
+    return {
+      systemHealth: this.systemHealth,
+      healthSummary: `${activeComponents}/${Object.keys(this.systemHealth).length} components online`,
+      lastPrice: this.lastMarketData?.price ?? null,
+      metrics: {
+        liquidityValidations: this.metrics.liquidityValidations,
+        derivativesUpdates: this.metrics.derivativesUpdates,
+        classifications: this.metrics.classifications,
+        strategySignals: this.metrics.strategySignals
+      }
+    };
+  }
+
+  /**
+   * Per-symbol section of /status
+   */
+  getMetrics() {
+    return {
+      symbol: this.symbol,
+      systemHealth: this.systemHealth,
+      metrics: this.metrics,
+      lastPrice: this.lastMarketData?.price ?? null,
+      lastUpdate: this.lastMarketData ? new Date(this.lastMarketData.timestamp).toISOString() : null,
+      components: {
+        localOrderBook: this.localOrderBook?.getStats() || null,
+        tradeFlowMonitor: this.tradeFlowMonitor?.getStats() || null,
+        timeframeFeatures: this.timeframeFeatures?.getStats() || null,
+        spoofingDetector: this.spoofingDetector?.getStats() || null,
+        crossVenueAggregator: this.crossVenueAggregator?.getStats() || null,
+        outcomeValidator: this.outcomeValidator?.getStats() || null,
+        regimeModel: this.regimeModel ? {
+          ...this.regimeModel.getStats(),
+          agreementRate: this.metrics.shadowClassifications > 0
+            ? this.metrics.shadowAgreements / this.metrics.shadowClassifications
+            : null
+        } : null,
+        liquidityAnalyzer: this.liquidityAnalyzer?.getStats(),
+        derivativesMonitor: this.derivativesMonitor?.getStats(),
+        paperTrader: this.paperTrader?.getStats(),
+        strategyManager: this.strategyManager.getStats()
+      },
+      paperTrading: this.paperTrader ? {
+        positions: this.paperTrader.getPositions(),
+        ledger: this.paperTrader.getLedger()
+      } : null
+    };
+  }
+
+  /**
+   * Stop feeds and release symbol components
+   */
+  async shutdown() {
+    await this.localOrderBook?.stop();
+    await this.tradeFlowMonitor?.stop();
+
+    if (this.derivativesMonitor) {
+      await this.derivativesMonitor.stop();
+    }
+
+    await this.strategyManager.shutdown();
+
+    if (this.marketClassifier) {
+      this.marketClassifier.shutdown();
+    }
+  }
+}
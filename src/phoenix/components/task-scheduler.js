@@ -17,6 +17,7 @@ import { EventEmitter } from 'events';
 import { Worker } from 'worker_threads';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { systemClock } from './clock.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -36,6 +37,7 @@ export default class TaskScheduler extends EventEmitter {
     };
     
     this.logger = config.logger;
+    this.clock = config.clock || systemClock;
     
     // Task management
     this.taskQueue = [];
@@ -61,7 +63,7 @@ export default class TaskScheduler extends EventEmitter {
       avgExecutionTime: 0,
       queueSize: 0,
       workersCreated: 0,
-      startTime: Date.now()
+      startTime: this.clock.now()
     };
     
     this.logger?.info('task_scheduler_init', {
@@ -97,7 +99,7 @@ export default class TaskScheduler extends EventEmitter {
    * Create a new worker
    */
   async createWorker() {
-    const workerId = `worker_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`;
+    const workerId = `worker_${this.clock.now()}_${Math.random().toString(36).substring(2, 8)}`;
     
     try {
       const worker = new Worker(this.config.workerScript, {
@@ -144,10 +146,10 @@ export default class TaskScheduler extends EventEmitter {
     this.logger?.info('task_scheduler_start', 'Starting task scheduler');
     
     this.isRunning = true;
-    this.stats.startTime = Date.now();
+    this.stats.startTime = this.clock.now();
     
     // Start scheduler loop
-    this.schedulerTimer = setInterval(() => {
+    this.schedulerTimer = this.clock.setInterval(() => {
       this.processTaskQueue();
     }, 1000); // Every second
     
@@ -190,17 +192,17 @@ export default class TaskScheduler extends EventEmitter {
    */
   createTask(config) {
     return {
-      id: config.id || `task_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`,
+      id: config.id || `task_${this.clock.now()}_${Math.random().toString(36).substring(2, 11)}`,
       type: config.type,
       priority: config.priority || 5,
       payload: config.payload || {},
       retryCount: 0,
       maxRetries: config.maxRetries || 3,
       timeout: config.timeout || 30000,
-      scheduledTime: config.scheduledTime || Date.now(),
+      scheduledTime: config.scheduledTime || this.clock.now(),
       dependencies: config.dependencies || [],
       status: 'PENDING',
-      createdAt: Date.now(),
+      createdAt: this.clock.now(),
       startedAt: null,
       completedAt: null,
       result: null,
@@ -253,7 +255,7 @@ export default class TaskScheduler extends EventEmitter {
    */
   isTaskReady(task) {
     if (task.status !== 'PENDING') return false;
-    if (Date.now() < task.scheduledTime) return false;
+    if (this.clock.now() < task.scheduledTime) return false;
     
     // Check dependencies
     for (const depId of task.dependencies) {
@@ -293,7 +295,7 @@ export default class TaskScheduler extends EventEmitter {
    */
   async executeTask(task, workerId) {
     task.status = 'RUNNING';
-    task.startedAt = Date.now();
+    task.startedAt = this.clock.now();
     task.workerId = workerId;
     
     this.runningTasks.set(task.id, task);
@@ -308,7 +310,7 @@ export default class TaskScheduler extends EventEmitter {
       const result = await this.executeTaskOnWorker(task, workerId);
       
       task.status = 'COMPLETED';
-      task.completedAt = Date.now();
+      task.completedAt = this.clock.now();
       task.result = result;
       task.executionTime = task.completedAt - task.startedAt;
       
@@ -375,7 +377,7 @@ export default class TaskScheduler extends EventEmitter {
    */
   async handleTaskFailure(task, error) {
     task.status = 'FAILED';
-    task.completedAt = Date.now();
+    task.completedAt = this.clock.now();
     task.error = error.message;
     task.executionTime = task.completedAt - task.startedAt;
     
@@ -387,7 +389,7 @@ export default class TaskScheduler extends EventEmitter {
       task.error = null;
       
       // Re-schedule with exponential backoff
-      task.scheduledTime = Date.now() + (1000 * Math.pow(2, task.retryCount));
+      task.scheduledTime = this.clock.now() + (1000 * Math.pow(2, task.retryCount));
       this.taskQueue.push(task);
       
       this.stats.tasksRetried++;
@@ -514,7 +516,7 @@ export default class TaskScheduler extends EventEmitter {
     this.isRunning = false;
 
     if (this.schedulerTimer) {
-      clearInterval(this.schedulerTimer);
+      this.clock.clearInterval(this.schedulerTimer);
       this.schedulerTimer = null;
     }
   }
@@ -523,6 +525,7 @@ export default class TaskScheduler extends EventEmitter {
    * Wait for active tasks to complete
    */
   async waitForActiveTasks(timeoutMs = 10000) {
+    // Shutdown waits on real workers, so this timeout stays on wall-clock time
     const startTime = Date.now();
 
     while (this.runningTasks.size > 0 && (Date.now() - startTime) < timeoutMs) {
@@ -600,11 +603,57 @@ export default class TaskScheduler extends EventEmitter {
     this.logger?.info('task_scheduler_stopped', 'Task scheduler shutdown complete');
   }
 
+  /**
+   * Serializable state for warm restart - queued and in-flight tasks
+   */
+  exportState() {
+    const pending = [...this.runningTasks.values(), ...this.taskQueue];
+
+    return {
+      tasks: pending.map(task => ({
+        id: task.id,
+        type: task.type,
+        priority: task.priority,
+        payload: task.payload,
+        maxRetries: task.maxRetries,
+        timeout: task.timeout,
+        scheduledTime: task.scheduledTime,
+        dependencies: task.dependencies
+      }))
+    };
+  }
+
+  /**
+   * Re-queue tasks from a snapshot; in-flight tasks are retried from scratch
+   */
+  importState(state = {}) {
+    let restored = 0;
+
+    for (const task of state.tasks || []) {
+      if (!task?.type || this.taskQueue.some(queued => queued.id === task.id)) continue;
+
+      try {
+        // Dependencies completed before the restart are not tracked any more
+        this.scheduleTask({ ...task, dependencies: [] });
+        restored++;
+      } catch (error) {
+        this.logger?.warn('task_restore_failed', {
+          taskId: task.id,
+          error: error.message
+        });
+        break;
+      }
+    }
+
+    this.logger?.info('task_queue_restored', { restored, queueSize: this.taskQueue.length });
+    return restored;
+  }
+
   /**
    * Get performance statistics
    */
   getStats() {
-    const uptime = Date.now() - this.stats.startTime;
+    const uptime = this.clock.now() - this.stats.startTime;
     
     return {
       ...this.stats,
@@ -7,6 +7,7 @@
 
 import axios from 'axios';
 import { getISTTime } from '../../utils/index.js';
+import { formatExplanation } from './classification-explanation.js';
 
 export default class TelegramReporter {
   constructor(config = {}) {
@@ -245,6 +246,33 @@ export default class TelegramReporter {
     return this.queueMessage(message, threatLevel === 'CRITICAL' ? 'CRITICAL' : 'HIGH');
   }
 
+  /**
+   * Send stable regime transition with the explanation of the triggering classification
+   */
+  async sendRegimeAlert(transition, explanation = null) {
+    if (!this.enabled) {
+      return false;
+    }
+
+    const entered = transition.type === 'ENTERED';
+    let message = `🧭 *REGIME ${entered ? 'ENTERED' : 'EXITED'}*
+
+📊 *Symbol:* ${transition.symbol}
+🎯 *Regime:* \`${transition.regime}\``;
+
+    if (entered) {
+      message += `\n⏱️ *Confirmed after:* ${Math.round(transition.confirmedAfterMs / 1000)}s`;
+    } else {
+      message += `\n⏱️ *Held for:* ${Math.round(transition.durationMs / 1000)}s`;
+    }
+
+    if (explanation) {
+      message += `\n\n🔍 *Why:*\n\`\`\`\n${formatExplanation(explanation)}\n\`\`\``;
+    }
+
+    return this.queueMessage(message, 'NORMAL');
+  }
+
   /**
    * Send system status update
    */
@@ -0,0 +1,269 @@
+/**
+ * Phoenix v6.1 - Threshold Manager
+ *
+ * RUNTIME HOT-RELOAD OF STRATEGY THRESHOLDS
+ *
+ * Owns the live classifier, liquidity, derivatives and mempool thresholds:
+ * - Updates come from a watched JSON file or the admin endpoint
+ * - Every update is validated against the config schema before anything changes
+ * - Accepted updates become a new numbered version, emitted as one
+ *   THRESHOLDS_CHANGED event so all components switch in the same tick
+ * - rollback() restores the version an update replaced
+ *
+ * File contents are applied on top of the startup thresholds, so removing a
+ * key from the file restores its startup value. Admin updates patch the
+ * current version.
+ */
+
+import fs from 'fs';
+import { EventEmitter } from 'events';
+import { loadConfig, resolveThresholds, ConfigValidationError } from '../config.js';
+import { systemClock } from './clock.js';
+
+export default class ThresholdManager extends EventEmitter {
+  constructor(config = {}) {
+    super();
+
+    this.logger = config.logger;
+    this.clock = config.clock || systemClock;
+
+    this.config = {
+      filePath: config.filePath || null,
+      pollIntervalMs: config.pollIntervalMs ?? 5000,
+      maxHistory: config.maxHistory || 50
+    };
+
+    // Startup thresholds - the base that file contents are applied to
+    this.baseline = structuredClone(config.thresholds || loadConfig({ env: {} }).thresholds);
+
+    this.current = {
+      version: 1,
+      parentVersion: null,
+      thresholds: this.baseline,
+      source: 'startup',
+      reason: 'Initial configuration',
+      changes: [],
+      appliedAt: this.clock.now()
+    };
+    this.history = [this.current];
+
+    this.pollTimer = null;
+    this.fileSignature = null;
+
+    this.stats = {
+      reloadsApplied: 0,
+      reloadsRejected: 0,
+      rollbacks: 0,
+      fileChecks: 0,
+      lastRejection: null
+    };
+  }
+
+  /**
+   * Current threshold set (treat as read-only)
+   */
+  getThresholds() {
+    return this.current.thresholds;
+  }
+
+  /**
+   * Validate and apply a partial threshold update
+   */
+  apply(update, { source = 'admin', reason = null, base = this.current.thresholds } = {}) {
+    let thresholds;
+
+    try {
+      thresholds = resolveThresholds(update, base, source);
+    } catch (error) {
+      if (!(error instanceof ConfigValidationError)) throw error;
+
+      this.stats.reloadsRejected++;
+      this.stats.lastRejection = { source, errors: error.errors, at: this.clock.now() };
+      this.logger?.warn('threshold_reload_rejected', {
+        source,
+        version: this.current.version,
+        errors: error.errors
+      });
+      return { applied: false, version: this.current.version, errors: error.errors };
+    }
+
+    const result = this.commit(thresholds, { source, reason, parentVersion: this.current.version });
+    if (result.applied) this.stats.reloadsApplied++;
+    return result;
+  }
+
+  /**
+   * Restore the version the current one replaced (or a specific retained version)
+   */
+  rollback({ version = this.current.parentVersion, source = 'admin', reason = null } = {}) {
+    const target = this.history.find(entry => entry.version === version);
+
+    if (!target) {
+      const error = version === null ? 'No previous threshold version to roll back to' : `Threshold version ${version} is not retained`;
+      this.logger?.warn('threshold_rollback_rejected', { version, error });
+      return { applied: false, version: this.current.version, errors: [error] };
+    }
+
+    const result = this.commit(target.thresholds, {
+      source,
+      reason: reason || `Rollback to version ${target.version}`,
+      parentVersion: target.parentVersion,
+      rolledBackTo: target.version
+    });
+    if (result.applied) this.stats.rollbacks++;
+    return result;
+  }
+
+  /**
+   * Record a validated threshold set as the next version and publish it
+   */
+  commit(thresholds, { source, reason, parentVersion, rolledBackTo = null }) {
+    const changes = diffThresholds(this.current.thresholds, thresholds);
+
+    if (changes.length === 0) {
+      this.logger?.info('threshold_reload_unchanged', { source, version: this.current.version });
+      return { applied: false, version: this.current.version, errors: [], changes };
+    }
+
+    const previous = this.current;
+    this.current = {
+      version: previous.version + 1,
+      parentVersion,
+      thresholds,
+      source,
+      reason,
+      rolledBackTo,
+      changes,
+      appliedAt: this.clock.now()
+    };
+
+    this.history.push(this.current);
+    if (this.history.length > this.config.maxHistory) {
+      this.history.shift();
+    }
+
+    this.logger?.info('threshold_change', {
+      version: this.current.version,
+      previousVersion: previous.version,
+      source,
+      reason,
+      rolledBackTo,
+      changes
+    });
+
+    this.emit('THRESHOLDS_CHANGED', {
+      version: this.current.version,
+      previousVersion: previous.version,
+      thresholds,
+      changes,
+      source
+    });
+
+    return { applied: true, version: this.current.version, errors: [], changes };
+  }
+
+  /**
+   * Reload the watched file if it changed since the last check
+   */
+  checkFile() {
+    if (!this.config.filePath) return null;
+    this.stats.fileChecks++;
+
+    let stat;
+    try {
+      stat = fs.statSync(this.config.filePath);
+    } catch (error) {
+      return null; // File not created yet
+    }
+
+    const signature = `${stat.mtimeMs}:${stat.size}`;
+    if (signature === this.fileSignature) return null;
+    this.fileSignature = signature;
+
+    let update;
+    try {
+      update = JSON.parse(fs.readFileSync(this.config.filePath, 'utf8'));
+    } catch (error) {
+      this.stats.reloadsRejected++;
+      this.logger?.warn('threshold_reload_rejected', {
+        source: 'file',
+        filePath: this.config.filePath,
+        errors: [`Unreadable threshold file: ${error.message}`]
+      });
+      return { applied: false, version: this.current.version, errors: [error.message] };
+    }
+
+    return this.apply(update, {
+      source: 'file',
+      reason: `Reloaded ${this.config.filePath}`,
+      base: this.baseline
+    });
+  }
+
+  /**
+   * Load the threshold file now and poll it for changes
+   */
+  watch() {
+    if (!this.config.filePath || this.pollTimer) return false;
+
+    this.checkFile();
+    this.pollTimer = this.clock.setInterval(() => this.checkFile(), this.config.pollIntervalMs);
+
+    this.logger?.info('threshold_file_watch_started', {
+      filePath: this.config.filePath,
+      pollIntervalMs: this.config.pollIntervalMs
+    });
+    return true;
+  }
+
+  /**
+   * Stop polling the threshold file
+   */
+  unwatch() {
+    if (!this.pollTimer) return;
+    this.clock.clearInterval(this.pollTimer);
+    this.pollTimer = null;
+  }
+
+  /**
+   * Version history without the full threshold payloads
+   */
+  getHistory() {
+    return this.history.map(({ thresholds, ...entry }) => entry);
+  }
+
+  /**
+   * Get threshold manager statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      version: this.current.version,
+      source: this.current.source,
+      appliedAt: this.current.appliedAt,
+      watching: this.pollTimer !== null,
+      filePath: this.config.filePath
+    };
+  }
+}
+
+/**
+ * Leaf-level differences between two threshold sets
+ */
+function diffThresholds(before, after, prefix = '') {
+  const changes = [];
+
+  for (const key of new Set([...Object.keys(before || {}), ...Object.keys(after || {})])) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    const from = before?.[key];
+    const to = after?.[key];
+
+    if (from && typeof from === 'object' && to && typeof to === 'object') {
+      changes.push(...diffThresholds(from, to, path));
+    } else if (from !== to) {
+      changes.push({ path, from, to });
+    }
+  }
+
+  return changes;
+}
@@ -0,0 +1,202 @@
+/**
+ * Phoenix v6.1 - Token Registry
+ *
+ * ERC-20 METADATA BY CONTRACT ADDRESS
+ *
+ * Token amounts on the wire are raw integers in the token's smallest unit, so
+ * decoding them needs the token's decimals (6 for USDT / USDC, 8 for WBTC,
+ * 18 for most others). Each registered contract records:
+ * - symbol and decimals
+ * - priceSource: the PriceOracle asset it is valued as (WETH -> ETH);
+ *   defaults to the symbol
+ * - stablecoin: valued at $1 without a price lookup
+ *
+ * The major Ethereum tokens are built in; a JSON file (TOKEN_REGISTRY_FILE)
+ * adds tokens or overrides built-in ones by address. Every entry is validated
+ * when it is loaded; an invalid file is rejected as a whole. Transfers of
+ * unregistered contracts stay unpriced - their decimals are unknown.
+ */
+
+import fs from 'fs';
+
+// ERC-20 transfer(address,uint256) and transferFrom(address,address,uint256) selectors
+const TRANSFER_SELECTOR = '0xa9059cbb';
+const TRANSFER_FROM_SELECTOR = '0x23b872dd';
+
+/**
+ * Built-in Ethereum mainnet tokens
+ */
+export const DEFAULT_TOKENS = [
+  { address: '0xdac17f958d2ee523a2206206994597c13d831ec7', symbol: 'USDT', decimals: 6, stablecoin: true },
+  { address: '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48', symbol: 'USDC', decimals: 6, stablecoin: true },
+  { address: '0x6b175474e89094c44da98b954eedeac495271d0f', symbol: 'DAI', decimals: 18, stablecoin: true },
+  { address: '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2', symbol: 'WETH', decimals: 18, priceSource: 'ETH' },
+  { address: '0x2260fac5e5542a773aa44fbcfedf7c193bc2c599', symbol: 'WBTC', decimals: 8, priceSource: 'BTC' },
+  { address: '0x514910771af9ca656af840dff83e8264ecf986ca', symbol: 'LINK', decimals: 18 },
+  { address: '0x1f9840a85d5af5b426b7f8f285c0e45c08a0ef1a', symbol: 'UNI', decimals: 18 }
+];
+
+export default class TokenRegistry {
+  constructor(config = {}) {
+    this.logger = config.logger;
+
+    const errors = validateTokens(config.tokens || []);
+    if (errors.length > 0) {
+      throw new Error(`Invalid token registry: ${errors.join('; ')}`);
+    }
+
+    // lowercase contract address -> token; configured tokens override built-in ones
+    this.tokens = new Map();
+    for (const token of [...DEFAULT_TOKENS, ...(config.tokens || [])]) {
+      const address = token.address.toLowerCase();
+      this.tokens.set(address, {
+        address,
+        symbol: token.symbol,
+        decimals: token.decimals,
+        stablecoin: token.stablecoin === true,
+        priceSource: token.stablecoin ? null : (token.priceSource || token.symbol).toUpperCase()
+      });
+    }
+
+    // Contracts seen without an entry, so operators know what to register
+    this.unknownContracts = new Set();
+
+    this.stats = {
+      lookups: 0,
+      unknownLookups: 0
+    };
+  }
+
+  /**
+   * Token registered for a contract address, or null
+   */
+  getToken(address) {
+    if (!address) return null;
+
+    this.stats.lookups++;
+    const token = this.tokens.get(address.toLowerCase()) || null;
+    if (!token) {
+      this.stats.unknownLookups++;
+      if (!this.unknownContracts.has(address.toLowerCase())) {
+        this.unknownContracts.add(address.toLowerCase());
+        this.logger?.info('token_unregistered', { contractAddress: address.toLowerCase() });
+      }
+    }
+    return token;
+  }
+
+  /**
+   * PriceOracle assets the registered non-stable tokens are valued as
+   */
+  getPriceSources() {
+    return [...new Set([...this.tokens.values()].map(token => token.priceSource).filter(Boolean))];
+  }
+
+  /**
+   * Get token registry statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      tokens: this.tokens.size,
+      stablecoins: [...this.tokens.values()].filter(token => token.stablecoin).length,
+      unknownContracts: [...this.unknownContracts]
+    };
+  }
+}
+
+/**
+ * Check token entries; returns every problem found (empty when valid)
+ */
+export function validateTokens(tokens) {
+  if (!Array.isArray(tokens)) {
+    return ['tokens: must be an array'];
+  }
+
+  const errors = [];
+  const addresses = new Set();
+  tokens.forEach((token, index) => {
+    const path = `tokens[${index}]`;
+
+    if (!token || typeof token !== 'object') {
+      errors.push(`${path}: must be an object`);
+      return;
+    }
+    if (typeof token.address !== 'string' || !/^0x[0-9a-fA-F]{40}$/.test(token.address)) {
+      errors.push(`${path}.address: must be a 0x-prefixed 20-byte hex address`);
+    } else if (addresses.has(token.address.toLowerCase())) {
+      errors.push(`${path}.address: ${token.address} is already defined`);
+    } else {
+      addresses.add(token.address.toLowerCase());
+    }
+    if (typeof token.symbol !== 'string' || token.symbol.length === 0) {
+      errors.push(`${path}.symbol: must be a non-empty string`);
+    }
+    if (!Number.isInteger(token.decimals) || token.decimals < 0 || token.decimals > 36) {
+      errors.push(`${path}.decimals: must be an integer between 0 and 36`);
+    }
+    if (token.stablecoin !== undefined && typeof token.stablecoin !== 'boolean') {
+      errors.push(`${path}.stablecoin: must be a boolean`);
+    }
+    if (token.priceSource !== undefined && (typeof token.priceSource !== 'string' || !/^[A-Za-z0-9]+$/.test(token.priceSource))) {
+      errors.push(`${path}.priceSource: must be an asset symbol such as "ETH"`);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Read and validate a JSON registry file ({ "tokens": [...] }); throws listing every problem
+ */
+export function loadTokenRegistry(filePath) {
+  let definition;
+  try {
+    definition = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Unreadable token registry file ${filePath}: ${error.message}`);
+  }
+
+  const errors = validateTokens(definition?.tokens);
+  if (errors.length > 0) {
+    throw new Error(`Invalid token registry file ${filePath}: ${errors.join('; ')}`);
+  }
+
+  return definition.tokens;
+}
+
+/**
+ * Recipient, optional owner and raw amount of an ERC-20 transfer / transferFrom call, or null
+ */
+export function decodeTransferCall(input) {
+  if (typeof input !== 'string') return null;
+
+  const data = input.toLowerCase();
+  const word = (index) => data.slice(10 + index * 64, 10 + (index + 1) * 64);
+  const address = (index) => '0x' + word(index).slice(24);
+
+  if (data.startsWith(TRANSFER_SELECTOR) && data.length >= 10 + 2 * 64) {
+    return { from: null, to: address(0), value: '0x' + word(1) };
+  }
+  if (data.startsWith(TRANSFER_FROM_SELECTOR) && data.length >= 10 + 3 * 64) {
+    return { from: address(0), to: address(1), value: '0x' + word(2) };
+  }
+  return null;
+}
+
+/**
+ * Raw integer amount (hex or decimal string) in token units, e.g. 1e6 raw USDT -> 1;
+ * null when the value does not parse
+ */
+export function formatTokenAmount(rawValue, decimals) {
+  if (!rawValue || rawValue === '0x') return 0;
+
+  let raw;
+  try {
+    raw = BigInt(rawValue);
+  } catch (error) {
+    return null;
+  }
+  const unit = 10n ** BigInt(decimals);
+  return Number(raw / unit) + Number(raw % unit) / Number(unit);
+}
@@ -0,0 +1,337 @@
+/**
+ * Phoenix v6.1 - Trade Flow Monitor
+ *
+ * EXECUTED TRADE FLOW FROM THE BINANCE AGGTRADE STREAM
+ *
+ * Gives the liquidity and classification layers real traded volume instead
+ * of order-book estimates:
+ * - <symbol>@aggTrade stream ingestion with duplicate/out-of-order filtering
+ * - Rolling VWAP and quote volume over a time window (default 1h)
+ * - Taker buy/sell volume and cumulative volume delta (CVD)
+ * - Trade-size distribution by USD notional
+ * - Trades journaled so the metrics rebuild identically on replay
+ * - Dropped or refused streams reconnect with exponential backoff until stop()
+ *
+ * Windows are measured in exchange trade time (the aggTrade T field), so
+ * live and replayed metrics agree.
+ */
+
+import { EventEmitter } from 'events';
+import WebSocket from 'ws';
+import { systemClock } from './clock.js';
+
+export default class TradeFlowMonitor extends EventEmitter {
+  constructor(config = {}) {
+    super();
+
+    this.symbol = config.symbol || 'ETHUSDT';
+    this.logger = config.logger;
+    this.clock = config.clock || systemClock;
+    this.journal = config.journal || null; // Optional EventJournal for replay
+
+    this.config = {
+      streamUrl: config.streamUrl || 'wss://stream.binance.com:9443/ws',
+      windowMs: config.windowMs || 60 * 60 * 1000,
+      reconnectDelayMs: config.reconnectDelayMs ?? 1000,
+      maxReconnectDelayMs: config.maxReconnectDelayMs ?? 60000,
+      sizeBucketsUSD: config.sizeBucketsUSD || [1000, 10000, 100000]
+    };
+
+    // Trades inside the rolling window, oldest first; `head` marks the first
+    // live entry so expiry does not shift the array on every trade
+    this.trades = [];
+    this.head = 0;
+
+    this.lastTradeId = null;
+    this.lastTradeTime = null;
+    this.lastPrice = null;
+
+    // Running since start - not windowed
+    this.cumulativeVolumeDelta = 0;
+
+    this.ws = null;
+    this.isStreaming = false;
+    this.reconnectTimer = null;
+    this.reconnectAttempts = 0;
+    this.stopped = false;
+
+    this.stats = {
+      tradesProcessed: 0,
+      duplicateTradesDropped: 0,
+      reconnects: 0,
+      lastTradeAt: null
+    };
+  }
+
+  /**
+   * Open the aggTrade stream; a failed connect keeps retrying until stop()
+   */
+  async start() {
+    this.stopped = false;
+
+    try {
+      await this.connect();
+      return true;
+    } catch (error) {
+      this.logger?.warn('trade_flow_stream_failed', {
+        symbol: this.symbol,
+        error: error.message
+      });
+      this.scheduleReconnect();
+      return false;
+    }
+  }
+
+  /**
+   * Connect to the aggregated trade stream
+   */
+  async connect() {
+    const streamUrl = `${this.config.streamUrl}/${this.symbol.toLowerCase()}@aggTrade`;
+
+    return new Promise((resolve, reject) => {
+      const ws = new WebSocket(streamUrl);
+
+      const timeout = setTimeout(() => {
+        ws.close();
+        reject(new Error('Trade stream connection timeout'));
+      }, 15000);
+
+      ws.on('open', () => {
+        clearTimeout(timeout);
+        this.ws = ws;
+        this.isStreaming = true;
+        this.reconnectAttempts = 0;
+        this.logger?.info('trade_flow_stream_connected', {
+          symbol: this.symbol,
+          stream: streamUrl
+        });
+        resolve();
+      });
+
+      ws.on('message', (data) => {
+        try {
+          this.handleTradeMessage(JSON.parse(data.toString()));
+        } catch (error) {
+          this.logger?.error('trade_flow_message_error', error.message);
+        }
+      });
+
+      ws.on('error', (error) => {
+        clearTimeout(timeout);
+        this.logger?.error('trade_flow_stream_error', error.message);
+        reject(error);
+      });
+
+      ws.on('close', () => {
+        this.handleConnectionClose();
+      });
+    });
+  }
+
+  /**
+   * Journal a raw aggTrade event, then process it
+   */
+  handleTradeMessage(event, receivedAt = this.clock.now()) {
+    this.journal?.record('trade_flow', 'agg_trade', event, { symbol: this.symbol, receivedAt });
+    return this.processTrade(event);
+  }
+
+  /**
+   * Add one aggTrade (live or replayed) to the rolling window
+   */
+  processTrade(event) {
+    // Aggregate trade ids are strictly increasing - anything else was already counted
+    if (this.lastTradeId !== null && event.a <= this.lastTradeId) {
+      this.stats.duplicateTradesDropped++;
+      return false;
+    }
+
+    const price = parseFloat(event.p);
+    const quantity = parseFloat(event.q);
+    const trade = {
+      id: event.a,
+      time: event.T,
+      price,
+      quantity,
+      quoteQuantity: price * quantity,
+      // m = buyer is the maker, so the aggressor sold
+      takerSide: event.m ? 'SELL' : 'BUY'
+    };
+
+    this.trades.push(trade);
+    this.lastTradeId = event.a;
+    this.lastTradeTime = event.T;
+    this.lastPrice = price;
+    this.cumulativeVolumeDelta += trade.takerSide === 'BUY' ? quantity : -quantity;
+
+    this.stats.tradesProcessed++;
+    this.stats.lastTradeAt = event.T;
+
+    this.expireTrades(event.T);
+    this.emit('TRADE', trade);
+    return true;
+  }
+
+  /**
+   * Drop trades older than the rolling window
+   */
+  expireTrades(now) {
+    const windowStart = now - this.config.windowMs;
+
+    while (this.head < this.trades.length && this.trades[this.head].time <= windowStart) {
+      this.head++;
+    }
+
+    // Compact once the expired prefix dominates the array
+    if (this.head > 1000 && this.head * 2 > this.trades.length) {
+      this.trades = this.trades.slice(this.head);
+      this.head = 0;
+    }
+  }
+
+  /**
+   * Order-flow metrics over the trailing window ending at `now`; null with no trades
+   */
+  getMetrics({ windowMs = this.config.windowMs, now = this.lastTradeTime } = {}) {
+    if (now === null) return null;
+
+    const windowStart = now - Math.min(windowMs, this.config.windowMs);
+    const buckets = this.config.sizeBucketsUSD;
+    const sizeDistribution = [0, ...buckets].map((minUSD, index) => ({
+      minUSD,
+      maxUSD: buckets[index] ?? null,
+      count: 0,
+      quoteVolume: 0
+    }));
+
+    let tradeCount = 0;
+    let firstTradeTime = null;
+    let volume = 0;
+    let quoteVolume = 0;
+    let takerBuyVolume = 0;
+    let takerSellVolume = 0;
+
+    for (let i = this.head; i < this.trades.length; i++) {
+      const trade = this.trades[i];
+      if (trade.time <= windowStart || trade.time > now) continue;
+
+      tradeCount++;
+      firstTradeTime ??= trade.time;
+      volume += trade.quantity;
+      quoteVolume += trade.quoteQuantity;
+      if (trade.takerSide === 'BUY') {
+        takerBuyVolume += trade.quantity;
+      } else {
+        takerSellVolume += trade.quantity;
+      }
+
+      const bucketIndex = buckets.findIndex(limit => trade.quoteQuantity < limit);
+      const bucket = sizeDistribution[bucketIndex === -1 ? buckets.length : bucketIndex];
+      bucket.count++;
+      bucket.quoteVolume += trade.quoteQuantity;
+    }
+
+    if (tradeCount === 0) return null;
+
+    for (const bucket of sizeDistribution) {
+      bucket.volumeShare = bucket.quoteVolume / quoteVolume;
+    }
+
+    return {
+      symbol: this.symbol,
+      windowMs: now - windowStart,
+      tradeCount,
+      firstTradeTime,
+      volume,
+      quoteVolume,
+      vwap: quoteVolume / volume,
+      takerBuyVolume,
+      takerSellVolume,
+      takerBuyRatio: takerBuyVolume / volume,
+      volumeDelta: takerBuyVolume - takerSellVolume,
+      cumulativeVolumeDelta: this.cumulativeVolumeDelta,
+      avgTradeSizeUSD: quoteVolume / tradeCount,
+      sizeDistribution,
+      lastPrice: this.lastPrice,
+      lastTradeTime: this.lastTradeTime
+    };
+  }
+
+  /**
+   * Base quantity traded at one price between two trade times (inclusive)
+   */
+  getVolumeAtPrice(price, { since, until = this.lastTradeTime } = {}) {
+    let quantity = 0;
+
+    for (let i = this.trades.length - 1; i >= this.head; i--) {
+      const trade = this.trades[i];
+      if (trade.time < since) break;
+      if (trade.time <= until && trade.price === price) {
+        quantity += trade.quantity;
+      }
+    }
+
+    return quantity;
+  }
+
+  /**
+   * Stream dropped - reconnect unless stopped
+   */
+  handleConnectionClose() {
+    this.ws = null;
+    this.isStreaming = false;
+
+    this.logger?.warn('trade_flow_stream_closed', { symbol: this.symbol });
+    this.scheduleReconnect();
+  }
+
+  /**
+   * Reconnect with exponential backoff (capped at maxReconnectDelayMs) until stop()
+   */
+  scheduleReconnect() {
+    if (this.stopped || this.reconnectTimer) return;
+
+    const delayMs = Math.min(
+      this.config.reconnectDelayMs * 2 ** this.reconnectAttempts,
+      this.config.maxReconnectDelayMs
+    );
+    this.reconnectAttempts++;
+
+    this.reconnectTimer = this.clock.setTimeout(async () => {
+      this.reconnectTimer = null;
+      this.stats.reconnects++;
+      await this.start();
+    }, delayMs);
+  }
+
+  /**
+   * Close the stream and cancel a pending reconnect
+   */
+  async stop() {
+    this.stopped = true;
+
+    if (this.reconnectTimer) {
+      this.clock.clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+
+    if (this.ws) {
+      this.ws.close();
+      this.ws = null;
+    }
+    this.isStreaming = false;
+  }
+
+  /**
+   * Get trade flow statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      tradesInWindow: this.trades.length - this.head,
+      cumulativeVolumeDelta: this.cumulativeVolumeDelta,
+      lastPrice: this.lastPrice,
+      isStreaming: this.isStreaming
+    };
+  }
+}
@@ -0,0 +1,114 @@
+/**
+ * Phoenix v6.1 - Venue Adapters
+ *
+ * ORDER-BOOK NORMALISATION ACROSS EXCHANGES
+ *
+ * One adapter per venue the cross-venue aggregator can read:
+ * - binanceSpot: /api/v3/depth (the pipeline's own book)
+ * - binancePerp: Binance USD-M futures /fapi/v1/depth
+ * - bybit: Bybit v5 spot /v5/market/orderbook
+ * - okx: OKX v5 spot /api/v5/market/books
+ *
+ * Each adapter builds the depth request path for a Binance-style symbol
+ * (ETHUSDT), names the ResilientAPIClient providers that serve it, carries a
+ * default taker fee, and normalises the venue's response into numeric
+ * [price, quantity] levels (base-asset quantity, best first).
+ */
+
+// Quote assets recognised when splitting a Binance-style symbol
+const QUOTE_ASSETS = ['USDT', 'USDC', 'FDUSD', 'BUSD', 'BTC', 'ETH', 'EUR'];
+
+// Depth limits accepted by /fapi/v1/depth
+const BINANCE_FUTURES_LIMITS = [5, 10, 20, 50, 100, 500, 1000];
+
+/**
+ * Split ETHUSDT into { base: 'ETH', quote: 'USDT' }; null if the quote is unknown
+ */
+export function splitSymbol(symbol) {
+  const quote = QUOTE_ASSETS.find(asset => symbol.endsWith(asset) && symbol.length > asset.length);
+  return quote ? { base: symbol.slice(0, -quote.length), quote } : null;
+}
+
+/**
+ * String or numeric [price, quantity, ...] levels -> numeric pairs, empty levels dropped
+ */
+function toLevels(levels = []) {
+  return levels
+    .map(([price, quantity]) => [parseFloat(price), parseFloat(quantity)])
+    .filter(([, quantity]) => quantity > 0);
+}
+
+export const VENUE_ADAPTERS = {
+  binanceSpot: {
+    venue: 'binanceSpot',
+    exchange: 'binance',
+    providers: ['binance', 'binanceBackup'],
+    takerFeeBps: 10,
+    depthPath: (symbol, depth) => `/api/v3/depth?symbol=${symbol}&limit=${depth}`,
+    normalize: (raw) => ({
+      bids: toLevels(raw.bids),
+      asks: toLevels(raw.asks),
+      // Present when the book came from the local diff-stream book
+      timestamp: raw.eventTime ?? null
+    })
+  },
+
+  binancePerp: {
+    venue: 'binancePerp',
+    exchange: 'binance',
+    providers: ['binanceFutures'],
+    takerFeeBps: 5,
+    depthPath: (symbol, depth) => {
+      const limit = BINANCE_FUTURES_LIMITS.find(allowed => allowed >= depth) ?? 1000;
+      return `/fapi/v1/depth?symbol=${symbol}&limit=${limit}`;
+    },
+    normalize: (raw) => ({
+      bids: toLevels(raw.bids),
+      asks: toLevels(raw.asks),
+      timestamp: raw.T ?? raw.E ?? null
+    })
+  },
+
+  bybit: {
+    venue: 'bybit',
+    exchange: 'bybit',
+    providers: ['bybit'],
+    takerFeeBps: 10,
+    depthPath: (symbol, depth) => `/v5/market/orderbook?category=spot&symbol=${symbol}&limit=${Math.min(depth, 200)}`,
+    normalize: (raw) => {
+      if (raw.retCode !== 0) {
+        throw new Error(`Bybit order book error ${raw.retCode}: ${raw.retMsg}`);
+      }
+      return {
+        bids: toLevels(raw.result.b),
+        asks: toLevels(raw.result.a),
+        timestamp: raw.result.ts ?? null
+      };
+    }
+  },
+
+  okx: {
+    venue: 'okx',
+    exchange: 'okx',
+    providers: ['okx'],
+    takerFeeBps: 10,
+    depthPath: (symbol, depth) => {
+      const { base, quote } = splitSymbol(symbol);
+      return `/api/v5/market/books?instId=${base}-${quote}&sz=${Math.min(depth, 400)}`;
+    },
+    normalize: (raw) => {
+      if (raw.code !== '0' || !raw.data?.length) {
+        throw new Error(`OKX order book error ${raw.code}: ${raw.msg}`);
+      }
+      // Levels are [price, size, deprecated, orderCount]
+      const [book] = raw.data;
+      return {
+        bids: toLevels(book.bids),
+        asks: toLevels(book.asks),
+        timestamp: book.ts ? parseInt(book.ts, 10) : null
+      };
+    }
+  }
+};
+
+export const VENUES = Object.keys(VENUE_ADAPTERS);
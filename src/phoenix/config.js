@@ -0,0 +1,515 @@
+/**
+ * Phoenix v6.1 - Configuration Schema
+ *
+ * SINGLE TYPED SOURCE OF ENGINE CONFIGURATION
+ *
+ * Every setting the engine and its components read is declared once here
+ * with a type, default, optional environment variable and bounds:
+ * - Layers: schema defaults < JSON file (PHOENIX_CONFIG_FILE) < environment < overrides
+ * - Every layer is validated per field; all problems are collected and
+ *   thrown together as a ConfigValidationError so startup fails fast
+ * - Secret fields are redacted in the effective-config dump
+ */
+
+import fs from 'fs';
+import { MAX_POSITION_SIZE, DEFAULT_STOP_LOSS, COOLDOWN_MINUTES } from '../utils/index.js';
+import { VENUES } from './components/venue-adapters.js';
+import { TIMEFRAMES } from './components/multi-timeframe-features.js';
+
+const SYMBOL_PATTERN = /^[A-Z0-9]{2,20}$/;
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+
+export const DEFAULT_WHALE_WATCHLIST = [
+  '0x3f5ce5fbfe3e9af3971dd833d26ba9b5c936f0be',
+  '0xa910f92acdaf488fa6ef02174fb86208ad7722ba',
+  '0x28c6c06298d514db089934071355e5743bf21d60'
+];
+
+/**
+ * Field definitions keyed by dotted path
+ */
+export const CONFIG_SCHEMA = {
+  // Markets and mode
+  symbol: { type: 'symbol', default: 'ETHUSDT', env: 'SYMBOL' },
+  symbols: { type: 'symbolList', default: [], env: 'SYMBOLS' },
+  paperTrading: { type: 'boolean', default: true, env: 'PAPER_TRADING' },
+  enableRealTimeFeeds: { type: 'boolean', default: true, env: 'ENABLE_REAL_TIME_FEEDS' },
+  enableDefaultStrategies: { type: 'boolean', default: true },
+
+  // HTTP server
+  'server.port': { type: 'integer', default: 10000, env: 'PORT', min: 1, max: 65535 },
+  'server.webhookToken': { type: 'string', default: null, env: 'WEBHOOK_SECURITY_TOKEN', secret: true },
+  'server.adminToken': { type: 'string', default: null, env: 'ADMIN_API_TOKEN', secret: true },
+
+  // Notifications
+  'telegram.botToken': { type: 'string', default: null, env: 'TELEGRAM_BOT_TOKEN', secret: true },
+  'telegram.chatId': { type: 'string', default: null, env: 'TELEGRAM_CHAT_ID' },
+
+  // Data providers
+  'providers.alchemyApiKey': { type: 'string', default: null, env: 'ALCHEMY_API_KEY', secret: true },
+  'providers.alchemyWsUrl': { type: 'url', default: null, env: 'ALCHEMY_WS_URL', protocols: ['ws:', 'wss:'], secret: true },
+  'providers.quicknodeWsUrl': { type: 'url', default: null, env: 'QUICKNODE_WS_URL', protocols: ['ws:', 'wss:'], secret: true },
+  'providers.etherscanApiKey': { type: 'string', default: null, env: 'ETHERSCAN_API_KEY', secret: true },
+  'providers.bybitApiKey': { type: 'string', default: null, env: 'BYBIT_API_KEY', secret: true },
+  'providers.bybitApiSecret': { type: 'string', default: null, env: 'BYBIT_API_SECRET', secret: true },
+  whaleWatchlist: { type: 'addressList', default: DEFAULT_WHALE_WATCHLIST, env: 'WHALE_WATCHLIST' },
+
+  // Market data API
+  'api.baseUrl': { type: 'url', default: 'https://api.binance.com', env: 'BINANCE_API_URL', protocols: ['http:', 'https:'] },
+  'api.backupUrl': { type: 'url', default: 'https://api1.binance.com', env: 'BINANCE_BACKUP_API_URL', protocols: ['http:', 'https:'] },
+  'api.timeoutMs': { type: 'integer', default: 10000, min: 1000 },
+  'api.binanceFuturesUrl': { type: 'url', default: 'https://fapi.binance.com', env: 'BINANCE_FUTURES_API_URL', protocols: ['http:', 'https:'] },
+  'api.bybitUrl': { type: 'url', default: 'https://api.bybit.com', env: 'BYBIT_API_URL', protocols: ['http:', 'https:'] },
+  'api.okxUrl': { type: 'url', default: 'https://www.okx.com', env: 'OKX_API_URL', protocols: ['http:', 'https:'] },
+
+  // Local order book (REST snapshot + depth diff stream)
+  'orderBook.enabled': { type: 'boolean', default: true, env: 'LOCAL_ORDER_BOOK' },
+  'orderBook.streamUrl': { type: 'url', default: 'wss://stream.binance.com:9443/ws', env: 'BINANCE_STREAM_URL', protocols: ['ws:', 'wss:'] },
+  'orderBook.snapshotDepth': { type: 'integer', default: 5000, min: 5, max: 5000 },
+  'orderBook.analysisDepth': { type: 'integer', default: 50, min: 1, max: 5000 },
+  'orderBook.maxBufferedEvents': { type: 'integer', default: 1000, min: 10 },
+  'orderBook.resyncDelayMs': { type: 'integer', default: 1000, min: 0 },
+  'orderBook.reconnectDelayMs': { type: 'integer', default: 1000, min: 0 },
+  'orderBook.maxReconnectDelayMs': { type: 'integer', default: 60000, min: 0 },
+
+  // Trade flow (aggTrade stream)
+  'tradeFlow.enabled': { type: 'boolean', default: true, env: 'TRADE_FLOW' },
+  'tradeFlow.streamUrl': { type: 'url', default: 'wss://stream.binance.com:9443/ws', env: 'BINANCE_TRADE_STREAM_URL', protocols: ['ws:', 'wss:'] },
+  'tradeFlow.windowMs': { type: 'integer', default: 3600000, min: 60000 },
+  'tradeFlow.reconnectDelayMs': { type: 'integer', default: 1000, min: 0 },
+  'tradeFlow.maxReconnectDelayMs': { type: 'integer', default: 60000, min: 0 },
+
+  // USD prices for whale valuation (pipeline feeds, Binance ticker for the rest)
+  'priceOracle.assets': { type: 'stringList', default: ['ETH'], env: 'PRICE_ORACLE_ASSETS' },
+  'priceOracle.maxAgeMs': { type: 'integer', default: 120000, env: 'PRICE_MAX_AGE_MS', min: 1000 },
+  'priceOracle.refreshMs': { type: 'integer', default: 30000, min: 1000 },
+  'tokens.registryFile': { type: 'string', default: null, env: 'TOKEN_REGISTRY_FILE' },
+
+  // Multi-timeframe momentum / volatility / ATR features (1m, 5m, 15m, 1h)
+  'timeframes.enabled': { type: 'boolean', default: true, env: 'TIMEFRAME_FEATURES' },
+  'timeframes.barMs': { type: 'integer', default: 5000, min: 1000 },
+  'timeframes.barsPerWindow': { type: 'integer', default: 12, min: 2 },
+  'timeframes.tradeStaleMs': { type: 'integer', default: 60000, min: 1000 },
+
+  // Spoofing detection (order-wall tracking on consecutive book states)
+  'spoofing.enabled': { type: 'boolean', default: true, env: 'SPOOFING_DETECTION' },
+  'spoofing.depth': { type: 'integer', default: 50, min: 5, max: 5000 },
+  'spoofing.wallMultiple': { type: 'number', default: 5, min: 1 },
+  'spoofing.maxDistanceBps': { type: 'number', default: 50, min: 0 },
+  'spoofing.pullRatio': { type: 'number', default: 0.25, min: 0, max: 1 },
+  'spoofing.minWallLifetimeMs': { type: 'integer', default: 1000, min: 0 },
+  'spoofing.maxSpoofLifetimeMs': { type: 'integer', default: 30000, min: 1 },
+  'spoofing.episodePulls': { type: 'integer', default: 3, min: 1 },
+  'spoofing.episodeWindowMs': { type: 'integer', default: 300000, min: 1000 },
+  'spoofing.episodeCooldownMs': { type: 'integer', default: 120000, min: 0 },
+  'spoofing.sampleIntervalMs': { type: 'integer', default: 250, min: 0 },
+  'spoofing.action': { type: 'enum', default: 'downweight', values: ['downweight', 'suppress'], env: 'SPOOFING_ACTION' },
+  'spoofing.signalWeight': { type: 'number', default: 0.5, min: 0, max: 1 },
+
+  // Calibrated DLS parameters (written by scripts/calibrate-dls.js)
+  'dls.paramsFile': { type: 'string', default: null, env: 'DLS_PARAMS_FILE' },
+
+  // Cross-venue liquidity (consolidated book across exchanges)
+  'crossVenue.enabled': { type: 'boolean', default: false, env: 'CROSS_VENUE' },
+  'crossVenue.venues': { type: 'stringList', default: VENUES, env: 'CROSS_VENUE_VENUES' },
+  'crossVenue.feeBps': { type: 'object', default: {} },
+  'crossVenue.depth': { type: 'integer', default: 50, min: 5, max: 200 },
+  'crossVenue.bandBps': { type: 'number', default: 50, min: 1 },
+  'crossVenue.maxBookAgeMs': { type: 'integer', default: 60000, min: 1000 },
+  'crossVenue.divergenceThreshold': { type: 'number', default: 0.5, min: 0 },
+  'crossVenue.baselineAlpha': { type: 'number', default: 0.1, min: 0, max: 1 },
+  'crossVenue.warmupSamples': { type: 'integer', default: 5, min: 1 },
+
+  // Regime state machine (stable regimes from per-sample classifications)
+  'regime.entryDwellMs': { type: 'integer', default: 30000, env: 'REGIME_ENTRY_DWELL_MS', min: 0 },
+  'regime.minDwellMs': { type: 'integer', default: 120000, env: 'REGIME_MIN_DWELL_MS', min: 0 },
+  'regime.maxHistorySize': { type: 'integer', default: 500, min: 1 },
+  'regime.rulesFile': { type: 'string', default: null, env: 'REGIME_RULES_FILE' },
+
+  // Probabilistic regime model run in shadow (written by scripts/fit-regime-model.js)
+  'regimeModel.file': { type: 'string', default: null, env: 'REGIME_MODEL_FILE' },
+  'regimeModel.mode': { type: 'enum', default: 'hmm', values: ['hmm', 'naive-bayes'], env: 'REGIME_MODEL_MODE' },
+  'regimeModel.maxGapMs': { type: 'integer', default: 300000, min: 0 },
+
+  // Forward-outcome validation of classifications and signals
+  'validation.enabled': { type: 'boolean', default: true, env: 'OUTCOME_VALIDATION' },
+  'validation.horizons': { type: 'stringList', default: ['1m', '5m', '15m', '1h'], env: 'VALIDATION_HORIZONS' },
+  'validation.targetBps': { type: 'number', default: 30, min: 0 },
+  'validation.stopBps': { type: 'number', default: 30, min: 0 },
+  'validation.confidenceBucket': { type: 'integer', default: 20, min: 1, max: 100 },
+  'validation.maxRecords': { type: 'integer', default: 1000, min: 1 },
+  'validation.regimeDirections': { type: 'object', default: {} },
+
+  // Scheduling
+  'taskScheduler.maxConcurrentTasks': { type: 'integer', default: 8, env: 'MAX_CONCURRENT_TASKS', min: 1, max: 64 },
+  'intervals.classificationMs': { type: 'integer', default: 30000, min: 1000 },
+  'intervals.heartbeatMs': { type: 'integer', default: 60000, min: 1000 },
+  'intervals.healthCheckMs': { type: 'integer', default: 30000, min: 1000 },
+  'intervals.performanceMetricsMs': { type: 'integer', default: 300000, min: 1000 },
+  'intervals.whaleBalanceCheckMs': { type: 'integer', default: 120000, min: 1000 },
+
+  // Warm restart and replay
+  'stateSnapshot.enabled': { type: 'boolean', default: true, env: 'STATE_SNAPSHOT' },
+  'stateSnapshot.filePath': { type: 'string', default: './data/phoenix-state.json', env: 'STATE_SNAPSHOT_PATH' },
+  'stateSnapshot.intervalMs': { type: 'integer', default: 60000, min: 1000 },
+  'stateSnapshot.maxAgeMs': { type: 'integer', default: 24 * 60 * 60 * 1000, min: 0 },
+  'journal.enabled': { type: 'boolean', default: false, env: 'EVENT_JOURNAL' },
+  'journal.filePath': { type: 'string', default: './data/journal/phoenix-journal.jsonl', env: 'EVENT_JOURNAL_PATH' },
+  'journal.maxBytes': { type: 'integer', default: 256 * 1024 * 1024, env: 'EVENT_JOURNAL_MAX_BYTES', min: 1024 },
+  'journal.maxFiles': { type: 'integer', default: 4, env: 'EVENT_JOURNAL_MAX_FILES', min: 0, max: 100 },
+
+  // Portfolio risk
+  'risk.maxPositionSizeUSD': { type: 'number', default: MAX_POSITION_SIZE, env: 'RISK_MAX_POSITION_USD', min: 0 },
+  'risk.maxGrossExposureUSD': { type: 'number', default: MAX_POSITION_SIZE * 3, env: 'RISK_MAX_GROSS_EXPOSURE_USD', min: 0 },
+  'risk.maxStopLossPercent': { type: 'number', default: DEFAULT_STOP_LOSS, min: 0, max: 100 },
+  'risk.dailyLossLimitUSD': { type: 'number', default: MAX_POSITION_SIZE * 0.1, env: 'RISK_DAILY_LOSS_LIMIT_USD', min: 0 },
+  'risk.maxConsecutiveLosses': { type: 'integer', default: 3, min: 1 },
+  'risk.stopOutCooldownMs': { type: 'integer', default: COOLDOWN_MINUTES * 60 * 1000, min: 0 },
+
+  // Paper execution
+  'paperTrader.positionSizeUSD': { type: 'number', default: 500, env: 'PAPER_POSITION_SIZE_USD', min: 0 },
+  'paperTrader.maxConcurrentPositions': { type: 'integer', default: 3, min: 1 },
+  'paperTrader.stopLossPercent': { type: 'number', default: 1.5, min: 0, max: 100 },
+  'paperTrader.takeProfitPercent': { type: 'number', default: 3.0, min: 0 },
+  'paperTrader.feeRate': { type: 'number', default: 0.001, min: 0, max: 0.1 },
+  'paperTrader.enableTrailingStop': { type: 'boolean', default: true },
+  'paperTrader.trailProfitTrigger': { type: 'number', default: 1.5, min: 0 },
+  'paperTrader.trailDistance': { type: 'number', default: 1.0, min: 0 },
+  'paperTrader.signalCooldownMs': { type: 'integer', default: 900000, min: 0 },
+  'paperTrader.maxLedgerSize': { type: 'integer', default: 1000, min: 1 },
+  'paperTrader.regimeActions': { type: 'object', default: {} },
+
+  // Signal conflict resolution
+  'conflictResolution.rules': { type: 'stringList', default: ['STRATEGY_PRECEDENCE', 'PRIORITY', 'CONFIDENCE', 'TIMEFRAME'] },
+  'conflictResolution.strategyPrecedence': { type: 'object', default: {} },
+  'conflictResolution.confidenceMargin': { type: 'number', default: 0.05, min: 0, max: 1 },
+  'conflictResolution.maxSymbolAllocation': { type: 'number', default: 1.0, min: 0, max: 1 },
+  'conflictResolution.signalTtlMs': { type: 'integer', default: 900000, min: 0 },
+  'conflictResolution.tieBreaker': { type: 'enum', default: 'REJECT_NEW', values: ['REJECT_NEW', 'ACCEPT_NEW'] },
+  'conflictResolution.maxHistorySize': { type: 'integer', default: 500, min: 1 },
+
+  // Hot-reloadable strategy thresholds (see ThresholdManager)
+  'thresholds.classifier.cascade.pressure': { type: 'number', default: 0.25, min: -1, max: 1 },
+  'thresholds.classifier.cascade.liquidity': { type: 'number', default: 25000, min: 0 },
+  'thresholds.classifier.cascade.momentum': { type: 'number', default: -0.05, max: 0 },
+  'thresholds.classifier.coil.pressure': { type: 'number', default: 0.1, min: -1, max: 1 },
+  'thresholds.classifier.coil.liquidity': { type: 'number', default: 30000, min: 0 },
+  'thresholds.classifier.coil.momentumMin': { type: 'number', default: -0.02 },
+  'thresholds.classifier.coil.momentumMax': { type: 'number', default: 0.02 },
+  'thresholds.classifier.shakeout.pressure': { type: 'number', default: 0, min: -1, max: 1 },
+  'thresholds.classifier.shakeout.liquidity': { type: 'number', default: 20000, min: 0 },
+  'thresholds.classifier.shakeout.momentum': { type: 'number', default: -0.1, max: 0 },
+  'thresholds.classifier.hysteresis.pressure': { type: 'number', default: 0.05, min: 0, max: 1 },
+  'thresholds.classifier.hysteresis.liquidity': { type: 'number', default: 5, min: 0, max: 100 },
+  'thresholds.classifier.hysteresis.momentum': { type: 'number', default: 0.02, min: 0 },
+  'thresholds.liquidity.signalValidation': { type: 'number', default: 75, min: 0, max: 100 },
+  'thresholds.liquidity.highConfidence': { type: 'number', default: 90, min: 0, max: 100 },
+  'thresholds.liquidity.lowLiquidityWarning': { type: 'number', default: 25, min: 0, max: 100 },
+  'thresholds.liquidity.criticalLiquidity': { type: 'number', default: 10, min: 0, max: 100 },
+  'thresholds.derivatives.fundingSpikeRate': { type: 'number', default: 0.018, min: 0 },
+  'thresholds.derivatives.oiSpikeRatePerMin': { type: 'number', default: 0.05, min: 0 },
+  'thresholds.mempool.whaleMinValueUSD': { type: 'number', default: 100000, min: 0 },
+  'thresholdReload.filePath': { type: 'string', default: null, env: 'THRESHOLDS_FILE' },
+  'thresholdReload.pollIntervalMs': { type: 'integer', default: 5000, min: 100 }
+};
+
+/**
+ * Cross-field rules checked after every layer has been applied
+ */
+export const CONFIG_CONSTRAINTS = [
+  {
+    paths: ['thresholds.classifier.coil.momentumMin', 'thresholds.classifier.coil.momentumMax'],
+    test: (min, max) => min <= max,
+    message: 'coil momentumMin must not exceed momentumMax'
+  },
+  {
+    paths: ['thresholds.liquidity.criticalLiquidity', 'thresholds.liquidity.lowLiquidityWarning', 'thresholds.liquidity.highConfidence'],
+    test: (critical, warning, high) => critical <= warning && warning < high,
+    message: 'liquidity percentiles must satisfy criticalLiquidity <= lowLiquidityWarning < highConfidence'
+  },
+  {
+    paths: ['spoofing.minWallLifetimeMs', 'spoofing.maxSpoofLifetimeMs'],
+    test: (min, max) => min <= max,
+    message: 'spoofing minWallLifetimeMs must not exceed maxSpoofLifetimeMs'
+  },
+  {
+    paths: ['crossVenue.venues'],
+    test: (venues) => venues.every(venue => VENUES.includes(venue)),
+    message: `crossVenue venues must be drawn from ${VENUES.join(', ')}`
+  },
+  {
+    paths: ['timeframes.barMs', 'timeframes.barsPerWindow'],
+    test: (barMs, barsPerWindow) => TIMEFRAMES.every(({ ms }) => ms % (barMs * barsPerWindow) === 0),
+    message: `timeframes barMs x barsPerWindow must divide every window (${TIMEFRAMES.map(({ label }) => label).join(', ')})`
+  },
+  {
+    paths: ['validation.horizons'],
+    test: (horizons) => horizons.length > 0 && horizons.every(horizon => /^[1-9]\d*(s|m|h)$/.test(horizon)),
+    message: 'validation horizons must be durations such as 30s, 5m or 1h'
+  },
+  {
+    paths: ['validation.regimeDirections'],
+    test: (directions) => Object.values(directions).every(direction => ['LONG', 'SHORT', 'BREAKOUT'].includes(direction)),
+    message: 'validation regimeDirections must map regimes to LONG, SHORT or BREAKOUT'
+  }
+];
+
+// Intermediate dotted paths that group fields (e.g. 'risk', 'thresholds.classifier.coil')
+const SECTIONS = new Set(Object.keys(CONFIG_SCHEMA).flatMap(key => {
+  const parts = key.split('.');
+  return parts.slice(1).map((_, index) => parts.slice(0, index + 1).join('.'));
+}));
+
+export class ConfigValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid configuration:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+    this.name = 'ConfigValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Parse a raw value (string from env, or any JSON value) for a field.
+ * Returns { value } or { error }.
+ */
+function parseValue(field, raw) {
+  if (raw === null) return { value: null };
+
+  const text = typeof raw === 'string' ? raw.trim() : raw;
+
+  switch (field.type) {
+    case 'string':
+      if (typeof text === 'number') return { value: String(text) }; // e.g. numeric Telegram chat ids
+      if (typeof text !== 'string' || text === '') return { error: 'must be a non-empty string' };
+      return { value: text };
+
+    case 'boolean':
+      if (typeof text === 'boolean') return { value: text };
+      if (['true', '1', 'yes', 'on'].includes(String(text).toLowerCase())) return { value: true };
+      if (['false', '0', 'no', 'off'].includes(String(text).toLowerCase())) return { value: false };
+      return { error: `must be a boolean (true/false), got '${raw}'` };
+
+    case 'integer':
+    case 'number': {
+      const number = typeof text === 'number' ? text : (text === '' ? NaN : Number(text));
+      if (typeof text !== 'number' && typeof text !== 'string') return { error: `must be a number, got ${typeof raw}` };
+      if (!Number.isFinite(number)) return { error: `must be a number, got '${raw}'` };
+      if (field.type === 'integer' && !Number.isInteger(number)) return { error: `must be an integer, got '${raw}'` };
+      if (field.min !== undefined && number < field.min) return { error: `must be >= ${field.min}, got ${number}` };
+      if (field.max !== undefined && number > field.max) return { error: `must be <= ${field.max}, got ${number}` };
+      return { value: number };
+    }
+
+    case 'enum':
+      if (!field.values.includes(text)) return { error: `must be one of ${field.values.join(', ')}, got '${raw}'` };
+      return { value: text };
+
+    case 'symbol':
+      if (typeof text !== 'string' || !SYMBOL_PATTERN.test(text)) return { error: `'${raw}' is not a valid symbol (e.g. ETHUSDT)` };
+      return { value: text };
+
+    case 'url': {
+      if (typeof text !== 'string') return { error: 'must be a URL string' };
+      let url;
+      try {
+        url = new URL(text);
+      } catch (error) {
+        return { error: 'is not a valid URL' };
+      }
+      if (field.protocols && !field.protocols.includes(url.protocol)) {
+        return { error: `must use ${field.protocols.join(' or ')}, got ${url.protocol}` };
+      }
+      return { value: text };
+    }
+
+    case 'symbolList':
+    case 'addressList':
+    case 'stringList': {
+      const items = Array.isArray(text) ? text : (typeof text === 'string' ? text.split(',') : null);
+      if (!items) return { error: 'must be a list or comma-separated string' };
+
+      const values = [];
+      for (const [index, item] of items.entries()) {
+        const entry = typeof item === 'string' ? item.trim() : item;
+        if (entry === '') continue;
+
+        if (field.type === 'symbolList' && !SYMBOL_PATTERN.test(entry)) {
+          return { error: `entry ${index + 1} '${item}' is not a valid symbol (e.g. ETHUSDT)` };
+        }
+        if (field.type === 'addressList' && !ADDRESS_PATTERN.test(entry)) {
+          return { error: `entry ${index + 1} '${item}' is not a valid Ethereum address (0x + 40 hex chars)` };
+        }
+        if (field.type === 'stringList' && typeof entry !== 'string') {
+          return { error: `entry ${index + 1} must be a string` };
+        }
+        values.push(field.type === 'addressList' ? entry.toLowerCase() : entry);
+      }
+      return { value: values };
+    }
+
+    case 'object':
+      if (typeof raw !== 'object' || Array.isArray(raw)) return { error: 'must be an object' };
+      return { value: { ...raw } };
+
+    default:
+      return { error: `has unknown schema type '${field.type}'` };
+  }
+}
+
+/**
+ * Flatten a nested config object into dotted schema paths
+ */
+function flatten(object, prefix, entries, errors, label) {
+  for (const [key, value] of Object.entries(object)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+
+    if (CONFIG_SCHEMA[path]) {
+      if (value !== undefined) entries.push([path, value]);
+    } else if (SECTIONS.has(path) && value && typeof value === 'object' && !Array.isArray(value)) {
+      flatten(value, path, entries, errors, label);
+    } else if (value !== undefined) {
+      errors.push(`${path}: unknown configuration key (${label})`);
+    }
+  }
+  return entries;
+}
+
+function setPath(config, path, value) {
+  const keys = path.split('.');
+  let target = config;
+  for (const key of keys.slice(0, -1)) {
+    target = target[key] = target[key] || {};
+  }
+  target[keys[keys.length - 1]] = value;
+}
+
+function getPath(config, path) {
+  return path.split('.').reduce((value, key) => value?.[key], config);
+}
+
+/**
+ * Apply one layer of values onto the resolved config, recording errors
+ */
+function applyLayer(config, entries, errors, label) {
+  for (const [path, raw] of entries) {
+    const field = CONFIG_SCHEMA[path];
+    const { value, error } = parseValue(field, raw);
+
+    if (error) {
+      const source = label === 'env' ? `${field.env}` : label;
+      errors.push(`${path} (${source}) ${error}`);
+    } else {
+      setPath(config, path, value);
+    }
+  }
+}
+
+/**
+ * Check cross-field rules whose fields start with a prefix
+ */
+function checkConstraints(config, errors, prefix = '') {
+  for (const constraint of CONFIG_CONSTRAINTS) {
+    if (!constraint.paths[0].startsWith(prefix)) continue;
+
+    const values = constraint.paths.map(path => getPath(config, path));
+    if (!constraint.test(...values)) {
+      errors.push(`${constraint.message} (${constraint.paths.map((path, i) => `${path.split('.').pop()}=${values[i]}`).join(', ')})`);
+    }
+  }
+}
+
+/**
+ * Read a JSON config file overlay
+ */
+function readConfigFile(filePath, errors) {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      errors.push(`${filePath}: config file must contain a JSON object`);
+      return {};
+    }
+    return parsed;
+  } catch (error) {
+    errors.push(`${filePath}: cannot read config file (${error.message})`);
+    return {};
+  }
+}
+
+/**
+ * Build the effective config from defaults, an optional JSON file, the
+ * environment and explicit overrides. Throws ConfigValidationError listing
+ * every malformed value.
+ */
+export function loadConfig({ env = process.env, filePath = env.PHOENIX_CONFIG_FILE, defaults = {}, overrides = {} } = {}) {
+  const config = {};
+  const errors = [];
+
+  for (const [path, field] of Object.entries(CONFIG_SCHEMA)) {
+    const value = field.default;
+    setPath(config, path, Array.isArray(value) ? [...value] : (value && typeof value === 'object' ? { ...value } : value));
+  }
+
+  applyLayer(config, flatten(defaults, '', [], errors, 'defaults'), errors, 'defaults');
+
+  if (filePath) {
+    const fileConfig = readConfigFile(filePath, errors);
+    applyLayer(config, flatten(fileConfig, '', [], errors, filePath), errors, filePath);
+  }
+
+  const envEntries = Object.entries(CONFIG_SCHEMA)
+    .filter(([, field]) => field.env && env[field.env] !== undefined && env[field.env] !== '')
+    .map(([path, field]) => [path, env[field.env]]);
+  applyLayer(config, envEntries, errors, 'env');
+
+  applyLayer(config, flatten(overrides, '', [], errors, 'override'), errors, 'override');
+  checkConstraints(config, errors);
+
+  if (errors.length > 0) {
+    throw new ConfigValidationError(errors);
+  }
+
+  return config;
+}
+
+/**
+ * Validate a partial threshold update against the schema and merge it onto
+ * a base threshold set. Returns a new object; throws ConfigValidationError.
+ */
+export function resolveThresholds(update, base, source = 'update') {
+  const config = { thresholds: structuredClone(base) };
+  const errors = [];
+
+  if (!update || typeof update !== 'object' || Array.isArray(update)) {
+    throw new ConfigValidationError(['thresholds: update must be an object']);
+  }
+
+  applyLayer(config, flatten({ thresholds: update }, '', [], errors, source), errors, source);
+  checkConstraints(config, errors, 'thresholds.');
+
+  if (errors.length > 0) {
+    throw new ConfigValidationError(errors);
+  }
+
+  return config.thresholds;
+}
+
+/**
+ * Copy of a config with every configured secret replaced
+ */
+export function redactConfig(config) {
+  const redacted = structuredClone(config);
+  for (const [path, field] of Object.entries(CONFIG_SCHEMA)) {
+    if (field.secret && getPath(redacted, path)) {
+      setPath(redacted, path, '[REDACTED]');
+    }
+  }
+  return redacted;
+}
+
+/**
+ * One "path = value" line per schema field, secrets redacted
+ */
+export function formatConfig(config) {
+  const redacted = redactConfig(config);
+  return Object.keys(CONFIG_SCHEMA).map(path => `${path} = ${JSON.stringify(getPath(redacted, path)) ?? 'undefined'}`);
+}
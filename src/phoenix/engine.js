@@ -8,14 +8,27 @@
  */
 
 import { EventEmitter } from 'events';
-import LiquidityAnalyzer from './components/liquidity-analyzer.js';
 import MempoolStreamer from './components/mempool-streamer.js';
-import DerivativesMonitor from './components/derivatives-monitor.js';
 import TaskScheduler from './components/task-scheduler.js';
 import StatefulLogger from './components/stateful-logger.js';
 import TelegramReporter from './components/telegram-reporter.js';
-import MarketClassifier from './components/market-classifier.js';
 import ResilientAPIClient from './components/resilient-api-client.js';
+import SymbolPipeline from './components/symbol-pipeline.js';
+import ConflictResolver from './components/conflict-resolver.js';
+import RiskManager from './components/risk-manager.js';
+import StateSnapshotStore from './components/state-snapshot.js';
+import EventJournal from './components/event-journal.js';
+import ThresholdManager from './components/threshold-manager.js';
+import PriceOracle from './components/price-oracle.js';
+import TokenRegistry, { loadTokenRegistry } from './components/token-registry.js';
+import { loadDLSParams } from './components/liquidity-analyzer.js';
+import { loadRegimeRules } from './components/regime-rules.js';
+import { loadRegimeModel } from './components/regime-model.js';
+import { systemClock } from './components/clock.js';
+import { loadConfig, formatConfig } from './config.js';
+import CascadeHunterStrategy from './strategies/cascade-hunter.js';
+import CoilWatcherStrategy from './strategies/coil-watcher.js';
+import ShakeoutDetectorStrategy from './strategies/shakeout-detector.js';
 import { getISTTime } from '../utils/index.js';
 
 export default class PhoenixEngine extends EventEmitter {
@@ -23,12 +36,18 @@ export default class PhoenixEngine extends EventEmitter {
     super();
     
     this.version = '6.0.0';
-    this.config = {
-      symbol: config.symbol || 'ETHUSDT',
-      paperTrading: config.paperTrading !== false,
-      enableRealTimeFeeds: config.enableRealTimeFeeds !== false,
-      ...config
-    };
+
+    // Schema defaults < PHOENIX_CONFIG_FILE < environment < constructor options.
+    // Throws ConfigValidationError on any malformed value.
+    const { clock, ...options } = config;
+    this.config = loadConfig({ overrides: options });
+
+    // Multi-symbol: config.symbols wins; the first symbol is the primary pipeline
+    this.config.symbols = [...new Set(this.config.symbols.length ? this.config.symbols : [this.config.symbol])];
+    this.config.symbol = this.config.symbols[0];
+
+    // Time source for every component - a VirtualClock drives simulations
+    this.clock = clock || systemClock;
     
     // Initialize stateful logger first (Mandate 3)
     this.logger = new StatefulLogger({
@@ -37,18 +56,110 @@ export default class PhoenixEngine extends EventEmitter {
       stateChangeOnly: true
     });
     
-    // Core Phoenix components
-    this.liquidityAnalyzer = null;    // Mandate 1
+    // Shared Phoenix components
     this.mempoolStreamer = null;      // Mandate 2
-    this.marketClassifier = null;     // Mandate 2 (Observability)
-    this.derivativesMonitor = null;   // Mandate 4
     this.taskScheduler = null;        // Mandate 5
     this.telegramReporter = null;     // Notifications
     this.apiClient = null;            // Mandate 3 (Resilience)
+
+    this.conflictResolver = new ConflictResolver({
+      logger: this.logger,
+      clock: this.clock,
+      ...this.config.conflictResolution
+    });
+
+    // Portfolio risk limits and kill switch - gates every order path
+    this.riskManager = new RiskManager({
+      logger: this.logger,
+      clock: this.clock,
+      ...this.config.risk
+    });
+    this.riskManager.on('KILL_SWITCH', (halt) => this.handleKillSwitch(halt));
+
+    // Warm restart - component state is snapshotted to disk and restored on initialize()
+    this.stateStore = !this.config.stateSnapshot.enabled ? null : new StateSnapshotStore({
+      logger: this.logger,
+      clock: this.clock,
+      ...this.config.stateSnapshot
+    });
+
+    // Append-only journal of external inputs - replayed with replayJournal()
+    this.journal = this.config.journal.enabled ? new EventJournal({
+      logger: this.logger,
+      clock: this.clock,
+      ...this.config.journal
+    }) : null;
+
+    // Hot-reloadable strategy thresholds - watched file or admin endpoint
+    this.thresholdManager = new ThresholdManager({
+      logger: this.logger,
+      clock: this.clock,
+      thresholds: this.config.thresholds,
+      ...this.config.thresholdReload
+    });
+    this.thresholdManager.on('THRESHOLDS_CHANGED', (change) => this.applyThresholds(change));
+
+    // ERC-20 symbols, decimals and price sources - a bad registry file fails startup
+    this.tokenRegistry = new TokenRegistry({
+      logger: this.logger,
+      tokens: this.config.tokens.registryFile ? loadTokenRegistry(this.config.tokens.registryFile) : []
+    });
+
+    // Live USD prices for whale valuation - fed by the pipelines, polled for the rest
+    // (including every registered token's price source)
+    this.priceOracle = new PriceOracle({
+      logger: this.logger,
+      clock: this.clock,
+      ...this.config.priceOracle,
+      assets: [...new Set([...this.config.priceOracle.assets, ...this.tokenRegistry.getPriceSources()])]
+    });
+
+    // Calibrated DLS weights (scripts/calibrate-dls.js) - a bad file fails startup
+    this.dlsParams = this.config.dls.paramsFile ? loadDLSParams(this.config.dls.paramsFile) : null;
+
+    // Declarative regime definitions - every rule is validated here, a bad file fails startup
+    this.regimeRules = this.config.regime.rulesFile ? loadRegimeRules(this.config.regime.rulesFile) : null;
+
+    // Fitted probabilistic regime model (scripts/fit-regime-model.js), run in shadow - a bad file fails startup
+    this.regimeModelParams = this.config.regimeModel.file ? loadRegimeModel(this.config.regimeModel.file) : null;
+
+    // Per-symbol pipelines (Mandates 1, 2 and 4 are bound to one symbol each).
+    // Strategy registries exist before initialize() so modules can register early.
+    this.pipelines = new Map();
+    for (const symbol of this.config.symbols) {
+      const pipeline = new SymbolPipeline({
+        symbol,
+        logger: this.logger,
+        clock: this.clock,
+        paperTrading: this.config.paperTrading,
+        paperTrader: this.config.paperTrader,
+        orderBook: this.config.orderBook,
+        tradeFlow: this.config.tradeFlow,
+        timeframes: this.config.timeframes,
+        spoofing: this.config.spoofing,
+        crossVenue: this.config.crossVenue,
+        regime: this.config.regime,
+        validation: this.config.validation,
+        riskManager: this.riskManager,
+        priceOracle: this.priceOracle,
+        journal: this.journal,
+        dlsParams: this.dlsParams,
+        regimeRules: this.regimeRules,
+        regimeModel: this.regimeModelParams ? { ...this.config.regimeModel, params: this.regimeModelParams } : null,
+        thresholds: this.thresholdManager.getThresholds(),
+        bybitConfig: {
+          apiKey: this.config.providers.bybitApiKey,
+          apiSecret: this.config.providers.bybitApiSecret
+        }
+      });
+      pipeline.strategyManager.on('STRATEGY_SIGNAL', (signal) => this.handleStrategySignal(signal));
+      this.pipelines.set(symbol, pipeline);
+    }
     
     // System state
     this.isRunning = false;
     this.startTime = null;
+    this.periodicTimers = [];
     // CRUCIBLE MANDATE 4: Realistic status reporting
     this.systemHealth = {
       liquidityAnalyzer: 'INITIALIZING',
@@ -61,12 +172,12 @@ export default class PhoenixEngine extends EventEmitter {
 
     // CRUCIBLE MANDATE 4: Component activity tracking for STALLED detection
     this.lastActivity = {
-      liquidityAnalyzer: Date.now(),
-      mempoolStreamer: Date.now(),
-      marketClassifier: Date.now(),
-      derivativesMonitor: Date.now(),
-      taskScheduler: Date.now(),
-      telegramReporter: Date.now()
+      liquidityAnalyzer: this.clock.now(),
+      mempoolStreamer: this.clock.now(),
+      marketClassifier: this.clock.now(),
+      derivativesMonitor: this.clock.now(),
+      taskScheduler: this.clock.now(),
+      telegramReporter: this.clock.now()
     };
     
     // Performance metrics
@@ -76,16 +187,85 @@ export default class PhoenixEngine extends EventEmitter {
       derivativesUpdates: 0,
       tasksExecuted: 0,
       alertsSent: 0,
-      startTime: Date.now()
+      paperPositionsOpened: 0,
+      paperPositionsClosed: 0,
+      strategySignals: 0,
+      signalsRejected: 0,
+      spoofingEpisodes: 0,
+      venueDivergences: 0,
+      regimeTransitions: 0,
+      startTime: this.clock.now()
     };
     
     this.logger.info('phoenix_engine_init', {
       version: this.version,
-      symbol: this.config.symbol,
+      symbols: this.config.symbols,
       paperTrading: this.config.paperTrading
     });
   }
 
+  /**
+   * Pipeline for the primary (first) symbol
+   */
+  get primaryPipeline() {
+    return this.pipelines.get(this.config.symbol);
+  }
+
+  /**
+   * Single-symbol accessors kept for callers that predate multi-symbol support
+   */
+  get liquidityAnalyzer() {
+    return this.primaryPipeline.liquidityAnalyzer;
+  }
+
+  get marketClassifier() {
+    return this.primaryPipeline.marketClassifier;
+  }
+
+  get derivativesMonitor() {
+    return this.primaryPipeline.derivativesMonitor;
+  }
+
+  get paperTrader() {
+    return this.primaryPipeline.paperTrader;
+  }
+
+  get strategyManager() {
+    return this.primaryPipeline.strategyManager;
+  }
+
+  get lastMarketData() {
+    return this.primaryPipeline.lastMarketData;
+  }
+
+  /**
+   * Get the pipeline for a symbol
+   */
+  getPipeline(symbol) {
+    return this.pipelines.get(symbol) || null;
+  }
+
+  /**
+   * Regime transitions for one symbol (see MarketClassifier.getRegimeHistory)
+   */
+  getRegimeHistory(symbol, filters = {}) {
+    return this.getPipeline(symbol)?.marketClassifier?.getRegimeHistory(filters) ?? null;
+  }
+
+  /**
+   * Why the last classification for one symbol chose its regime (see MarketClassifier.getLastExplanation)
+   */
+  getClassificationExplanation(symbol) {
+    return this.getPipeline(symbol)?.marketClassifier?.getLastExplanation() ?? null;
+  }
+
+  /**
+   * Forward-outcome accuracy tables for one symbol (see OutcomeValidator.getAccuracy)
+   */
+  getOutcomeAccuracy(symbol, kind = 'classification') {
+    return this.getPipeline(symbol)?.outcomeValidator?.getAccuracy(kind) ?? null;
+  }
+
   /**
    * Initialize all Phoenix components
    */
@@ -95,36 +275,39 @@ export default class PhoenixEngine extends EventEmitter {
     try {
       // Initialize Telegram Reporter first for notifications
       this.telegramReporter = new TelegramReporter({
-        botToken: process.env.TELEGRAM_BOT_TOKEN,
-        chatId: process.env.TELEGRAM_CHAT_ID
+        botToken: this.config.telegram.botToken,
+        chatId: this.config.telegram.chatId
       });
       await this.telegramReporter.initialize();
       this.systemHealth.telegramReporter = 'ONLINE';
       this.logger.info('telegram_reporter_ready', 'Telegram notifications active');
       
-      // Initialize Liquidity Analyzer (Mandate 1)
-      this.liquidityAnalyzer = new LiquidityAnalyzer({
-        symbol: this.config.symbol,
-        logger: this.logger
-      });
-      this.systemHealth.liquidityAnalyzer = 'ONLINE';
-      this.logger.info('mandate_1_ready', 'Dynamic Liquidity Analyzer operational');
-      
       // Initialize Mempool Streamer (Mandate 2)
       // Primary: Alchemy, Backup: QuickNode (Blocknative deprecated March 2025)
+      const { providers } = this.config;
       const mempoolProviders = {
-        alchemy: { enabled: !!process.env.ALCHEMY_API_KEY },
-        quicknode: { enabled: !!process.env.QUICKNODE_WS_URL }
+        alchemy: { enabled: !!providers.alchemyApiKey, apiKey: providers.alchemyApiKey, wsUrl: providers.alchemyWsUrl },
+        quicknode: { enabled: !!providers.quicknodeWsUrl, wsUrl: providers.quicknodeWsUrl },
+        etherscan: { enabled: !!providers.etherscanApiKey, apiKey: providers.etherscanApiKey }
       };
 
       // Check if any mempool providers are available
-      const hasProviders = Object.values(mempoolProviders).some(p => p.enabled);
+      const hasProviders = mempoolProviders.alchemy.enabled || mempoolProviders.quicknode.enabled;
+
+      // The mempool watches Ethereum, so whale intents feed the ETH pipeline when one is configured
+      const mempoolAsset = this.pipelines.has('ETHUSDT') ? 'ETH' : this.config.symbol.replace('USDT', '');
 
       this.mempoolStreamer = new MempoolStreamer({
-        symbol: this.config.symbol.replace('USDT', ''),
+        symbol: mempoolAsset,
         logger: this.logger,
+        clock: this.clock,
         providers: mempoolProviders,
-        enableRealTimeFeeds: hasProviders && this.config.enableRealTimeFeeds
+        whaleWatchlist: this.config.whaleWatchlist,
+        thresholds: this.thresholdManager.getThresholds().mempool,
+        priceOracle: this.priceOracle,
+        tokenRegistry: this.tokenRegistry,
+        enableRealTimeFeeds: hasProviders && this.config.enableRealTimeFeeds,
+        journal: this.journal
       });
 
       this.systemHealth.mempoolStreamer = hasProviders ? 'ONLINE' : 'LIMITED';
@@ -135,30 +318,25 @@ export default class PhoenixEngine extends EventEmitter {
         this.logger.warn('mandate_2_limited', 'Mempool streaming disabled - no API providers configured');
       }
 
-      // Initialize Market Classifier (Mandate 2 - Observability)
-      this.marketClassifier = new MarketClassifier({
-        symbol: this.config.symbol,
-        logger: this.logger
-      });
+      // Initialize per-symbol pipelines: Liquidity Analyzer (Mandate 1),
+      // Market Classifier (Mandate 2 - Observability), Derivatives Monitor (Mandate 4)
+      // and the paper execution layer
+      for (const pipeline of this.pipelines.values()) {
+        pipeline.initialize();
+      }
+      this.systemHealth.liquidityAnalyzer = 'ONLINE';
       this.systemHealth.marketClassifier = 'ONLINE';
-      this.logger.info('mandate_2_observability_ready', 'Market classifier with diagnostic logging operational');
-      
-      // Initialize Derivatives Monitor (Mandate 4)
-      this.derivativesMonitor = new DerivativesMonitor({
-        symbol: this.config.symbol,
-        logger: this.logger,
-        bybitConfig: {
-          apiKey: process.env.BYBIT_API_KEY,
-          apiSecret: process.env.BYBIT_API_SECRET
-        }
-      });
       this.systemHealth.derivativesMonitor = 'ONLINE';
-      this.logger.info('mandate_4_ready', 'Real-time derivatives feed operational');
+      this.logger.info('symbol_pipelines_ready', {
+        symbols: this.config.symbols,
+        paperTrading: this.config.paperTrading
+      });
       
       // Initialize Task Scheduler (Mandate 5)
       this.taskScheduler = new TaskScheduler({
-        maxConcurrentTasks: 8,
-        logger: this.logger
+        maxConcurrentTasks: this.config.taskScheduler.maxConcurrentTasks,
+        logger: this.logger,
+        clock: this.clock
       });
       await this.taskScheduler.initialize();
       this.systemHealth.taskScheduler = 'ONLINE';
@@ -171,23 +349,56 @@ export default class PhoenixEngine extends EventEmitter {
           binance: {
             name: 'binance',
             enabled: true,
-            baseUrl: 'https://api.binance.com',
+            baseUrl: this.config.api.baseUrl,
             headers: {},
-            timeout: 10000,
+            timeout: this.config.api.timeoutMs,
             priority: 1
           },
           binanceBackup: {
             name: 'binance-backup',
             enabled: true,
-            baseUrl: 'https://api1.binance.com',
+            baseUrl: this.config.api.backupUrl,
             headers: {},
-            timeout: 10000,
+            timeout: this.config.api.timeoutMs,
             priority: 2
+          },
+          // Cross-venue order books - only requested when crossVenue is enabled
+          binanceFutures: {
+            name: 'binance-futures',
+            enabled: this.config.crossVenue.enabled,
+            baseUrl: this.config.api.binanceFuturesUrl,
+            headers: {},
+            timeout: this.config.api.timeoutMs,
+            priority: 3
+          },
+          bybit: {
+            name: 'bybit',
+            enabled: this.config.crossVenue.enabled,
+            baseUrl: this.config.api.bybitUrl,
+            headers: {},
+            timeout: this.config.api.timeoutMs,
+            priority: 3
+          },
+          okx: {
+            name: 'okx',
+            enabled: this.config.crossVenue.enabled,
+            baseUrl: this.config.api.okxUrl,
+            headers: {},
+            timeout: this.config.api.timeoutMs,
+            priority: 3
           }
         }
       });
       this.logger.info('mandate_3_ready', 'Resilient API client with circuit breaker operational');
 
+      // Warm restart from the last snapshot (DLS history, threshold adjustments, task queue)
+      this.restoreState();
+
+      // Register built-in strategies (CASCADE / COIL / SHAKEOUT)
+      if (this.config.enableDefaultStrategies) {
+        this.registerDefaultStrategies();
+      }
+
       // Setup component event handlers
       this.setupEventHandlers();
       
@@ -207,69 +418,349 @@ export default class PhoenixEngine extends EventEmitter {
     }
   }
 
+  /**
+   * Register a strategy module
+   *
+   * Strategies subscribe to engine events by implementing the BaseStrategy
+   * hooks (onClassification, onLiquidity, onWhaleIntent, onDerivatives) and
+   * are routed to the pipeline for their symbol.
+   */
+  registerStrategy(strategy) {
+    const pipeline = this.pipelines.get(strategy.symbol);
+    if (!pipeline) {
+      throw new Error(`PhoenixEngine: no pipeline for strategy symbol '${strategy.symbol}'`);
+    }
+
+    if (!strategy.logger) {
+      strategy.logger = this.logger;
+    }
+    // Strategies built without a clock follow the engine's
+    if (strategy.clock === systemClock) {
+      strategy.clock = this.clock;
+    }
+    return pipeline.strategyManager.registerStrategy(strategy);
+  }
+
+  /**
+   * Register the built-in regime strategies on every pipeline unless already provided
+   */
+  registerDefaultStrategies() {
+    const defaults = [CascadeHunterStrategy, CoilWatcherStrategy, ShakeoutDetectorStrategy];
+
+    for (const pipeline of this.pipelines.values()) {
+      for (const StrategyClass of defaults) {
+        const strategy = new StrategyClass({
+          symbol: pipeline.symbol,
+          logger: this.logger,
+          clock: this.clock
+        });
+
+        if (!pipeline.strategyManager.strategies.has(strategy.id)) {
+          this.registerStrategy(strategy);
+        }
+      }
+    }
+  }
+
+  /**
+   * Route a typed strategy signal through conflict resolution to the execution layer
+   */
+  handleStrategySignal(signal) {
+    const pipeline = this.pipelines.get(signal.symbol);
+
+    this.metrics.strategySignals++;
+    if (pipeline) pipeline.metrics.strategySignals++;
+
+    // Kill switch blocks new exposure; exits and alerts still flow
+    if (signal.isEntry() && this.riskManager.isHalted()) {
+      this.rejectStrategySignal(signal, pipeline, {
+        approved: false,
+        reason: `Kill switch active: ${this.riskManager.halt.reason}`
+      });
+      return;
+    }
+
+    const resolution = this.conflictResolver.resolve(signal);
+    if (!resolution.approved) {
+      this.rejectStrategySignal(signal, pipeline, resolution);
+      return;
+    }
+
+    if (pipeline?.paperTrader) {
+      // A winning directional signal flattens the side it overrode
+      const overridden = resolution.conflicts.filter(c => c.conflictType === 'DIRECTIONAL');
+      if (overridden.length > 0) {
+        const opposite = signal.getDirection() === 'LONG' ? 'SHORT' : 'LONG';
+        pipeline.paperTrader.closePositionsByType(opposite, `CONFLICT_OVERRIDE:${signal.strategyId}`, pipeline.lastMarketData);
+      }
+
+      // An entry the paper trader does not fill holds no capital - free its allocation
+      const position = pipeline.paperTrader.processSignal(signal, pipeline.lastMarketData);
+      if (signal.isEntry() && !position) {
+        this.conflictResolver.releaseSignal(signal.id);
+      }
+    }
+
+    this.emit('STRATEGY_SIGNAL', signal);
+  }
+
+  /**
+   * Count and publish a blocked strategy signal
+   */
+  rejectStrategySignal(signal, pipeline, resolution) {
+    this.metrics.signalsRejected++;
+    if (pipeline) pipeline.metrics.signalsRejected++;
+
+    this.emit('STRATEGY_SIGNAL_REJECTED', { signal, resolution });
+  }
+
+  /**
+   * Kill switch tripped - alert operators and surface the halt
+   */
+  async handleKillSwitch(halt) {
+    this.logger.error('trading_halted', {
+      reason: halt.reason,
+      details: halt.details
+    });
+
+    const details = Object.entries(halt.details)
+      .map(([key, value]) => `${key}: ${typeof value === 'number' ? parseFloat(value.toFixed(2)) : value}`)
+      .join('\n');
+
+    try {
+      await this.telegramReporter?.sendAlert({
+        type: 'RISK_KILL_SWITCH',
+        title: '🛑 KILL SWITCH - TRADING HALTED',
+        message: `Reason: ${halt.reason}\n${details}\nNew entries blocked until trading is resumed (POST /admin/risk/resume)`,
+        priority: 'CRITICAL',
+        data: halt
+      });
+      this.metrics.alertsSent++;
+    } catch (error) {
+      this.logger.error('kill_switch_alert_failed', {
+        reason: halt.reason,
+        error: error.message
+      });
+    }
+
+    this.emit('TRADING_HALTED', halt);
+  }
+
+  /**
+   * Operator resume after a kill switch - clears the halt (persisted across
+   * restarts by the state snapshot) and journals the action so a replay
+   * resumes at the same point
+   */
+  resumeTrading(operator, reason = null) {
+    const halt = this.riskManager.halt;
+    if (!this.riskManager.resume(operator)) {
+      return { resumed: false, error: 'Trading is not halted' };
+    }
+
+    const resumedAt = this.clock.now();
+    this.journal?.record('admin', 'risk_resume', { operator, reason }, { receivedAt: resumedAt });
+    this.logger.warn('trading_resumed', { operator, reason, previousReason: halt.reason, haltedAt: halt.haltedAt });
+
+    this.emit('TRADING_RESUMED', { operator, reason, halt, resumedAt });
+    return { resumed: true, previousHalt: halt, resumedAt };
+  }
+
+  /**
+   * Switch every component to a new threshold version within one tick
+   */
+  applyThresholds({ version, thresholds, changes, source }) {
+    for (const pipeline of this.pipelines.values()) {
+      pipeline.applyThresholds(thresholds);
+    }
+    this.mempoolStreamer?.applyThresholds(thresholds.mempool);
+
+    this.emit('THRESHOLDS_CHANGED', { version, changes, source });
+  }
+
+  /**
+   * Pipeline that receives on-chain whale intents (the mempool watches Ethereum)
+   */
+  getWhalePipeline() {
+    return this.pipelines.get(`${this.mempoolStreamer?.symbol}USDT`) || this.primaryPipeline;
+  }
+
+  /**
+   * Collect serializable component state
+   */
+  collectState() {
+    return {
+      symbols: Object.fromEntries([...this.pipelines].map(([symbol, pipeline]) => [symbol, {
+        liquidityAnalyzer: pipeline.liquidityAnalyzer?.exportState(),
+        marketClassifier: pipeline.marketClassifier?.exportState(),
+        outcomeValidator: pipeline.outcomeValidator?.exportState(),
+        timeframeFeatures: pipeline.timeframeFeatures?.exportState()
+      }])),
+      taskScheduler: this.taskScheduler?.exportState(),
+      riskManager: this.riskManager.exportState(),
+      priceOracle: this.priceOracle.exportState()
+    };
+  }
+
+  /**
+   * Persist a state snapshot to disk
+   */
+  snapshotState() {
+    if (!this.stateStore) return false;
+    return this.stateStore.save(this.collectState());
+  }
+
+  /**
+   * Restore component state from the last valid snapshot
+   */
+  restoreState() {
+    if (!this.stateStore) return false;
+
+    const snapshot = this.stateStore.load();
+    if (!snapshot) return false;
+
+    const { state } = snapshot;
+    const restoredSymbols = [];
+
+    for (const [symbol, symbolState] of Object.entries(state.symbols || {})) {
+      const pipeline = this.pipelines.get(symbol);
+      if (!pipeline) continue;
+
+      if (symbolState.liquidityAnalyzer) {
+        pipeline.liquidityAnalyzer.importState(symbolState.liquidityAnalyzer);
+      }
+      if (symbolState.marketClassifier) {
+        pipeline.marketClassifier.importState(symbolState.marketClassifier);
+      }
+      if (symbolState.outcomeValidator && pipeline.outcomeValidator) {
+        pipeline.outcomeValidator.importState(symbolState.outcomeValidator);
+      }
+      if (symbolState.timeframeFeatures && pipeline.timeframeFeatures) {
+        pipeline.timeframeFeatures.importState(symbolState.timeframeFeatures);
+      }
+      restoredSymbols.push(symbol);
+    }
+
+    if (state.taskScheduler) {
+      this.taskScheduler.importState(state.taskScheduler);
+    }
+    if (state.riskManager) {
+      this.riskManager.importState(state.riskManager);
+    }
+    if (state.priceOracle) {
+      this.priceOracle.importState(state.priceOracle);
+    }
+
+    this.logger.info('warm_restart_complete', {
+      savedAt: new Date(snapshot.savedAt).toISOString(),
+      symbols: restoredSymbols,
+      riskHalted: this.riskManager.isHalted()
+    });
+
+    return true;
+  }
+
   /**
    * Setup event handlers between components
    */
   setupEventHandlers() {
     // Whale intent detection from mempool streamer
-    this.mempoolStreamer.on('WHALE_INTENT_DETECTED', async (intent) => {
-      this.metrics.whaleIntentsDetected++;
+    this.mempoolStreamer.on('WHALE_INTENT_DETECTED', (intent) => this.handleWhaleIntent(intent));
+    
+    // Task completion from scheduler
+    this.taskScheduler.on('TASK_COMPLETED', (task) => {
+      this.metrics.tasksExecuted++;
 
       // CRUCIBLE MANDATE 4: Track component activity
-      this.updateComponentActivity('mempoolStreamer', true, false);
-
-      // RED TEAM MANDATE 3: Integrate whale transactions into Market Classifier
-      if (this.marketClassifier && intent.estimatedValue >= 10000) {
-        this.marketClassifier.processWhaleTransaction({
-          type: 'WHALE_TRANSACTION',
-          data: {
-            value: intent.estimatedValue,
-            address: intent.whaleAddress,
-            threatLevel: intent.threatLevel
-          },
-          timestamp: Date.now()
-        });
+      this.updateComponentActivity('taskScheduler', true, false);
 
-        this.logger.info('whale_transaction_integrated', {
-          whaleAddress: intent.whaleAddress,
-          estimatedValue: intent.estimatedValue,
-          message: 'High-value whale transaction sent to Market Classifier for threshold adjustment'
-        });
-      }
+      this.logger.debug('task_completed', {
+        taskId: task.id,
+        type: task.type,
+        executionTime: task.executionTime
+      });
+    });
+
+    for (const pipeline of this.pipelines.values()) {
+      this.setupPipelineHandlers(pipeline);
+    }
+  }
+
+  /**
+   * Route a whale intent to the whale pipeline's classifier, alerts and strategies
+   */
+  async handleWhaleIntent(intent) {
+    this.metrics.whaleIntentsDetected++;
+
+    // CRUCIBLE MANDATE 4: Track component activity
+    this.updateComponentActivity('mempoolStreamer', true, false);
+
+    const pipeline = this.getWhalePipeline();
+    pipeline.metrics.whaleIntentsRouted++;
+
+    // RED TEAM MANDATE 3: Integrate whale transactions into Market Classifier
+    if (pipeline.marketClassifier && intent.estimatedValue >= 10000) {
+      pipeline.marketClassifier.processWhaleTransaction({
+        type: 'WHALE_TRANSACTION',
+        data: {
+          value: intent.estimatedValue,
+          address: intent.whaleAddress,
+          threatLevel: intent.threatLevel
+        },
+        timestamp: this.clock.now()
+      });
 
-      this.logger.warn('whale_intent_detected', {
+      this.logger.info('whale_transaction_integrated', {
+        symbol: pipeline.symbol,
         whaleAddress: intent.whaleAddress,
         estimatedValue: intent.estimatedValue,
-        threatLevel: intent.threatLevel,
-        detectionLatency: intent.detectionLatency
+        message: 'High-value whale transaction sent to Market Classifier for threshold adjustment'
       });
-      
-      // Send immediate Telegram alert for critical whales
-      if (intent.threatLevel === 'CRITICAL') {
-        await this.telegramReporter.sendAlert({
-          type: 'CRITICAL_WHALE_ALERT',
-          title: '🚨 CRITICAL WHALE INTENT DETECTED',
-          message: `Whale: ${intent.whaleAddress}\nValue: $${intent.estimatedValue.toLocaleString()}\nExchange: ${intent.targetExchange}\nLatency: ${intent.detectionLatency}ms`,
-          priority: 'HIGH'
-        });
-        this.metrics.alertsSent++;
-      }
-      
-      // Emit system-wide event
-      this.emit('WHALE_INTENT', intent);
+    }
+
+    this.logger.warn('whale_intent_detected', {
+      whaleAddress: intent.whaleAddress,
+      estimatedValue: intent.estimatedValue,
+      threatLevel: intent.threatLevel,
+      detectionLatency: intent.detectionLatency
     });
     
+    // Send immediate Telegram alert for critical whales
+    if (intent.threatLevel === 'CRITICAL') {
+      await this.telegramReporter.sendAlert({
+        type: 'CRITICAL_WHALE_ALERT',
+        title: '🚨 CRITICAL WHALE INTENT DETECTED',
+        message: `Whale: ${intent.whaleAddress}\nValue: $${intent.estimatedValue.toLocaleString()}\nExchange: ${intent.targetExchange}\nLatency: ${intent.detectionLatency}ms`,
+        priority: 'HIGH'
+      });
+      this.metrics.alertsSent++;
+    }
+    
+    pipeline.strategyManager.dispatch('whale', intent);
+
+    // Emit system-wide event
+    this.emit('WHALE_INTENT', intent);
+  }
+
+  /**
+   * Wire one symbol pipeline's components into the shared engine
+   */
+  setupPipelineHandlers(pipeline) {
+    const { symbol } = pipeline;
+
     // Derivatives updates from monitor
-    this.derivativesMonitor.on('DERIVATIVES_UPDATE', (update) => {
+    pipeline.derivativesMonitor.on('DERIVATIVES_UPDATE', (update) => {
       this.metrics.derivativesUpdates++;
+      pipeline.metrics.derivativesUpdates++;
 
       // CRUCIBLE MANDATE 4: Track component activity
       this.updateComponentActivity('derivativesMonitor', true, false);
+      pipeline.updateComponentActivity('derivativesMonitor');
 
       // RED TEAM MANDATE 3: Integrate derivatives alerts into Market Classifier
-      if (this.marketClassifier && update.type === 'OI_SPIKE') {
-        this.marketClassifier.processDerivativesAlert(update.data);
+      if (pipeline.marketClassifier && update.type === 'OI_SPIKE') {
+        pipeline.marketClassifier.processDerivativesAlert(update.data);
         this.logger.info('derivatives_alert_integrated', {
+          symbol,
           alertType: update.type,
           exchange: update.exchange,
           message: 'OI_SPIKE alert sent to Market Classifier for threshold adjustment'
@@ -277,41 +768,103 @@ export default class PhoenixEngine extends EventEmitter {
       }
 
       this.logger.debug('derivatives_update', {
+        symbol,
         type: update.type,
         exchange: update.exchange
       });
 
+      pipeline.strategyManager.dispatch('derivatives', update);
+
       // Check for significant derivatives events
       if (update.type === 'OI_SPIKE' || update.type === 'FUNDING_SPIKE') {
-        this.emit('DERIVATIVES_ALERT', update);
+        this.emit('DERIVATIVES_ALERT', { ...update, symbol });
       }
     });
-    
-    // Task completion from scheduler
-    this.taskScheduler.on('TASK_COMPLETED', (task) => {
-      this.metrics.tasksExecuted++;
 
-      // CRUCIBLE MANDATE 4: Track component activity
-      this.updateComponentActivity('taskScheduler', true, false);
+    // Spoofing episodes (start and end) onto the engine event bus
+    pipeline.spoofingDetector?.on('SPOOFING_EPISODE', (episode) => {
+      if (episode.phase === 'STARTED') {
+        this.metrics.spoofingEpisodes++;
+      }
+      this.emit('SPOOFING_EPISODE', episode);
+    });
 
-      this.logger.debug('task_completed', {
-        taskId: task.id,
-        type: task.type,
-        executionTime: task.executionTime
-      });
+    // One venue's liquidity moving apart from the others
+    pipeline.crossVenueAggregator?.on('VENUE_DIVERGENCE', (divergence) => {
+      this.metrics.venueDivergences++;
+      this.emit('VENUE_DIVERGENCE', divergence);
     });
-    
+
+    // Stable regime transitions onto the engine event bus; Telegram gets the
+    // explanation of the classification that triggered them
+    for (const event of ['REGIME_ENTERED', 'REGIME_EXITED']) {
+      pipeline.marketClassifier.on(event, async (transition) => {
+        this.metrics.regimeTransitions++;
+        this.emit(event, transition);
+        try {
+          await this.telegramReporter?.sendRegimeAlert(transition, pipeline.marketClassifier.getLastExplanation());
+        } catch (error) {
+          this.logger.error('regime_alert_failed', {
+            symbol,
+            event,
+            error: error.message
+          });
+        }
+      });
+    }
+
     // Liquidity analysis results
-    this.liquidityAnalyzer.on('LIQUIDITY_ANALYSIS', (analysis) => {
+    pipeline.liquidityAnalyzer.on('LIQUIDITY_ANALYSIS', (analysis) => {
       this.metrics.liquidityValidations++;
+      pipeline.metrics.liquidityValidations++;
 
       // CRUCIBLE MANDATE 4: Track component activity
       this.updateComponentActivity('liquidityAnalyzer', true, false);
+      pipeline.updateComponentActivity('liquidityAnalyzer');
 
       if (analysis.regime === 'CRITICAL') {
-        this.logger.warn('critical_liquidity_detected', analysis);
+        this.logger.warn('critical_liquidity_detected', { symbol, ...analysis });
       }
+
+      pipeline.strategyManager.dispatch('liquidity', analysis);
     });
+
+    // Paper trading position lifecycle
+    if (pipeline.paperTrader) {
+      pipeline.paperTrader.on('POSITION_OPENED', (position) => {
+        this.metrics.paperPositionsOpened++;
+        pipeline.metrics.paperPositionsOpened++;
+        this.riskManager.recordPositionOpened(position);
+        this.emit('PAPER_POSITION_OPENED', position);
+      });
+
+      pipeline.paperTrader.on('POSITION_CLOSED', async (trade) => {
+        this.metrics.paperPositionsClosed++;
+        pipeline.metrics.paperPositionsClosed++;
+
+        if (trade.signalId) {
+          this.conflictResolver.releaseSignal(trade.signalId);
+        }
+        this.riskManager.recordPositionClosed(trade);
+
+        try {
+          await this.telegramReporter?.sendAlert({
+            type: 'PAPER_POSITION_CLOSED',
+            title: `📝 PAPER ${trade.symbol} ${trade.type} CLOSED`,
+            message: `Regime: ${trade.regime}\nReason: ${trade.closeReason}\nEntry: $${trade.entryPrice.toFixed(2)}\nExit: $${trade.exitPrice.toFixed(2)}\nPnL: $${trade.realizedPnL.toFixed(2)} (${trade.returnPercent.toFixed(2)}%)`,
+            priority: 'NORMAL'
+          });
+        } catch (error) {
+          this.logger.error('paper_trade_alert_failed', {
+            symbol,
+            tradeId: trade.id,
+            error: error.message
+          });
+        }
+
+        this.emit('PAPER_POSITION_CLOSED', trade);
+      });
+    }
   }
 
   /**
@@ -324,6 +877,7 @@ export default class PhoenixEngine extends EventEmitter {
     }
     
     this.logger.info('phoenix_start', 'Starting Phoenix Engine v6.0');
+    this.printEffectiveConfig();
     
     const initialized = await this.initialize();
     if (!initialized) {
@@ -334,32 +888,35 @@ export default class PhoenixEngine extends EventEmitter {
       // Start all components
       if (this.config.enableRealTimeFeeds) {
         const mempoolStarted = await this.mempoolStreamer.start();
-        const derivativesStarted = await this.derivativesMonitor.start();
 
         if (!mempoolStarted) {
           this.logger.warn('mempool_start_failed', 'Mempool streaming failed to start');
         }
-        if (!derivativesStarted) {
-          this.logger.warn('derivatives_start_failed', 'Derivatives monitoring failed to start');
+
+        for (const pipeline of this.pipelines.values()) {
+          await pipeline.start(this.apiClient);
         }
       } else {
         this.logger.info('realtime_feeds_disabled', 'Real-time feeds disabled by configuration');
       }
 
       await this.taskScheduler.start();
+
+      // Load the threshold file (if configured) and poll it for changes
+      this.thresholdManager.watch();
       
       // Schedule periodic tasks
       this.schedulePeriodicTasks();
       
       this.isRunning = true;
-      this.startTime = Date.now();
-      this.metrics.startTime = Date.now();
+      this.startTime = this.clock.now();
+      this.metrics.startTime = this.clock.now();
       
       // Send startup notification
       await this.telegramReporter.sendAlert({
         type: 'SYSTEM_STARTUP',
         title: 'SentryCoin v6.0 Operational',
-        message: `System Status: ALL MANDATES ACTIVE\nSymbol: ${this.config.symbol}\nMode: ${this.config.paperTrading ? 'PAPER TRADING' : 'LIVE TRADING'}\nTime: ${getISTTime()}`,
+        message: `System Status: ALL MANDATES ACTIVE\nSymbols: ${this.config.symbols.join(', ')}\nMode: ${this.config.paperTrading ? 'PAPER TRADING' : 'LIVE TRADING'}\nTime: ${getISTTime()}`,
         priority: 'NORMAL'
       });
       
@@ -373,6 +930,7 @@ export default class PhoenixEngine extends EventEmitter {
       console.log('\nSentryCoin v6.0 Engine Started');
       console.log('📊 System Status: Components initialized');
       console.log('⚙️ Mode: ' + (this.config.paperTrading ? 'Paper Trading' : 'Live Trading'));
+      console.log('💱 Symbols: ' + this.config.symbols.join(', '));
       console.log('📡 Real-time Feeds: ' + (this.config.enableRealTimeFeeds ? 'Enabled' : 'Disabled') + '\n');
       
       return true;
@@ -386,150 +944,208 @@ export default class PhoenixEngine extends EventEmitter {
     }
   }
 
+  /**
+   * Print the effective configuration with secrets redacted
+   */
+  printEffectiveConfig() {
+    const lines = formatConfig(this.config);
+
+    console.log('\n⚙️ EFFECTIVE CONFIGURATION');
+    for (const line of lines) {
+      console.log(`   ${line}`);
+    }
+    console.log('');
+
+    this.logger.info('effective_config', { fields: lines.length });
+    return lines;
+  }
+
   /**
    * Schedule periodic maintenance tasks
    */
   schedulePeriodicTasks() {
-    // CRUCIBLE MANDATE 2: Market classification every 30 seconds to feed the Glass Box
-    setInterval(() => {
+    const { intervals } = this.config;
+
+    // CRUCIBLE MANDATE 2: Market classification (default every 30 seconds) to feed the Glass Box
+    this.periodicTimers.push(this.clock.setInterval(() => {
       this.performMarketClassification();
-    }, 30000);
+    }, intervals.classificationMs));
 
-    // FORTRESS v6.1: Engine heartbeat every 60 seconds
-    setInterval(() => {
+    // FORTRESS v6.1: Engine heartbeat (default every 60 seconds)
+    this.periodicTimers.push(this.clock.setInterval(() => {
       this.emitHeartbeat();
-    }, 60000);
+    }, intervals.heartbeatMs));
 
-    // System health check every 30 seconds
-    setInterval(() => {
+    // System health check (default every 30 seconds)
+    this.periodicTimers.push(this.clock.setInterval(() => {
       this.taskScheduler.scheduleTask({
         type: 'SYSTEM_HEALTH_CHECK',
         priority: 8,
-        payload: { timestamp: Date.now() }
+        payload: { timestamp: this.clock.now() }
       });
-    }, 30000);
+    }, intervals.healthCheckMs));
+
+    // Warm restart snapshot (default every 60 seconds)
+    if (this.stateStore) {
+      this.periodicTimers.push(this.clock.setInterval(() => {
+        this.snapshotState();
+      }, this.config.stateSnapshot.intervalMs));
+    }
 
-    // FORTRESS v6.1: Enhanced performance metrics every 5 minutes
-    setInterval(() => {
+    // Ticker prices for tracked assets no pipeline trades (default every 30 seconds)
+    const polledAssets = this.priceOracle.config.assets.filter(asset => !this.pipelines.has(`${asset}${this.priceOracle.config.quote}`));
+    if (polledAssets.length > 0 && this.apiClient) {
+      this.periodicTimers.push(this.clock.setInterval(() => {
+        this.priceOracle.refresh(this.apiClient);
+      }, this.config.priceOracle.refreshMs));
+    }
+
+    // FORTRESS v6.1: Enhanced performance metrics (default every 5 minutes)
+    this.periodicTimers.push(this.clock.setInterval(() => {
       this.emitEnhancedPerformanceMetrics();
-    }, 300000);
+    }, intervals.performanceMetricsMs));
     
-    // Whale balance checks every 2 minutes
-    if (process.env.WHALE_WATCHLIST) {
-      const whales = process.env.WHALE_WATCHLIST.split(',');
-      setInterval(() => {
-        whales.forEach(whaleAddress => {
+    // Whale balance checks (default every 2 minutes) need an Etherscan key
+    if (this.config.providers.etherscanApiKey) {
+      this.periodicTimers.push(this.clock.setInterval(() => {
+        this.config.whaleWatchlist.forEach(whaleAddress => {
           this.taskScheduler.scheduleTask({
             type: 'WHALE_BALANCE_CHECK',
             priority: 6,
             payload: {
-              whaleAddress: whaleAddress.trim(),
-              apiKey: process.env.ETHERSCAN_API_KEY
+              whaleAddress,
+              apiKey: this.config.providers.etherscanApiKey
             }
           });
         });
-      }, 120000);
+      }, intervals.whaleBalanceCheckMs));
     }
   }
 
   /**
-   * CRUCIBLE MANDATE 2: Perform market classification with real market data
+   * CRUCIBLE MANDATE 2: Perform market classification with real market data for every symbol
    */
   async performMarketClassification() {
-    if (!this.marketClassifier || this.systemHealth.marketClassifier !== 'ONLINE') {
-      return;
-    }
-
-    try {
-      // Fetch current market data from Binance
-      const marketData = await this.fetchMarketData();
-
-      if (marketData) {
-        // Perform classification with real data
-        const classification = this.marketClassifier.classifyMarketCondition(marketData);
+    for (const pipeline of this.pipelines.values()) {
+      try {
+        const result = await pipeline.performMarketClassification(this.apiClient);
 
         // CRUCIBLE MANDATE 4: Track component activity
-        this.updateComponentActivity('marketClassifier', true, false);
-
-        if (classification) {
-          this.logger.info('market_regime_detected', {
-            regime: classification.type,
-            confidence: classification.confidence,
-            timestamp: classification.timestamp
-          });
+        if (result) {
+          this.updateComponentActivity('marketClassifier', true, false);
         }
+      } catch (error) {
+        this.logger.error('market_classification_failed', {
+          symbol: pipeline.symbol,
+          error: error.message,
+          timestamp: new Date(this.clock.now()).toISOString()
+        });
       }
-    } catch (error) {
-      this.logger.error('market_classification_failed', {
-        error: error.message,
-        timestamp: new Date().toISOString()
-      });
     }
   }
 
   /**
-   * CRUCIBLE MANDATE 2: Fetch real market data for classification
+   * Feed a recorded journal back through the components in recorded order.
+   * Call after initialize() with real-time feeds and the journal disabled.
+   * Entries are streamed, so journals larger than memory replay too.
    */
-  async fetchMarketData() {
-    try {
-      // CRUCIBLE MANDATE 3: Use resilient API client with circuit breaker
+  async replayJournal(filePath) {
+    const result = { entries: 0, replayed: 0, skipped: 0 };
 
-      // Fetch order book data with resilience
-      const orderBook = await this.apiClient.request({
-        url: `/api/v3/depth?symbol=${this.config.symbol}&limit=50`,
-        method: 'GET',
-        providers: ['binance', 'binanceBackup']
-      });
+    this.logger.info('journal_replay_start', { filePath, segments: EventJournal.segments(filePath).length });
 
-      // Fetch 24hr ticker for price and momentum with resilience
-      const ticker = await this.apiClient.request({
-        url: `/api/v3/ticker/24hr?symbol=${this.config.symbol}`,
-        method: 'GET',
-        providers: ['binance', 'binanceBackup']
-      });
+    for await (const entry of EventJournal.stream(filePath, this.logger)) {
+      result.entries++;
 
-      // Calculate basic metrics
-      const price = parseFloat(ticker.lastPrice);
-      const momentum = parseFloat(ticker.priceChangePercent);
-
-      // Calculate pressure (simplified ask/bid ratio)
-      const topBid = parseFloat(orderBook.bids[0][0]);
-      const topAsk = parseFloat(orderBook.asks[0][0]);
-      const pressure = topAsk / topBid;
-
-      // Use liquidity analyzer if available, otherwise calculate basic DLS
-      let dlsScore = 50; // Default neutral score
-      if (this.liquidityAnalyzer) {
-        const analysis = await this.liquidityAnalyzer.analyzeOrderBook({
-          bids: orderBook.bids,
-          asks: orderBook.asks,
-          timestamp: Date.now()
-        });
-        dlsScore = analysis.dlsScore || 50;
+      // On a VirtualClock, time moves to each receive timestamp so timers fire as they did live
+      if (typeof this.clock.advanceTo === 'function') {
+        this.clock.advanceTo(entry.receivedAt);
       }
 
-      return {
-        price,
-        dlsScore,
-        pressure,
-        momentum,
-        timestamp: Date.now()
-      };
+      if (await this.replayEntry(entry)) {
+        result.replayed++;
+      } else {
+        result.skipped++;
+      }
+    }
 
-    } catch (error) {
-      this.logger.warn('market_data_fetch_failed', {
-        error: error.message,
-        symbol: this.config.symbol
-      });
-      return null;
+    this.logger.info('journal_replay_complete', { filePath, ...result });
+    return result;
+  }
+
+  /**
+   * Dispatch one journal entry to the component that originally consumed it
+   */
+  async replayEntry({ source, type, symbol, payload, receivedAt }) {
+    const pipeline = symbol ? this.pipelines.get(symbol) : null;
+
+    switch (source) {
+      case 'market_data': {
+        if (!pipeline?.marketClassifier) return false;
+        const marketData = await pipeline.buildMarketData(payload.orderBook, payload.ticker, receivedAt);
+        if (pipeline.processMarketData(marketData)) {
+          this.updateComponentActivity('marketClassifier', true, false);
+        }
+        return true;
+      }
+
+      case 'order_book':
+        if (!pipeline?.localOrderBook) return false;
+        if (type === 'snapshot') {
+          pipeline.localOrderBook.processSnapshot(payload);
+        } else {
+          pipeline.localOrderBook.processDepthEvent(payload);
+        }
+        return true;
+
+      case 'trade_flow':
+        if (!pipeline?.tradeFlowMonitor) return false;
+        pipeline.tradeFlowMonitor.processTrade(payload);
+        return true;
+
+      case 'cross_venue':
+        if (!pipeline?.crossVenueAggregator) return false;
+        pipeline.crossVenueAggregator.processVenueBook(type, payload, receivedAt);
+        return true;
+
+      case 'derivatives':
+        if (!pipeline?.derivativesMonitor) return false;
+        pipeline.derivativesMonitor.processExchangeEvent(type, payload);
+        return true;
+
+      case 'mempool':
+        if (!this.mempoolStreamer) return false;
+        this.mempoolStreamer.processProviderEvent(type, payload, receivedAt);
+        return true;
+
+      case 'webhook':
+        if (!this.mempoolStreamer) return false;
+        this.mempoolStreamer.processWebhookPayload(payload, receivedAt);
+        return true;
+
+      case 'admin':
+        if (type !== 'risk_resume') return false;
+        this.riskManager.resume(payload.operator);
+        return true;
+
+      default:
+        return false;
     }
   }
 
+  /**
+   * CRUCIBLE MANDATE 2: Fetch real market data for classification
+   */
+  async fetchMarketData(symbol = this.config.symbol) {
+    const pipeline = this.pipelines.get(symbol);
+    return pipeline ? pipeline.fetchMarketData(this.apiClient) : null;
+  }
+
   /**
    * CRUCIBLE MANDATE 4: Update component activity and realistic status
    */
   updateComponentActivity(componentName, isActive = true, hasErrors = false) {
-    this.lastActivity[componentName] = Date.now();
+    this.lastActivity[componentName] = this.clock.now();
 
     if (hasErrors) {
       this.systemHealth[componentName] = 'DEGRADED';
@@ -542,7 +1158,7 @@ export default class PhoenixEngine extends EventEmitter {
    * CRUCIBLE MANDATE 4: Check for stalled components
    */
   checkForStalledComponents() {
-    const now = Date.now();
+    const now = this.clock.now();
     const stalledThreshold = 120000; // 2 minutes
 
     for (const [component, lastActivity] of Object.entries(this.lastActivity)) {
@@ -570,8 +1186,8 @@ export default class PhoenixEngine extends EventEmitter {
     const heartbeat = {
       logType: 'HEARTBEAT',
       status: this.isRunning ? 'OPERATIONAL' : 'OFFLINE',
-      timestamp: new Date().toISOString(),
-      uptime: Math.floor((Date.now() - this.startTime) / 1000),
+      timestamp: new Date(this.clock.now()).toISOString(),
+      uptime: Math.floor((this.clock.now() - this.startTime) / 1000),
       systemHealth: this.systemHealth,
       healthSummary: `${activeComponents}/${totalComponents} components online`,
       // CRUCIBLE MANDATE 4: Remove fantasy metrics, report real data
@@ -580,7 +1196,10 @@ export default class PhoenixEngine extends EventEmitter {
         liquidityValidations: this.metrics.liquidityValidations,
         derivativesUpdates: this.metrics.derivativesUpdates,
         tasksExecuted: this.metrics.tasksExecuted
-      }
+      },
+      symbols: Object.fromEntries(
+        [...this.pipelines].map(([symbol, pipeline]) => [symbol, pipeline.getHeartbeat()])
+      )
     };
 
     this.logger.info('engine_heartbeat', heartbeat);
@@ -597,33 +1216,48 @@ export default class PhoenixEngine extends EventEmitter {
     const enhancedMetrics = {
       WhaleIntents: this.metrics.whaleIntentsDetected,
       LiqDetections: this.metrics.liquidityValidations,
-      SigDetections: 0, // Placeholder for signal detections
+      SigDetections: this.metrics.strategySignals,
       Tasks: this.metrics.tasksExecuted,
       OI_Delta_1m: oiDelta > 0 ? `+${(oiDelta * 1000000).toFixed(1)}M` : `${(oiDelta * 1000000).toFixed(1)}M`,
       Funding_Rate: `${(fundingRate * 100).toFixed(3)}%`
     };
 
     console.log(`📊 PERFORMANCE: WhaleIntents: ${enhancedMetrics.WhaleIntents}, LiqDetections: ${enhancedMetrics.LiqDetections}, SigDetections: ${enhancedMetrics.SigDetections}, Tasks: ${enhancedMetrics.Tasks}, OI_Delta_1m: "${enhancedMetrics.OI_Delta_1m}", Funding_Rate: "${enhancedMetrics.Funding_Rate}"`);
+
+    if (this.pipelines.size > 1) {
+      for (const pipeline of this.pipelines.values()) {
+        const { metrics } = pipeline;
+        console.log(`   ${pipeline.symbol}: LiqDetections: ${metrics.liquidityValidations}, Classifications: ${metrics.classifications}, SigDetections: ${metrics.strategySignals}, Derivatives: ${metrics.derivativesUpdates}`);
+      }
+    }
   }
 
   /**
    * Validate trading signal using dynamic liquidity analysis
    */
   async validateSignal(signal, orderBookData) {
-    const analysis = await this.liquidityAnalyzer.analyzeOrderBook(orderBookData);
+    const pipeline = this.pipelines.get(signal.symbol) || this.primaryPipeline;
+    const analysis = await pipeline.liquidityAnalyzer.analyzeOrderBook(orderBookData);
+
+    // Displayed liquidity is unreliable while walls are being flashed
+    const manipulation = pipeline.spoofingDetector?.getAssessment(orderBookData.timestamp) || null;
+    const suppressed = manipulation?.spoofingActive && manipulation.signalWeight === 0;
+    const liquidityScore = manipulation?.spoofingActive ? analysis.dls * manipulation.signalWeight : analysis.dls;
     
     this.logger.info('signal_validation', {
       signalId: signal.id,
       dls: analysis.dls,
       percentile: analysis.percentile,
-      isValid: analysis.isValidForSignal
+      isValid: analysis.isValidForSignal && !suppressed,
+      spoofingEpisode: manipulation?.episodeId ?? null
     });
     
     return {
-      isValid: analysis.isValidForSignal,
-      liquidityScore: analysis.dls,
+      isValid: analysis.isValidForSignal && !suppressed,
+      liquidityScore,
       liquidityPercentile: analysis.percentile,
-      liquidityRegime: analysis.regime
+      liquidityRegime: analysis.regime,
+      manipulation
     };
   }
 
@@ -631,7 +1265,7 @@ export default class PhoenixEngine extends EventEmitter {
    * Get system metrics
    */
   getMetrics() {
-    const uptime = this.isRunning ? Date.now() - this.startTime : 0;
+    const uptime = this.isRunning ? this.clock.now() - this.startTime : 0;
     
     return {
       version: this.version,
@@ -643,11 +1277,23 @@ export default class PhoenixEngine extends EventEmitter {
         systemUptime: Math.floor(uptime / 1000)
       },
       components: {
-        liquidityAnalyzer: this.liquidityAnalyzer?.getStats(),
         mempoolStreamer: this.mempoolStreamer?.getStats(),
-        derivativesMonitor: this.derivativesMonitor?.getStats(),
-        taskScheduler: this.taskScheduler?.getStats()
+        taskScheduler: this.taskScheduler?.getStats(),
+        apiClient: this.apiClient?.getStats(),
+        conflictResolver: this.conflictResolver.getStats(),
+        riskManager: this.riskManager.getStats(),
+        priceOracle: this.priceOracle.getStats(),
+        tokenRegistry: this.tokenRegistry.getStats(),
+        stateSnapshot: this.stateStore?.getStats() || null,
+        journal: this.journal?.getStats() || null,
+        thresholds: this.thresholdManager.getStats()
       },
+      // Per-symbol pipelines: health, metrics, components and paper positions
+      symbols: Object.fromEntries(
+        [...this.pipelines].map(([symbol, pipeline]) => [symbol, pipeline.getMetrics()])
+      ),
+      risk: this.riskManager.getStatus(),
+      conflictResolutions: this.conflictResolver.getResolutionHistory(20),
       mandatesImplemented: 5,
       strategicViability: 'CONFIRMED'
     };
@@ -662,7 +1308,16 @@ export default class PhoenixEngine extends EventEmitter {
     this.logger.info('phoenix_shutdown', 'Initiating graceful shutdown sequence');
 
     try {
+      // Persist state before anything is torn down so the next deploy starts warm
+      this.snapshotState();
+
       // Phase 1: Stop accepting new work
+      for (const timer of this.periodicTimers) {
+        this.clock.clearInterval(timer);
+      }
+      this.periodicTimers = [];
+      this.thresholdManager.unwatch();
+
       this.logger.info('shutdown_phase_1', 'Stopping task scheduler from accepting new tasks');
       if (this.taskScheduler) {
         await this.taskScheduler.stopAcceptingTasks();
@@ -686,14 +1341,12 @@ export default class PhoenixEngine extends EventEmitter {
         await this.mempoolStreamer.stop();
       }
 
-      if (this.derivativesMonitor) {
-        await this.derivativesMonitor.stop();
+      // Derivatives feeds, strategies and market classifiers per symbol
+      for (const pipeline of this.pipelines.values()) {
+        await pipeline.shutdown();
       }
 
-      // CRUCIBLE MANDATE 2: Shutdown market classifier
-      if (this.marketClassifier) {
-        this.marketClassifier.shutdown();
-      }
+      this.journal?.close();
 
       // CRUCIBLE MANDATE 3: Shutdown resilient API client
       if (this.apiClient) {
@@ -716,7 +1369,7 @@ export default class PhoenixEngine extends EventEmitter {
       await this.telegramReporter.sendAlert({
         type: 'SYSTEM_SHUTDOWN',
         title: '🛑 PHOENIX ENGINE SHUTDOWN',
-        message: `System shutdown initiated\nUptime: ${Math.floor((Date.now() - this.startTime) / 1000)}s\nShutdown sequence completed`,
+        message: `System shutdown initiated\nUptime: ${Math.floor((this.clock.now() - this.startTime) / 1000)}s\nShutdown sequence completed`,
         priority: 'NORMAL'
       });
 
@@ -0,0 +1,106 @@
+/**
+ * Phoenix v6.1 - Base Strategy
+ *
+ * Contract for pluggable strategy modules. A strategy implements any of
+ * the event hooks below and calls emitSignal() to publish a typed
+ * StrategySignal; the StrategyManager only dispatches the events a
+ * strategy actually implements.
+ *
+ * Hooks:
+ * - onClassification({ classification, rawClassification, features, marketData }) -
+ *   classification is the stable regime, rawClassification this sample's verdict,
+ *   features every named rule feature (e.g. features.momentum5m, features.atr1h)
+ * - onLiquidity(analysis)
+ * - onWhaleIntent(intent)
+ * - onDerivatives(update)
+ */
+
+import { EventEmitter } from 'events';
+import { StrategySignal } from './strategy-signal.js';
+import { systemClock } from '../components/clock.js';
+
+export const STRATEGY_HOOKS = {
+  classification: 'onClassification',
+  liquidity: 'onLiquidity',
+  whale: 'onWhaleIntent',
+  derivatives: 'onDerivatives'
+};
+
+export default class BaseStrategy extends EventEmitter {
+  constructor(config = {}) {
+    super();
+
+    if (!config.id) {
+      throw new Error('BaseStrategy: strategy id is required');
+    }
+
+    this.id = config.id;
+    this.symbol = config.symbol || 'ETHUSDT';
+    this.logger = config.logger;
+    this.clock = config.clock || systemClock;
+    this.priority = config.priority || 5;
+    this.timeframe = config.timeframe || 'SCALP';
+    this.cooldownMs = config.cooldownMs ?? 0;
+    this.lastSignalTime = null;
+
+    this.stats = {
+      eventsProcessed: 0,
+      signalsEmitted: 0,
+      signalsSuppressed: 0,
+      startTime: this.clock.now()
+    };
+  }
+
+  /**
+   * Event types this strategy subscribes to, derived from implemented hooks
+   */
+  getSubscriptions() {
+    return Object.entries(STRATEGY_HOOKS)
+      .filter(([, hook]) => typeof this[hook] === 'function')
+      .map(([eventType]) => eventType);
+  }
+
+  /**
+   * Publish a typed signal, honouring the strategy cooldown
+   */
+  emitSignal(signalData) {
+    const timestamp = signalData.timestamp || this.clock.now();
+
+    if (this.cooldownMs > 0 && this.lastSignalTime !== null && timestamp - this.lastSignalTime < this.cooldownMs) {
+      this.stats.signalsSuppressed++;
+      return null;
+    }
+
+    const signal = new StrategySignal({
+      strategyId: this.id,
+      symbol: this.symbol,
+      priority: this.priority,
+      timeframe: this.timeframe,
+      ...signalData,
+      timestamp
+    });
+
+    this.lastSignalTime = timestamp;
+    this.stats.signalsEmitted++;
+    this.emit('signal', signal);
+
+    return signal;
+  }
+
+  /**
+   * Get strategy statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      id: this.id,
+      subscriptions: this.getSubscriptions(),
+      uptime: Math.floor((this.clock.now() - this.stats.startTime) / 1000)
+    };
+  }
+
+  /**
+   * Optional cleanup hook
+   */
+  async shutdown() {}
+}
@@ -0,0 +1,59 @@
+/**
+ * Phoenix v6.1 - CASCADE_HUNTER Strategy
+ *
+ * Distribution phase detection. Shorts validated CASCADE regimes and
+ * gains conviction when a whale has just moved funds onto an exchange.
+ */
+
+import BaseStrategy from './base-strategy.js';
+
+export default class CascadeHunterStrategy extends BaseStrategy {
+  constructor(config = {}) {
+    super({ id: 'CASCADE_HUNTER', priority: 7, ...config });
+
+    this.whaleBoostWindowMs = config.whaleBoostWindowMs || 300000; // 5 minutes
+    this.whaleConfidenceBoost = config.whaleConfidenceBoost || 0.1;
+    this.lastExchangeDeposit = null;
+  }
+
+  /**
+   * Short CASCADE regimes
+   */
+  onClassification({ classification, marketData }) {
+    this.stats.eventsProcessed++;
+    if (classification?.regime !== 'CASCADE_HUNTER') return;
+
+    const timestamp = classification.timestamp || this.clock.now();
+    const triggers = ['CASCADE_REGIME'];
+    let confidence = Math.max(0, Math.min(1, (classification.confidence || 0) / 100));
+
+    if (this.lastExchangeDeposit && timestamp - this.lastExchangeDeposit.timestamp <= this.whaleBoostWindowMs) {
+      confidence = Math.min(1, confidence + this.whaleConfidenceBoost);
+      triggers.push('WHALE_EXCHANGE_DEPOSIT');
+    }
+
+    this.emitSignal({
+      action: 'ENTER_SHORT',
+      confidence,
+      price: marketData?.price ?? null,
+      triggers,
+      reasoning: 'Distribution phase: sell pressure with negative momentum',
+      source: 'classification',
+      timestamp
+    });
+  }
+
+  /**
+   * Track exchange deposits as supporting evidence for distribution
+   */
+  onWhaleIntent(intent) {
+    this.stats.eventsProcessed++;
+    if (intent?.intentType === 'EXCHANGE_DEPOSIT') {
+      this.lastExchangeDeposit = {
+        whaleAddress: intent.whaleAddress,
+        estimatedValue: intent.estimatedValue,
+        timestamp: intent.timestamp || this.clock.now()
+      };
+    }
+  }
+}
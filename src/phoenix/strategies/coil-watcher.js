@@ -0,0 +1,33 @@
+/**
+ * Phoenix v6.1 - COIL_WATCHER Strategy
+ *
+ * Accumulation phase detection. ALERT_ONLY - flags the high-liquidity,
+ * low-volatility coil that typically precedes a breakout.
+ */
+
+import BaseStrategy from './base-strategy.js';
+
+export default class CoilWatcherStrategy extends BaseStrategy {
+  constructor(config = {}) {
+    super({ id: 'COIL_WATCHER', priority: 3, cooldownMs: 600000, ...config }); // 10-minute cooldown
+  }
+
+  /**
+   * Alert on COIL regimes
+   */
+  onClassification({ classification, marketData }) {
+    this.stats.eventsProcessed++;
+    if (classification?.regime !== 'COIL_WATCHER') return;
+
+    this.emitSignal({
+      action: 'ALERT',
+      confidence: Math.max(0, Math.min(1, (classification.confidence || 0) / 100)),
+      price: marketData?.price ?? null,
+      positionSizeFactor: 0,
+      triggers: ['COIL_REGIME'],
+      reasoning: 'Accumulation coil: deep book with neutral momentum',
+      source: 'classification',
+      timestamp: classification.timestamp || this.clock.now()
+    });
+  }
+}
@@ -0,0 +1,32 @@
+/**
+ * Phoenix v6.1 - SHAKEOUT_DETECTOR Strategy
+ *
+ * Stop hunt detection. Strong negative momentum without matching sell
+ * pressure is treated as a counter-trend LONG setup.
+ */
+
+import BaseStrategy from './base-strategy.js';
+
+export default class ShakeoutDetectorStrategy extends BaseStrategy {
+  constructor(config = {}) {
+    super({ id: 'SHAKEOUT_DETECTOR', priority: 5, ...config });
+  }
+
+  /**
+   * Go long on SHAKEOUT regimes
+   */
+  onClassification({ classification, marketData }) {
+    this.stats.eventsProcessed++;
+    if (classification?.regime !== 'SHAKEOUT_DETECTOR') return;
+
+    this.emitSignal({
+      action: 'ENTER_LONG',
+      confidence: Math.max(0, Math.min(1, (classification.confidence || 0) / 100)),
+      price: marketData?.price ?? null,
+      triggers: ['SHAKEOUT_REGIME'],
+      reasoning: 'Stop hunt: momentum flush without sell pressure',
+      source: 'classification',
+      timestamp: classification.timestamp || this.clock.now()
+    });
+  }
+}
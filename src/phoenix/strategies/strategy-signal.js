@@ -0,0 +1,120 @@
+/**
+ * Phoenix v6.1 - Strategy Signal
+ *
+ * Typed signal emitted by every Phoenix strategy. Signals are validated
+ * on construction so a malformed strategy module fails loudly at the
+ * source instead of deep inside the execution path.
+ */
+
+export const SIGNAL_ACTIONS = [
+  'ENTER_LONG',
+  'ENTER_SHORT',
+  'EXIT_LONG',
+  'EXIT_SHORT',
+  'ALERT'
+];
+
+export const SIGNAL_TIMEFRAMES = ['SCALP', 'SWING', 'MACRO'];
+
+export class StrategySignal {
+  constructor({
+    strategyId,               // Registered strategy identifier
+    action,                   // One of SIGNAL_ACTIONS
+    symbol,                   // Trading symbol
+    confidence = 0.5,         // 0.0 - 1.0
+    price = null,             // Reference price when the signal fired
+    priority = 5,             // 1-10, used for conflict resolution
+    positionSizeFactor = 0.1, // Share of symbol capital requested (0.0 - 1.0)
+    timeframe = 'SCALP',
+    triggers = [],            // Conditions that fired the signal
+    reasoning = '',
+    source = null,            // Event type that produced the signal
+    metadata = {},
+    timestamp = Date.now()
+  }) {
+    this.id = `sig_${timestamp}_${Math.random().toString(36).substr(2, 6)}`;
+    this.strategyId = strategyId;
+    this.action = action;
+    this.symbol = symbol;
+    this.confidence = confidence;
+    this.price = price;
+    this.priority = priority;
+    this.positionSizeFactor = positionSizeFactor;
+    this.timeframe = timeframe;
+    this.triggers = triggers;
+    this.reasoning = reasoning;
+    this.source = source;
+    this.metadata = metadata;
+    this.timestamp = timestamp;
+    this.status = 'PENDING';
+
+    this.validate();
+  }
+
+  /**
+   * Validate signal properties
+   */
+  validate() {
+    if (!this.strategyId) {
+      throw new Error('StrategySignal: strategyId is required');
+    }
+    if (!SIGNAL_ACTIONS.includes(this.action)) {
+      throw new Error(`StrategySignal: invalid action '${this.action}'`);
+    }
+    if (!this.symbol) {
+      throw new Error('StrategySignal: symbol is required');
+    }
+    if (!(this.confidence >= 0 && this.confidence <= 1)) {
+      throw new Error('StrategySignal: confidence must be between 0 and 1');
+    }
+    if (!(this.priority >= 1 && this.priority <= 10)) {
+      throw new Error('StrategySignal: priority must be between 1 and 10');
+    }
+    if (!(this.positionSizeFactor >= 0 && this.positionSizeFactor <= 1)) {
+      throw new Error('StrategySignal: positionSizeFactor must be between 0 and 1');
+    }
+    if (!SIGNAL_TIMEFRAMES.includes(this.timeframe)) {
+      throw new Error(`StrategySignal: invalid timeframe '${this.timeframe}'`);
+    }
+  }
+
+  /**
+   * Direction implied by the action (LONG, SHORT or null)
+   */
+  getDirection() {
+    if (this.action === 'ENTER_LONG' || this.action === 'EXIT_SHORT') return 'LONG';
+    if (this.action === 'ENTER_SHORT' || this.action === 'EXIT_LONG') return 'SHORT';
+    return null;
+  }
+
+  /**
+   * Whether the signal opens new exposure
+   */
+  isEntry() {
+    return this.action === 'ENTER_LONG' || this.action === 'ENTER_SHORT';
+  }
+
+  /**
+   * Compact representation for logs
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      strategyId: this.strategyId,
+      action: this.action,
+      symbol: this.symbol,
+      confidence: this.confidence,
+      price: this.price,
+      priority: this.priority,
+      positionSizeFactor: this.positionSizeFactor,
+      timeframe: this.timeframe,
+      triggers: this.triggers,
+      reasoning: this.reasoning,
+      source: this.source,
+      status: this.status,
+      timestamp: this.timestamp
+    };
+  }
+}
+
+export default StrategySignal;
@@ -28,7 +28,7 @@ console.log('\n📊 Test Case 1: CASCADE Condition (Should PASS)');
 const cascadeTest = {
   price: 3500,
   dlsScore: 50,  // Above threshold of 25
-  pressure: 1.000015,  // Above threshold of 1.00001
+  pressure: 0.3,  // Above threshold of 0.25
   momentum: -0.06  // Below threshold of -0.05
 };
 
@@ -47,7 +47,7 @@ console.log('\n📊 Test Case 2: COIL Condition (Should PASS)');
 const coilTest = {
   price: 3500,
   dlsScore: 90,  // Above threshold of 85
-  pressure: 1.000003,  // Below threshold of 1.000005
+  pressure: 0.05,  // Below threshold of 0.1
   momentum: 0.01  // Within range of -0.02 to 0.02
 };
 
@@ -63,7 +63,7 @@ console.log('\n📊 Test Case 3: SHAKEOUT Condition (Should PASS)');
 const shakeoutTest = {
   price: 3500,
   dlsScore: 85,  // Above threshold of 80
-  pressure: 1.0000005,  // Below threshold of 1.000001
+  pressure: -0.1,  // Below threshold of 0
   momentum: -0.15  // Below threshold of -0.1
 };
 
@@ -79,7 +79,7 @@ console.log('\n📊 Test Case 4: Edge Case - Slightly above CASCADE threshold');
 const edgeTest = {
   price: 3500,
   dlsScore: 26,  // Slightly above threshold of 25
-  pressure: 1.000011,  // Slightly above threshold of 1.00001
+  pressure: 0.251,  // Slightly above threshold of 0.25
   momentum: -0.051  // Slightly below threshold of -0.05
 };
 
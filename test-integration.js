@@ -29,7 +29,7 @@ console.log('\n📊 Test Case 1: Baseline Classification (No Alerts)');
 const baselineTest = {
   price: 3500,
   dlsScore: 40,  // Below base threshold of 25
-  pressure: 1.000008,  // Above CASCADE threshold
+  pressure: 0.3,  // Above CASCADE threshold
   momentum: -0.06  // Below CASCADE threshold
 };
 
@@ -83,7 +83,7 @@ console.log('\n📊 Test Case 4: Verify Threshold Adjustment Enables Signal');
 const marginalTest = {
   price: 3500,
   dlsScore: 35,  // Between base (25) and adjusted thresholds
-  pressure: 1.000008,  // Above CASCADE threshold
+  pressure: 0.3,  // Above CASCADE threshold
   momentum: -0.06  // Below CASCADE threshold
 };
 
@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+
+/**
+ * Phoenix v6.1 - Classification Explanation Test Suite
+ *
+ * Validates per-condition misses, the closest-regime ranking, DLS threshold
+ * adjustments in the explanation, the diagnostic log, Telegram regime
+ * alerts and the engine accessor behind /explanation.
+ */
+
+import MarketClassifier from '../src/phoenix/components/market-classifier.js';
+import SymbolPipeline from '../src/phoenix/components/symbol-pipeline.js';
+import TelegramReporter from '../src/phoenix/components/telegram-reporter.js';
+import PhoenixEngine from '../src/phoenix/engine.js';
+import { VirtualClock } from '../src/phoenix/components/clock.js';
+import { DEFAULT_REGIME_RULES, compileRegimeRules, evaluateRegime } from '../src/phoenix/components/regime-rules.js';
+import { formatExplanation } from '../src/phoenix/components/classification-explanation.js';
+import { loadConfig } from '../src/phoenix/config.js';
+
+console.log('🧪 Phoenix v6.1 - Classification Explanation Test Suite');
+console.log('='.repeat(60));
+
+const silentLogger = {
+  info: () => {},
+  debug: () => {},
+  warn: () => {},
+  error: () => {}
+};
+
+let passedTests = 0;
+let failedTests = 0;
+
+function check(testName, condition, details = '') {
+  if (condition) {
+    console.log(`✅ PASS - ${testName} ${details}`);
+    passedTests++;
+  } else {
+    console.log(`❌ FAIL - ${testName} ${details}`);
+    failedTests++;
+  }
+}
+
+const t0 = 1700000000000;
+const near = (a, b) => Math.abs(a - b) < 1e-9;
+const thresholds = loadConfig({ env: {} }).thresholds.classifier;
+const classifiers = [];
+const newClassifier = (config = {}) => {
+  const classifier = new MarketClassifier({ logger: silentLogger, thresholds, ...config });
+  classifiers.push(classifier);
+  return classifier;
+};
+
+// Test 1: Condition misses
+const [cascadeRule, coilRule] = compileRegimeRules(DEFAULT_REGIME_RULES);
+const scope = {
+  features: { pressure: 0.22, dls: 50, trendMomentum: 0.03 },
+  thresholds,
+  dlsThreshold: 25
+};
+const cascadeDetails = evaluateRegime(cascadeRule, scope).details;
+check('Failed conditions report how far they missed', near(cascadeDetails[0].miss, thresholds.cascade.pressure - 0.22) &&
+  cascadeDetails[1].miss === 0 && near(cascadeDetails[2].miss, 0.03 - thresholds.cascade.momentum));
+const coilMomentum = evaluateRegime(coilRule, scope).details[2];
+check('Between misses measured to the nearer bound', near(coilMomentum.miss, 0.03 - thresholds.coil.momentumMax));
+check('Missing features have no miss', evaluateRegime(cascadeRule, { ...scope, features: { ...scope.features, trendMomentum: null } })
+  .details[2].miss === null);
+
+// Test 2: Explanations per classification
+const classifier = newClassifier();
+classifier.classifyMarketCondition({ price: 3000, dlsScore: 50, pressure: 0.22, momentum: -0.5, timeframes: { momentum5m: -0.5 }, timestamp: t0 });
+const nearCascade = classifier.getLastExplanation();
+check('No regime: closest is the one with the fewest failures', nearCascade.regime === 'NO_REGIME' &&
+  nearCascade.closest.regime === 'CASCADE_HUNTER' && nearCascade.closest.failures.join(',') === 'Pressure' &&
+  near(nearCascade.closest.failedConditions[0].miss, thresholds.cascade.pressure - 0.22));
+check('Every regime and condition listed', nearCascade.regimes.length === 3 &&
+  nearCascade.regimes.every(regime => regime.conditions.length === 3) &&
+  nearCascade.summary === 'NO_REGIME: closest was CASCADE_HUNTER, failed Pressure');
+
+// Every regime fails two conditions; COIL misses by the least relative to its thresholds
+classifier.classifyMarketCondition({ price: 3000, dlsScore: 82, pressure: 0.05, momentum: 0.03, timeframes: { momentum5m: 0.03 }, timestamp: t0 + 1000 });
+const tied = classifier.getLastExplanation();
+check('Ties broken by the smallest relative miss', tied.regimes.every(regime => regime.failures.length === 2) &&
+  tied.closest.regime === 'COIL_WATCHER');
+
+check('Explanation in the diagnostic log', classifier.getLastDiagnostic().classifierOutput.explanation === tied);
+
+classifier.classifyMarketCondition({ price: 3000, dlsScore: 90, pressure: 0.05, momentum: 0.01, timeframes: { momentum5m: 0.01 }, timestamp: t0 + 2000 });
+const coil = classifier.getLastExplanation();
+check('Matched regime explained with the runner-up', coil.regime === 'COIL_WATCHER' &&
+  coil.summary === 'COIL_WATCHER: all COIL conditions passed' && coil.closest.regime !== 'COIL_WATCHER');
+
+// Test 3: Adjustments
+const clock = new VirtualClock({ startTime: t0 });
+const adjusted = newClassifier({ clock });
+adjusted.processWhaleTransaction({ type: 'WHALE_TRANSACTION', data: { value: 2000000, address: '0xwhale', threatLevel: 'HIGH' }, timestamp: t0 });
+const cascade = adjusted.classifyMarketCondition({ price: 3000, dlsScore: 20, pressure: 0.3, momentum: -0.5, timeframes: { momentum5m: -0.5 }, timestamp: t0 });
+const whaleCall = adjusted.getLastExplanation();
+check('Whale threshold reduction and flow in the explanation', cascade?.regime === 'CASCADE_HUNTER' &&
+  whaleCall.adjustments.whale.length === 1 && whaleCall.adjustments.derivatives.length === 0 &&
+  whaleCall.adjustments.dlsThreshold === 10 && whaleCall.adjustments.whaleFlowUSD === 2000000);
+
+adjusted.processDerivativesAlert({ type: 'OI_SPIKE', data: { changeRate: 0.08 }, timestamp: t0 });
+adjusted.classifyMarketCondition({ price: 3000, dlsScore: 20, pressure: 0.3, momentum: -0.5, timeframes: { momentum5m: -0.5 }, timestamp: t0 });
+check('OI spike reductions listed separately', adjusted.getLastExplanation().adjustments.derivatives.length === 1 &&
+  adjusted.getLastExplanation().adjustments.totalReduction === 30);
+
+const text = formatExplanation(whaleCall);
+check('Alert text shows passes, the closest miss and adjustments', text.startsWith('CASCADE_HUNTER: all CASCADE conditions passed') &&
+  text.includes('✓ Liquidity 20 >= 10') && text.includes('✗ ') && text.includes('DLS threshold 25 → 10 (0 OI spike, 1 whale)'));
+
+// Test 4: Telegram regime alerts and the engine
+const reporter = new TelegramReporter({ botToken: 'test-token', chatId: 'test-chat' });
+await reporter.sendRegimeAlert({ type: 'ENTERED', symbol: 'ETHUSDT', regime: 'CASCADE_HUNTER', confirmedAfterMs: 30000 }, whaleCall);
+check('Regime alert carries the explanation', reporter.messageQueue.length === 1 &&
+  reporter.messageQueue[0].text.includes('REGIME ENTERED') && reporter.messageQueue[0].text.includes(whaleCall.summary));
+
+// Markdown treats a bare _ as an italics marker, so regime names must sit in code spans
+const outsideCode = reporter.messageQueue[0].text.replace(/```[\s\S]*?```/g, '').replace(/`[^`]*`/g, '');
+check('No unescaped underscores outside code spans', reporter.messageQueue[0].text.includes('`CASCADE_HUNTER`') &&
+  !outsideCode.includes('_'));
+
+// Disabled regardless of TELEGRAM_* in the environment
+const disabledReporter = new TelegramReporter({});
+disabledReporter.enabled = false;
+check('Nothing queued while Telegram is disabled', await disabledReporter.sendRegimeAlert({ type: 'EXITED' }, whaleCall) === false);
+
+const engine = new PhoenixEngine({ symbol: 'ETHUSDT', enableRealTimeFeeds: false, stateSnapshot: { enabled: false },
+  regime: { entryDwellMs: 0, minDwellMs: 0 } });
+const pipeline = engine.getPipeline('ETHUSDT');
+pipeline.initialize();
+engine.telegramReporter = new TelegramReporter({ botToken: 'test-token', chatId: 'test-chat' });
+engine.setupPipelineHandlers(pipeline);
+
+check('No explanation before the first classification', engine.getClassificationExplanation('ETHUSDT') === null &&
+  engine.getClassificationExplanation('BTCUSDT') === null);
+pipeline.processMarketData({ symbol: 'ETHUSDT', price: 3000, dlsScore: 50, pressure: 0.4, momentum: -0.5, timeframes: { momentum5m: -0.5 }, timestamp: t0 });
+await new Promise(resolve => setImmediate(resolve));
+check('Engine serves the latest explanation per symbol', engine.getClassificationExplanation('ETHUSDT').regime === 'CASCADE_HUNTER');
+check('Regime entry sends an explained Telegram alert', engine.telegramReporter.messageQueue.length === 1 &&
+  engine.telegramReporter.messageQueue[0].text.includes('CASCADE_HUNTER: all CASCADE conditions passed'));
+
+const plain = new SymbolPipeline({ symbol: 'ETHUSDT', logger: silentLogger, paperTrading: false });
+plain.initialize();
+const result = plain.processMarketData({ symbol: 'ETHUSDT', price: 3000, dlsScore: 50, pressure: 0, momentum: 0, timeframes: { momentum5m: 0 }, timestamp: t0 });
+check('Raw classifications without a regime still explained', result.rawClassification === null &&
+  plain.marketClassifier.getLastExplanation().closest !== null);
+
+for (const c of [...classifiers, pipeline.marketClassifier, plain.marketClassifier]) c.shutdown();
+
+console.log('\n' + '='.repeat(60));
+console.log(`📊 Results: ${passedTests} passed, ${failedTests} failed`);
+process.exit(failedTests === 0 ? 0 : 1);
@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+
+/**
+ * Phoenix v6.1 - Clock Test Suite
+ *
+ * Validates the virtual clock and that Phoenix components read time and
+ * schedule periodic work through an injected clock.
+ */
+
+import { VirtualClock, systemClock } from '../src/phoenix/components/clock.js';
+import MarketClassifier from '../src/phoenix/components/market-classifier.js';
+import DerivativesMonitor from '../src/phoenix/components/derivatives-monitor.js';
+import MempoolStreamer from '../src/phoenix/components/mempool-streamer.js';
+import TaskScheduler from '../src/phoenix/components/task-scheduler.js';
+import CascadeHunterStrategy from '../src/phoenix/strategies/cascade-hunter.js';
+import PhoenixEngine from '../src/phoenix/engine.js';
+
+console.log('🧪 Phoenix v6.1 - Clock Test Suite');
+console.log('='.repeat(60));
+
+const silentLogger = {
+  info: () => {},
+  debug: () => {},
+  warn: () => {},
+  error: () => {}
+};
+
+let passedTests = 0;
+let failedTests = 0;
+
+function check(testName, condition, details = '') {
+  if (condition) {
+    console.log(`✅ PASS - ${testName} ${details}`);
+    passedTests++;
+  } else {
+    console.log(`❌ FAIL - ${testName} ${details}`);
+    failedTests++;
+  }
+}
+
+const START = Date.UTC(2025, 0, 1);
+
+// Test 1: Manual advance fires timers in time order
+const clock = new VirtualClock({ startTime: START });
+const fired = [];
+clock.setTimeout(() => fired.push(`timeout@${clock.now() - START}`), 2500);
+const interval = clock.setInterval(() => fired.push(`interval@${clock.now() - START}`), 1000);
+const cancelled = clock.setTimeout(() => fired.push('cancelled'), 500);
+clock.clearTimeout(cancelled);
+
+clock.advance(3000);
+check('Timers fire in time order', fired.join(',') === 'interval@1000,interval@2000,timeout@2500,interval@3000', `(${fired.join(',')})`);
+check('Time lands on the target', clock.now() === START + 3000);
+
+clock.clearInterval(interval);
+clock.advance(5000);
+check('Cleared interval stops firing', fired.length === 4 && clock.pendingTimers === 0);
+
+// Test 2: Run as fast as possible, awaiting async work between timers
+const runClock = new VirtualClock({ startTime: START });
+const completed = [];
+runClock.setInterval(async () => {
+  await new Promise(resolve => setImmediate(resolve));
+  completed.push(runClock.now());
+}, 60000);
+await runClock.run(3600000);
+check('Async timer work settles before the next tick', completed.length === 60 && completed[59] === START + 3600000);
+
+// Test 3: Component intervals and timestamps follow the injected clock
+const componentClock = new VirtualClock({ startTime: START });
+const classifier = new MarketClassifier({ logger: silentLogger, clock: componentClock });
+check('Classifier diagnostic interval on the virtual clock', componentClock.pendingTimers === 1);
+componentClock.advance(60000);
+check('Diagnostic log uses virtual time', classifier.stats.lastLogTime === START + 60000);
+classifier.shutdown();
+check('Classifier shutdown clears its interval', componentClock.pendingTimers === 0);
+
+const derivatives = new DerivativesMonitor({ logger: silentLogger, clock: componentClock });
+let analyses = 0;
+derivatives.analyzeDerivativesData = () => analyses++;
+derivatives.startPeriodicAnalysis();
+componentClock.advance(60000);
+await derivatives.stop();
+componentClock.advance(60000);
+check('Derivatives analysis driven by the clock and stopped', analyses === 6, `(${analyses} runs)`);
+
+const streamer = new MempoolStreamer({ logger: silentLogger, enableRealTimeFeeds: false, clock: componentClock });
+streamer.startConnectionMonitoring();
+check('Mempool monitor on the virtual clock', componentClock.pendingTimers === 1);
+await streamer.stop();
+check('Mempool stop clears its monitor', componentClock.pendingTimers === 0);
+
+const strategy = new CascadeHunterStrategy({ logger: silentLogger });
+check('Components default to the system clock', strategy.clock === systemClock && new TaskScheduler().clock === systemClock);
+
+// Test 4: An hour of engine time in a fraction of a second
+const apiClient = {
+  async request({ url }) {
+    if (url.includes('/depth')) {
+      return {
+        bids: Array.from({ length: 20 }, (_, i) => [(3000 - i * 0.5).toFixed(2), '10']),
+        asks: Array.from({ length: 20 }, (_, i) => [(3000.5 + i * 0.5).toFixed(2), '10'])
+      };
+    }
+    return { lastPrice: '3000.25', priceChangePercent: '0.1' };
+  },
+  getStats() {
+    return {};
+  }
+};
+
+const engineClock = new VirtualClock({ startTime: START });
+const engine = new PhoenixEngine({
+  symbols: ['ETHUSDT', 'BTCUSDT'],
+  enableRealTimeFeeds: false,
+  stateSnapshot: { enabled: false },
+  clock: engineClock
+});
+engine.apiClient = apiClient;
+for (const pipeline of engine.pipelines.values()) {
+  pipeline.initialize();
+  engine.setupPipelineHandlers(pipeline);
+}
+engine.taskScheduler = new TaskScheduler({ logger: silentLogger, clock: engineClock });
+engine.registerStrategy(strategy);
+engine.registerDefaultStrategies();
+engine.startTime = engineClock.now();
+
+check('Clock threaded to shared components', engine.riskManager.clock === engineClock && engine.conflictResolver.clock === engineClock);
+check('Clock threaded to pipeline components', engine.getPipeline('BTCUSDT').liquidityAnalyzer.clock === engineClock && engine.paperTrader.clock === engineClock);
+check('Registered strategies adopt the engine clock', strategy.clock === engineClock);
+
+const originalLog = console.log;
+console.log = () => {};
+const wallStart = Date.now();
+engine.schedulePeriodicTasks();
+await engineClock.run(3600000);
+const wallElapsed = Date.now() - wallStart;
+console.log = originalLog;
+
+check('Hour of market time simulated quickly', wallElapsed < 20000, `(${wallElapsed}ms)`);
+check('Classification every 30s of virtual time', [...engine.pipelines.values()].every(p => p.metrics.classifications === 120));
+check('Market data stamped with virtual time', engine.getPipeline('BTCUSDT').lastMarketData.timestamp === START + 3600000);
+check('Health checks queued on virtual time', engine.taskScheduler.taskQueue.length === 120 && engine.taskScheduler.taskQueue[0].createdAt === START + 30000);
+
+for (const timer of engine.periodicTimers) engineClock.clearInterval(timer);
+for (const pipeline of engine.pipelines.values()) pipeline.marketClassifier.shutdown();
+check('All engine timers released', engineClock.pendingTimers === 0);
+
+console.log('\n' + '='.repeat(60));
+console.log(`📊 Results: ${passedTests} passed, ${failedTests} failed`);
+process.exit(failedTests === 0 ? 0 : 1);
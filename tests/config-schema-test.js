@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+
+/**
+ * Phoenix v6.1 - Configuration Schema Test Suite
+ *
+ * Validates layering of defaults, file, environment and overrides, per-field
+ * validation errors and secret redaction in the effective-config dump.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadConfig, redactConfig, formatConfig, ConfigValidationError, DEFAULT_WHALE_WATCHLIST } from '../src/phoenix/config.js';
+import MempoolStreamer from '../src/phoenix/components/mempool-streamer.js';
+import PhoenixEngine from '../src/phoenix/engine.js';
+
+console.log('🧪 Phoenix v6.1 - Configuration Schema Test Suite');
+console.log('='.repeat(60));
+
+const silentLogger = {
+  info: () => {},
+  debug: () => {},
+  warn: () => {},
+  error: () => {}
+};
+
+let passedTests = 0;
+let failedTests = 0;
+
+function check(testName, condition, details = '') {
+  if (condition) {
+    console.log(`✅ PASS - ${testName} ${details}`);
+    passedTests++;
+  } else {
+    console.log(`❌ FAIL - ${testName} ${details}`);
+    failedTests++;
+  }
+}
+
+function validationErrors(options) {
+  try {
+    loadConfig(options);
+    return [];
+  } catch (error) {
+    return error instanceof ConfigValidationError ? error.errors : [`unexpected: ${error.message}`];
+  }
+}
+
+const whale = '0x3F5CE5FBFE3E9AF3971DD833D26BA9B5C936F0BE';
+
+// Test 1: Defaults
+const defaults = loadConfig({ env: {} });
+check('Defaults applied', defaults.symbol === 'ETHUSDT' && defaults.paperTrading === true && defaults.journal.enabled === false);
+check('Default whale watchlist', JSON.stringify(defaults.whaleWatchlist) === JSON.stringify(DEFAULT_WHALE_WATCHLIST));
+check('Component defaults centralised', defaults.risk.maxPositionSizeUSD === 1000 && defaults.paperTrader.positionSizeUSD === 500 &&
+  defaults.conflictResolution.tieBreaker === 'REJECT_NEW');
+
+// Test 2: Layering - defaults < file < env < overrides
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'phoenix-config-'));
+const filePath = path.join(tempDir, 'phoenix.json');
+fs.writeFileSync(filePath, JSON.stringify({
+  symbols: ['ETHUSDT', 'BTCUSDT'],
+  risk: { maxPositionSizeUSD: 2500, dailyLossLimitUSD: 200 },
+  telegram: { chatId: 12345 }
+}));
+
+const layered = loadConfig({
+  env: { PHOENIX_CONFIG_FILE: filePath, RISK_DAILY_LOSS_LIMIT_USD: '150', PAPER_TRADING: 'false', SYMBOLS: 'SOLUSDT, BTCUSDT' },
+  defaults: { journal: { enabled: true } },
+  overrides: { symbols: ['ETHUSDT'] }
+});
+check('File overlays defaults', layered.risk.maxPositionSizeUSD === 2500 && layered.telegram.chatId === '12345');
+check('Environment overlays file', layered.risk.dailyLossLimitUSD === 150 && layered.paperTrading === false);
+check('Overrides win', JSON.stringify(layered.symbols) === '["ETHUSDT"]');
+check('Caller defaults overlay schema defaults', layered.journal.enabled === true);
+
+const parsed = loadConfig({ env: { WHALE_WATCHLIST: ` ${whale} , `, PORT: '8080' } });
+check('Watchlist parsed and normalised', JSON.stringify(parsed.whaleWatchlist) === JSON.stringify([whale.toLowerCase()]));
+check('Integers parsed from the environment', parsed.server.port === 8080);
+
+// Test 3: Fail fast with every malformed value listed
+const errors = validationErrors({
+  env: {
+    RISK_MAX_POSITION_USD: 'lots',
+    WHALE_WATCHLIST: `${whale},0x1234`,
+    PAPER_TRADING: 'maybe',
+    PORT: '70000',
+    QUICKNODE_WS_URL: 'https://example.com'
+  }
+});
+check('All errors collected', errors.length === 5, `(${errors.length} errors)`);
+check('Non-numeric threshold reported', errors.some(e => e.includes('risk.maxPositionSizeUSD (RISK_MAX_POSITION_USD) must be a number')));
+check('Bad watchlist address reported', errors.some(e => e.includes("WHALE_WATCHLIST) entry 2 '0x1234' is not a valid Ethereum address")));
+check('Range and protocol checks', errors.some(e => e.includes('must be <= 65535')) && errors.some(e => e.includes('must use ws: or wss:')));
+
+const unknown = validationErrors({ env: {}, overrides: { risk: { maxPositionSizeUsd: 100 } } });
+check('Unknown keys rejected', unknown.length === 1 && unknown[0].includes('risk.maxPositionSizeUsd: unknown configuration key'));
+
+const missingFile = validationErrors({ env: { PHOENIX_CONFIG_FILE: path.join(tempDir, 'missing.json') } });
+check('Unreadable config file reported', missingFile.length === 1 && missingFile[0].includes('cannot read config file'));
+
+let engineError = null;
+try {
+  new PhoenixEngine({ paperTrader: { positionSizeUSD: 'big' } });
+} catch (error) {
+  engineError = error;
+}
+check('Engine fails fast on malformed config', engineError instanceof ConfigValidationError &&
+  engineError.message.includes('paperTrader.positionSizeUSD (override) must be a number'));
+
+// Test 4: Secrets redacted in the effective-config dump
+const secretConfig = loadConfig({ env: { TELEGRAM_BOT_TOKEN: 'bot-secret', ALCHEMY_WS_URL: 'wss://eth.example/v2/key-secret', TELEGRAM_CHAT_ID: '42' } });
+const redacted = redactConfig(secretConfig);
+check('Secrets redacted', redacted.telegram.botToken === '[REDACTED]' && redacted.providers.alchemyWsUrl === '[REDACTED]');
+check('Non-secrets and unset secrets kept', redacted.telegram.chatId === '42' && redacted.providers.bybitApiKey === null);
+check('Original config untouched', secretConfig.telegram.botToken === 'bot-secret');
+
+const dump = formatConfig(secretConfig);
+check('Dump never contains secret values', !dump.some(line => line.includes('secret')) && dump.includes('telegram.chatId = "42"'));
+
+// Test 5: Components take configured values instead of reading the environment
+const streamer = new MempoolStreamer({
+  logger: silentLogger,
+  enableRealTimeFeeds: false,
+  whaleWatchlist: parsed.whaleWatchlist,
+  providers: { alchemy: { enabled: true, wsUrl: 'wss://eth.example/v2/key' } }
+});
+check('Streamer uses configured watchlist', streamer.whaleWatchlist.size === 1 && streamer.whaleWatchlist.has(whale.toLowerCase()));
+
+const engine = new PhoenixEngine({ symbols: ['BTCUSDT'], enableRealTimeFeeds: false, stateSnapshot: { enabled: false } });
+check('Engine exposes resolved config', engine.config.symbol === 'BTCUSDT' && engine.config.taskScheduler.maxConcurrentTasks === 8 &&
+  engine.stateStore === null);
+
+fs.rmSync(tempDir, { recursive: true, force: true });
+
+console.log('\n' + '='.repeat(60));
+console.log(`📊 Results: ${passedTests} passed, ${failedTests} failed`);
+process.exit(failedTests === 0 ? 0 : 1);
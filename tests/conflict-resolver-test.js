@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+
+/**
+ * Phoenix v6.1 - Conflict Resolver Test Suite
+ *
+ * Validates directional and resource conflict detection, precedence
+ * rules and the audit trail of resolution decisions.
+ */
+
+import ConflictResolver from '../src/phoenix/components/conflict-resolver.js';
+import { StrategySignal } from '../src/phoenix/strategies/strategy-signal.js';
+import PhoenixEngine from '../src/phoenix/engine.js';
+
+console.log('🧪 Phoenix v6.1 - Conflict Resolver Test Suite');
+console.log('='.repeat(60));
+
+const silentLogger = {
+  info: () => {},
+  debug: () => {},
+  warn: () => {},
+  error: () => {}
+};
+
+let passedTests = 0;
+let failedTests = 0;
+
+function check(testName, condition, details = '') {
+  if (condition) {
+    console.log(`✅ PASS - ${testName} ${details}`);
+    passedTests++;
+  } else {
+    console.log(`❌ FAIL - ${testName} ${details}`);
+    failedTests++;
+  }
+}
+
+function signal(overrides) {
+  return new StrategySignal({
+    symbol: 'ETHUSDT',
+    confidence: 0.7,
+    priority: 5,
+    positionSizeFactor: 0.5,
+    timestamp: 1000,
+    ...overrides
+  });
+}
+
+// Test 1: Directional conflict - higher priority wins
+const resolver = new ConflictResolver({ logger: silentLogger });
+const cascade = signal({ strategyId: 'CASCADE_HUNTER', action: 'ENTER_SHORT', priority: 7 });
+const shakeout = signal({ strategyId: 'SHAKEOUT_DETECTOR', action: 'ENTER_LONG', priority: 5, timestamp: 2000 });
+
+check('First entry approved', resolver.resolve(cascade).approved);
+const lost = resolver.resolve(shakeout);
+check('Lower priority opposite entry rejected', !lost.approved && lost.conflicts[0].conflictType === 'DIRECTIONAL');
+check('Losing rule recorded', lost.conflicts[0].rule === 'PRIORITY', `(${lost.reason})`);
+check('Rejected signal marked', shakeout.status === 'REJECTED');
+
+// Test 2: Precedence table overrides priority and supersedes the rival
+const ranked = new ConflictResolver({
+  logger: silentLogger,
+  strategyPrecedence: { SHAKEOUT_DETECTOR: 2, CASCADE_HUNTER: 1 }
+});
+const short = signal({ strategyId: 'CASCADE_HUNTER', action: 'ENTER_SHORT', priority: 7 });
+ranked.resolve(short);
+const won = ranked.resolve(signal({ strategyId: 'SHAKEOUT_DETECTOR', action: 'ENTER_LONG', timestamp: 2000 }));
+check('Precedence table wins', won.approved && won.conflicts[0].rule === 'STRATEGY_PRECEDENCE');
+check('Rival superseded', won.superseded.includes(short.id) && short.status === 'SUPERSEDED');
+
+// Test 3: Resource conflict on combined allocation
+const capped = new ConflictResolver({ logger: silentLogger, maxSymbolAllocation: 0.8 });
+capped.resolve(signal({ strategyId: 'A', action: 'ENTER_LONG', priority: 6 }));
+const over = capped.resolve(signal({ strategyId: 'B', action: 'ENTER_LONG', priority: 4 }));
+check('Allocation cap produces resource conflict', !over.approved && over.conflicts[0].conflictType === 'RESOURCE');
+
+// Test 4: Confidence margin and tie breaker
+const tied = new ConflictResolver({ logger: silentLogger, rules: ['CONFIDENCE'] });
+tied.resolve(signal({ strategyId: 'A', action: 'ENTER_LONG', confidence: 0.70 }));
+const close = tied.resolve(signal({ strategyId: 'B', action: 'ENTER_SHORT', confidence: 0.72 }));
+check('Confidence within margin falls to tie breaker', !close.approved && close.conflicts[0].rule === 'TIE_BREAKER');
+
+// Test 5: Alerts bypass, expiry and release
+check('Alerts never conflict', tied.resolve(signal({ strategyId: 'C', action: 'ALERT' })).approved);
+const expired = tied.resolve(signal({ strategyId: 'B', action: 'ENTER_SHORT', timestamp: 1000 + 900001 }));
+check('Expired signals no longer conflict', expired.approved && expired.conflicts.length === 0);
+
+const released = new ConflictResolver({ logger: silentLogger });
+const held = signal({ strategyId: 'A', action: 'ENTER_LONG', priority: 9 });
+released.resolve(held);
+released.releaseSignal(held.id);
+check('Released signal frees the symbol', released.resolve(signal({ strategyId: 'B', action: 'ENTER_SHORT' })).approved);
+
+// Entries the paper trader ignores do not keep holding the symbol's allocation
+const engine = new PhoenixEngine({ symbol: 'ETHUSDT', enableRealTimeFeeds: false, stateSnapshot: { enabled: false } });
+engine.getPipeline('ETHUSDT').initialize();
+const reemitted = [1000, 31000, 61000].map(timestamp => {
+  const entry = signal({ strategyId: 'CASCADE_HUNTER', action: 'ENTER_SHORT', positionSizeFactor: 0.6, timestamp });
+  engine.handleStrategySignal(entry);
+  return entry;
+});
+check('Unfilled re-emitted entries released, not self-blocking', reemitted.every(entry => entry.status !== 'REJECTED') &&
+  engine.conflictResolver.activeSignals.size === 0 && engine.metrics.signalsRejected === 0);
+engine.getPipeline('ETHUSDT').marketClassifier.shutdown();
+
+// Test 6: Audit trail and validation
+check('Decisions recorded in history', resolver.getResolutionHistory().length === 2);
+check('Stats count rejections', resolver.getStats().signalsRejected === 1);
+
+let threw = false;
+try {
+  new ConflictResolver({ rules: ['COIN_FLIP'] });
+} catch (error) {
+  threw = true;
+}
+check('Unknown rule rejected', threw);
+
+console.log('\n' + '='.repeat(60));
+console.log(`📊 Results: ${passedTests} passed, ${failedTests} failed`);
+process.exit(failedTests === 0 ? 0 : 1);
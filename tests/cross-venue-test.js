@@ -0,0 +1,228 @@
+#!/usr/bin/env node
+
+/**
+ * Phoenix v6.1 - Cross-Venue Aggregator Test Suite
+ *
+ * Validates venue adapters, fee-adjusted consolidation, depth shares,
+ * divergence flags, pipeline market data and journal replay.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import CrossVenueAggregator from '../src/phoenix/components/cross-venue-aggregator.js';
+import LiquidityAnalyzer from '../src/phoenix/components/liquidity-analyzer.js';
+import EventJournal from '../src/phoenix/components/event-journal.js';
+import SymbolPipeline from '../src/phoenix/components/symbol-pipeline.js';
+import PhoenixEngine from '../src/phoenix/engine.js';
+import { VENUE_ADAPTERS, splitSymbol } from '../src/phoenix/components/venue-adapters.js';
+import { loadConfig, ConfigValidationError } from '../src/phoenix/config.js';
+
+console.log('🧪 Phoenix v6.1 - Cross-Venue Aggregator Test Suite');
+console.log('='.repeat(60));
+
+const silentLogger = {
+  info: () => {},
+  debug: () => {},
+  warn: () => {},
+  error: () => {}
+};
+
+let passedTests = 0;
+let failedTests = 0;
+
+function check(testName, condition, details = '') {
+  if (condition) {
+    console.log(`✅ PASS - ${testName} ${details}`);
+    passedTests++;
+  } else {
+    console.log(`❌ FAIL - ${testName} ${details}`);
+    failedTests++;
+  }
+}
+
+// Ten levels a side, 0.5 apart, around `mid`
+function levels(mid, qty) {
+  const side = (direction) => Array.from({ length: 10 }, (_, i) => [
+    (mid + direction * (0.25 + i * 0.5)).toFixed(2),
+    String(qty)
+  ]);
+  return { bids: side(-1), asks: side(1) };
+}
+
+// Raw responses in each venue's own format
+const responses = {
+  binanceSpot: (mid, qty) => ({ lastUpdateId: 1, ...levels(mid, qty) }),
+  binancePerp: (mid, qty) => ({ lastUpdateId: 1, E: 1700000000100, T: 1700000000090, ...levels(mid, qty) }),
+  bybit: (mid, qty) => {
+    const { bids, asks } = levels(mid, qty);
+    return { retCode: 0, retMsg: 'OK', result: { s: 'ETHUSDT', b: bids, a: asks, ts: 1700000000050, u: 7 } };
+  },
+  okx: (mid, qty) => {
+    const { bids, asks } = levels(mid, qty);
+    const withCounts = (side) => side.map(([price, size]) => [price, size, '0', '4']);
+    return { code: '0', msg: '', data: [{ bids: withCounts(bids), asks: withCounts(asks), ts: '1700000000070' }] };
+  }
+};
+
+// Test 1: Venue adapters
+check('Symbols split into base and quote', splitSymbol('ETHUSDT').base === 'ETH' && splitSymbol('SOLUSDC').quote === 'USDC' &&
+  splitSymbol('XYZ') === null);
+check('Depth paths per venue', VENUE_ADAPTERS.binancePerp.depthPath('ETHUSDT', 60) === '/fapi/v1/depth?symbol=ETHUSDT&limit=100' &&
+  VENUE_ADAPTERS.bybit.depthPath('ETHUSDT', 500) === '/v5/market/orderbook?category=spot&symbol=ETHUSDT&limit=200' &&
+  VENUE_ADAPTERS.okx.depthPath('ETHUSDT', 50) === '/api/v5/market/books?instId=ETH-USDT&sz=50');
+
+const normalized = Object.entries(responses).map(([venue, build]) => VENUE_ADAPTERS[venue].normalize(build(3000, 2)));
+check('Every venue normalised to numeric levels', normalized.every(book => book.bids.length === 10 && book.bids[0][0] === 2999.75 &&
+  book.asks[0][1] === 2));
+check('Venue timestamps kept', normalized[1].timestamp === 1700000000090 && normalized[2].timestamp === 1700000000050 &&
+  normalized[3].timestamp === 1700000000070);
+
+// Test 2: Fetching and fee-adjusted consolidation
+const t0 = 1700000000000;
+const analyzer = new LiquidityAnalyzer({ symbol: 'ETHUSDT', logger: silentLogger });
+const aggregator = new CrossVenueAggregator({
+  symbol: 'ETHUSDT',
+  logger: silentLogger,
+  liquidityAnalyzer: analyzer,
+  feeBps: { binanceSpot: 0, binancePerp: 0, bybit: 0, okx: 0 },
+  warmupSamples: 3
+});
+
+const venueQuantities = { binancePerp: 4, bybit: 2, okx: 2 };
+const failing = new Set();
+const apiClient = {
+  calls: [],
+  async request({ url, providers }) {
+    this.calls.push({ url, providers });
+    const venue = Object.keys(VENUE_ADAPTERS).find(name => VENUE_ADAPTERS[name].providers[0] === providers[0]);
+    if (failing.has(venue)) throw new Error('HTTP 503');
+    return responses[venue](3000, venueQuantities[venue]);
+  }
+};
+
+async function cycle(timestamp, spotQty = 4) {
+  aggregator.clock = { now: () => timestamp };
+  await aggregator.fetchBooks(apiClient);
+  aggregator.processVenueBook('binanceSpot', responses.binanceSpot(3000, spotQty), timestamp);
+  return aggregator.analyze(timestamp);
+}
+
+let analysis = await cycle(t0);
+check('Primary venue not fetched', apiClient.calls.length === 3 && !apiClient.calls.some(call => call.url.includes('/api/v3/depth')));
+check('Each venue requested through its own provider', apiClient.calls.map(call => call.providers[0]).join(',') === 'binanceFutures,bybit,okx');
+
+const consolidated = aggregator.getConsolidatedBook(t0);
+check('Levels at the same price merged across venues', consolidated.bids[0][0] === 2999.75 && consolidated.bids[0][1] === 12 &&
+  consolidated.bids.length === 10);
+check('Depth shares by venue', Math.abs(analysis.venues.binanceSpot.share - 1 / 3) < 1e-9 && Math.abs(analysis.venues.okx.share - 1 / 6) < 1e-9);
+check('Consolidated DLS scored above a single venue', analysis.consolidated.dls > analysis.venues.okx.dls &&
+  analysis.consolidated.venueCount === 4 && !analysis.consolidated.crossed);
+
+const withFees = new CrossVenueAggregator({ symbol: 'ETHUSDT', logger: silentLogger, feeBps: { okx: 8 } });
+const touch = { bids: [['2999.75', '1']], asks: [['3000.25', '1']] };
+withFees.processVenueBook('binanceSpot', { lastUpdateId: 1, ...touch }, t0);
+withFees.processVenueBook('okx', { code: '0', msg: '', data: [{ ...touch, ts: String(t0) }] }, t0);
+const feeBook = withFees.getConsolidatedBook(t0);
+check('Prices adjusted by each venue\'s taker fee', Math.abs(feeBook.bids[0][0] - 2999.75 * (1 - 0.0008)) < 1e-9 &&
+  Math.abs(feeBook.bids[1][0] - 2999.75 * (1 - 0.001)) < 1e-9 && Math.abs(feeBook.asks[0][0] - 3000.25 * 1.0008) < 1e-9);
+
+// Test 3: Failures and stale books
+failing.add('bybit');
+analysis = await cycle(t0 + 30000);
+check('Failed venue keeps its last book', aggregator.getStats().fetchFailures === 1 && analysis.consolidated.venueCount === 4);
+analysis = await cycle(t0 + 70000);
+check('Stale venue dropped from the consolidated view', analysis.consolidated.venueCount === 3 && analysis.staleVenues[0] === 'bybit' &&
+  !analysis.venues.bybit);
+failing.clear();
+
+check('Venue error responses rejected', aggregator.processVenueBook('bybit', { retCode: 10001, retMsg: 'params error' }) === false &&
+  aggregator.processVenueBook('okx', { code: '51001', msg: 'Instrument ID does not exist', data: [] }) === false &&
+  aggregator.getStats().invalidBooks === 2);
+
+// Test 4: Divergence
+const divergences = [];
+aggregator.on('VENUE_DIVERGENCE', (divergence) => divergences.push(divergence));
+
+analysis = await cycle(t0 + 80000, 1);
+check('Thinning venue flagged against its peers', divergences.length === 1 && divergences[0].venue === 'binanceSpot' &&
+  divergences[0].direction === 'THINNING' && analysis.divergingVenues.join(',') === 'binanceSpot');
+
+await cycle(t0 + 90000, 1);
+check('Divergence reported once per episode', divergences.length === 1);
+
+venueQuantities.binancePerp = 1;
+venueQuantities.bybit = 0.5;
+venueQuantities.okx = 0.5;
+analysis = await cycle(t0 + 100000, 1);
+check('Market-wide thinning is not divergence', analysis.divergingVenues.length === 0 && divergences.length === 1);
+
+// Test 5: Pipeline market data and journal replay
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'phoenix-venues-'));
+const journalPath = path.join(tempDir, 'venues.jsonl');
+const journal = new EventJournal({ logger: silentLogger, filePath: journalPath });
+
+Object.assign(venueQuantities, { binancePerp: 4, bybit: 2, okx: 2 });
+const pipelineClient = {
+  async request(options) {
+    if (options.url.startsWith('/api/v3/depth')) return responses.binanceSpot(3000, 4);
+    if (options.url.startsWith('/api/v3/ticker')) return { lastPrice: '3000', priceChangePercent: '0.2' };
+    return apiClient.request(options);
+  }
+};
+
+const pipeline = new SymbolPipeline({
+  symbol: 'ETHUSDT',
+  logger: silentLogger,
+  journal,
+  orderBook: { enabled: false },
+  crossVenue: { enabled: true }
+});
+pipeline.initialize();
+const marketData = await pipeline.fetchMarketData(pipelineClient);
+journal.close();
+
+check('Market data carries the cross-venue view', marketData.crossVenue.consolidated.venueCount === 4 &&
+  marketData.crossVenue.consolidated.dls > 0 && pipeline.getMetrics().components.crossVenueAggregator.booksHeld === 4);
+
+const entries = await EventJournal.read(journalPath);
+check('Venue books journaled before the market data', entries.map(entry => entry.source).join(',') ===
+  'cross_venue,cross_venue,cross_venue,market_data' && entries[0].type === 'binancePerp');
+
+const engine = new PhoenixEngine({
+  symbol: 'ETHUSDT',
+  enableRealTimeFeeds: false,
+  stateSnapshot: { enabled: false },
+  orderBook: { enabled: false },
+  crossVenue: { enabled: true }
+});
+engine.getPipeline('ETHUSDT').initialize();
+const replay = await engine.replayJournal(journalPath);
+const replayed = engine.getPipeline('ETHUSDT').crossVenueAggregator.lastAnalysis;
+check('Replay rebuilds the same analysis', replay.replayed === 4 && JSON.stringify(replayed) === JSON.stringify(marketData.crossVenue));
+
+const bus = [];
+engine.on('VENUE_DIVERGENCE', (divergence) => bus.push(divergence));
+engine.setupPipelineHandlers(engine.getPipeline('ETHUSDT'));
+engine.getPipeline('ETHUSDT').crossVenueAggregator.emit('VENUE_DIVERGENCE', { symbol: 'ETHUSDT', venue: 'okx' });
+check('Divergence reported on the engine event bus', bus.length === 1 && engine.metrics.venueDivergences === 1);
+
+// Test 6: Configuration
+const defaults = loadConfig({ env: {} });
+check('Cross-venue disabled by default with all venues listed', defaults.crossVenue.enabled === false &&
+  defaults.crossVenue.venues.join(',') === 'binanceSpot,binancePerp,bybit,okx');
+
+let configError = null;
+try {
+  loadConfig({ env: { CROSS_VENUE: 'true', CROSS_VENUE_VENUES: 'binanceSpot,kraken' } });
+} catch (error) {
+  configError = error;
+}
+check('Unknown venue rejected', configError instanceof ConfigValidationError && configError.errors[0].includes('kraken'));
+
+for (const p of [pipeline, engine.getPipeline('ETHUSDT')]) p.marketClassifier.shutdown();
+fs.rmSync(tempDir, { recursive: true, force: true });
+
+console.log('\n' + '='.repeat(60));
+console.log(`📊 Results: ${passedTests} passed, ${failedTests} failed`);
+process.exit(failedTests === 0 ? 0 : 1);
@@ -0,0 +1,186 @@
+#!/usr/bin/env node
+
+/**
+ * Phoenix v6.1 - DLS Calibration Test Suite
+ *
+ * Validates forward-target extraction, weight and normalisation fitting,
+ * the calibration command's versioned parameter file and LiquidityAnalyzer
+ * loading it.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import DLSCalibrator from '../src/phoenix/components/dls-calibrator.js';
+import LiquidityAnalyzer, { loadDLSParams, DEFAULT_DLS_PARAMS } from '../src/phoenix/components/liquidity-analyzer.js';
+import EventJournal from '../src/phoenix/components/event-journal.js';
+import PhoenixEngine from '../src/phoenix/engine.js';
+
+console.log('🧪 Phoenix v6.1 - DLS Calibration Test Suite');
+console.log('='.repeat(60));
+
+const silentLogger = {
+  info: () => {},
+  debug: () => {},
+  warn: () => {},
+  error: () => {}
+};
+
+let passedTests = 0;
+let failedTests = 0;
+
+function check(testName, condition, details = '') {
+  if (condition) {
+    console.log(`✅ PASS - ${testName} ${details}`);
+    passedTests++;
+  } else {
+    console.log(`❌ FAIL - ${testName} ${details}`);
+    failedTests++;
+  }
+}
+
+// 160 books 30s apart alternating 10-minute thin and thick regimes; the mid
+// swings 4.0 a step while thin and 0.2 while thick
+const t0 = 1700000000000;
+const thick = (i) => Math.floor(i / 20) % 2 === 1;
+
+function recordHistory(journal, count = 160) {
+  let mid = 3000;
+  for (let i = 0; i < count; i++) {
+    if (i > 0) mid += (thick(i) ? 0.2 : 4) * (i % 2 ? 1 : -1);
+
+    const quantity = thick(i) ? '30' : '0.4';
+    const halfSpread = thick(i) ? 0.05 : 1.5;
+    const side = (direction) => Array.from({ length: 20 }, (_, level) => [
+      (mid + direction * (halfSpread + level * 0.5)).toFixed(2),
+      quantity
+    ]);
+
+    journal.record('market_data', 'binance', {
+      orderBook: { lastUpdateId: i, bids: side(-1), asks: side(1) },
+      ticker: { lastPrice: mid.toFixed(2), priceChangePercent: '0' }
+    }, { symbol: 'ETHUSDT', receivedAt: t0 + i * 30000 });
+  }
+}
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'phoenix-dls-'));
+const journalPath = path.join(tempDir, 'history.jsonl');
+const journal = new EventJournal({ logger: silentLogger, filePath: journalPath });
+recordHistory(journal);
+journal.record('market_data', 'binance', { orderBook: { bids: [], asks: [] }, ticker: {} }, { symbol: 'BTCUSDT', receivedAt: t0 });
+journal.close();
+const entries = await EventJournal.read(journalPath);
+
+// Test 1: Samples and forward targets
+const calibrator = new DLSCalibrator({ symbol: 'ETHUSDT', logger: silentLogger });
+const samples = calibrator.extractSamples(entries);
+check('One sample per recorded book for the symbol', samples.length === 160 &&
+  Object.keys(samples[0].components).join(',') === 'depth,density,spread,impact,volume');
+check('Round-trip slippage measured per book', samples[0].slippageBps > samples[20].slippageBps && samples[20].slippageBps > 0);
+
+const targeted = calibrator.attachTargets(samples);
+check('Only samples with a complete forward window', targeted.length === 150 &&
+  targeted[targeted.length - 1].timestamp + 300000 === samples[samples.length - 1].timestamp);
+check('Forward volatility higher ahead of thin books', targeted[0].target > targeted[22].target * 5);
+
+// Test 2: Fitting
+const { params, report } = calibrator.calibrate(entries);
+const weightSum = Object.values(params.weights).reduce((sum, weight) => sum + weight, 0);
+check('Weights non-negative and summing to 1', Math.abs(weightSum - 1) < 1e-9 && Object.values(params.weights).every(weight => weight >= 0));
+check('Fit and holdout split chronologically', report.samples.train === 105 && report.samples.holdout === 45 && report.weightsFitted);
+check('Depth reported as predictive', report.components.find(row => row.component === 'depth').rawPower > 0.5);
+
+// Thick books have the tight spreads and cheap fills: raw bps rank against
+// quality, their normalised scores with it
+const costRows = report.components.filter(row => row.component === 'spread' || row.component === 'impact');
+check('Spread and impact normalised in the liquid direction', costRows.every(row => row.rawPower < -0.5 &&
+  row.defaultPower > 0.5 && row.calibratedPower > 0.5 && row.weight > 0));
+const thinBook = samples[0].components;
+const thickBook = samples[20].components;
+check('Thick books score higher under calibrated and default parameters', [DEFAULT_DLS_PARAMS, params].every(dlsParams => {
+  const score = (components) => Object.entries(calibrator.analyzer.normalizeComponents(components, dlsParams.normalization))
+    .reduce((sum, [component, value]) => sum + value * dlsParams.weights[component], 0);
+  return score(thickBook) > score(thinBook);
+}));
+check('Calibrated DLS predictive out of sample', report.dls.holdout.calibrated > 0.5,
+  `(holdout ${report.dls.holdout.calibrated.toFixed(3)}, default ${report.dls.holdout.default.toFixed(3)})`);
+check('Components without signal get no weight', report.components.filter(row => row.calibratedPower === 0).every(row => row.weight === 0) &&
+  report.components.find(row => row.component === 'volume').weight === 0);
+
+const slippageFit = new DLSCalibrator({ symbol: 'ETHUSDT', target: 'slippage' }).calibrate(entries);
+check('Slippage target supported', slippageFit.report.target === 'slippage' && slippageFit.report.dls.holdout.calibrated > 0.5);
+
+let tooFew = null;
+try {
+  new DLSCalibrator({ symbol: 'ETHUSDT', horizonMs: 4800000 }).calibrate(entries);
+} catch (error) {
+  tooFew = error;
+}
+check('Too little history rejected', tooFew?.message.includes('Not enough samples'));
+
+let badTarget = null;
+try {
+  new DLSCalibrator({ target: 'returns' });
+} catch (error) {
+  badTarget = error;
+}
+check('Unknown target rejected', badTarget?.message.includes('volatility, slippage'));
+
+// Test 3: Calibration command writes versioned parameter files
+const outPath = path.join(tempDir, 'params', 'dls-params.json');
+const run = () => execFileSync(process.execPath, ['scripts/calibrate-dls.js', journalPath, '--out', outPath], { encoding: 'utf8', timeout: 60000 });
+
+const output = run();
+const first = JSON.parse(fs.readFileSync(outPath, 'utf8'));
+check('Parameter file written with version 1', first.version === 1 && first.symbol === 'ETHUSDT' && first.report.components.length === 5);
+check('Report printed per component', output.includes('depth') && output.includes('DLS holdout'));
+run();
+check('Recalibrating bumps the version', JSON.parse(fs.readFileSync(outPath, 'utf8')).version === 2);
+
+// Test 4: LiquidityAnalyzer loads the parameters
+const loaded = loadDLSParams(outPath);
+check('Parameter file loads', loaded.version === 2 && Math.abs(loaded.weights.depth - first.weights.depth) < 1e-12);
+
+const defaults = new LiquidityAnalyzer({ logger: silentLogger });
+const calibrated = new LiquidityAnalyzer({ logger: silentLogger, dlsParams: loaded });
+// depth 60 x 0.25 + density 50 x 0.25 + spread 99 x 0.2 + impact 80 x 0.2 + volume 100 x 0.1
+check('Default parameters reproduce the hand-picked DLS', defaults.calculateDLS(1000, 0.5, 0.1, 1, 1.0) === 73 &&
+  defaults.dlsParams === DEFAULT_DLS_PARAMS);
+check('Loaded parameters change the score', calibrated.calculateDLS(1000, 0.5, 0.1, 1, 1.0) !== 73 &&
+  calibrated.getStats().dlsParamsVersion === 2);
+
+const badPath = path.join(tempDir, 'bad.json');
+fs.writeFileSync(badPath, JSON.stringify({ ...first, weights: { ...first.weights, depth: first.weights.depth + 0.5 } }));
+let badFile = null;
+try {
+  loadDLSParams(badPath);
+} catch (error) {
+  badFile = error;
+}
+check('Weights not summing to 1 rejected', badFile?.message.includes('weights must sum to 1'));
+
+const history = Array.from({ length: 20 }, (_, i) => ({ dls: 40 + i, timestamp: t0 + i * 30000 }));
+defaults.importState({ dlsHistory: history }, t0 + 600000);
+calibrated.importState({ dlsHistory: history, dlsParamsVersion: 0 }, t0 + 600000);
+check('History from other DLS parameters discarded on restore', defaults.dlsHistory.length === 20 && calibrated.dlsHistory.length === 0 &&
+  calibrated.exportState().dlsParamsVersion === 2);
+
+const engine = new PhoenixEngine({ symbol: 'ETHUSDT', enableRealTimeFeeds: false, stateSnapshot: { enabled: false }, dls: { paramsFile: outPath } });
+engine.getPipeline('ETHUSDT').initialize();
+check('Engine passes the parameter file to pipelines', engine.getPipeline('ETHUSDT').liquidityAnalyzer.dlsParams.version === 2);
+
+let engineError = null;
+try {
+  new PhoenixEngine({ symbol: 'ETHUSDT', enableRealTimeFeeds: false, stateSnapshot: { enabled: false }, dls: { paramsFile: badPath } });
+} catch (error) {
+  engineError = error;
+}
+check('Engine refuses an invalid parameter file', engineError?.message.includes('Invalid DLS parameter file'));
+
+engine.getPipeline('ETHUSDT').marketClassifier.shutdown();
+fs.rmSync(tempDir, { recursive: true, force: true });
+
+console.log('\n' + '='.repeat(60));
+console.log(`📊 Results: ${passedTests} passed, ${failedTests} failed`);
+process.exit(failedTests === 0 ? 0 : 1);
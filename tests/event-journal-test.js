@@ -0,0 +1,219 @@
+#!/usr/bin/env node
+
+/**
+ * Phoenix v6.1 - Event Journal Test Suite
+ *
+ * Validates the append-only input journal, the record hooks on every
+ * external entry point and replaying a journal through a fresh engine.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import EventJournal from '../src/phoenix/components/event-journal.js';
+import MempoolStreamer from '../src/phoenix/components/mempool-streamer.js';
+import TaskScheduler from '../src/phoenix/components/task-scheduler.js';
+import PhoenixEngine from '../src/phoenix/engine.js';
+import { VirtualClock } from '../src/phoenix/components/clock.js';
+import { loadConfig } from '../src/phoenix/config.js';
+
+console.log('🧪 Phoenix v6.1 - Event Journal Test Suite');
+console.log('='.repeat(60));
+
+const silentLogger = {
+  info: () => {},
+  debug: () => {},
+  warn: () => {},
+  error: () => {}
+};
+
+let passedTests = 0;
+let failedTests = 0;
+
+function check(testName, condition, details = '') {
+  if (condition) {
+    console.log(`✅ PASS - ${testName} ${details}`);
+    passedTests++;
+  } else {
+    console.log(`❌ FAIL - ${testName} ${details}`);
+    failedTests++;
+  }
+}
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'phoenix-journal-'));
+const whale = '0x3f5ce5fbfe3e9af3971dd833d26ba9b5c936f0be';
+
+// Test 1: Append-only round trip
+const basicPath = path.join(tempDir, 'nested', 'basic.jsonl');
+const journal = new EventJournal({ logger: silentLogger, filePath: basicPath });
+journal.record('mempool', 'alchemy', { n: 1 }, { receivedAt: 1000 });
+journal.record('derivatives', 'binance', { n: 2 }, { symbol: 'ETHUSDT', receivedAt: 1001 });
+journal.close();
+
+const reopened = new EventJournal({ logger: silentLogger, filePath: basicPath });
+reopened.record('webhook', 'whale_transactions', { n: 3 }, { receivedAt: 1002 });
+reopened.close();
+
+let entries = await EventJournal.read(basicPath);
+check('Entries read back in append order', entries.map(e => e.payload.n).join(',') === '1,2,3');
+check('Receive timestamp and symbol recorded', entries[1].receivedAt === 1001 && entries[1].symbol === 'ETHUSDT');
+check('Stats counted per source', journal.getStats().bySource.derivatives === 1 && journal.getStats().eventsRecorded === 2);
+
+fs.appendFileSync(basicPath, '{"seq":4,"source":"mem');
+entries = await EventJournal.read(basicPath, silentLogger);
+check('Torn final line skipped', entries.length === 3);
+
+// Test 2: Size-capped rotation and streaming reads
+const rotatingPath = path.join(tempDir, 'rotating.jsonl');
+const rotating = new EventJournal({ logger: silentLogger, filePath: rotatingPath, maxBytes: 400, maxFiles: 2 });
+for (let n = 1; n <= 20; n++) {
+  rotating.record('trade_flow', 'aggTrade', { n, pad: 'x'.repeat(40) }, { symbol: 'ETHUSDT', receivedAt: 1000 + n });
+}
+rotating.close();
+
+const segments = EventJournal.segments(rotatingPath);
+check('Live file rotated at the size cap', rotating.getStats().rotations > 2 &&
+  segments.every(segment => fs.statSync(segment).size <= 400));
+check('Only maxFiles rotated segments kept', segments.length === 3 && !fs.existsSync(`${rotatingPath}.3`) &&
+  segments[0] === `${rotatingPath}.2` && segments[2] === rotatingPath);
+
+const rotated = await EventJournal.read(rotatingPath);
+check('Segments read oldest first, oldest entries dropped', rotated[0].payload.n > 1 &&
+  rotated[rotated.length - 1].payload.n === 20 && rotated.every((entry, i) => i === 0 || entry.seq === rotated[i - 1].seq + 1));
+
+const streamed = [];
+for await (const entry of EventJournal.stream(rotatingPath)) {
+  streamed.push(entry.payload.n);
+  if (streamed.length === 2) break;
+}
+check('Streaming reader yields line by line and can stop early', streamed.join(',') === rotated.slice(0, 2).map(e => e.payload.n).join(','));
+
+let missingError = null;
+try {
+  await EventJournal.read(path.join(tempDir, 'missing.jsonl'));
+} catch (error) {
+  missingError = error;
+}
+check('Missing journal rejected', missingError?.message.startsWith('Journal not found'));
+check('Journal stays opt-in with a default size cap', loadConfig({ env: {} }).journal.enabled === false &&
+  loadConfig({ env: {} }).journal.maxBytes === 256 * 1024 * 1024 &&
+  loadConfig({ env: { EVENT_JOURNAL_MAX_BYTES: '1048576', EVENT_JOURNAL_MAX_FILES: '8' } }).journal.maxFiles === 8);
+
+// Test 3: Record hooks on the external entry points
+const hookPath = path.join(tempDir, 'hooks.jsonl');
+const hookJournal = new EventJournal({ logger: silentLogger, filePath: hookPath });
+const streamer = new MempoolStreamer({ logger: silentLogger, enableRealTimeFeeds: false, journal: hookJournal });
+
+const intents = [];
+streamer.on('WHALE_INTENT_DETECTED', (intent) => intents.push(intent));
+streamer.handleProviderMessage('quicknode', {
+  params: { result: { from: whale, to: '0x1', value: '0x56BC75E2D630E000', hash: '0xq1' } }
+});
+check('QuickNode messages reach the Alchemy parser', intents.length === 1 && intents[0].transactionHash === '0xq1');
+
+const processed = streamer.handleWebhookPayload({
+  matchingTransactions: [{ hash: '0xw1', from: whale, to: '0x2', value: '1', blockNumber: 1 }],
+  matchingReceipts: [{
+    transactionHash: '0xw2',
+    blockNumber: 1,
+    logs: [
+      { address: '0xtoken', topics: ['0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef', '0x' + '0'.repeat(24) + whale.slice(2), '0x' + '0'.repeat(64)], data: '0x0de0b6b3a7640000' },
+      { address: '0xtoken', topics: ['0xother'], data: '0x' }
+    ]
+  }]
+});
+check('Webhook payload split into transfers', processed === 2);
+
+hookJournal.close();
+const hookEntries = await EventJournal.read(hookPath);
+check('Mempool and webhook inputs journaled raw', hookEntries.map(e => `${e.source}:${e.type}`).join(',') === 'mempool:quicknode,webhook:whale_transactions');
+check('Webhook journaled before splitting', hookEntries[1].payload.matchingReceipts[0].logs.length === 2);
+
+// Test 4: Record a session through a live engine, then replay it through a fresh one
+let tick = 0;
+const apiClient = {
+  async request({ url }) {
+    const symbol = url.match(/symbol=([A-Z]+)/)[1];
+    const mid = (symbol === 'BTCUSDT' ? 60000 : 3000) * (1 + tick * 0.001);
+
+    if (url.includes('/depth')) {
+      return {
+        bids: Array.from({ length: 20 }, (_, i) => [(mid * (1 - 0.0001 * (i + 1))).toFixed(4), (5 + tick + i).toString()]),
+        asks: Array.from({ length: 20 }, (_, i) => [(mid * (1 + 0.0001 * (i + 1))).toFixed(4), (5 + i).toString()])
+      };
+    }
+    return { lastPrice: mid.toFixed(2), priceChangePercent: (tick * 0.4).toFixed(2) };
+  },
+  getStats() {
+    return {};
+  }
+};
+
+function bringUp(engine) {
+  engine.apiClient = apiClient;
+  for (const pipeline of engine.pipelines.values()) pipeline.initialize();
+  engine.mempoolStreamer = new MempoolStreamer({
+    logger: silentLogger,
+    clock: engine.clock,
+    enableRealTimeFeeds: false,
+    journal: engine.journal
+  });
+  engine.taskScheduler = new TaskScheduler({ logger: silentLogger, clock: engine.clock });
+  engine.telegramReporter = { sendAlert: async () => true };
+  engine.setupEventHandlers();
+}
+
+const sessionPath = path.join(tempDir, 'session.jsonl');
+const symbols = ['ETHUSDT', 'BTCUSDT'];
+const live = new PhoenixEngine({ symbols, enableRealTimeFeeds: false, journal: { enabled: true, filePath: sessionPath } });
+bringUp(live);
+
+for (tick = 0; tick < 5; tick++) {
+  await live.performMarketClassification();
+  live.getPipeline('ETHUSDT').derivativesMonitor.handleExchangeMessage('binance', {
+    stream: 'ethusdt@markPrice',
+    data: { p: (3000 + tick * 2).toString() }
+  });
+}
+live.mempoolStreamer.handleProviderMessage('alchemy', {
+  params: { result: { from: whale, to: '0x3', value: '0x56BC75E2D630E000', hash: '0xa1' } }
+});
+live.mempoolStreamer.handleWebhookPayload({
+  matchingTransactions: [{ hash: '0xw3', from: whale, to: '0x4', value: '1', blockNumber: 2 }]
+});
+live.journal.close();
+
+check('Every input journaled', live.getMetrics().components.journal.eventsRecorded === 17, `(${live.journal.getStats().eventsRecorded} events)`);
+
+const replay = new PhoenixEngine({ symbols, enableRealTimeFeeds: false });
+bringUp(replay);
+const result = await replay.replayJournal(sessionPath);
+
+check('Replay consumed every entry', result.replayed === 17 && result.skipped === 0);
+check('Market data reproduced', symbols.every(symbol =>
+  JSON.stringify(replay.getPipeline(symbol).lastMarketData) === JSON.stringify(live.getPipeline(symbol).lastMarketData)));
+check('DLS history reproduced', JSON.stringify(replay.liquidityAnalyzer.dlsHistory) === JSON.stringify(live.liquidityAnalyzer.dlsHistory));
+check('Classification counts reproduced', symbols.every(symbol =>
+  replay.getPipeline(symbol).metrics.classifications === live.getPipeline(symbol).metrics.classifications));
+check('Derivatives state reproduced', replay.derivativesMonitor.data.markPrice.current === live.derivativesMonitor.data.markPrice.current);
+check('Whale intents reproduced', replay.metrics.whaleIntentsDetected === live.metrics.whaleIntentsDetected && replay.metrics.whaleIntentsDetected > 0);
+check('Replay does not write a journal', replay.journal === null && (await EventJournal.read(sessionPath)).length === 17);
+
+const sessionEntries = await EventJournal.read(sessionPath);
+const clock = new VirtualClock({ startTime: sessionEntries[0].receivedAt });
+const timed = new PhoenixEngine({ symbols, enableRealTimeFeeds: false, clock });
+bringUp(timed);
+await timed.replayJournal(sessionPath);
+check('Virtual clock follows recorded time', clock.now() === sessionEntries[sessionEntries.length - 1].receivedAt);
+check('Whale intents stamped with recorded time', timed.getPipeline('ETHUSDT').marketClassifier.clock === clock &&
+  timed.mempoolStreamer.stats.lastTransactionTime === sessionEntries[15].receivedAt);
+
+for (const instance of [live, replay, timed]) {
+  for (const pipeline of instance.pipelines.values()) pipeline.marketClassifier.shutdown();
+}
+
+fs.rmSync(tempDir, { recursive: true, force: true });
+
+console.log('\n' + '='.repeat(60));
+console.log(`📊 Results: ${passedTests} passed, ${failedTests} failed`);
+process.exit(failedTests === 0 ? 0 : 1);
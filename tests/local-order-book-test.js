@@ -0,0 +1,211 @@
+#!/usr/bin/env node
+
+/**
+ * Phoenix v6.1 - Local Order Book Test Suite
+ *
+ * Validates snapshot + diff synchronisation, U/u sequence checks, automatic
+ * resync on gaps, journal replay and the pipeline reading the live book.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import LocalOrderBook from '../src/phoenix/components/local-order-book.js';
+import EventJournal from '../src/phoenix/components/event-journal.js';
+import SymbolPipeline from '../src/phoenix/components/symbol-pipeline.js';
+import PhoenixEngine from '../src/phoenix/engine.js';
+import { VirtualClock } from '../src/phoenix/components/clock.js';
+import { computeOrderBookFeatures } from '../src/phoenix/components/order-book-features.js';
+
+console.log('🧪 Phoenix v6.1 - Local Order Book Test Suite');
+console.log('='.repeat(60));
+
+const silentLogger = {
+  info: () => {},
+  debug: () => {},
+  warn: () => {},
+  error: () => {}
+};
+
+let passedTests = 0;
+let failedTests = 0;
+
+function check(testName, condition, details = '') {
+  if (condition) {
+    console.log(`✅ PASS - ${testName} ${details}`);
+    passedTests++;
+  } else {
+    console.log(`❌ FAIL - ${testName} ${details}`);
+    failedTests++;
+  }
+}
+
+const snapshot = {
+  lastUpdateId: 100,
+  bids: [['3000.00', '5.0'], ['2999.50', '3.0'], ['2999.00', '8.0']],
+  asks: [['3000.50', '4.0'], ['3001.00', '6.0'], ['3001.50', '2.0']]
+};
+
+function diff(U, u, b = [], a = []) {
+  return { e: 'depthUpdate', E: 1700000000000 + u, s: 'ETHUSDT', U, u, b, a };
+}
+
+// Test 1: Buffer until the snapshot, then apply diffs past it
+const book = new LocalOrderBook({ symbol: 'ETHUSDT', logger: silentLogger });
+check('Diffs buffered before the snapshot', book.processDepthEvent(diff(95, 99, [['2998.00', '1.0']])) === 'BUFFERED' &&
+  book.processDepthEvent(diff(98, 102, [['3000.00', '7.0']])) === 'BUFFERED');
+book.processDepthEvent(diff(103, 105, [['2999.50', '0']], [['3000.25', '1.5']]));
+
+book.processSnapshot(snapshot);
+check('Stale buffered diff dropped', book.getStats().staleDiffsDropped === 1 && !book.bids.has('2998.00'));
+check('Straddling and following diffs applied', book.lastUpdateId === 105 && book.getStats().diffsApplied === 2 && book.isSynced());
+check('Quantity updated and zero removes level', book.bids.get('3000.00') === '7.0' && !book.bids.has('2999.50'));
+
+const top = book.getTopOfBook();
+check('Top of book reflects new best ask', top.bid === 3000 && top.ask === 3000.25 && top.askQuantity === 1.5);
+
+const sorted = book.getSnapshot();
+check('Snapshot sorted best first in REST format', sorted.bids.map(l => l[0]).join(',') === '3000.00,2999.00' &&
+  sorted.asks.map(l => l[0]).join(',') === '3000.25,3000.50,3001.00,3001.50');
+check('Depth limit honoured', book.getSnapshot(2).asks.length === 2 && book.getSnapshot(2).lastUpdateId === 105);
+
+// Test 2: Sequence gaps
+const resyncEvents = [];
+book.on('RESYNC_REQUIRED', (event) => resyncEvents.push(event));
+check('In-sequence diff applied', book.processDepthEvent(diff(106, 108, [['2999.00', '9.0']])) === 'APPLIED');
+check('Gap detected', book.processDepthEvent(diff(111, 112)) === 'GAP' && !book.isSynced() &&
+  resyncEvents.length === 1 && book.getStats().sequenceGaps === 1);
+check('Diffs after a gap buffered', book.processDepthEvent(diff(113, 114)) === 'BUFFERED' && book.buffer.length === 2);
+
+// Test 3: Automatic resync through the API client
+const clock = new VirtualClock({ startTime: 1700000000000 });
+const requests = [];
+let failNext = 0;
+let restLastUpdateId = 200;
+const apiClient = {
+  async request({ url }) {
+    requests.push(url);
+    if (failNext > 0) {
+      failNext--;
+      throw new Error('HTTP 503');
+    }
+    return { ...snapshot, lastUpdateId: restLastUpdateId };
+  }
+};
+
+const live = new LocalOrderBook({ symbol: 'ETHUSDT', logger: silentLogger, clock, resyncDelayMs: 500 });
+live.apiClient = apiClient;
+live.isStreaming = true; // Stream stand-in: diffs are fed by hand
+
+await live.resync('startup');
+check('Startup snapshot requested at full depth', requests[0] === '/api/v3/depth?symbol=ETHUSDT&limit=5000' && live.isSynced());
+
+live.processDepthEvent(diff(201, 203, [['3000.00', '1.0']]));
+restLastUpdateId = 260;
+live.processDepthEvent(diff(250, 255));
+await new Promise(resolve => setImmediate(resolve));
+check('Gap triggers a resync', requests.length === 2 && live.isSynced() && live.lastUpdateId === 260 && live.getStats().resyncs === 2);
+check('Resync snapshot replaces the book', live.bids.get('3000.00') === '5.0');
+
+failNext = 1;
+live.processDepthEvent(diff(270, 272));
+await new Promise(resolve => setImmediate(resolve));
+check('Failed resync scheduled for retry', !live.isSynced() && live.getStats().resyncFailures === 1 && clock.pendingTimers === 1);
+
+restLastUpdateId = 271;
+await clock.run(500);
+check('Retry resyncs and drains buffered diffs', live.isSynced() && live.lastUpdateId === 272 && clock.pendingTimers === 0);
+await live.stop();
+
+// Stream drops reconnect with backoff until stop(), however many attempts fail
+const reconnectClock = new VirtualClock({ startTime: 1700000000000 });
+const reconnecting = new LocalOrderBook({ symbol: 'ETHUSDT', logger: silentLogger, clock: reconnectClock,
+  reconnectDelayMs: 1000, maxReconnectDelayMs: 4000 });
+const connects = [];
+let refuseConnects = 4;
+reconnecting.connect = async () => { // WebSocket stand-in
+  connects.push(reconnectClock.now() - 1700000000000);
+  if (refuseConnects-- > 0) throw new Error('ECONNREFUSED');
+  reconnecting.isStreaming = true;
+  reconnecting.reconnectAttempts = 0;
+};
+
+restLastUpdateId = 300;
+check('Failed start schedules a reconnect', await reconnecting.start(apiClient) === false && reconnectClock.pendingTimers === 1);
+await reconnectClock.run(20000);
+check('Retries back off exponentially up to the cap', connects.join(',') === '0,1000,3000,7000,11000' &&
+  reconnecting.isSynced() && reconnecting.getStats().reconnects === 4);
+
+reconnecting.handleConnectionClose();
+await reconnectClock.run(1000);
+check('Backoff resets once connected, so later drops retry too', connects.length === 6 && reconnecting.isSynced());
+
+reconnecting.handleConnectionClose();
+await reconnecting.stop();
+reconnecting.handleConnectionClose();
+check('stop() cancels and prevents reconnects', reconnectClock.pendingTimers === 0 && connects.length === 6);
+
+// Test 4: Journal replay rebuilds the same book
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'phoenix-book-'));
+const journalPath = path.join(tempDir, 'book.jsonl');
+const journal = new EventJournal({ logger: silentLogger, filePath: journalPath });
+const recorded = new LocalOrderBook({ symbol: 'ETHUSDT', logger: silentLogger, journal });
+
+recorded.handleDepthMessage(diff(99, 101, [['2999.75', '2.0']]));
+recorded.loadSnapshot(snapshot);
+recorded.handleDepthMessage(diff(102, 104, [], [['3000.50', '0']]));
+recorded.handleDepthMessage(diff(110, 111));
+recorded.loadSnapshot({ ...snapshot, lastUpdateId: 110 });
+recorded.handleDepthMessage(diff(112, 113, [['3000.10', '0.5']]));
+journal.close();
+
+const engine = new PhoenixEngine({ symbol: 'ETHUSDT', enableRealTimeFeeds: false, stateSnapshot: { enabled: false } });
+engine.getPipeline('ETHUSDT').initialize();
+const replay = await engine.replayJournal(journalPath);
+const replayed = engine.getPipeline('ETHUSDT').localOrderBook;
+check('Book entries replayed', replay.replayed === 6 && (await EventJournal.read(journalPath)).every(entry => entry.source === 'order_book'));
+check('Replayed book matches live book', JSON.stringify(replayed.getSnapshot()) === JSON.stringify(recorded.getSnapshot()) &&
+  replayed.getStats().sequenceGaps === 1);
+
+// Test 5: Pipeline and readers use the live book
+const restClient = {
+  calls: [],
+  async request({ url }) {
+    this.calls.push(url);
+    if (url.includes('/depth')) return snapshot;
+    return { lastPrice: '3000.25', priceChangePercent: '0.4' };
+  }
+};
+
+const pipeline = new SymbolPipeline({ symbol: 'ETHUSDT', logger: silentLogger, orderBook: { analysisDepth: 2 } });
+pipeline.initialize();
+
+await pipeline.fetchMarketData(restClient);
+check('REST depth used until the book is synced', restClient.calls[0] === '/api/v3/depth?symbol=ETHUSDT&limit=2');
+check('Readers return null while unsynced', pipeline.liquidityAnalyzer.getLiveLiquidity() === null);
+
+pipeline.localOrderBook.processSnapshot(snapshot);
+pipeline.localOrderBook.processDepthEvent(diff(101, 101, [], [['3000.50', '0']]));
+restClient.calls = [];
+const marketData = await pipeline.fetchMarketData(restClient);
+check('Synced book replaces the REST depth call', restClient.calls.length === 1 && restClient.calls[0].includes('/ticker/24hr'));
+check('Market data built from the live top levels', marketData.orderBook.asks.length === 2 && marketData.orderBook.asks[0][0] === '3001.00');
+
+const historyBefore = pipeline.liquidityAnalyzer.dlsHistory.length;
+const liveLiquidity = pipeline.liquidityAnalyzer.getLiveLiquidity();
+check('Live liquidity read without recording history', liveLiquidity.dls > 0 && liveLiquidity.lastUpdateId === 101 &&
+  pipeline.liquidityAnalyzer.dlsHistory.length === historyBefore);
+check('Classifier pressure computed from the live book', marketData.pressure ===
+  computeOrderBookFeatures(marketData.orderBook.bids, marketData.orderBook.asks).pressure);
+check('Book stats in pipeline metrics', pipeline.getMetrics().components.localOrderBook.lastUpdateId === 101);
+
+const disabled = new SymbolPipeline({ symbol: 'BTCUSDT', logger: silentLogger, orderBook: { enabled: false } });
+disabled.initialize();
+check('Local book can be disabled', disabled.localOrderBook === null && disabled.liquidityAnalyzer.getLiveLiquidity() === null);
+
+for (const p of [pipeline, disabled, engine.getPipeline('ETHUSDT')]) p.marketClassifier.shutdown();
+fs.rmSync(tempDir, { recursive: true, force: true });
+
+console.log('\n' + '='.repeat(60));
+console.log(`📊 Results: ${passedTests} passed, ${failedTests} failed`);
+process.exit(failedTests === 0 ? 0 : 1);
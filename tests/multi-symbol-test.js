@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+
+/**
+ * Phoenix v6.1 - Multi-Symbol Engine Test Suite
+ *
+ * Validates per-symbol pipelines sharing one API client, strategy
+ * routing by symbol and the per-symbol breakdown of metrics.
+ */
+
+import PhoenixEngine from '../src/phoenix/engine.js';
+import SymbolPipeline from '../src/phoenix/components/symbol-pipeline.js';
+import CascadeHunterStrategy from '../src/phoenix/strategies/cascade-hunter.js';
+
+console.log('🧪 Phoenix v6.1 - Multi-Symbol Engine Test Suite');
+console.log('='.repeat(60));
+
+let passedTests = 0;
+let failedTests = 0;
+
+function check(testName, condition, details = '') {
+  if (condition) {
+    console.log(`✅ PASS - ${testName} ${details}`);
+    passedTests++;
+  } else {
+    console.log(`❌ FAIL - ${testName} ${details}`);
+    failedTests++;
+  }
+}
+
+const prices = { ETHUSDT: 3000, BTCUSDT: 60000, SOLUSDT: 150 };
+
+// Shared API client stub - records which symbols were requested
+const requested = [];
+const apiClient = {
+  async request({ url }) {
+    const symbol = url.match(/symbol=([A-Z]+)/)[1];
+    requested.push(symbol);
+    const mid = prices[symbol];
+
+    if (url.includes('/depth')) {
+      return {
+        bids: Array.from({ length: 20 }, (_, i) => [(mid * (1 - 0.0001 * (i + 1))).toFixed(4), '10']),
+        asks: Array.from({ length: 20 }, (_, i) => [(mid * (1 + 0.0001 * (i + 1))).toFixed(4), '10'])
+      };
+    }
+    return { lastPrice: mid.toString(), priceChangePercent: '0.5' };
+  },
+  getStats() {
+    return { totalRequests: requested.length };
+  }
+};
+
+// Test 1: One pipeline per symbol
+const engine = new PhoenixEngine({
+  symbols: ['ETHUSDT', 'BTCUSDT', 'SOLUSDT'],
+  enableRealTimeFeeds: false
+});
+check('Three pipelines created', engine.pipelines.size === 3);
+check('First symbol is primary', engine.config.symbol === 'ETHUSDT' && engine.primaryPipeline.symbol === 'ETHUSDT');
+
+const single = new PhoenixEngine({ symbol: 'BTCUSDT', enableRealTimeFeeds: false });
+check('Single symbol config still supported', single.pipelines.size === 1 && single.config.symbols[0] === 'BTCUSDT');
+
+// Bring pipelines up without network feeds
+engine.apiClient = apiClient;
+for (const pipeline of engine.pipelines.values()) {
+  pipeline.initialize();
+  engine.setupPipelineHandlers(pipeline);
+}
+engine.registerDefaultStrategies();
+
+const eth = engine.getPipeline('ETHUSDT');
+const btc = engine.getPipeline('BTCUSDT');
+check('Components are per symbol', eth.liquidityAnalyzer !== btc.liquidityAnalyzer && btc.marketClassifier.symbol === 'BTCUSDT');
+check('Paper traders share the risk manager', eth.paperTrader.riskManager === engine.riskManager && btc.paperTrader.riskManager === engine.riskManager);
+check('Legacy accessors resolve to primary pipeline', engine.liquidityAnalyzer === eth.liquidityAnalyzer);
+check('Default strategies registered per symbol', btc.strategyManager.strategies.get('CASCADE_HUNTER')?.instance.symbol === 'BTCUSDT');
+
+// Test 2: Strategy routing by symbol
+let threw = false;
+try {
+  engine.registerStrategy(new CascadeHunterStrategy({ symbol: 'DOGEUSDT' }));
+} catch (error) {
+  threw = true;
+}
+check('Strategy for unknown symbol rejected', threw);
+
+// Test 3: Classification cycle through the shared API client
+await engine.performMarketClassification();
+check('Every symbol fetched through shared client', ['ETHUSDT', 'BTCUSDT', 'SOLUSDT'].every(s => requested.includes(s)));
+check('Market data kept per symbol', btc.lastMarketData?.price === 60000 && eth.lastMarketData?.price === 3000);
+check('Per-symbol classification counts', [...engine.pipelines.values()].every(p => p.metrics.classifications === 1));
+
+// Test 4: Per-symbol metrics and heartbeat
+const metrics = engine.getMetrics();
+check('Status broken down per symbol', Object.keys(metrics.symbols).join(',') === 'ETHUSDT,BTCUSDT,SOLUSDT');
+check('Symbol status includes last price', metrics.symbols.SOLUSDT.lastPrice === 150);
+check('Per-symbol liquidity validations', metrics.symbols.BTCUSDT.metrics.liquidityValidations === btc.metrics.liquidityValidations);
+
+const heartbeat = eth.getHeartbeat();
+check('Heartbeat section per symbol', heartbeat.healthSummary === '3/3 components online');
+
+// Test 5: Pipeline validation
+threw = false;
+try {
+  new SymbolPipeline({});
+} catch (error) {
+  threw = true;
+}
+check('Pipeline requires a symbol', threw);
+
+console.log('\n' + '='.repeat(60));
+console.log(`📊 Results: ${passedTests} passed, ${failedTests} failed`);
+process.exit(failedTests === 0 ? 0 : 1);
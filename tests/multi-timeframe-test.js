@@ -0,0 +1,201 @@
+#!/usr/bin/env node
+
+/**
+ * Phoenix v6.1 - Multi-Timeframe Features Test Suite
+ *
+ * Validates momentum, realised / Parkinson volatility and ATR per window,
+ * coverage and out-of-order handling, reading features by name from regime
+ * rules and strategies, warm restart and configuration.
+ */
+
+import MultiTimeframeFeatures, { TIMEFRAME_FEATURES } from '../src/phoenix/components/multi-timeframe-features.js';
+import SymbolPipeline from '../src/phoenix/components/symbol-pipeline.js';
+import PhoenixEngine from '../src/phoenix/engine.js';
+import BaseStrategy from '../src/phoenix/strategies/base-strategy.js';
+import { DEFAULT_REGIME_RULES, REGIME_FEATURES } from '../src/phoenix/components/regime-rules.js';
+import { loadConfig, ConfigValidationError } from '../src/phoenix/config.js';
+
+console.log('🧪 Phoenix v6.1 - Multi-Timeframe Features Test Suite');
+console.log('='.repeat(60));
+
+const silentLogger = {
+  info: () => {},
+  debug: () => {},
+  warn: () => {},
+  error: () => {}
+};
+
+let passedTests = 0;
+let failedTests = 0;
+
+function check(testName, condition, details = '') {
+  if (condition) {
+    console.log(`✅ PASS - ${testName} ${details}`);
+    passedTests++;
+  } else {
+    console.log(`❌ FAIL - ${testName} ${details}`);
+    failedTests++;
+  }
+}
+
+const t0 = 1700000000000;
+const bar = 5000;
+const near = (a, b, tolerance = 1e-9) => Math.abs(a - b) < tolerance;
+
+// Test 1: Window metrics
+// Reference close 100 before the 1m window, then one bar per 5s rising by 1;
+// the 7th bar wicks up to 120 before closing at 106
+const features = new MultiTimeframeFeatures({ logger: silentLogger });
+features.processPrice(100, t0 - bar);
+for (let i = 1; i <= 12; i++) {
+  if (i === 6) features.processPrice(120, t0 + (i - 1) * bar);
+  features.processPrice(100 + i, t0 + (i - 1) * bar + (i === 12 ? bar - 1 : 0));
+}
+
+const oneMinute = features.getFeatures();
+const expectedRealized = Math.sqrt(Array.from({ length: 12 }, (_, i) => Math.log((101 + i) / (100 + i)) ** 2)
+  .reduce((sum, value) => sum + value, 0)) * 100;
+check('Every feature named per window', Object.keys(oneMinute).length === 16 && TIMEFRAME_FEATURES.includes('parkinsonVol15m'));
+check('Momentum from the close before the window', near(oneMinute.momentum1m, 12));
+check('Close-to-close realised volatility', near(oneMinute.realizedVol1m, expectedRealized));
+check('Parkinson volatility from sub-bar ranges', near(oneMinute.parkinsonVol1m, Math.sqrt(Math.log(120 / 106) ** 2 / (4 * Math.LN2)) * 100));
+check('ATR includes the gap from the previous close', near(oneMinute.atr1m, (11 + 15) / 12));
+check('Longer windows stay null until the series covers them', oneMinute.momentum5m === null && oneMinute.atr1h === null);
+
+let unknownError = null;
+try {
+  features.getFeature('momentum2m');
+} catch (error) {
+  unknownError = error;
+}
+check('Features readable one at a time by name', features.getFeature('momentum1m') === oneMinute.momentum1m &&
+  unknownError?.message.includes('momentum2m'));
+
+check('Prices older than the forming bar are dropped', !features.processPrice(99, t0) &&
+  features.getStats().outOfOrderDropped === 1 && features.getFeatures().momentum1m === oneMinute.momentum1m);
+
+// Longer windows are measured on coarser sub-bars: every 25s sub-bar of 5m spans a 1-bar swing
+const swings = new MultiTimeframeFeatures({ logger: silentLogger });
+for (let i = 0; i <= 61; i++) {
+  swings.processPrice(i % 2 === 0 ? 100 : 101, t0 + i * bar);
+}
+const swing = swings.getFeatures();
+check('5m window computed on 12 coarser sub-bars', swing.parkinsonVol1m === 0 &&
+  near(swing.parkinsonVol5m, Math.sqrt(12 * Math.log(101 / 100) ** 2 / (4 * Math.LN2)) * 100) && swing.momentum15m === null);
+
+let alignError = null;
+try {
+  new MultiTimeframeFeatures({ barMs: 7000 });
+} catch (error) {
+  alignError = error;
+}
+check('Bar sizes that do not divide every window rejected', alignError?.message.includes('1m'));
+
+// Test 2: Warm restart
+const restored = new MultiTimeframeFeatures({ logger: silentLogger });
+restored.importState(JSON.parse(JSON.stringify(features.exportState())));
+check('Series survives export and import', restored.getFeatures(t0 + 12 * bar - 1).momentum1m === oneMinute.momentum1m &&
+  restored.getStats().bars === 13);
+
+// Test 3: Classifier rules and strategies read the features by name
+class MomentumStrategy extends BaseStrategy {
+  constructor() {
+    super({ id: 'MOMENTUM', logger: silentLogger });
+    this.seen = [];
+  }
+
+  onClassification({ features: named }) {
+    this.seen.push(named.momentum1m);
+  }
+}
+
+const trendRules = {
+  version: 1,
+  regimes: [
+    {
+      name: 'TREND_RIDER',
+      label: 'TREND',
+      when: { all: [{ feature: 'momentum1m', op: '>=', value: 1, label: 'Momentum1m' }] },
+      confidence: 'clamp(momentum1m * 10, 0, 100)'
+    },
+    ...DEFAULT_REGIME_RULES.regimes
+  ]
+};
+
+check('Timeframe features registered as rule features', TIMEFRAME_FEATURES.every(name => name in REGIME_FEATURES));
+
+const pipeline = new SymbolPipeline({ symbol: 'ETHUSDT', logger: silentLogger, paperTrading: false, regimeRules: trendRules });
+const strategy = new MomentumStrategy();
+pipeline.strategyManager.registerStrategy(strategy);
+pipeline.initialize();
+
+const book = {
+  bids: Array.from({ length: 10 }, (_, i) => [(2999.5 - i).toFixed(2), '5']),
+  asks: Array.from({ length: 10 }, (_, i) => [(3000.5 + i).toFixed(2), '5'])
+};
+const ticker = (price) => ({ lastPrice: String(price), priceChangePercent: '0' });
+
+// No trades yet: each sample's price builds the series
+let result = null;
+for (let i = 0; i <= 13; i++) {
+  const marketData = await pipeline.buildMarketData(book, ticker(3000 + i * 5), t0 + i * bar);
+  result = pipeline.processMarketData(marketData);
+}
+check('Sample prices feed the series until trades arrive', pipeline.timeframeFeatures.getStats().pricesProcessed === 14 &&
+  near(result.marketData.timeframes.momentum1m, (3065 / 3000 - 1) * 100));
+check('Classifier rules read timeframe features', result.rawClassification?.regime === 'TREND_RIDER' &&
+  near(result.rawClassification.confidence, Math.min(result.marketData.timeframes.momentum1m * 10, 100)));
+check('Strategies receive every feature by name', strategy.seen.length === 14 && strategy.seen[0] === null &&
+  strategy.seen[13] === result.marketData.timeframes.momentum1m);
+
+// Trades take over once the aggTrade stream delivers
+pipeline.tradeFlowMonitor.processTrade({ a: 1, p: '3100', q: '1', T: t0 + 14 * bar + 100, m: false });
+await pipeline.buildMarketData(book, ticker(2000), t0 + 14 * bar + 200);
+check('Trades drive the series once they arrive', pipeline.timeframeFeatures.getStats().pricesProcessed === 15 &&
+  pipeline.timeframeFeatures.bars[pipeline.timeframeFeatures.bars.length - 1].close === 3100);
+check('Pipeline metrics include feature engine stats', pipeline.getMetrics().components.timeframeFeatures.bars === 15);
+
+// A stream that goes quiet hands the series back to the samples
+await pipeline.buildMarketData(book, ticker(3090), t0 + 14 * bar + 100 + 60000);
+const beforeStale = pipeline.timeframeFeatures.getStats().pricesProcessed;
+await pipeline.buildMarketData(book, ticker(3080), t0 + 14 * bar + 100 + 60001);
+check('Sample prices resume once the last trade is older than tradeStaleMs', beforeStale === 15 &&
+  pipeline.timeframeFeatures.getStats().pricesProcessed === 16 &&
+  pipeline.timeframeFeatures.bars[pipeline.timeframeFeatures.bars.length - 1].close === 3080);
+
+const disabled = new SymbolPipeline({ symbol: 'ETHUSDT', logger: silentLogger, paperTrading: false, timeframes: { enabled: false } });
+disabled.initialize();
+const plainData = await disabled.buildMarketData(book, ticker(3000), t0);
+check('Features can be disabled', disabled.timeframeFeatures === null && plainData.timeframes === null &&
+  disabled.marketClassifier.getRuleScope(plainData).features.momentum1m === null);
+check('Regime rules read the ticker momentum with features disabled', plainData.momentum !== null &&
+  disabled.marketClassifier.getRuleScope(plainData).features.trendMomentum === plainData.momentum);
+
+// Test 4: Engine and configuration
+const engine = new PhoenixEngine({ symbol: 'ETHUSDT', enableRealTimeFeeds: false, stateSnapshot: { enabled: false },
+  timeframes: { barMs: 2500, barsPerWindow: 24 } });
+const enginePipeline = engine.getPipeline('ETHUSDT');
+enginePipeline.initialize();
+check('Engine passes bar settings to pipelines', enginePipeline.timeframeFeatures.config.barMs === 2500 &&
+  enginePipeline.timeframeFeatures.config.barsPerWindow === 24);
+check('Feature series is part of the snapshot', 'timeframeFeatures' in engine.collectState().symbols.ETHUSDT);
+
+const defaults = loadConfig({ env: {} });
+const fromEnv = loadConfig({ env: { TIMEFRAME_FEATURES: 'false' } });
+check('Enabled by default, switchable from the environment', defaults.timeframes.enabled === true &&
+  defaults.timeframes.barMs === 5000 && fromEnv.timeframes.enabled === false);
+
+let configError = null;
+try {
+  loadConfig({ env: {}, overrides: { timeframes: { barMs: 7000 } } });
+} catch (error) {
+  configError = error;
+}
+check('Unaligned bar size fails config validation', configError instanceof ConfigValidationError &&
+  configError.errors.length === 1 && configError.errors[0].includes('barMs=7000'));
+
+for (const c of [pipeline, disabled, enginePipeline]) c.marketClassifier.shutdown();
+
+console.log('\n' + '='.repeat(60));
+console.log(`📊 Results: ${passedTests} passed, ${failedTests} failed`);
+process.exit(failedTests === 0 ? 0 : 1);
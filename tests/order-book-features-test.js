@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+
+/**
+ * Phoenix v6.1 - Order Book Features Test Suite
+ *
+ * Validates depth-weighted imbalance, microprice and book slope, and that
+ * the recalibrated classifier reads them as its pressure input.
+ */
+
+import {
+  depthImbalance,
+  microprice,
+  bookSlope,
+  computeOrderBookFeatures
+} from '../src/phoenix/components/order-book-features.js';
+import MarketClassifier from '../src/phoenix/components/market-classifier.js';
+import SymbolPipeline from '../src/phoenix/components/symbol-pipeline.js';
+import { loadConfig } from '../src/phoenix/config.js';
+
+console.log('🧪 Phoenix v6.1 - Order Book Features Test Suite');
+console.log('='.repeat(60));
+
+const silentLogger = {
+  info: () => {},
+  debug: () => {},
+  warn: () => {},
+  error: () => {}
+};
+
+let passedTests = 0;
+let failedTests = 0;
+
+function check(testName, condition, details = '') {
+  if (condition) {
+    console.log(`✅ PASS - ${testName} ${details}`);
+    passedTests++;
+  } else {
+    console.log(`❌ FAIL - ${testName} ${details}`);
+    failedTests++;
+  }
+}
+
+const near = (a, b, tolerance = 1e-9) => Math.abs(a - b) <= tolerance;
+
+// Balanced touch, asks stacked deeper in the book
+const bids = [['99.90', '10'], ['99.80', '10'], ['99.70', '10'], ['99.60', '10'], ['99.50', '10']];
+const asks = [['100.10', '10'], ['100.20', '30'], ['100.30', '30'], ['100.40', '30'], ['100.50', '30']];
+
+// Test 1: Individual features
+check('Imbalance at the touch', depthImbalance(bids, asks, 1) === 0);
+
+// Weights 1, .8, .6, .4, .2 -> bids 30, asks 10 + 30 * 2.0 = 70
+check('Depth-weighted imbalance', near(depthImbalance(bids, asks, 5), (30 - 70) / 100));
+check('Imbalance bounded to [-1, 1]', depthImbalance(bids, [], 5) === 1 && depthImbalance([], asks, 5) === -1 &&
+  depthImbalance([], [], 5) === 0);
+
+check('Microprice equals mid for an even touch', near(microprice(bids, asks), 100));
+check('Microprice leans away from the heavy side', near(microprice([['99.90', '30']], [['100.10', '10']]), (99.9 * 10 + 100.1 * 30) / 40));
+
+// Distances 10..50 bps, cumulative 10..50 -> slope exactly 1 qty/bps
+check('Book slope in quantity per bps', near(bookSlope(bids, 100, 5), 1, 1e-6));
+check('Thicker side has the steeper slope', bookSlope(asks, 100, 5) > bookSlope(bids, 100, 5));
+
+// Test 2: Feature bundle
+const features = computeOrderBookFeatures(bids, asks);
+check('Imbalance reported per depth', Object.keys(features.imbalanceByDepth).join(',') === '1,5,10,20' &&
+  features.imbalanceByDepth[1] === 0);
+check('Composite imbalance and pressure', near(features.imbalance,
+  (features.imbalanceByDepth[1] + features.imbalanceByDepth[5] + features.imbalanceByDepth[10] + features.imbalanceByDepth[20]) / 4) &&
+  features.pressure === -features.imbalance && features.pressure > 0);
+check('Spread, microprice offset and slope imbalance', near(features.spreadBps, 20) && near(features.micropriceOffsetBps, 0) &&
+  features.slope.imbalance < 0);
+check('One-sided book has no features', computeOrderBookFeatures(bids, []) === null);
+
+// Pressure is no longer the spread
+const wide = computeOrderBookFeatures([['99.00', '10']], [['101.00', '10']]);
+check('Pressure independent of the spread', wide.pressure === 0 && wide.spreadBps > 100);
+
+// Test 3: Recalibrated classifier
+const defaults = loadConfig({ env: {} }).thresholds.classifier;
+check('Thresholds recalibrated to the imbalance scale', defaults.cascade.pressure === 0.25 && defaults.coil.pressure === 0.1 &&
+  defaults.shakeout.pressure === 0);
+
+const classifier = new MarketClassifier({ logger: silentLogger, thresholds: defaults });
+const classify = (pressure, dlsScore, momentum) => classifier.classifyMarketCondition({ price: 3000, dlsScore, pressure, momentum, timeframes: { momentum5m: momentum } })?.type ?? 'NO_REGIME';
+
+check('Ask-heavy book with falling price is a cascade', classify(0.4, 50, -0.5) === 'CASCADE_HUNTER');
+check('Mild ask lean is not a cascade', classify(0.2, 50, -0.5) === 'NO_REGIME');
+check('Balanced deep book with flat price is a coil', classify(0.05, 90, 0.01) === 'COIL_WATCHER');
+check('Bid-supported flush is a shakeout', classify(-0.2, 85, -0.5) === 'SHAKEOUT_DETECTOR');
+
+const confidence = classifier.classifyMarketCondition({ price: 3000, dlsScore: 85, pressure: -0.2, momentum: -0.5, timeframes: { momentum5m: -0.5 } }).confidence;
+check('Confidence finite at a zero threshold', Number.isFinite(confidence) && confidence > 0 && confidence <= 100);
+
+let rangeError = null;
+try {
+  loadConfig({ env: {}, overrides: { thresholds: { classifier: { cascade: { pressure: 1.00001 } } } } });
+} catch (error) {
+  rangeError = error;
+}
+check('Old ratio-scale thresholds rejected', rangeError?.errors?.[0].includes('thresholds.classifier.cascade.pressure (override) must be <= 1'));
+
+// Test 4: Pipeline feeds features to the classifier
+const pipeline = new SymbolPipeline({ symbol: 'ETHUSDT', logger: silentLogger, orderBook: { enabled: false } });
+pipeline.initialize();
+const marketData = await pipeline.buildMarketData({ bids, asks }, { lastPrice: '100', priceChangePercent: '-0.5' });
+check('Market data pressure from order-book features', marketData.pressure === features.pressure &&
+  marketData.orderBookFeatures.microprice === features.microprice);
+
+pipeline.processMarketData(marketData);
+const logged = pipeline.marketClassifier.stats.lastClassification.inputs;
+check('Diagnostics log the feature breakdown', logged.pressure === parseFloat(features.pressure.toFixed(3)) &&
+  logged.orderBook.imbalanceByDepth[5] === -0.4);
+
+classifier.shutdown();
+pipeline.marketClassifier.shutdown();
+
+console.log('\n' + '='.repeat(60));
+console.log(`📊 Results: ${passedTests} passed, ${failedTests} failed`);
+process.exit(failedTests === 0 ? 0 : 1);
@@ -0,0 +1,181 @@
+#!/usr/bin/env node
+
+/**
+ * Phoenix v6.1 - Outcome Validator Test Suite
+ *
+ * Validates forward price tracking over horizons, hit / miss labelling by
+ * excursion, accuracy tables, signal recording through the pipeline,
+ * warm restart and configuration.
+ */
+
+import OutcomeValidator, { parseHorizon } from '../src/phoenix/components/outcome-validator.js';
+import SymbolPipeline from '../src/phoenix/components/symbol-pipeline.js';
+import PhoenixEngine from '../src/phoenix/engine.js';
+import BaseStrategy from '../src/phoenix/strategies/base-strategy.js';
+import { loadConfig, ConfigValidationError } from '../src/phoenix/config.js';
+
+console.log('🧪 Phoenix v6.1 - Outcome Validator Test Suite');
+console.log('='.repeat(60));
+
+const silentLogger = {
+  info: () => {},
+  debug: () => {},
+  warn: () => {},
+  error: () => {}
+};
+
+let passedTests = 0;
+let failedTests = 0;
+
+function check(testName, condition, details = '') {
+  if (condition) {
+    console.log(`✅ PASS - ${testName} ${details}`);
+    passedTests++;
+  } else {
+    console.log(`❌ FAIL - ${testName} ${details}`);
+    failedTests++;
+  }
+}
+
+const t0 = 1700000000000;
+const minute = 60000;
+const near = (a, b) => Math.abs(a - b) < 1e-6;
+
+// Test 1: Horizons
+check('Horizon labels parse to milliseconds', parseHorizon('30s') === 30000 && parseHorizon('5m') === 5 * minute &&
+  parseHorizon('1h') === 60 * minute && parseHorizon('0m') === null && parseHorizon('5d') === null);
+
+let rejected = null;
+try {
+  new OutcomeValidator({ horizons: ['1m', 'soon'] });
+} catch (error) {
+  rejected = error;
+}
+check('Malformed horizons rejected', rejected?.message.includes('soon'));
+
+// Test 2: Directional hits and misses
+const validator = new OutcomeValidator({ symbol: 'ETHUSDT', logger: silentLogger, horizons: ['1m', '5m', '15m'] });
+const validated = [];
+validator.on('PREDICTION_VALIDATED', (record) => validated.push(record));
+
+// CASCADE expects a fall: -10 bps at 1m, -40 bps at 3m
+validator.recordClassification({ regime: 'CASCADE_HUNTER', confidence: 72, timestamp: t0 }, 3000);
+validator.processPrice(2997, t0 + minute);
+validator.processPrice(2988, t0 + 3 * minute);
+check('Horizon on its end sample includes that sample', validator.pending[0].outcomes['1m']?.hit === false &&
+  near(validator.pending[0].outcomes['1m'].mfeBps, 10));
+check('Target reached later than a horizon is a miss there and a hit after',
+  validator.pending[0].outcomes['5m'] === null && validator.pending[0].targetAt === t0 + 3 * minute);
+
+// SHAKEOUT expects a rise; the stop is touched before the target
+validator.recordClassification({ regime: 'SHAKEOUT_DETECTOR', confidence: 45, timestamp: t0 + 3 * minute }, 3000);
+validator.processPrice(2990, t0 + 4 * minute);
+validator.processPrice(3015, t0 + 6 * minute);
+check('Cascade hit once the 5m horizon closes', validator.getRecords().length === 0 &&
+  validator.pending[0].outcomes['5m']?.hit === true && near(validator.pending[0].outcomes['5m'].mfeBps, 40));
+
+validator.processPrice(3000, t0 + 20 * minute);
+const [cascade, shakeout] = validator.getRecords();
+check('Stop before target is a miss on every horizon', Object.values(shakeout.outcomes).every(outcome => !outcome.hit) &&
+  near(shakeout.outcomes['15m'].maeBps, 1000 / 30) && near(shakeout.outcomes['15m'].mfeBps, 50));
+check('Horizon closed by a later sample excludes it', near(shakeout.outcomes['5m'].priceChangeBps, 50) &&
+  near(cascade.outcomes['15m'].priceChangeBps, 50) && near(cascade.outcomes['5m'].priceChangeBps, -1000 / 30));
+check('Resolved predictions are emitted once every horizon closes', validated.length === 2 &&
+  validated[0].label === 'CASCADE_HUNTER' && validated[0].mfeBps === undefined);
+
+// COIL expects a breakout either way
+validator.recordClassification({ regime: 'COIL_WATCHER', confidence: 90, timestamp: t0 + 20 * minute }, 3000);
+validator.processPrice(2985, t0 + 21 * minute);
+validator.processPrice(3000, t0 + 40 * minute);
+check('Breakouts count in either direction', validator.getRecords({ label: 'COIL_WATCHER' })[0].outcomes['1m'].hit === true);
+
+// Test 3: Accuracy tables
+const accuracy = validator.getAccuracy();
+check('Accuracy by regime and horizon', accuracy.byRegime.CASCADE_HUNTER['1m'].hitRate === 0 &&
+  accuracy.byRegime.CASCADE_HUNTER['5m'].hitRate === 1 && accuracy.byRegime.SHAKEOUT_DETECTOR['15m'].hits === 0 &&
+  near(accuracy.byRegime.CASCADE_HUNTER['15m'].avgMfeBps, 40));
+check('Accuracy by confidence bucket', accuracy.byConfidence['60-80']['5m'].total === 1 &&
+  accuracy.byConfidence['40-60']['5m'].hits === 0 && accuracy.byConfidence['80-100']['1m'].hits === 1);
+check('Validator stats', validator.getStats().classificationsRecorded === 3 && validator.getStats().horizonsResolved === 9 &&
+  validator.getStats().hits === 5 && validator.getStats().pending === 0);
+
+// Test 4: Warm restart
+validator.recordClassification({ regime: 'CASCADE_HUNTER', confidence: 60, timestamp: t0 + 40 * minute }, 3000);
+const restored = new OutcomeValidator({ logger: silentLogger, horizons: ['1m', '5m', '15m', '1h'] });
+restored.importState(JSON.parse(JSON.stringify(validator.exportState())));
+check('State survives export and import', restored.pending.length === 1 && restored.pending[0].outcomes['1h'] === null &&
+  restored.getAccuracy().byRegime.CASCADE_HUNTER['5m'].total === 1 && restored.getRecords().length === 3);
+
+// Test 5: Pipeline records classifications and signals
+class ShortStrategy extends BaseStrategy {
+  constructor() {
+    super({ id: 'SHORTER', logger: silentLogger });
+  }
+
+  onClassification({ rawClassification, marketData }) {
+    if (!rawClassification) return;
+    this.emitSignal({ action: 'ENTER_SHORT', confidence: 0.9, price: marketData.price, timestamp: marketData.timestamp });
+    this.emitSignal({ action: 'EXIT_LONG', confidence: 0.9, price: marketData.price, timestamp: marketData.timestamp });
+  }
+}
+
+const pipeline = new SymbolPipeline({ symbol: 'ETHUSDT', logger: silentLogger, paperTrading: false,
+  validation: { horizons: ['1m'] } });
+pipeline.strategyManager.registerStrategy(new ShortStrategy());
+pipeline.initialize();
+
+pipeline.processMarketData({ symbol: 'ETHUSDT', price: 3000, dlsScore: 50, pressure: 0.4, momentum: -0.5, timeframes: { momentum5m: -0.5 }, timestamp: t0 });
+pipeline.processMarketData({ symbol: 'ETHUSDT', price: 2980, dlsScore: 50, pressure: 0, momentum: 0, timeframes: { momentum5m: 0 }, timestamp: t0 + minute });
+const outcomes = pipeline.outcomeValidator;
+check('Pipeline scores its classifications', outcomes.getAccuracy('classification').byRegime.CASCADE_HUNTER['1m'].hits === 1);
+check('Entry signals scored from their price, exits skipped', outcomes.getStats().signalsRecorded === 1 &&
+  outcomes.getRecords({ kind: 'signal' })[0].label === 'SHORTER' &&
+  outcomes.getAccuracy('signal').byConfidence['80-100']['1m'].hits === 1);
+check('Pipeline metrics include validator stats', pipeline.getMetrics().components.outcomeValidator.records === 2);
+
+// A spike between samples stops the short out even though the next sample is lower
+const traded = new SymbolPipeline({ symbol: 'ETHUSDT', logger: silentLogger, paperTrading: false,
+  validation: { horizons: ['1m'] } });
+traded.initialize();
+traded.processMarketData({ symbol: 'ETHUSDT', price: 3000, dlsScore: 50, pressure: 0.4, momentum: -0.5, timeframes: { momentum5m: -0.5 }, timestamp: t0 });
+traded.tradeFlowMonitor.processTrade({ a: 1, p: '3015', q: '1', T: t0 + 20000, m: false });
+traded.processMarketData({ symbol: 'ETHUSDT', price: 2980, dlsScore: 50, pressure: 0, momentum: 0, timeframes: { momentum5m: 0 }, timestamp: t0 + minute });
+const tradedRecord = traded.outcomeValidator.getRecords({ kind: 'classification' })[0];
+check('aggTrade prices advance the path between samples', tradedRecord?.outcomes['1m'].hit === false &&
+  Math.abs(tradedRecord.outcomes['1m'].maeBps - 50) < 1e-6 && traded.outcomeValidator.getStats().lastPriceAt === t0 + minute);
+
+const disabled = new SymbolPipeline({ symbol: 'ETHUSDT', logger: silentLogger, paperTrading: false, validation: { enabled: false } });
+disabled.initialize();
+check('Validation can be disabled', disabled.outcomeValidator === null);
+
+// Test 6: Engine wiring
+const engine = new PhoenixEngine({ symbol: 'ETHUSDT', enableRealTimeFeeds: false, stateSnapshot: { enabled: false },
+  validation: { horizons: ['1m', '5m'], targetBps: 10 } });
+const enginePipeline = engine.getPipeline('ETHUSDT');
+enginePipeline.initialize();
+check('Engine passes validation config to pipelines', enginePipeline.outcomeValidator.config.targetBps === 10 &&
+  enginePipeline.outcomeValidator.horizons.map(horizon => horizon.label).join(',') === '1m,5m');
+check('Engine exposes accuracy per symbol', engine.getOutcomeAccuracy('ETHUSDT').horizons.length === 2 &&
+  engine.getOutcomeAccuracy('BTCUSDT') === null);
+check('Validator state is part of the snapshot', 'outcomeValidator' in engine.collectState().symbols.ETHUSDT);
+
+// Test 7: Configuration
+const defaults = loadConfig({ env: {} });
+const fromEnv = loadConfig({ env: { VALIDATION_HORIZONS: '30s,2m', OUTCOME_VALIDATION: 'false' } });
+check('Horizons configurable', defaults.validation.horizons.join(',') === '1m,5m,15m,1h' &&
+  fromEnv.validation.horizons.join(',') === '30s,2m' && fromEnv.validation.enabled === false);
+
+let configError = null;
+try {
+  loadConfig({ env: { VALIDATION_HORIZONS: '1m,later' }, overrides: { validation: { regimeDirections: { COIL_WATCHER: 'UP' } } } });
+} catch (error) {
+  configError = error;
+}
+check('Invalid horizons and directions fail config validation', configError instanceof ConfigValidationError &&
+  configError.errors.length === 2);
+
+for (const c of [pipeline, traded, disabled, enginePipeline]) c.marketClassifier.shutdown();
+
+console.log('\n' + '='.repeat(60));
+console.log(`📊 Results: ${passedTests} passed, ${failedTests} failed`);
+process.exit(failedTests === 0 ? 0 : 1);
@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+
+/**
+ * Phoenix v6.1 - Paper Trader Test Suite
+ *
+ * Validates simulated fills, fees, exits and the PnL ledger
+ * against deterministic order books.
+ */
+
+import PaperTrader from '../src/phoenix/components/paper-trader.js';
+
+console.log('🧪 Phoenix v6.1 - Paper Trader Test Suite');
+console.log('='.repeat(60));
+
+const silentLogger = {
+  info: () => {},
+  debug: () => {},
+  warn: () => {},
+  error: () => {}
+};
+
+let passedTests = 0;
+let failedTests = 0;
+
+function check(testName, condition, details = '') {
+  if (condition) {
+    console.log(`✅ PASS - ${testName} ${details}`);
+    passedTests++;
+  } else {
+    console.log(`❌ FAIL - ${testName} ${details}`);
+    failedTests++;
+  }
+}
+
+function buildBook(mid, spread = 1, levelQty = 0.1, levels = 20) {
+  const bids = [];
+  const asks = [];
+  for (let i = 0; i < levels; i++) {
+    bids.push([(mid - spread / 2 - i).toFixed(2), levelQty.toString()]);
+    asks.push([(mid + spread / 2 + i).toFixed(2), levelQty.toString()]);
+  }
+  return { bids, asks };
+}
+
+const cascade = { regime: 'CASCADE_HUNTER', confidence: 80 };
+const shakeout = { regime: 'SHAKEOUT_DETECTOR', confidence: 70 };
+const coil = { regime: 'COIL_WATCHER', confidence: 90 };
+
+// Test 1: Fill walks multiple book levels
+const trader = new PaperTrader({ logger: silentLogger, positionSizeUSD: 1000, signalCooldownMs: 0 });
+const book = buildBook(3000);
+const fill = trader.simulateFill('BUY', 1000, book);
+check('Fill consumes multiple levels', fill && fill.levelsConsumed > 1, `(levels: ${fill?.levelsConsumed})`);
+check('Buy fill above mid', fill && fill.avgPrice > 3000, `(avg: ${fill?.avgPrice.toFixed(2)})`);
+check('Fee charged on notional', fill && Math.abs(fill.fee - fill.notional * 0.001) < 1e-9);
+
+// Test 2: Book too thin returns no fill
+const thin = trader.simulateFill('SELL', 1000000, book);
+check('Unfillable order rejected', thin === null);
+
+// Test 3: COIL is alert-only
+check('COIL regime does not trade', trader.processClassification(coil, { orderBook: book }) === null);
+
+// Test 4: CASCADE opens a short and take profit closes it
+const short = trader.processClassification(cascade, { orderBook: book, timestamp: 1 });
+check('CASCADE opens SHORT', short?.type === 'SHORT');
+const tpBook = buildBook(short.takeProfit - 5);
+const closed = trader.updatePositions({ orderBook: tpBook, timestamp: 2 });
+check('Take profit closes short', closed.length === 1 && closed[0].closeReason === 'TAKE_PROFIT');
+check('Winning short has positive net PnL', closed[0].realizedPnL > 0, `($${closed[0].realizedPnL.toFixed(2)})`);
+
+// Test 5: SHAKEOUT opens a long and stop loss closes it
+const long = trader.processClassification(shakeout, { orderBook: book, timestamp: 3 });
+check('SHAKEOUT opens LONG', long?.type === 'LONG');
+const slBook = buildBook(long.stopLoss - 5);
+const stopped = trader.updatePositions({ orderBook: slBook, timestamp: 4 });
+check('Stop loss closes long', stopped.length === 1 && stopped[0].closeReason === 'STOP_LOSS');
+
+// Test 6: Trailing stop ratchets and exits in profit
+const trailing = trader.processClassification(cascade, { orderBook: book, timestamp: 5 });
+trader.updatePositions({ orderBook: buildBook(2940), timestamp: 6 });
+check('Trailing stop tightened', trailing.trailingActive && trailing.stopLoss < trailing.entryPrice * 1.015);
+const trailed = trader.updatePositions({ orderBook: buildBook(2975), timestamp: 7 });
+check('Trailing stop exit', trailed.length === 1 && trailed[0].closeReason === 'TRAILING_STOP');
+
+// Test 7: Ledger and stats
+const stats = trader.getStats();
+check('Ledger records all closed trades', trader.getLedger().length === 3);
+check('Stats track winners and losers', stats.winners + stats.losers === 3, `(W:${stats.winners} L:${stats.losers})`);
+
+// Test 8: Cooldown blocks rapid re-entry
+const cooled = new PaperTrader({ logger: silentLogger, signalCooldownMs: 60000 });
+check('First entry allowed', cooled.processClassification(cascade, { orderBook: book, timestamp: 1000 }) !== null);
+check('Cooldown blocks second entry', cooled.processClassification(cascade, { orderBook: book, timestamp: 2000 }) === null);
+
+// Test 9: Explicit zero settings are kept rather than replaced by defaults
+const zeroed = new PaperTrader({ logger: silentLogger, positionSizeUSD: 0, stopLossPercent: 0, trailProfitTrigger: 0, trailDistance: 0 });
+check('Zero settings honored', ['positionSizeUSD', 'stopLossPercent', 'trailProfitTrigger', 'trailDistance'].every(key => zeroed.config[key] === 0));
+
+console.log('\n' + '='.repeat(60));
+console.log(`📊 Results: ${passedTests} passed, ${failedTests} failed`);
+process.exit(failedTests === 0 ? 0 : 1);
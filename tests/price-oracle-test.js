@@ -0,0 +1,172 @@
+#!/usr/bin/env node
+
+/**
+ * Phoenix v6.1 - Price Oracle Test Suite
+ *
+ * Validates last-known prices with stale flagging, ticker polling for assets
+ * without a pipeline, pipeline feeds, whale valuation in the mempool streamer
+ * and webhook path, warm restart and configuration.
+ */
+
+import PriceOracle from '../src/phoenix/components/price-oracle.js';
+import MempoolStreamer from '../src/phoenix/components/mempool-streamer.js';
+import SymbolPipeline from '../src/phoenix/components/symbol-pipeline.js';
+import PhoenixEngine from '../src/phoenix/engine.js';
+import { VirtualClock } from '../src/phoenix/components/clock.js';
+import { loadConfig } from '../src/phoenix/config.js';
+
+console.log('🧪 Phoenix v6.1 - Price Oracle Test Suite');
+console.log('='.repeat(60));
+
+const silentLogger = {
+  info: () => {},
+  debug: () => {},
+  warn: () => {},
+  error: () => {}
+};
+
+let passedTests = 0;
+let failedTests = 0;
+
+function check(testName, condition, details = '') {
+  if (condition) {
+    console.log(`✅ PASS - ${testName} ${details}`);
+    passedTests++;
+  } else {
+    console.log(`❌ FAIL - ${testName} ${details}`);
+    failedTests++;
+  }
+}
+
+const t0 = 1700000000000;
+
+// Test 1: Last known price and staleness
+const clock = new VirtualClock({ startTime: t0 });
+const warnings = [];
+const oracle = new PriceOracle({
+  logger: { ...silentLogger, warn: (event, data) => warnings.push({ event, data }) },
+  clock,
+  assets: ['eth', 'LINK'],
+  maxAgeMs: 60000
+});
+const staleEvents = [];
+oracle.on('PRICE_STALE', (event) => staleEvents.push(event));
+
+check('Unpriced assets convert to null', oracle.getPrice('ETH') === null && oracle.toUSD('ETH', 1) === null &&
+  oracle.getStats().unpricedConversions === 1);
+
+oracle.updatePrice('eth', 3000, t0);
+const fresh = oracle.toUSD('ETH', 2);
+check('Live price converts amounts', fresh.valueUSD === 6000 && fresh.price === 3000 && fresh.stale === false);
+check('Older prices dropped', !oracle.updatePrice('ETH', 2900, t0 - 1) && oracle.getPrice('ETH').price === 3000 &&
+  oracle.getStats().outOfOrderDropped === 1);
+check('Invalid prices ignored', !oracle.updatePrice('ETH', 0, t0 + 1) && !oracle.updatePrice('ETH', NaN, t0 + 1));
+
+clock.advance(60001);
+const stale = oracle.toUSD('ETH', 2);
+oracle.getPrice('ETH');
+check('Last known price used past its age, flagged stale', stale.valueUSD === 6000 && stale.stale === true &&
+  stale.ageMs === 60001);
+check('Stale warning raised once per episode', staleEvents.length === 1 && warnings.length === 1 &&
+  warnings[0].event === 'price_oracle_stale' && staleEvents[0].asset === 'ETH');
+
+oracle.updatePrice('ETH', 3100, clock.now());
+check('A new price clears the stale flag', oracle.getPrice('ETH').stale === false && oracle.toUSD('ETH', 1).valueUSD === 3100);
+
+// Test 2: Ticker polling
+const requests = [];
+const apiClient = {
+  request: async ({ url }) => {
+    requests.push(url);
+    if (url.includes('LINK')) return { symbol: 'LINKUSDT', price: '14.25' };
+    throw new Error('provider down');
+  }
+};
+
+const refreshed = await oracle.refresh(apiClient);
+check('Only assets without a fresh price polled', refreshed === 1 && requests.length === 1 &&
+  requests[0] === '/api/v3/ticker/price?symbol=LINKUSDT' && oracle.getPrice('LINK').source === 'binance_ticker');
+
+clock.advance(31000);
+await oracle.refresh(apiClient);
+check('Failed polls keep the last known price', oracle.getStats().refreshFailures === 1 &&
+  oracle.getPrice('ETH').price === 3100 && requests.length === 3);
+
+// Test 3: Pipeline feeds
+const fed = new PriceOracle({ logger: silentLogger });
+const pipeline = new SymbolPipeline({ symbol: 'ETHUSDT', logger: silentLogger, paperTrading: false, priceOracle: fed });
+pipeline.initialize();
+pipeline.processMarketData({ symbol: 'ETHUSDT', price: 3200, dlsScore: 50, pressure: 0, momentum: 0, timestamp: t0 });
+check('Market data prices the base asset', fed.getPrice('ETH', t0).price === 3200 && fed.getPrice('ETH', t0).source === 'binance');
+
+pipeline.tradeFlowMonitor.processTrade({ a: 1, p: '3210.5', q: '1', T: t0 + 500, m: false });
+check('aggTrades update the price between samples', fed.getPrice('ETH', t0 + 500).price === 3210.5 &&
+  fed.getPrice('ETH', t0 + 500).source === 'binance_trades');
+
+// Test 4: Whale valuation
+const whale = '0x3f5ce5fbfe3e9af3971dd833d26ba9b5c936f0be';
+const exchange = '0xa910f92acdaf488fa6ef02174fb86208ad7722ba';
+const fortyEth = { from: whale, to: exchange, value: '0x22B1C8C1227A00000', hash: '0xt1' }; // 40 ETH deposit
+
+const whaleLogs = [];
+const valuationClock = new VirtualClock({ startTime: t0 });
+const valuationOracle = new PriceOracle({ logger: silentLogger, clock: valuationClock, maxAgeMs: 60000 });
+const streamer = new MempoolStreamer({
+  logger: { ...silentLogger, info: (event, data) => event === 'whale_mempool_transaction' && whaleLogs.push(data) },
+  clock: valuationClock,
+  enableRealTimeFeeds: false,
+  whaleWatchlist: [whale],
+  priceOracle: valuationOracle
+});
+
+check('Unpriced transfers stay below the whale floor', streamer.analyzeWhaleIntent(fortyEth, whale) === null);
+
+valuationOracle.updatePrice('ETH', 3000, t0);
+const intent = streamer.analyzeWhaleIntent(fortyEth, whale);
+check('Whale value follows the live price', intent?.estimatedValue === 120000 && intent.priceUSD === 3000 &&
+  intent.priceStale === false);
+
+valuationOracle.updatePrice('ETH', 2000, t0 + 1000);
+check('Same transfer under the floor after a price drop', streamer.analyzeWhaleIntent(fortyEth, whale) === null);
+
+valuationOracle.updatePrice('ETH', 4000, t0 + 2000);
+valuationClock.advance(120000);
+const staleIntent = streamer.analyzeWhaleIntent(fortyEth, whale);
+check('Intents valued on a stale price are flagged', staleIntent?.estimatedValue === 160000 && staleIntent.priceStale === true);
+
+streamer.processWebhookTransaction({ type: 'native', hash: '0xw1', from: whale, to: exchange, value: fortyEth.value, source: 'webhook' });
+check('Webhook transfers valued through the oracle', whaleLogs.length === 1 && whaleLogs[0].valueUSD === 160000 &&
+  whaleLogs[0].priceUSD === 4000 && whaleLogs[0].priceStale === true && whaleLogs[0].asset === 'ETH');
+
+streamer.processWebhookTransaction({
+  type: 'erc20', hash: '0xw2', from: whale, to: exchange, contractAddress: '0xtoken',
+  value: '0x' + (10n ** 21n).toString(16), source: 'webhook'
+});
+check('Token transfers without a tracked asset stay unpriced', whaleLogs.length === 2 && whaleLogs[1].valueUSD === 0 &&
+  whaleLogs[1].priceUSD === null && whaleLogs[1].valueEth === null && whaleLogs[1].amount === null);
+
+// Test 5: Engine, warm restart and configuration
+const engine = new PhoenixEngine({ symbol: 'ETHUSDT', enableRealTimeFeeds: false, stateSnapshot: { enabled: false },
+  priceOracle: { assets: ['ETH', 'LINK'], maxAgeMs: 30000 } });
+const enginePipeline = engine.getPipeline('ETHUSDT');
+enginePipeline.initialize();
+check('Engine shares one oracle with its pipelines', enginePipeline.priceOracle === engine.priceOracle &&
+  engine.priceOracle.config.maxAgeMs === 30000);
+
+enginePipeline.processMarketData({ symbol: 'ETHUSDT', price: 3300, dlsScore: 50, pressure: 0, momentum: 0, timestamp: Date.now() });
+const state = JSON.parse(JSON.stringify(engine.collectState()));
+const restored = new PriceOracle({ logger: silentLogger });
+check('Last known prices survive a restart with their timestamps', restored.importState(state.priceOracle) === 1 &&
+  restored.getPrice('ETH').price === 3300 && restored.getPrice('ETH', Date.now() + 200000).stale === true);
+check('Oracle stats in engine metrics', engine.getMetrics().components.priceOracle.prices.ETH.price === 3300);
+
+const defaults = loadConfig({ env: {} });
+const fromEnv = loadConfig({ env: { PRICE_ORACLE_ASSETS: 'ETH,LINK,UNI', PRICE_MAX_AGE_MS: '45000' } });
+check('ETH tracked by default, assets and age from the environment', defaults.priceOracle.assets.join(',') === 'ETH' &&
+  defaults.priceOracle.maxAgeMs === 120000 && fromEnv.priceOracle.assets.length === 3 && fromEnv.priceOracle.maxAgeMs === 45000);
+
+for (const c of [pipeline, enginePipeline]) c.marketClassifier.shutdown();
+
+console.log('\n' + '='.repeat(60));
+console.log(`📊 Results: ${passedTests} passed, ${failedTests} failed`);
+process.exit(failedTests === 0 ? 0 : 1);
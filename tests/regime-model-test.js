@@ -0,0 +1,228 @@
+#!/usr/bin/env node
+
+/**
+ * Phoenix v6.1 - Regime Model Test Suite
+ *
+ * Validates fitting, HMM filtering vs naive Bayes, calibration, missing
+ * features, model file validation, the shadow run next to the rule-based
+ * classifier and the fitting script.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import RegimeModel, { fitRegimeModel, validateRegimeModel, loadRegimeModel, evaluateRegimeModel,
+  DEFAULT_MODEL_FEATURES } from '../src/phoenix/components/regime-model.js';
+import SymbolPipeline from '../src/phoenix/components/symbol-pipeline.js';
+import EventJournal from '../src/phoenix/components/event-journal.js';
+import PhoenixEngine from '../src/phoenix/engine.js';
+import BaseStrategy from '../src/phoenix/strategies/base-strategy.js';
+import { loadConfig } from '../src/phoenix/config.js';
+
+console.log('🧪 Phoenix v6.1 - Regime Model Test Suite');
+console.log('='.repeat(60));
+
+const silentLogger = {
+  info: () => {},
+  debug: () => {},
+  warn: () => {},
+  error: () => {}
+};
+
+let passedTests = 0;
+let failedTests = 0;
+
+function check(testName, condition, details = '') {
+  if (condition) {
+    console.log(`✅ PASS - ${testName} ${details}`);
+    passedTests++;
+  } else {
+    console.log(`❌ FAIL - ${testName} ${details}`);
+    failedTests++;
+  }
+}
+
+const t0 = 1700000000000;
+const step = 30000;
+const near = (a, b, tolerance = 1e-9) => Math.abs(a - b) < tolerance;
+
+// Alternating 20-sample blocks: quiet books, then ask-heavy falling markets
+const wobble = (i) => ((i * 7) % 5 - 2) / 10;
+const samples = Array.from({ length: 120 }, (_, i) => {
+  const cascade = Math.floor(i / 20) % 2 === 1;
+  return {
+    timestamp: t0 + i * step,
+    label: cascade ? 'CASCADE_HUNTER' : 'NO_REGIME',
+    features: {
+      pressure: (cascade ? 0.4 : 0) + wobble(i),
+      momentum: (cascade ? -0.5 : 0) + wobble(i + 1),
+      fundingRate: null
+    }
+  };
+});
+
+// Test 1: Fitting
+const params = { version: 1, ...fitRegimeModel(samples, { features: ['pressure', 'momentum', 'fundingRate'] }) };
+check('Fit learns one class per label and drops unrecorded features', params.classes.join(',') === 'CASCADE_HUNTER,NO_REGIME' &&
+  params.features.join(',') === 'pressure,momentum' && near(params.emissions.CASCADE_HUNTER.pressure.mean, 0.4, 0.01));
+check('Transitions are sticky and rows sum to 1', params.transitions.NO_REGIME.NO_REGIME > 0.9 &&
+  near(params.transitions.CASCADE_HUNTER.CASCADE_HUNTER + params.transitions.CASCADE_HUNTER.NO_REGIME, 1));
+check('Fitted parameters validate', validateRegimeModel(params).length === 0);
+
+let fitError = null;
+try {
+  fitRegimeModel([{ label: 'NO_REGIME', features: { pressure: null } }], { features: ['pressure'] });
+} catch (error) {
+  fitError = error;
+}
+check('Fitting without any recorded feature fails', fitError?.message.includes('none of the features'));
+
+// Test 2: Probabilities
+const bayes = new RegimeModel({ params, mode: 'naive-bayes' });
+const clear = bayes.classify({ pressure: 0.42, momentum: -0.48 }, t0);
+check('Probability for every regime, summing to 1', Object.keys(clear.probabilities).length === 2 &&
+  near(clear.probabilities.CASCADE_HUNTER + clear.probabilities.NO_REGIME, 1) &&
+  clear.regime === 'CASCADE_HUNTER' && clear.probability > 0.99);
+
+const partial = bayes.classify({ pressure: null, momentum: 0.01 }, t0 + step);
+check('Missing features are left out of the likelihood', partial.regime === 'NO_REGIME' && bayes.getStats().featuresMissing === 1);
+
+// One ambiguous sample inside a cascade: naive Bayes flips, the HMM holds
+const hmm = new RegimeModel({ params, mode: 'hmm', maxGapMs: 5 * step });
+const bayesRun = new RegimeModel({ params, mode: 'naive-bayes' });
+const cascadePath = [[0.4, -0.5], [0.42, -0.47], [0.38, -0.52], [0.16, -0.2], [0.41, -0.5]];
+const hmmRegimes = cascadePath.map(([pressure, momentum], i) => hmm.classify({ pressure, momentum }, t0 + i * step).regime);
+const bayesRegimes = cascadePath.map(([pressure, momentum], i) => bayesRun.classify({ pressure, momentum }, t0 + i * step).regime);
+check('HMM filter carries the regime through one noisy sample', hmmRegimes.every(regime => regime === 'CASCADE_HUNTER') &&
+  bayesRegimes[3] === 'NO_REGIME');
+
+hmm.classify({ pressure: 0, momentum: 0 }, t0 + 20 * step);
+check('Belief restarts after maxGapMs without data', hmm.getStats().beliefResets === 1);
+
+const evaluation = evaluateRegimeModel(params, samples);
+check('Evaluation reports accuracy and log loss per regime', evaluation.accuracy > 0.95 && evaluation.logLoss < 0.2 &&
+  evaluation.byRegime.CASCADE_HUNTER.samples === 60);
+
+const filled = evaluation.reliability.filter(bucket => bucket.count > 0);
+check('Reliability table buckets every regime probability', evaluation.reliability.length === 10 &&
+  evaluation.reliability.reduce((sum, bucket) => sum + bucket.count, 0) === samples.length * params.classes.length &&
+  filled.every(bucket => bucket.meanProbability >= bucket.from && bucket.meanProbability <= bucket.to));
+check('Confident buckets match their observed rate', evaluation.calibrationError < 0.1 &&
+  near(evaluation.reliability[9].observedRate, 1, 0.1) && near(evaluation.reliability[0].observedRate, 0, 0.1));
+
+const defaultFit = fitRegimeModel(samples.map(sample => ({ ...sample, features: {
+  pressure: sample.features.pressure, dls: sample.features.pressure * 100, momentum5m: sample.features.momentum
+} })));
+check('Default fit keeps one feature per signal', defaultFit.features.join(',') === 'pressure,momentum5m' &&
+  DEFAULT_MODEL_FEATURES.length === 5);
+
+// Test 3: Model files
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'phoenix-regime-model-'));
+const modelPath = path.join(tempDir, 'model.json');
+fs.writeFileSync(modelPath, JSON.stringify(params));
+check('Model file loads', loadRegimeModel(modelPath).classes.length === 2);
+
+const brokenPath = path.join(tempDir, 'broken.json');
+fs.writeFileSync(brokenPath, JSON.stringify({
+  ...params,
+  version: 0,
+  features: ['pressure', 'vibes'],
+  priors: { CASCADE_HUNTER: 0.9, NO_REGIME: 0.9 }
+}));
+let loadError = null;
+try {
+  loadRegimeModel(brokenPath);
+} catch (error) {
+  loadError = error;
+}
+check('Invalid model file lists every problem', loadError?.message.includes('version: must be a positive integer') &&
+  loadError.message.includes("unknown feature 'vibes'") && loadError.message.includes('priors: must sum to 1'));
+
+// Test 4: Shadow run next to the rule-based classifier
+class RecordingStrategy extends BaseStrategy {
+  constructor() {
+    super({ id: 'recorder', logger: silentLogger });
+    this.seen = [];
+  }
+
+  onClassification({ classification }) {
+    this.seen.push(classification?.regime ?? 'NO_REGIME');
+  }
+}
+
+const logged = [];
+const capturingLogger = { ...silentLogger, info: (event, data) => { if (event === 'regime_shadow_classification') logged.push(data); } };
+const runPipeline = (regimeModel) => {
+  const pipeline = new SymbolPipeline({ symbol: 'ETHUSDT', logger: capturingLogger, paperTrading: false, regimeModel,
+    regime: { entryDwellMs: 0, minDwellMs: 0 } });
+  const recorder = new RecordingStrategy();
+  pipeline.strategyManager.registerStrategy(recorder);
+  pipeline.initialize();
+  const results = [[0.4, -0.5], [0.3, -0.4], [0, 0]].map(([pressure, momentum], i) =>
+    pipeline.processMarketData({ symbol: 'ETHUSDT', price: 3000, dlsScore: 50, pressure, momentum, timeframes: { momentum5m: momentum }, timestamp: t0 + i * step }));
+  pipeline.marketClassifier.shutdown();
+  return { pipeline, recorder, results };
+};
+
+const plain = runPipeline(null);
+const shadowed = runPipeline({ params, mode: 'hmm' });
+check('Strategies see the same regimes with the shadow model running',
+  plain.recorder.seen.join(',') === shadowed.recorder.seen.join(',') && plain.results[0].shadow === null);
+check('Both outputs logged on every sample', logged.length === 3 && logged[0].rule.regime === 'CASCADE_HUNTER' &&
+  logged[0].model.regime === 'CASCADE_HUNTER' && logged[0].agrees === true &&
+  near(Object.values(logged[2].model.probabilities).reduce((sum, p) => sum + p, 0), 1));
+check('Agreement tracked in pipeline metrics', shadowed.pipeline.metrics.shadowClassifications === 3 &&
+  shadowed.pipeline.getMetrics().components.regimeModel.agreementRate === shadowed.pipeline.metrics.shadowAgreements / 3);
+
+// Test 5: Engine and configuration
+const engine = new PhoenixEngine({ symbol: 'ETHUSDT', enableRealTimeFeeds: false, stateSnapshot: { enabled: false },
+  regimeModel: { file: modelPath, mode: 'naive-bayes' } });
+const enginePipeline = engine.getPipeline('ETHUSDT');
+enginePipeline.initialize();
+check('Engine loads the model file into every pipeline', enginePipeline.regimeModel.config.mode === 'naive-bayes' &&
+  enginePipeline.regimeModel.params.version === 1);
+enginePipeline.marketClassifier.shutdown();
+
+let startupError = null;
+try {
+  new PhoenixEngine({ symbol: 'ETHUSDT', enableRealTimeFeeds: false, stateSnapshot: { enabled: false }, regimeModel: { file: brokenPath } });
+} catch (error) {
+  startupError = error;
+}
+check('A bad model file fails startup', startupError?.message.startsWith('Invalid regime model file'));
+
+const defaults = loadConfig({ env: {} });
+const fromEnv = loadConfig({ env: { REGIME_MODEL_FILE: modelPath, REGIME_MODEL_MODE: 'naive-bayes' } });
+check('Shadow model off by default, configurable from the environment', defaults.regimeModel.file === null &&
+  defaults.regimeModel.mode === 'hmm' && fromEnv.regimeModel.file === modelPath && fromEnv.regimeModel.mode === 'naive-bayes');
+
+// Test 6: Fitting script on a recorded journal
+const journalPath = path.join(tempDir, 'history.jsonl');
+const journal = new EventJournal({ logger: silentLogger, filePath: journalPath });
+for (let i = 0; i < 60; i++) {
+  const heavyAsks = Math.floor(i / 15) % 2 === 1;
+  const side = (direction, quantity) => Array.from({ length: 20 }, (_, level) => [(3000 + direction * (0.5 + level * 0.5)).toFixed(2), quantity]);
+  journal.record('market_data', 'binance', {
+    orderBook: { lastUpdateId: i, bids: side(-1, heavyAsks ? '1' : '5'), asks: side(1, heavyAsks ? '5' : '1') },
+    ticker: { lastPrice: '3000', priceChangePercent: heavyAsks ? '-0.5' : '0.5' }
+  }, { symbol: 'ETHUSDT', receivedAt: t0 + i * step });
+}
+journal.close();
+
+const outPath = path.join(tempDir, 'fitted.json');
+const run = () => execFileSync(process.execPath, ['scripts/fit-regime-model.js', journalPath, '--out', outPath],
+  { encoding: 'utf8', timeout: 120000 });
+const output = run();
+run();
+const fitted = loadRegimeModel(outPath);
+const written = JSON.parse(fs.readFileSync(outPath, 'utf8'));
+check('Script writes a loadable, versioned model with a holdout report', fitted.version === 2 &&
+  written.report.samples.train === 42 && written.report.modes.hmm.holdout.samples === 18 && output.includes('holdout') &&
+  written.report.modes.hmm.holdout.reliability.length === 10 && output.includes('calibration'));
+
+fs.rmSync(tempDir, { recursive: true, force: true });
+
+console.log('\n' + '='.repeat(60));
+console.log(`📊 Results: ${passedTests} passed, ${failedTests} failed`);
+process.exit(failedTests === 0 ? 0 : 1);
@@ -0,0 +1,229 @@
+#!/usr/bin/env node
+
+/**
+ * Phoenix v6.1 - Regime Rules Test Suite
+ *
+ * Validates the declarative regime definitions: built-in regimes as rules,
+ * AND/OR/score combinators, confidence formulas, load-time validation and a
+ * researcher-defined regime loaded through the engine.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  DEFAULT_REGIME_RULES,
+  compileRegimeRules,
+  validateRegimeRules,
+  loadRegimeRules,
+  evaluateRegime,
+  extractFeatures
+} from '../src/phoenix/components/regime-rules.js';
+import MarketClassifier from '../src/phoenix/components/market-classifier.js';
+import SymbolPipeline from '../src/phoenix/components/symbol-pipeline.js';
+import PhoenixEngine from '../src/phoenix/engine.js';
+import { loadConfig } from '../src/phoenix/config.js';
+
+console.log('🧪 Phoenix v6.1 - Regime Rules Test Suite');
+console.log('='.repeat(60));
+
+const silentLogger = {
+  info: () => {},
+  debug: () => {},
+  warn: () => {},
+  error: () => {}
+};
+
+let passedTests = 0;
+let failedTests = 0;
+
+function check(testName, condition, details = '') {
+  if (condition) {
+    console.log(`✅ PASS - ${testName} ${details}`);
+    passedTests++;
+  } else {
+    console.log(`❌ FAIL - ${testName} ${details}`);
+    failedTests++;
+  }
+}
+
+const t0 = 1700000000000;
+const thresholds = loadConfig({ env: {} }).thresholds.classifier;
+const classifiers = [];
+const newClassifier = (config = {}) => {
+  const classifier = new MarketClassifier({ logger: silentLogger, thresholds, ...config });
+  classifiers.push(classifier);
+  return classifier;
+};
+
+// A short squeeze: shorts paying to stay in, OI building, price ripping up,
+// confirmed by at least two of taker buying, whale flow and a bid-heavy book
+const squeezeRules = {
+  version: 1,
+  regimes: [
+    {
+      name: 'SHORT_SQUEEZE',
+      label: 'SQUEEZE',
+      description: 'Crowded shorts forced to cover into a rally',
+      when: {
+        all: [
+          { feature: 'fundingRate', op: '<', value: -0.0003, label: 'Funding' },
+          { any: [
+            { feature: 'oiChange', op: '>=', value: 0.02, label: 'OI' },
+            { feature: 'momentum', op: '>=', value: '2 * abs(cascade.momentum) * 10', label: 'Momentum' }
+          ] },
+          { score: [
+            { weight: 1, when: { feature: 'takerBuyRatio', op: '>=', value: 0.6 } },
+            { weight: 1, when: { feature: 'whaleFlow', op: '>=', value: 250000 } },
+            { weight: 1, when: { feature: 'pressure', op: '<=', value: 'shakeout.pressure', hysteresis: 0.1 } }
+          ], atLeast: 2, label: 'Confirmation' }
+        ]
+      },
+      confidence: 'clamp(50 + momentum * 10 - fundingRate * 20000, 0, 100)'
+    },
+    ...DEFAULT_REGIME_RULES.regimes
+  ]
+};
+
+// Test 1: Built-in regimes as rules
+const defaults = newClassifier();
+check('Built-in regimes compiled from the default rules', defaults.rules.map(rule => rule.name).join(',') ===
+  'CASCADE_HUNTER,COIL_WATCHER,SHAKEOUT_DETECTOR');
+
+const coil = defaults.classifyMarketCondition({ price: 3000, dlsScore: 90, pressure: 0.05, momentum: 0.01, timeframes: { momentum5m: 0.01 }, timestamp: t0 });
+check('Confidence formula matches the previous hard-coded score', coil.type === 'COIL_WATCHER' && Math.abs(coil.confidence - 56) < 1e-9,
+  `(${coil.confidence})`);
+check('Diagnostic checks keyed by rule label', JSON.stringify(defaults.getLastDiagnostic().classifierOutput.checks) ===
+  JSON.stringify({ CASCADE: 'FAIL (Pressure, Momentum)', COIL: 'PASS', SHAKEOUT: 'FAIL (Pressure, Momentum)' }));
+
+const scope = defaults.getRuleScope({ price: 3000, dlsScore: 50, pressure: 0.22, momentum: -0.5, timeframes: { momentum5m: -0.5 }, timestamp: t0 }, 25);
+const cascade = defaults.rules[0];
+check('Hysteresis margins only apply to exit checks', !evaluateRegime(cascade, scope).isValid &&
+  evaluateRegime(cascade, scope, { exit: true }).isValid);
+const exitDetails = evaluateRegime(defaults.rules[1], { ...scope, features: { ...scope.features, trendMomentum: 0.035, dls: 90, pressure: 0 } }, { exit: true }).details;
+check('Between bounds widen on both sides', exitDetails[2].pass && Math.abs(exitDetails[2].threshold[0] + 0.04) < 1e-12 &&
+  Math.abs(exitDetails[2].threshold[1] - 0.04) < 1e-12);
+
+defaults.applyThresholds({ ...thresholds, cascade: { ...thresholds.cascade, pressure: 0.2 } });
+check('Rules read hot-reloaded thresholds', defaults.classifyMarketCondition({ price: 3000, dlsScore: 50, pressure: 0.22, momentum: -0.5, timeframes: { momentum5m: -0.5 }, timestamp: t0 })?.type ===
+  'CASCADE_HUNTER');
+
+const flatFiveMinutes = defaults.classifyMarketCondition({ price: 3000, dlsScore: 50, pressure: 0.4, momentum: -5, timeframes: { momentum5m: 0 }, timestamp: t0 });
+check('Default rules read 5m momentum over the 24h change', DEFAULT_REGIME_RULES.regimes.every(regime =>
+  regime.when.all.some(condition => condition.feature === 'trendMomentum')) && flatFiveMinutes === null);
+
+// Timeframes disabled (TIMEFRAME_FEATURES=false) or not yet covering 5 minutes
+const fallbackWarnings = [];
+const noTimeframes = newClassifier({ logger: { ...silentLogger, warn: (event) => fallbackWarnings.push(event) } });
+const coldStart = [0, 1, 2].map(i => noTimeframes.classifyMarketCondition({ price: 3000, dlsScore: 95, pressure: 0.5, momentum: -5,
+  timeframes: null, timestamp: t0 + i * 30000 }));
+check('Without 5m momentum the rules fall back to the ticker momentum', coldStart.every(result => result?.type === 'CASCADE_HUNTER') &&
+  noTimeframes.getStats().momentumFallbacks === 3);
+check('Fallback warned once per episode', fallbackWarnings.join(',') === 'regime_momentum_fallback' &&
+  noTimeframes.classifyMarketCondition({ price: 3000, dlsScore: 95, pressure: 0.5, momentum: -5, timeframes: { momentum5m: -1 }, timestamp: t0 + 90000 })
+    ?.type === 'CASCADE_HUNTER' && noTimeframes.momentumFallbackActive === false);
+
+// Test 2: A researcher-defined regime
+const squeeze = newClassifier({ rules: squeezeRules });
+const squeezeData = (overrides = {}) => ({
+  price: 3000,
+  dlsScore: 50,
+  pressure: -0.1,
+  momentum: 1.5,
+  derivatives: { fundingRate: -0.0006, oiChangeRate: 0 },
+  tradeFlow: { takerBuyRatio: 0.7, volumeDelta: 12, vwap: 3000, cumulativeVolumeDelta: 40 },
+  timestamp: t0,
+  ...overrides
+});
+
+const detected = squeeze.classifyMarketCondition(squeezeData());
+check('New regime detected without classifier changes', detected?.type === 'SHORT_SQUEEZE' && Math.abs(detected.confidence - 77) < 1e-9);
+check('OR branch: momentum stands in for OI', squeeze.classifyMarketCondition(squeezeData({ momentum: 0.5 })) === null &&
+  squeeze.classifyMarketCondition(squeezeData({ momentum: 0.5, derivatives: { fundingRate: -0.0006, oiChangeRate: 0.03 } }))?.type === 'SHORT_SQUEEZE');
+
+const oneConfirmation = squeezeData({ tradeFlow: { takerBuyRatio: 0.4, volumeDelta: 0, vwap: 3000, cumulativeVolumeDelta: 0 } });
+check('Weighted score needs two confirmations', squeeze.classifyMarketCondition(oneConfirmation) === null &&
+  squeeze.getLastDiagnostic().classifierOutput.checks.SQUEEZE === 'FAIL (Confirmation)');
+squeeze.processWhaleTransaction({ type: 'WHALE_TRANSACTION', data: { value: 300000, address: '0xabc' }, timestamp: t0 - 60000 });
+check('Whale flow counts as a confirmation', squeeze.classifyMarketCondition(oneConfirmation)?.type === 'SHORT_SQUEEZE' &&
+  squeeze.getWhaleFlowUSD(t0 + 10 * 60000) === 0);
+
+check('Missing features fail their condition', squeeze.classifyMarketCondition(squeezeData({ derivatives: null })) === null &&
+  squeeze.getLastDiagnostic().classifierOutput.checks.SQUEEZE === 'FAIL (Funding)');
+const both = squeeze.classifyMarketCondition(squeezeData({ pressure: -0.2, dlsScore: 85, momentum: -0.5, timeframes: { momentum5m: -0.5 }, derivatives: { fundingRate: -0.0006, oiChangeRate: 0.03 } }));
+check('First matching rule wins', both?.type === 'SHORT_SQUEEZE' && squeeze.getLastDiagnostic().classifierOutput.checks.SHAKEOUT === 'PASS');
+
+// Test 3: Load-time validation
+const errorsFor = (regime) => validateRegimeRules({ regimes: [{ name: 'TEST', when: { feature: 'pressure', op: '>', value: 0 }, confidence: '50', ...regime }] });
+check('Valid minimal rule accepted', errorsFor({}).length === 0);
+check('Unknown feature rejected', errorsFor({ when: { feature: 'sentiment', op: '>', value: 0 } })[0]?.startsWith('regimes[0].when.feature: unknown feature "sentiment"'));
+check('Unknown operator and identifier rejected', errorsFor({ when: { all: [
+  { feature: 'pressure', op: '=>', value: 0 },
+  { feature: 'momentum', op: '<', value: 'cascade.momentm' }
+] } }).join('|') === 'regimes[0].when.all[0].op: must be one of >, >=, <, <=, between|regimes[0].when.all[1].value: unknown identifier cascade.momentm');
+check('Malformed formula rejected', errorsFor({ confidence: 'min(pressure, ' })[0] === 'regimes[0].confidence: unexpected end of expression' &&
+  errorsFor({ confidence: 'sqrt(dls)' })[0] === 'regimes[0].confidence: unknown function sqrt' &&
+  errorsFor({ confidence: 'abs(dls, 1)' })[0] === 'regimes[0].confidence: abs takes 1 argument(s)');
+check('Combinator shape checked', errorsFor({ when: { all: [] } })[0] === 'regimes[0].when.all: must be a non-empty array' &&
+  errorsFor({ when: { feature: 'dls', op: 'between', value: [1] } })[0] === 'regimes[0].when.value: between needs [min, max]' &&
+  errorsFor({ when: { score: [{ weight: 0, when: { feature: 'dls', op: '>', value: 1 } }], atLeast: 1 } })[0] ===
+    'regimes[0].when.score[0].weight: must be a positive number');
+check('Duplicate and reserved names rejected', validateRegimeRules({ regimes: [
+  { name: 'NO_REGIME', when: { feature: 'dls', op: '>', value: 1 }, confidence: 1 },
+  ...DEFAULT_REGIME_RULES.regimes,
+  DEFAULT_REGIME_RULES.regimes[0]
+] }).length === 2);
+
+let compileError = null;
+try {
+  compileRegimeRules({ regimes: [] });
+} catch (error) {
+  compileError = error;
+}
+check('Compiling an invalid definition throws', compileError?.message === 'Invalid regime rules: regimes: must be a non-empty array');
+
+// Test 4: Rules files through the engine
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'phoenix-rules-'));
+const rulesPath = path.join(tempDir, 'regimes.json');
+const badPath = path.join(tempDir, 'bad.json');
+fs.writeFileSync(rulesPath, JSON.stringify(squeezeRules, null, 2));
+fs.writeFileSync(badPath, JSON.stringify({ regimes: [{ ...squeezeRules.regimes[0], confidence: 'funding * 2' }] }));
+
+check('Rules file loads', loadRegimeRules(rulesPath).regimes.length === 4);
+
+const engine = new PhoenixEngine({ symbol: 'ETHUSDT', enableRealTimeFeeds: false, stateSnapshot: { enabled: false }, regime: { rulesFile: rulesPath } });
+const pipeline = engine.getPipeline('ETHUSDT');
+pipeline.initialize();
+classifiers.push(pipeline.marketClassifier);
+check('Engine passes the rules to every classifier', pipeline.marketClassifier.rules[0].name === 'SHORT_SQUEEZE');
+
+let engineError = null;
+try {
+  new PhoenixEngine({ symbol: 'ETHUSDT', enableRealTimeFeeds: false, stateSnapshot: { enabled: false }, regime: { rulesFile: badPath } });
+} catch (error) {
+  engineError = error;
+}
+check('Engine refuses an invalid rules file', engineError?.message.includes('regimes[0].confidence: unknown identifier funding'));
+
+// Test 5: Market data carries the rule features
+const live = new SymbolPipeline({ symbol: 'ETHUSDT', logger: silentLogger, paperTrading: false, orderBook: { enabled: false } });
+live.initialize();
+classifiers.push(live.marketClassifier);
+live.derivativesMonitor.updateFundingRate(-0.0008, 'binance');
+const book = {
+  bids: Array.from({ length: 10 }, (_, i) => [(2999.5 - i).toFixed(2), '5']),
+  asks: Array.from({ length: 10 }, (_, i) => [(3000.5 + i).toFixed(2), '5'])
+};
+const marketData = await live.buildMarketData(book, { lastPrice: '3000', priceChangePercent: '1.2' }, t0);
+const features = extractFeatures(marketData, { whaleFlowUSD: 0 });
+check('Funding, OI and DLS percentile reach the features', features.fundingRate === -0.0008 && features.oiChange === null &&
+  Number.isFinite(features.dlsPercentile) && features.momentum === 1.2);
+
+live.derivativesMonitor.shutdown?.();
+pipeline.derivativesMonitor?.shutdown?.();
+for (const classifier of classifiers) classifier.shutdown();
+fs.rmSync(tempDir, { recursive: true, force: true });
+
+console.log('\n' + '='.repeat(60));
+console.log(`📊 Results: ${passedTests} passed, ${failedTests} failed`);
+process.exit(failedTests === 0 ? 0 : 1);
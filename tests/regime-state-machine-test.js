@@ -0,0 +1,180 @@
+#!/usr/bin/env node
+
+/**
+ * Phoenix v6.1 - Regime State Machine Test Suite
+ *
+ * Validates entry dwell, hysteresis, minimum dwell, transition events and
+ * history, strategies receiving the stable regime and warm restart.
+ */
+
+import RegimeStateMachine, { NO_REGIME } from '../src/phoenix/components/regime-state-machine.js';
+import MarketClassifier from '../src/phoenix/components/market-classifier.js';
+import SymbolPipeline from '../src/phoenix/components/symbol-pipeline.js';
+import PhoenixEngine from '../src/phoenix/engine.js';
+import BaseStrategy from '../src/phoenix/strategies/base-strategy.js';
+import { loadConfig } from '../src/phoenix/config.js';
+
+console.log('🧪 Phoenix v6.1 - Regime State Machine Test Suite');
+console.log('='.repeat(60));
+
+const silentLogger = {
+  info: () => {},
+  debug: () => {},
+  warn: () => {},
+  error: () => {}
+};
+
+let passedTests = 0;
+let failedTests = 0;
+
+function check(testName, condition, details = '') {
+  if (condition) {
+    console.log(`✅ PASS - ${testName} ${details}`);
+    passedTests++;
+  } else {
+    console.log(`❌ FAIL - ${testName} ${details}`);
+    failedTests++;
+  }
+}
+
+const t0 = 1700000000000;
+const step = 30000;
+
+// Test 1: State machine
+const machine = new RegimeStateMachine({ symbol: 'ETHUSDT', logger: silentLogger });
+
+let transitions = machine.update({ detected: 'CASCADE_HUNTER', holding: false, timestamp: t0 });
+check('One sample does not enter a regime', transitions.length === 0 && machine.regime === NO_REGIME &&
+  machine.getState(t0).candidate.regime === 'CASCADE_HUNTER');
+
+transitions = machine.update({ detected: 'CASCADE_HUNTER', holding: false, timestamp: t0 + step });
+check('Regime entered after the entry dwell', transitions.length === 1 && transitions[0].type === 'ENTERED' &&
+  transitions[0].confirmedAfterMs === step && machine.regime === 'CASCADE_HUNTER');
+
+transitions = machine.update({ detected: NO_REGIME, holding: true, timestamp: t0 + 2 * step });
+check('Held by hysteresis when only exit conditions pass', transitions.length === 0 && machine.getStats().heldByHysteresis === 1);
+
+transitions = machine.update({ detected: NO_REGIME, holding: false, timestamp: t0 + 3 * step });
+check('Held until the minimum dwell has passed', transitions.length === 0 && machine.regime === 'CASCADE_HUNTER' &&
+  machine.getStats().heldByMinDwell === 1);
+
+transitions = machine.update({ detected: 'SHAKEOUT_DETECTOR', holding: false, timestamp: t0 + 5 * step });
+check('Exited once exit conditions fail after the dwell', transitions.length === 1 && transitions[0].type === 'EXITED' &&
+  transitions[0].durationMs === 4 * step && machine.regime === NO_REGIME);
+check('Next regime still needs its own entry dwell', machine.getState(t0 + 5 * step).candidate.regime === 'SHAKEOUT_DETECTOR');
+
+machine.update({ detected: NO_REGIME, holding: false, timestamp: t0 + 6 * step });
+machine.update({ detected: 'SHAKEOUT_DETECTOR', holding: false, timestamp: t0 + 7 * step });
+check('Interrupted candidate starts over', machine.regime === NO_REGIME && machine.getState(t0 + 7 * step).candidate.since === t0 + 7 * step);
+
+machine.update({ detected: 'SHAKEOUT_DETECTOR', holding: false, timestamp: t0 + 8 * step });
+check('History queryable by regime, type and time', machine.getHistory().length === 3 &&
+  machine.getHistory({ regime: 'CASCADE_HUNTER' }).map(entry => entry.type).join(',') === 'ENTERED,EXITED' &&
+  machine.getHistory({ type: 'ENTERED', since: t0 + 2 * step })[0].regime === 'SHAKEOUT_DETECTOR' &&
+  machine.getHistory({ limit: 1 })[0].timestamp === t0 + 8 * step);
+
+const restored = new RegimeStateMachine({ symbol: 'ETHUSDT', maxHistorySize: 2 });
+restored.importState(JSON.parse(JSON.stringify(machine.exportState())));
+check('State survives export and import', restored.regime === 'SHAKEOUT_DETECTOR' && restored.enteredAt === t0 + 8 * step &&
+  restored.history.length === 2);
+
+// Test 2: Classifier hysteresis and events
+const thresholds = loadConfig({ env: {} }).thresholds.classifier;
+const classifier = new MarketClassifier({ logger: silentLogger, thresholds });
+const events = [];
+classifier.on('REGIME_ENTERED', (transition) => events.push(transition));
+classifier.on('REGIME_EXITED', (transition) => events.push(transition));
+
+let now = t0;
+const classify = (pressure, momentum, dlsScore = 50) => {
+  now += step;
+  const marketData = { price: 3000, dlsScore, pressure, momentum, timeframes: { momentum5m: momentum }, timestamp: now };
+  return { raw: classifier.classifyMarketCondition(marketData), stable: classifier.getActiveRegime(marketData) };
+};
+
+// Pressure flickering around the 0.25 entry threshold
+let sample = classify(0.4, -0.5);
+check('Classifier waits for the entry dwell', sample.raw?.type === 'CASCADE_HUNTER' && sample.stable === null && events.length === 0);
+sample = classify(0.3, -0.5);
+check('REGIME_ENTERED emitted on entry', sample.stable?.regime === 'CASCADE_HUNTER' && events.length === 1 &&
+  events[0].type === 'ENTERED' && events[0].inputs.pressure === 0.3);
+
+const flicker = [0.22, 0.3, 0.21, 0.27, 0.22].map(pressure => classify(pressure, -0.5));
+check('Flicker inside the hysteresis band keeps the regime', flicker.some(result => result.raw === null) &&
+  flicker.every(result => result.stable?.regime === 'CASCADE_HUNTER') && events.length === 1);
+check('Diagnostic log carries the regime state', classifier.getLastDiagnostic().classifierOutput.regimeState.regime === 'CASCADE_HUNTER');
+
+sample = classify(0.1, -0.5);
+check('REGIME_EXITED emitted when exit conditions fail', sample.stable === null && events.length === 2 &&
+  events[1].type === 'EXITED' && events[1].durationMs === 6 * step);
+check('Classifier history and stats', classifier.getRegimeHistory({ type: 'EXITED' }).length === 1 &&
+  classifier.getStats().regimeState.exits === 1);
+
+const fast = new MarketClassifier({ logger: silentLogger, thresholds, regime: { entryDwellMs: 0, minDwellMs: 0 } });
+check('Zero dwell enters on the first sample', fast.classifyMarketCondition({ price: 3000, dlsScore: 50, pressure: 0.4, momentum: -0.5, timeframes: { momentum5m: -0.5 }, timestamp: t0 }) &&
+  fast.getActiveRegime({ pressure: 0.4, dlsScore: 50, momentum: -0.5, timeframes: { momentum5m: -0.5 }, timestamp: t0 })?.regime === 'CASCADE_HUNTER');
+const noSlack = new MarketClassifier({ logger: silentLogger, thresholds: { ...thresholds, hysteresis: { pressure: 0, liquidity: 0, momentum: 0 } },
+  regime: { entryDwellMs: 0, minDwellMs: 0 } });
+noSlack.classifyMarketCondition({ price: 3000, dlsScore: 50, pressure: 0.4, momentum: -0.5, timeframes: { momentum5m: -0.5 }, timestamp: t0 });
+noSlack.classifyMarketCondition({ price: 3000, dlsScore: 50, pressure: 0.22, momentum: -0.5, timeframes: { momentum5m: -0.5 }, timestamp: t0 + step });
+check('Without hysteresis the same dip exits', noSlack.regimeState.regime === NO_REGIME);
+
+// Test 3: Strategies act on the stable regime
+class RecordingStrategy extends BaseStrategy {
+  constructor() {
+    super({ id: 'recorder', logger: silentLogger });
+    this.seen = [];
+  }
+
+  onClassification({ classification, rawClassification }) {
+    this.seen.push({ stable: classification?.regime ?? NO_REGIME, raw: rawClassification?.regime ?? NO_REGIME });
+  }
+}
+
+const pipeline = new SymbolPipeline({ symbol: 'ETHUSDT', logger: silentLogger, paperTrading: false, thresholds: { classifier: thresholds } });
+const recorder = new RecordingStrategy();
+pipeline.strategyManager.registerStrategy(recorder);
+pipeline.initialize();
+
+for (const [i, pressure] of [0.4, 0.3, 0.22, 0.3].entries()) {
+  pipeline.processMarketData({ symbol: 'ETHUSDT', price: 3000, dlsScore: 50, pressure, momentum: -0.5, timeframes: { momentum5m: -0.5 }, timestamp: t0 + i * step });
+}
+check('Strategies get the stable regime with the raw verdict alongside',
+  recorder.seen.map(entry => entry.stable).join(',') === 'NO_REGIME,CASCADE_HUNTER,CASCADE_HUNTER,CASCADE_HUNTER' &&
+  recorder.seen[2].raw === NO_REGIME);
+
+// Test 4: Engine wiring and warm restart
+const engine = new PhoenixEngine({ symbol: 'ETHUSDT', enableRealTimeFeeds: false, stateSnapshot: { enabled: false }, regime: { minDwellMs: 60000 } });
+const enginePipeline = engine.getPipeline('ETHUSDT');
+enginePipeline.initialize();
+engine.setupPipelineHandlers(enginePipeline);
+
+const bus = [];
+engine.on('REGIME_ENTERED', (transition) => bus.push(transition));
+engine.on('REGIME_EXITED', (transition) => bus.push(transition));
+for (const [i, pressure] of [0.4, 0.4, 0.0, 0.0, 0.0].entries()) {
+  enginePipeline.processMarketData({ symbol: 'ETHUSDT', price: 3000, dlsScore: 50, pressure, momentum: -0.5, timeframes: { momentum5m: -0.5 }, timestamp: t0 + i * step });
+}
+check('Transitions reach the engine bus', bus.map(entry => entry.type).join(',') === 'ENTERED,EXITED' &&
+  engine.metrics.regimeTransitions === 2 && enginePipeline.marketClassifier.regimeState.config.minDwellMs === 60000);
+check('Engine exposes the history per symbol', engine.getRegimeHistory('ETHUSDT', { regime: 'CASCADE_HUNTER' }).length === 2 &&
+  engine.getRegimeHistory('BTCUSDT') === null);
+
+const snapshot = JSON.parse(JSON.stringify(enginePipeline.marketClassifier.exportState()));
+const restartedClassifier = new MarketClassifier({ logger: silentLogger, thresholds });
+restartedClassifier.importState(snapshot, t0);
+check('Classifier snapshot restores regime history', restartedClassifier.getRegimeHistory().length === 2);
+
+// Test 5: Configuration
+const defaults = loadConfig({ env: {} });
+const fromEnv = loadConfig({ env: { REGIME_ENTRY_DWELL_MS: '0', REGIME_MIN_DWELL_MS: '300000' } });
+check('Dwell times configurable', defaults.regime.entryDwellMs === 30000 && defaults.regime.minDwellMs === 120000 &&
+  fromEnv.regime.entryDwellMs === 0 && fromEnv.regime.minDwellMs === 300000);
+check('Hysteresis margins are hot-reloadable thresholds', engine.thresholdManager.apply({ classifier: { hysteresis: { pressure: 0.1 } } }).applied &&
+  enginePipeline.marketClassifier.thresholds.hysteresis.pressure === 0.1);
+
+for (const c of [classifier, fast, noSlack, pipeline.marketClassifier, enginePipeline.marketClassifier, restartedClassifier]) c.shutdown();
+
+console.log('\n' + '='.repeat(60));
+console.log(`📊 Results: ${passedTests} passed, ${failedTests} failed`);
+process.exit(failedTests === 0 ? 0 : 1);
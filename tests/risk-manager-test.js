@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+
+/**
+ * Phoenix v6.1 - Risk Manager Test Suite
+ *
+ * Validates pre-trade limits, stop-out cooldown and the kill switch
+ * triggered by daily loss and consecutive loss limits, and the operator
+ * resume through the engine.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import RiskManager from '../src/phoenix/components/risk-manager.js';
+import PaperTrader from '../src/phoenix/components/paper-trader.js';
+import EventJournal from '../src/phoenix/components/event-journal.js';
+import PhoenixEngine from '../src/phoenix/engine.js';
+import { MAX_POSITION_SIZE, DEFAULT_STOP_LOSS, COOLDOWN_MINUTES } from '../src/utils/index.js';
+
+console.log('🧪 Phoenix v6.1 - Risk Manager Test Suite');
+console.log('='.repeat(60));
+
+const silentLogger = {
+  info: () => {},
+  debug: () => {},
+  warn: () => {},
+  error: () => {}
+};
+
+let passedTests = 0;
+let failedTests = 0;
+
+function check(testName, condition, details = '') {
+  if (condition) {
+    console.log(`✅ PASS - ${testName} ${details}`);
+    passedTests++;
+  } else {
+    console.log(`❌ FAIL - ${testName} ${details}`);
+    failedTests++;
+  }
+}
+
+function order(overrides = {}) {
+  return { symbol: 'ETHUSDT', direction: 'LONG', notionalUSD: 500, stopLossPercent: 1.5, timestamp: 1000, ...overrides };
+}
+
+function trade(id, realizedPnL, overrides = {}) {
+  return { id, symbol: 'ETHUSDT', realizedPnL, closeReason: 'TAKE_PROFIT', closeTime: 1000, ...overrides };
+}
+
+// Test 1: Defaults come from the shared risk constants
+const risk = new RiskManager({ logger: silentLogger });
+check('Position cap uses MAX_POSITION_SIZE', risk.config.maxPositionSizeUSD === MAX_POSITION_SIZE);
+check('Stop cap uses DEFAULT_STOP_LOSS', risk.config.maxStopLossPercent === DEFAULT_STOP_LOSS);
+check('Cooldown uses COOLDOWN_MINUTES', risk.config.stopOutCooldownMs === COOLDOWN_MINUTES * 60000);
+
+// Test 2: Pre-trade limits
+check('Order within limits approved', risk.checkOrder(order()).approved);
+check('Wide stop rejected', !risk.checkOrder(order({ stopLossPercent: 5 })).approved);
+
+risk.recordPositionOpened({ id: 'p1', symbol: 'ETHUSDT', notional: 800 });
+check('Per-symbol size limit enforced', !risk.checkOrder(order()).approved);
+check('Other symbols unaffected', risk.checkOrder(order({ symbol: 'BTCUSDT' })).approved);
+
+const gross = new RiskManager({ logger: silentLogger, maxGrossExposureUSD: 1000 });
+gross.recordPositionOpened({ id: 'p1', symbol: 'ETHUSDT', notional: 600 });
+check('Gross exposure limit enforced', !gross.checkOrder(order({ symbol: 'BTCUSDT' })).approved);
+
+// Test 3: Stop-out cooldown
+risk.recordPositionClosed(trade('p1', -10, { closeReason: 'STOP_LOSS' }));
+check('Cooldown blocks entry after stop-out', !risk.checkOrder(order({ timestamp: 2000 })).approved);
+check('Cooldown expires', risk.checkOrder(order({ timestamp: 1000 + COOLDOWN_MINUTES * 60000 + 1 })).approved);
+
+// Test 4: Consecutive losses trip the kill switch
+const streak = new RiskManager({ logger: silentLogger, maxConsecutiveLosses: 3, dailyLossLimitUSD: 1e6 });
+const halts = [];
+streak.on('KILL_SWITCH', (halt) => halts.push(halt));
+streak.recordPositionClosed(trade('a', -5));
+streak.recordPositionClosed(trade('b', 3));
+streak.recordPositionClosed(trade('c', -5));
+streak.recordPositionClosed(trade('d', -5));
+check('Winning trade resets loss streak', !streak.isHalted());
+streak.recordPositionClosed(trade('e', -5));
+check('Consecutive losses halt trading', halts.length === 1 && halts[0].reason === 'CONSECUTIVE_LOSSES');
+check('Halted manager rejects entries', !streak.checkOrder(order()).approved);
+check('Halt visible in status', streak.getStatus().halted && streak.getStatus().haltReason === 'CONSECUTIVE_LOSSES');
+
+streak.resume('test');
+check('Resume clears the kill switch', !streak.isHalted() && streak.checkOrder(order()).approved);
+
+// Test 5: Daily loss limit and day roll
+const daily = new RiskManager({ logger: silentLogger, dailyLossLimitUSD: 50, maxConsecutiveLosses: 99 });
+daily.recordPositionClosed(trade('a', -40, { closeTime: Date.UTC(2025, 0, 1, 10) }));
+daily.recordPositionClosed(trade('b', -40, { closeTime: Date.UTC(2025, 0, 2, 10) }));
+check('Daily PnL resets on new UTC day', !daily.isHalted() && daily.dailyPnL === -40);
+daily.recordPositionClosed(trade('c', -15, { closeTime: Date.UTC(2025, 0, 2, 11) }));
+check('Daily loss limit halts trading', daily.isHalted() && daily.halt.reason === 'DAILY_LOSS_LIMIT');
+
+// Test 6: Paper trader entries pass through the risk check
+const book = {
+  bids: Array.from({ length: 20 }, (_, i) => [(2999.5 - i).toFixed(2), '1']),
+  asks: Array.from({ length: 20 }, (_, i) => [(3000.5 + i).toFixed(2), '1'])
+};
+const gated = new RiskManager({ logger: silentLogger, maxPositionSizeUSD: 1200 });
+const trader = new PaperTrader({ logger: silentLogger, riskManager: gated, signalCooldownMs: 0 });
+trader.on('POSITION_OPENED', (position) => gated.recordPositionOpened(position));
+trader.processSignal({ action: 'ENTER_LONG', strategyId: 'T' }, { orderBook: book, timestamp: 1 });
+trader.processSignal({ action: 'ENTER_LONG', strategyId: 'T' }, { orderBook: book, timestamp: 2 });
+trader.processSignal({ action: 'ENTER_LONG', strategyId: 'T' }, { orderBook: book, timestamp: 3 });
+check('Paper trader capped by per-symbol limit', trader.getPositions().length === 2, `(${trader.getPositions().length} open)`);
+
+// Test 7: Operator resume through the engine (POST /admin/risk/resume)
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'phoenix-risk-'));
+const journalPath = path.join(tempDir, 'journal.jsonl');
+const engine = new PhoenixEngine({ symbol: 'ETHUSDT', enableRealTimeFeeds: false, stateSnapshot: { enabled: false },
+  journal: { enabled: true, filePath: journalPath } });
+engine.riskManager.triggerHalt('DAILY_LOSS_LIMIT', { dailyPnL: -600 });
+const persisted = JSON.parse(JSON.stringify(engine.riskManager.exportState()));
+
+const resumedEvents = [];
+engine.on('TRADING_RESUMED', (event) => resumedEvents.push(event));
+const resumed = engine.resumeTrading('ops', 'loss reviewed');
+check('Resume clears the halt and reports it', resumed.resumed && resumed.previousHalt.reason === 'DAILY_LOSS_LIMIT' &&
+  !engine.riskManager.isHalted() && resumedEvents.length === 1 && resumedEvents[0].operator === 'ops');
+check('Resume without a halt refused', engine.resumeTrading('ops').resumed === false);
+
+engine.journal.close();
+const journaled = await EventJournal.read(journalPath);
+check('Resume journaled with operator and reason', journaled.length === 1 && journaled[0].source === 'admin' &&
+  journaled[0].type === 'risk_resume' && journaled[0].payload.operator === 'ops' && journaled[0].payload.reason === 'loss reviewed');
+
+const restarted = new PhoenixEngine({ symbol: 'ETHUSDT', enableRealTimeFeeds: false, stateSnapshot: { enabled: false } });
+restarted.riskManager.importState(persisted);
+const halted = restarted.riskManager.isHalted();
+const replayed = await restarted.replayJournal(journalPath);
+check('Halt survives a restart until the journaled resume replays', halted && replayed.replayed === 1 &&
+  !restarted.riskManager.isHalted());
+
+fs.rmSync(tempDir, { recursive: true, force: true });
+
+// Test 8: A failed kill switch alert is logged and the halt still surfaces
+const unreachable = new PhoenixEngine({ symbol: 'ETHUSDT', enableRealTimeFeeds: false, stateSnapshot: { enabled: false } });
+const alertErrors = [];
+unreachable.logger = { ...silentLogger, error: (event, data) => alertErrors.push({ event, data }) };
+unreachable.telegramReporter = { sendAlert: async () => { throw new Error('telegram unreachable'); } };
+const surfaced = [];
+unreachable.on('TRADING_HALTED', (halt) => surfaced.push(halt));
+await unreachable.handleKillSwitch({ reason: 'DAILY_LOSS_LIMIT', details: { dailyPnL: -600 } });
+check('Kill switch alert failure logged', alertErrors.some(entry => entry.event === 'kill_switch_alert_failed' &&
+  entry.data.error === 'telegram unreachable'));
+check('Halt surfaced despite alert failure', surfaced.length === 1 && unreachable.metrics.alertsSent === 0);
+
+console.log('\n' + '='.repeat(60));
+console.log(`📊 Results: ${passedTests} passed, ${failedTests} failed`);
+process.exit(failedTests === 0 ? 0 : 1);
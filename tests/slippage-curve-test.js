@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+
+/**
+ * Phoenix v6.1 - Slippage Curve Test Suite
+ *
+ * Validates two-sided fill estimates across a notional ladder, partial-level
+ * accounting, book consumption reporting, the spread and impact inputs to
+ * DLS (deeper books score higher) and the live local-book variant.
+ */
+
+import LiquidityAnalyzer from '../src/phoenix/components/liquidity-analyzer.js';
+import LocalOrderBook from '../src/phoenix/components/local-order-book.js';
+
+console.log('🧪 Phoenix v6.1 - Slippage Curve Test Suite');
+console.log('='.repeat(60));
+
+const silentLogger = {
+  info: () => {},
+  debug: () => {},
+  warn: () => {},
+  error: () => {}
+};
+
+let passedTests = 0;
+let failedTests = 0;
+
+function check(testName, condition, details = '') {
+  if (condition) {
+    console.log(`✅ PASS - ${testName} ${details}`);
+    passedTests++;
+  } else {
+    console.log(`❌ FAIL - ${testName} ${details}`);
+    failedTests++;
+  }
+}
+
+const near = (a, b, tolerance = 1e-9) => Math.abs(a - b) <= tolerance;
+
+// Mid 100.00 - asks thin out faster than bids
+const bids = [['99.90', '10'], ['99.50', '20'], ['99.00', '70']];
+const asks = [['100.10', '5'], ['100.50', '10'], ['101.00', '5']];
+
+const analyzer = new LiquidityAnalyzer({ logger: silentLogger, slippageLadderUSD: [500, 2000, 5000] });
+
+// Test 1: Both sides of the ladder
+const curve = analyzer.getSlippageCurve(bids, asks);
+check('Mid and visible depth reported', curve.midPrice === 100 && curve.visibleDepth.buy.quantity === 20 &&
+  curve.visibleDepth.sell.quantity === 100 && near(curve.visibleDepth.buy.notionalUSD, 2010.5));
+check('Configured ladder used on both sides', curve.buy.map(p => p.notionalUSD).join(',') === '500,2000,5000' &&
+  curve.sell.length === 3);
+
+const [smallBuy, midBuy, largeBuy] = curve.buy;
+check('Top-level buy fills at best ask', smallBuy.avgPrice === 100.1 && near(smallBuy.impactBps, 10) &&
+  smallBuy.levelsConsumed === 1 && smallBuy.complete);
+
+// 20 ETH: 5 @ 100.10 + 10 @ 100.50 + 5 @ 101.00 = 2010.5
+check('Buy walks the asks across levels', near(midBuy.avgPrice, 100.525) && near(midBuy.impactBps, 52.5) &&
+  midBuy.levelsConsumed === 3 && near(midBuy.bookConsumedPct, 100) && midBuy.complete);
+check('Oversized buy flagged incomplete', !largeBuy.complete && largeBuy.filledQuantity === 20 && largeBuy.targetQuantity === 50);
+
+// 20 ETH sell: 10 @ 99.90 + 10 of 20 @ 99.50 - partial level counted
+const midSell = curve.sell[1];
+check('Partial level volume counted', midSell.filledQuantity === 20 && near(midSell.avgPrice, 99.7) &&
+  midSell.levelsConsumed === 2 && midSell.worstPrice === 99.5);
+check('Sell impact positive below mid', near(midSell.impactBps, 30) && near(midSell.bookConsumedPct, 20));
+check('Impact grows with size', curve.sell[2].impactBps > midSell.impactBps && midSell.impactBps > curve.sell[0].impactBps);
+check('Sides priced independently', curve.buy[1].impactBps !== curve.sell[1].impactBps);
+
+const custom = analyzer.getSlippageCurve(bids, asks, [1000]);
+check('Explicit sizes override the ladder', custom.buy.length === 1 && custom.buy[0].notionalUSD === 1000);
+check('One-sided book has no curve', analyzer.getSlippageCurve(bids, []) === null);
+
+// Test 2: Impact and spread used by DLS
+check('Impact in bps from mean of both sides', near(analyzer.estimateMarketImpact(bids, asks, 500), (10 + 10) / 2));
+check('Unfillable size has no impact', analyzer.estimateMarketImpact(bids, asks, 5000) === null);
+check('Fill inside the first level no longer short-circuits', analyzer.estimateMarketImpact(bids, asks, 100) > 0);
+check('Spread in bps of mid', near(analyzer.calculateSpreadBps(bids, asks), 20));
+
+// Same shape ten times deeper with levels ten times closer to mid
+const deepBids = bids.map(([price, qty]) => [(100 - (100 - parseFloat(price)) / 10).toFixed(3), String(parseFloat(qty) * 10)]);
+const deepAsks = asks.map(([price, qty]) => [(100 + (parseFloat(price) - 100) / 10).toFixed(3), String(parseFloat(qty) * 10)]);
+const thin = analyzer.calculateComponents(bids, asks);
+const deep = analyzer.calculateComponents(deepBids, deepAsks);
+check('Tighter, cheaper book scores higher on spread and impact', analyzer.normalizeComponents(deep).spread > analyzer.normalizeComponents(thin).spread &&
+  analyzer.normalizeComponents(deep).impact > analyzer.normalizeComponents(thin).impact);
+check('Deeper book gets a higher DLS', analyzer.scoreBook(deepBids, deepAsks) > analyzer.scoreBook(bids, asks),
+  `(${analyzer.scoreBook(deepBids, deepAsks)} vs ${analyzer.scoreBook(bids, asks)})`);
+check('Unfillable impact scores zero', analyzer.normalizeComponents({ ...thin, impact: null }).impact === 0 &&
+  analyzer.scoreBook(bids.slice(0, 1), asks.slice(0, 1)) < analyzer.scoreBook(bids, asks));
+
+// Test 3: Live local order book
+const book = new LocalOrderBook({ symbol: 'ETHUSDT', logger: silentLogger });
+const live = new LiquidityAnalyzer({ logger: silentLogger, orderBook: book, analysisDepth: 1 });
+check('No live curve until the book is synced', live.getLiveSlippageCurve() === null);
+
+book.processSnapshot({ lastUpdateId: 7, bids, asks });
+const liveCurve = live.getLiveSlippageCurve([2000]);
+check('Live curve walks the full book', liveCurve.lastUpdateId === 7 && liveCurve.buy[0].levelsConsumed === 3 &&
+  liveCurve.buy[0].complete);
+check('Default ladder applied', live.getLiveSlippageCurve().buy.length === 7);
+
+console.log('\n' + '='.repeat(60));
+console.log(`📊 Results: ${passedTests} passed, ${failedTests} failed`);
+process.exit(failedTests === 0 ? 0 : 1);
@@ -0,0 +1,218 @@
+#!/usr/bin/env node
+
+/**
+ * Phoenix v6.1 - Spoofing Detector Test Suite
+ *
+ * Validates wall tracking across consecutive book states, cancelled vs filled
+ * pulls, spoofing episodes, signal down-weighting and engine event reporting.
+ */
+
+import SpoofingDetector from '../src/phoenix/components/spoofing-detector.js';
+import TradeFlowMonitor from '../src/phoenix/components/trade-flow-monitor.js';
+import SymbolPipeline from '../src/phoenix/components/symbol-pipeline.js';
+import PhoenixEngine from '../src/phoenix/engine.js';
+import { loadConfig, ConfigValidationError } from '../src/phoenix/config.js';
+
+console.log('🧪 Phoenix v6.1 - Spoofing Detector Test Suite');
+console.log('='.repeat(60));
+
+const silentLogger = {
+  info: () => {},
+  debug: () => {},
+  warn: () => {},
+  error: () => {}
+};
+
+let passedTests = 0;
+let failedTests = 0;
+
+function check(testName, condition, details = '') {
+  if (condition) {
+    console.log(`✅ PASS - ${testName} ${details}`);
+    passedTests++;
+  } else {
+    console.log(`❌ FAIL - ${testName} ${details}`);
+    failedTests++;
+  }
+}
+
+// 20 one-lot levels a side around 3000.00, plus a deep level 66 bps away
+function book(timestamp, { bids: bidOverrides = {}, asks: askOverrides = {} } = {}) {
+  const side = (start, step, overrides) => {
+    const levels = Array.from({ length: 20 }, (_, i) => (start + step * i).toFixed(1))
+      .map(price => [price, String(overrides[price] ?? 1)])
+      .filter(([, qty]) => qty !== '0');
+    return levels;
+  };
+
+  return {
+    bids: [...side(2999.9, -0.1, bidOverrides), ['2980.0', '50']],
+    asks: side(3000.1, 0.1, askOverrides),
+    timestamp
+  };
+}
+
+const t0 = 1700000000000;
+
+// Test 1: Walls tracked by price level
+const detector = new SpoofingDetector({ symbol: 'ETHUSDT', logger: silentLogger });
+const removals = [];
+detector.on('WALL_REMOVED', (pull) => removals.push(pull));
+
+detector.processOrderBook(book(t0, { bids: { '2999.5': 20 } }));
+check('Wall near mid detected, distant size ignored', detector.walls.size === 1 && detector.walls.has('bid:2999.5'));
+check('States inside the sample interval skipped', detector.processOrderBook(book(t0 + 100, { bids: { '2999.5': 20 } })) === false);
+
+detector.processOrderBook(book(t0 + 2000, { bids: { '2999.5': 25 } }));
+check('Wall persistence and peak tracked', detector.walls.get('bid:2999.5').peakQuantity === 25 &&
+  detector.walls.get('bid:2999.5').lastSeen === t0 + 2000);
+
+detector.processOrderBook(book(t0 + 3000));
+const pulled = removals[0];
+check('Vanished wall behind the touch counts as cancelled', pulled.removal === 'CANCELLED' && pulled.isSpoof && detector.walls.size === 0);
+check('Lifetime, size and speed of the pull', pulled.lifetimeMs === 2000 && pulled.peakQuantity === 25 && pulled.speed === 'ABRUPT');
+
+// Long-lived and gradually reduced walls
+detector.processOrderBook(book(t0 + 10000, { asks: { '3000.5': 30 } }));
+detector.processOrderBook(book(t0 + 50000, { asks: { '3000.5': 30 } }));
+detector.processOrderBook(book(t0 + 51000));
+check('Long-lived wall is not a spoof', removals[1].removal === 'CANCELLED' && !removals[1].isSpoof && removals[1].lifetimeMs === 40000);
+
+detector.processOrderBook(book(t0 + 60000, { asks: { '3000.5': 30 } }));
+detector.processOrderBook(book(t0 + 61000, { asks: { '3000.5': 12 } }));
+detector.processOrderBook(book(t0 + 62000, { asks: { '3000.5': 2 } }));
+check('Stepped-down wall removed gradually', removals[2].speed === 'GRADUAL' && removals[2].lifetimeMs === 1000);
+
+detector.processOrderBook(book(t0 + 70000, { bids: { '2999.9': 20 } }));
+detector.processOrderBook(book(t0 + 72000));
+check('Wall at the touch without trade data is undetermined', removals[3].removal === 'UNKNOWN' && !removals[3].isSpoof);
+
+detector.processOrderBook(book(t0 + 80000, { bids: { '2998.0': 20 } }));
+const shifted = book(t0 + 82000);
+shifted.bids = [['3000.0', '1'], ...Array.from({ length: 60 }, (_, i) => [(2999.9 - i * 0.01).toFixed(2), '1'])];
+detector.processOrderBook(shifted);
+check('Wall pushed out of the scanned depth is dropped silently', removals.length === 4 && detector.walls.size === 0);
+
+// Test 2: Trade flow separates fills from cancels
+const flow = new TradeFlowMonitor({ symbol: 'ETHUSDT', logger: silentLogger });
+const withTrades = new SpoofingDetector({ symbol: 'ETHUSDT', logger: silentLogger, tradeFlow: flow });
+const tradeRemovals = [];
+withTrades.on('WALL_REMOVED', (pull) => tradeRemovals.push(pull));
+
+withTrades.processOrderBook(book(t0, { bids: { '2999.9': 20 } }));
+flow.processTrade({ a: 1, p: '2999.9', q: '15', T: t0 + 500, m: true });
+withTrades.processOrderBook(book(t0 + 1000));
+check('Wall traded away at the touch is filled', tradeRemovals[0].removal === 'FILLED' && tradeRemovals[0].executedQuantity === 15 &&
+  !tradeRemovals[0].isSpoof);
+
+withTrades.processOrderBook(book(t0 + 5000, { bids: { '2999.9': 20 } }));
+withTrades.processOrderBook(book(t0 + 7000, { bids: { '2999.9': 20 } }));
+withTrades.processOrderBook(book(t0 + 8000));
+check('Wall at the touch pulled without trades is cancelled', tradeRemovals[1].removal === 'CANCELLED' && tradeRemovals[1].isSpoof);
+check('Fill and cancel counts', withTrades.getStats().wallsFilled === 1 && withTrades.getStats().wallsCancelled === 1);
+
+// Test 3: Spoofing episodes
+const episodic = new SpoofingDetector({ symbol: 'ETHUSDT', logger: silentLogger, episodeCooldownMs: 60000 });
+const episodes = [];
+episodic.on('SPOOFING_EPISODE', (episode) => episodes.push(episode));
+
+function spoofCycle(start, price, side = 'bids') {
+  episodic.processOrderBook(book(start, { [side]: { [price]: 20 } }));
+  episodic.processOrderBook(book(start + 2000, { [side]: { [price]: 20 } }));
+  episodic.processOrderBook(book(start + 3000));
+}
+
+spoofCycle(t0, '2999.5');
+spoofCycle(t0 + 10000, '3000.4', 'asks');
+check('No episode below the pull threshold', episodes.length === 0 && episodic.getAssessment(t0 + 14000).signalWeight === 1);
+
+spoofCycle(t0 + 20000, '2999.6');
+check('Third spoof pull opens an episode', episodes.length === 1 && episodes[0].phase === 'STARTED' && episodes[0].pullCount === 3 &&
+  episodes[0].sides.bid === 2 && episodes[0].sides.ask === 1 && episodes[0].startedAt === t0 + 3000);
+
+const active = episodic.getAssessment(t0 + 30000);
+check('Liquidity signals down-weighted while active', active.spoofingActive && active.signalWeight === 0.5 &&
+  active.episodeId === 'ETHUSDT-spoof-1');
+
+spoofCycle(t0 + 40000, '2999.4');
+episodic.processOrderBook(book(t0 + 100000));
+check('Episode stays open while pulls continue', episodes.length === 1 && episodic.isSpoofingActive(t0 + 100000));
+
+episodic.processOrderBook(book(t0 + 104000));
+check('Episode closes after the cooldown', episodes.length === 2 && episodes[1].phase === 'ENDED' && episodes[1].pullCount === 4 &&
+  episodes[1].durationMs === 101000 && !episodic.isSpoofingActive(t0 + 104000));
+
+const suppressing = new SpoofingDetector({ symbol: 'ETHUSDT', logger: silentLogger, action: 'suppress', episodePulls: 1 });
+suppressing.processOrderBook(book(t0, { bids: { '2999.5': 20 } }));
+suppressing.processOrderBook(book(t0 + 1000, { bids: { '2999.5': 20 } }));
+suppressing.processOrderBook(book(t0 + 2000));
+check('Suppress mode zeroes the signal weight', suppressing.getAssessment(t0 + 2000).signalWeight === 0);
+
+// Test 4: Pipeline and engine integration
+const pipeline = new SymbolPipeline({ symbol: 'ETHUSDT', logger: silentLogger, orderBook: { enabled: false }, spoofing: { episodePulls: 1 } });
+pipeline.initialize();
+const ticker = { lastPrice: '3000', priceChangePercent: '0' };
+await pipeline.buildMarketData(book(t0, { bids: { '2999.5': 20 } }), ticker, t0);
+const clean = await pipeline.buildMarketData(book(t0 + 2000, { bids: { '2999.5': 20 } }), ticker, t0 + 2000);
+const spoofed = await pipeline.buildMarketData(book(t0 + 3000), ticker, t0 + 3000);
+check('Polled books feed the detector', pipeline.spoofingDetector.getStats().spoofPulls === 1);
+check('Market data DLS down-weighted during an episode', spoofed.dlsScore === clean.dlsScore * 0.5 &&
+  spoofed.manipulation.spoofingActive && clean.manipulation.spoofingActive === false);
+
+const live = new SymbolPipeline({ symbol: 'ETHUSDT', logger: silentLogger, spoofing: { sampleIntervalMs: 0 } });
+live.initialize();
+live.localOrderBook.processSnapshot({ lastUpdateId: 1, ...book(t0, { bids: { '2999.5': 20 } }) });
+live.localOrderBook.processDepthEvent({ U: 2, u: 2, E: t0 + 1000, b: [['2999.5', '22']], a: [] });
+live.localOrderBook.processDepthEvent({ U: 3, u: 3, E: t0 + 2000, b: [['2999.5', '0']], a: [] });
+check('Live book updates feed the detector', live.spoofingDetector.getStats().wallsDetected === 1 &&
+  live.spoofingDetector.getStats().wallsCancelled === 1);
+live.localOrderBook.processDepthEvent({ U: 4, u: 4, E: t0 + 2500, b: [['2999.3', '20']], a: [] });
+live.localOrderBook.processDepthEvent({ U: 9, u: 9, E: t0 + 3000, b: [], a: [] });
+check('Resync clears tracked walls', live.spoofingDetector.walls.size === 0);
+
+const throttled = new SymbolPipeline({ symbol: 'ETHUSDT', logger: silentLogger, spoofing: { sampleIntervalMs: 250 } });
+throttled.initialize();
+throttled.localOrderBook.processSnapshot({ lastUpdateId: 1, ...book(t0, { bids: { '2999.5': 20 } }) });
+let snapshotsTaken = 0;
+const getSnapshot = throttled.localOrderBook.getSnapshot.bind(throttled.localOrderBook);
+throttled.localOrderBook.getSnapshot = (depth) => { snapshotsTaken++; return getSnapshot(depth); };
+for (let i = 0; i < 10; i++) {
+  throttled.localOrderBook.processDepthEvent({ U: 2 + i, u: 2 + i, E: t0 + 100 * (i + 1), b: [['2999.5', String(20 + i)]], a: [] });
+}
+check('Diffs inside the sample interval skip the book snapshot', snapshotsTaken === 4 &&
+  throttled.spoofingDetector.getStats().statesProcessed === 4);
+
+const engine = new PhoenixEngine({
+  symbol: 'ETHUSDT',
+  enableRealTimeFeeds: false,
+  stateSnapshot: { enabled: false },
+  orderBook: { enabled: false },
+  spoofing: { episodePulls: 1, action: 'suppress' }
+});
+await engine.initialize();
+const bus = [];
+engine.on('SPOOFING_EPISODE', (episode) => bus.push(episode));
+const enginePipeline = engine.getPipeline('ETHUSDT');
+await enginePipeline.buildMarketData(book(t0, { bids: { '2999.5': 20 } }), ticker, t0);
+await enginePipeline.buildMarketData(book(t0 + 1000, { bids: { '2999.5': 20 } }), ticker, t0 + 1000);
+await enginePipeline.buildMarketData(book(t0 + 2000), ticker, t0 + 2000);
+check('Episodes reported on the engine event bus', bus.length === 1 && bus[0].phase === 'STARTED' && bus[0].symbol === 'ETHUSDT' &&
+  engine.metrics.spoofingEpisodes === 1);
+
+const validation = await engine.validateSignal({ id: 'sig-1', symbol: 'ETHUSDT' }, { ...book(t0 + 2500), timestamp: t0 + 2500 });
+check('Signal validation suppressed during an episode', validation.isValid === false && validation.manipulation.spoofingActive);
+
+let configError = null;
+try {
+  loadConfig({ env: { SPOOFING_ACTION: 'ignore' }, overrides: { spoofing: { minWallLifetimeMs: 60000 } } });
+} catch (error) {
+  configError = error;
+}
+check('Spoofing config validated', configError instanceof ConfigValidationError && configError.errors.length === 2);
+
+for (const p of [pipeline, live, throttled]) p.marketClassifier.shutdown();
+await engine.shutdown();
+
+console.log('\n' + '='.repeat(60));
+console.log(`📊 Results: ${passedTests} passed, ${failedTests} failed`);
+process.exit(failedTests === 0 ? 0 : 1);
@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+
+/**
+ * Phoenix v6.1 - State Snapshot Test Suite
+ *
+ * Validates snapshot persistence, schema/staleness checks and the warm
+ * restart of DLS history, threshold adjustments, task queue and risk state.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import StateSnapshotStore, { SNAPSHOT_SCHEMA_VERSION } from '../src/phoenix/components/state-snapshot.js';
+import LiquidityAnalyzer from '../src/phoenix/components/liquidity-analyzer.js';
+import MarketClassifier from '../src/phoenix/components/market-classifier.js';
+import TaskScheduler from '../src/phoenix/components/task-scheduler.js';
+import RiskManager from '../src/phoenix/components/risk-manager.js';
+import PhoenixEngine from '../src/phoenix/engine.js';
+
+console.log('🧪 Phoenix v6.1 - State Snapshot Test Suite');
+console.log('='.repeat(60));
+
+const silentLogger = {
+  info: () => {},
+  debug: () => {},
+  warn: () => {},
+  error: () => {}
+};
+
+let passedTests = 0;
+let failedTests = 0;
+
+function check(testName, condition, details = '') {
+  if (condition) {
+    console.log(`✅ PASS - ${testName} ${details}`);
+    passedTests++;
+  } else {
+    console.log(`❌ FAIL - ${testName} ${details}`);
+    failedTests++;
+  }
+}
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'phoenix-state-'));
+const filePath = path.join(tempDir, 'state.json');
+const now = Date.now();
+
+// Test 1: Store round trip, schema and staleness checks
+const store = new StateSnapshotStore({ logger: silentLogger, filePath, maxAgeMs: 60000 });
+check('Missing snapshot is a cold start', store.load() === null);
+check('Snapshot saved', store.save({ hello: 'world' }, now) && !fs.existsSync(`${filePath}.tmp`));
+check('Snapshot loaded', store.load(now + 1000)?.state.hello === 'world');
+check('Stale snapshot rejected', store.load(now + 120000) === null);
+
+fs.writeFileSync(filePath, JSON.stringify({ schemaVersion: SNAPSHOT_SCHEMA_VERSION + 1, savedAt: now, state: {} }));
+check('Incompatible schema rejected', store.load(now) === null);
+
+fs.writeFileSync(filePath, '{ truncated');
+check('Corrupt snapshot rejected', store.load(now) === null);
+
+// Test 2: DLS history survives, points outside 24h are dropped
+const analyzer = new LiquidityAnalyzer({ logger: silentLogger });
+analyzer.dlsHistory = [
+  { dls: 10, timestamp: now - 25 * 3600000 },
+  ...Array.from({ length: 20 }, (_, i) => ({ dls: 40 + i, timestamp: now - (20 - i) * 30000 }))
+];
+const restoredAnalyzer = new LiquidityAnalyzer({ logger: silentLogger });
+restoredAnalyzer.importState(JSON.parse(JSON.stringify(analyzer.exportState())), now);
+check('DLS history restored', restoredAnalyzer.dlsHistory.length === 20, `(${restoredAnalyzer.dlsHistory.length} points)`);
+check('Percentile available immediately', restoredAnalyzer.calculatePercentile(59) === 95);
+
+// Test 3: Only unexpired threshold adjustments restored
+const classifier = new MarketClassifier({ logger: silentLogger });
+classifier.processDerivativesAlert({ type: 'OI_SPIKE', data: { changeRate: 0.1 }, timestamp: now });
+classifier.derivativesAlerts.activeAlerts.set('OLD', { type: 'OI_SPIKE', expiryTime: now - 1 });
+const restoredClassifier = new MarketClassifier({ logger: silentLogger });
+const adjustments = restoredClassifier.importState(JSON.parse(JSON.stringify(classifier.exportState())), now);
+check('Active threshold adjustment restored', adjustments === 1 && restoredClassifier.getCurrentDLSThreshold().totalReduction > 0);
+classifier.shutdown();
+restoredClassifier.shutdown();
+
+// Test 4: Task queue restored in priority order
+const scheduler = new TaskScheduler({ logger: silentLogger });
+scheduler.scheduleTask({ type: 'WHALE_BALANCE_CHECK', priority: 6, payload: { whaleAddress: '0x1' } });
+scheduler.scheduleTask({ type: 'SYSTEM_HEALTH_CHECK', priority: 8 });
+const restoredScheduler = new TaskScheduler({ logger: silentLogger });
+restoredScheduler.importState(JSON.parse(JSON.stringify(scheduler.exportState())));
+check('Task queue restored', restoredScheduler.taskQueue.length === 2);
+check('Priority order preserved', restoredScheduler.taskQueue[0].type === 'SYSTEM_HEALTH_CHECK');
+check('Payload preserved', restoredScheduler.taskQueue[1].payload.whaleAddress === '0x1');
+
+// Test 5: Kill switch survives a restart
+const risk = new RiskManager({ logger: silentLogger });
+risk.triggerHalt('DAILY_LOSS_LIMIT', { dailyPnL: -150 }, now);
+const restoredRisk = new RiskManager({ logger: silentLogger });
+restoredRisk.importState(JSON.parse(JSON.stringify(risk.exportState())), now);
+check('Kill switch restored', restoredRisk.isHalted() && restoredRisk.halt.reason === 'DAILY_LOSS_LIMIT');
+
+// Test 6: Engine snapshot and warm restart
+const engineFile = path.join(tempDir, 'engine.json');
+const engine = new PhoenixEngine({ symbols: ['ETHUSDT', 'BTCUSDT'], stateSnapshot: { filePath: engineFile } });
+for (const pipeline of engine.pipelines.values()) pipeline.initialize();
+engine.taskScheduler = new TaskScheduler({ logger: silentLogger });
+engine.taskScheduler.scheduleTask({ type: 'SYSTEM_HEALTH_CHECK', priority: 8 });
+engine.getPipeline('BTCUSDT').liquidityAnalyzer.dlsHistory = [{ dls: 42, timestamp: Date.now() }];
+check('Engine snapshot written', engine.snapshotState() && fs.existsSync(engineFile));
+
+const restarted = new PhoenixEngine({ symbols: ['ETHUSDT', 'BTCUSDT'], stateSnapshot: { filePath: engineFile } });
+for (const pipeline of restarted.pipelines.values()) pipeline.initialize();
+restarted.taskScheduler = new TaskScheduler({ logger: silentLogger });
+check('Engine warm restart', restarted.restoreState());
+check('Per-symbol history restored', restarted.getPipeline('BTCUSDT').liquidityAnalyzer.dlsHistory[0]?.dls === 42);
+check('Engine task queue restored', restarted.taskScheduler.taskQueue.length === 1);
+
+for (const instance of [engine, restarted]) {
+  for (const pipeline of instance.pipelines.values()) pipeline.marketClassifier.shutdown();
+}
+
+fs.rmSync(tempDir, { recursive: true, force: true });
+
+console.log('\n' + '='.repeat(60));
+console.log(`📊 Results: ${passedTests} passed, ${failedTests} failed`);
+process.exit(failedTests === 0 ? 0 : 1);
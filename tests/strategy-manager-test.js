@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+
+/**
+ * Phoenix v6.1 - Strategy Manager Test Suite
+ *
+ * Validates strategy registration, event dispatch, typed signals
+ * and isolation of failing strategy modules.
+ */
+
+import StrategyManager from '../src/phoenix/components/strategy-manager.js';
+import BaseStrategy from '../src/phoenix/strategies/base-strategy.js';
+import CascadeHunterStrategy from '../src/phoenix/strategies/cascade-hunter.js';
+import CoilWatcherStrategy from '../src/phoenix/strategies/coil-watcher.js';
+import ShakeoutDetectorStrategy from '../src/phoenix/strategies/shakeout-detector.js';
+import { StrategySignal } from '../src/phoenix/strategies/strategy-signal.js';
+
+console.log('🧪 Phoenix v6.1 - Strategy Manager Test Suite');
+console.log('='.repeat(60));
+
+const silentLogger = {
+  info: () => {},
+  debug: () => {},
+  warn: () => {},
+  error: () => {}
+};
+
+let passedTests = 0;
+let failedTests = 0;
+
+function check(testName, condition, details = '') {
+  if (condition) {
+    console.log(`✅ PASS - ${testName} ${details}`);
+    passedTests++;
+  } else {
+    console.log(`❌ FAIL - ${testName} ${details}`);
+    failedTests++;
+  }
+}
+
+const manager = new StrategyManager({ logger: silentLogger });
+const signals = [];
+manager.on('STRATEGY_SIGNAL', (signal) => signals.push(signal));
+
+manager.registerStrategy(new CascadeHunterStrategy({ logger: silentLogger }));
+manager.registerStrategy(new CoilWatcherStrategy({ logger: silentLogger }));
+manager.registerStrategy(new ShakeoutDetectorStrategy({ logger: silentLogger }));
+
+// Test 1: Subscriptions derived from implemented hooks
+const stats = manager.getStats();
+check('Three strategies registered', Object.keys(stats.strategies).length === 3);
+check('CASCADE subscribes to whale events', stats.strategies.CASCADE_HUNTER.subscriptions.includes('whale'));
+check('COIL does not subscribe to whale events', !stats.strategies.COIL_WATCHER.subscriptions.includes('whale'));
+
+// Test 2: Classification routing
+manager.dispatch('classification', {
+  classification: { regime: 'CASCADE_HUNTER', confidence: 60, timestamp: 1000 },
+  marketData: { price: 3000 }
+});
+check('CASCADE emits ENTER_SHORT', signals.length === 1 && signals[0].action === 'ENTER_SHORT');
+check('Signal is typed', signals[0] instanceof StrategySignal);
+check('Confidence normalised to 0-1', signals[0].confidence === 0.6);
+
+manager.dispatch('classification', { classification: null, marketData: { price: 3000 } });
+check('NO_REGIME emits nothing', signals.length === 1);
+
+// Test 3: Whale deposit boosts CASCADE conviction
+manager.dispatch('whale', { intentType: 'EXCHANGE_DEPOSIT', whaleAddress: '0xabc', estimatedValue: 5e6, timestamp: 2000 });
+manager.dispatch('classification', {
+  classification: { regime: 'CASCADE_HUNTER', confidence: 60, timestamp: 3000 },
+  marketData: { price: 3000 }
+});
+check('Whale deposit adds trigger', signals[1]?.triggers.includes('WHALE_EXCHANGE_DEPOSIT'));
+check('Whale deposit boosts confidence', signals[1]?.confidence > 0.6);
+
+// Test 4: Cooldown on COIL alerts
+manager.dispatch('classification', { classification: { regime: 'COIL_WATCHER', confidence: 90, timestamp: 4000 }, marketData: {} });
+manager.dispatch('classification', { classification: { regime: 'COIL_WATCHER', confidence: 90, timestamp: 5000 }, marketData: {} });
+check('COIL cooldown suppresses repeat alerts', signals.filter(s => s.strategyId === 'COIL_WATCHER').length === 1);
+
+// Test 5: Custom strategy module and error isolation
+class FaultyStrategy extends BaseStrategy {
+  constructor() {
+    super({ id: 'FAULTY', logger: silentLogger });
+  }
+
+  onLiquidity() {
+    throw new Error('boom');
+  }
+}
+
+manager.registerStrategy(new FaultyStrategy());
+for (let i = 0; i < 5; i++) {
+  manager.dispatch('liquidity', { dls: 50 });
+}
+check('Faulty strategy disabled after repeated errors', manager.getStats().strategies.FAULTY.enabled === false);
+
+// Test 6: Validation
+let threw = false;
+try {
+  new StrategySignal({ strategyId: 'X', symbol: 'ETHUSDT', action: 'BUY_EVERYTHING' });
+} catch (error) {
+  threw = true;
+}
+check('Invalid action rejected', threw);
+
+threw = false;
+try {
+  manager.registerStrategy(new BaseStrategy({ id: 'EMPTY' }));
+} catch (error) {
+  threw = true;
+}
+check('Strategy without hooks rejected', threw);
+
+console.log('\n' + '='.repeat(60));
+console.log(`📊 Results: ${passedTests} passed, ${failedTests} failed`);
+process.exit(failedTests === 0 ? 0 : 1);
@@ -0,0 +1,172 @@
+#!/usr/bin/env node
+
+/**
+ * Phoenix v6.1 - Threshold Hot-Reload Test Suite
+ *
+ * Validates versioned threshold updates, rejection of invalid updates,
+ * rollback, the watched threshold file and propagation to live components.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import ThresholdManager from '../src/phoenix/components/threshold-manager.js';
+import MempoolStreamer from '../src/phoenix/components/mempool-streamer.js';
+import PhoenixEngine from '../src/phoenix/engine.js';
+import { VirtualClock } from '../src/phoenix/components/clock.js';
+
+console.log('🧪 Phoenix v6.1 - Threshold Hot-Reload Test Suite');
+console.log('='.repeat(60));
+
+const logged = [];
+const recordingLogger = {
+  info: (key, data) => logged.push({ key, data }),
+  debug: () => {},
+  warn: (key, data) => logged.push({ key, data }),
+  error: () => {}
+};
+
+let passedTests = 0;
+let failedTests = 0;
+
+function check(testName, condition, details = '') {
+  if (condition) {
+    console.log(`✅ PASS - ${testName} ${details}`);
+    passedTests++;
+  } else {
+    console.log(`❌ FAIL - ${testName} ${details}`);
+    failedTests++;
+  }
+}
+
+// Test 1: Versioned updates
+const manager = new ThresholdManager({ logger: recordingLogger });
+const events = [];
+manager.on('THRESHOLDS_CHANGED', (change) => events.push(change));
+
+check('Starts at version 1 with schema defaults', manager.current.version === 1 &&
+  manager.getThresholds().derivatives.fundingSpikeRate === 0.018 && manager.getThresholds().mempool.whaleMinValueUSD === 100000);
+
+let result = manager.apply({ derivatives: { fundingSpikeRate: 0.025 }, classifier: { cascade: { momentum: -0.08 } } }, { reason: 'Volatile session' });
+check('Update applied as version 2', result.applied && result.version === 2 && manager.getThresholds().derivatives.fundingSpikeRate === 0.025);
+check('Untouched thresholds kept', manager.getThresholds().derivatives.oiSpikeRatePerMin === 0.05 && manager.getThresholds().classifier.cascade.pressure === 0.25);
+check('One change event with the diff', events.length === 1 && events[0].changes.length === 2 &&
+  events[0].changes.some(c => c.path === 'derivatives.fundingSpikeRate' && c.from === 0.018 && c.to === 0.025));
+
+const changeLog = logged.find(entry => entry.key === 'threshold_change');
+check('Change logged with version and reason', changeLog?.data.version === 2 && changeLog.data.previousVersion === 1 && changeLog.data.reason === 'Volatile session');
+
+// Test 2: Invalid updates change nothing
+const before = JSON.stringify(manager.getThresholds());
+result = manager.apply({ mempool: { whaleMinValueUSD: 50000 }, derivatives: { fundingSpikeRate: 'high' } });
+check('Non-numeric value rejected', !result.applied && result.errors.some(e => e.includes('thresholds.derivatives.fundingSpikeRate (admin) must be a number')));
+check('Valid fields in a rejected update not applied', JSON.stringify(manager.getThresholds()) === before && manager.current.version === 2);
+
+result = manager.apply({ classifier: { coil: { momentumMin: 0.05 } } });
+check('Cross-field rule enforced', !result.applied && result.errors[0].includes('momentumMin must not exceed momentumMax'));
+
+result = manager.apply({ liquidity: { percentile: 50 } });
+check('Unknown threshold rejected', !result.applied && result.errors[0].includes('thresholds.liquidity.percentile: unknown configuration key'));
+check('Rejections counted, no events', manager.getStats().reloadsRejected === 3 && events.length === 1);
+
+result = manager.apply({ derivatives: { fundingSpikeRate: 0.025 } });
+check('No-op update does not bump the version', !result.applied && result.errors.length === 0 && manager.current.version === 2);
+
+// Test 3: Rollback
+result = manager.rollback();
+check('Rollback restores the previous thresholds', result.applied && result.version === 3 &&
+  manager.getThresholds().derivatives.fundingSpikeRate === 0.018 && manager.current.rolledBackTo === 1);
+result = manager.rollback();
+check('Nothing before the initial version', !result.applied && result.errors[0].includes('No previous threshold version'));
+
+manager.apply({ mempool: { whaleMinValueUSD: 250000 } });
+result = manager.rollback({ version: 2 });
+check('Rollback to a specific retained version', result.applied && manager.getThresholds().derivatives.fundingSpikeRate === 0.025 &&
+  manager.getThresholds().mempool.whaleMinValueUSD === 100000);
+check('History keeps every version', manager.getHistory().map(entry => entry.version).join(',') === '1,2,3,4,5' &&
+  manager.getHistory()[0].thresholds === undefined);
+
+// Test 4: Watched threshold file
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'phoenix-thresholds-'));
+const filePath = path.join(tempDir, 'thresholds.json');
+const clock = new VirtualClock({ startTime: Date.UTC(2025, 0, 1) });
+const watched = new ThresholdManager({ logger: recordingLogger, clock, filePath, pollIntervalMs: 1000 });
+
+fs.writeFileSync(filePath, JSON.stringify({ mempool: { whaleMinValueUSD: 500000 } }));
+watched.watch();
+check('File loaded when watching starts', watched.current.version === 2 && watched.current.source === 'file' &&
+  watched.getThresholds().mempool.whaleMinValueUSD === 500000);
+
+fs.writeFileSync(filePath, '{ "mempool": { "whaleMinValueUSD": ');
+clock.advance(1000);
+check('Torn file rejected, thresholds kept', watched.current.version === 2 && watched.getStats().reloadsRejected === 1);
+
+fs.writeFileSync(filePath, JSON.stringify({ derivatives: { oiSpikeRatePerMin: 0.08 } }));
+clock.advance(1000);
+check('File edit picked up on the next poll', watched.current.version === 3 && watched.getThresholds().derivatives.oiSpikeRatePerMin === 0.08);
+check('Keys removed from the file revert to startup values', watched.getThresholds().mempool.whaleMinValueUSD === 100000);
+
+clock.advance(5000);
+check('Unchanged file not reapplied', watched.current.version === 3 && watched.getStats().fileChecks === 8);
+watched.unwatch();
+check('Unwatch clears the poll timer', clock.pendingTimers === 0);
+
+// Test 5: Propagation to live components
+const engine = new PhoenixEngine({ symbols: ['ETHUSDT', 'BTCUSDT'], enableRealTimeFeeds: false, stateSnapshot: { enabled: false } });
+for (const pipeline of engine.pipelines.values()) pipeline.initialize();
+engine.priceOracle.updatePrice('ETH', 3500);
+engine.mempoolStreamer = new MempoolStreamer({
+  logger: recordingLogger,
+  enableRealTimeFeeds: false,
+  thresholds: engine.thresholdManager.getThresholds().mempool,
+  priceOracle: engine.priceOracle
+});
+
+const engineEvents = [];
+engine.on('THRESHOLDS_CHANGED', (change) => engineEvents.push(change));
+
+const whale = '0x3f5ce5fbfe3e9af3971dd833d26ba9b5c936f0be';
+const twoEth = { from: whale, to: '0xa910f92acdaf488fa6ef02174fb86208ad7722ba', value: '0x1BC16D674EC80000', hash: '0xt1' }; // 2 ETH ($7k) deposit
+check('Small transfer below the default whale floor', engine.mempoolStreamer.analyzeWhaleIntent(twoEth, whale) === null);
+await engine.handleWhaleIntent({ whaleAddress: whale, estimatedValue: 7000, threatLevel: 'LOW' });
+await engine.handleWhaleIntent({ whaleAddress: whale, estimatedValue: 50000, threatLevel: 'MEDIUM' });
+check('Classifier takes whale flow from $10k, below the mempool whale floor',
+  engine.getWhalePipeline().marketClassifier.whaleFlow.map(entry => entry.value).join(',') === '50000');
+
+const threatLevels = [];
+engine.mempoolStreamer.on('WHALE_INTENT_DETECTED', (intent) => threatLevels.push(intent.threatLevel));
+engine.mempoolStreamer.processAlchemyEvent({ params: { result: twoEth } });
+
+result = engine.thresholdManager.apply({
+  classifier: { cascade: { pressure: 0.5 } },
+  liquidity: { signalValidation: 60 },
+  derivatives: { fundingSpikeRate: 0.5 },
+  mempool: { whaleMinValueUSD: 5000 }
+}, { reason: 'Integration check' });
+
+check('Every pipeline switched together', result.applied && [...engine.pipelines.values()].every(p =>
+  p.marketClassifier.thresholds.cascade.pressure === 0.5 && p.liquidityAnalyzer.thresholds.signalValidation === 60 &&
+  p.derivativesMonitor.thresholds.fundingSpikeRate === 0.5));
+check('Components hold their own copy', engine.marketClassifier.thresholds !== engine.thresholdManager.getThresholds().classifier);
+
+engine.derivativesMonitor.updateFundingRate(0.02, 'binance');
+check('Derivatives spike cut-off reloaded', engine.derivativesMonitor.data.fundingRates.spike === false);
+check('Mempool whale floor reloaded', engine.mempoolStreamer.analyzeWhaleIntent(twoEth, whale) !== null);
+engine.mempoolStreamer.processAlchemyEvent({ params: { result: { ...twoEth, hash: '0xt2' } } });
+check('Threat levels follow the reloaded whale floor', threatLevels.slice(0, 2).join(',') === 'LOW,HIGH');
+check('Engine republishes the change', engineEvents.length === 1 && engineEvents[0].version === 2);
+
+engine.getPipeline('BTCUSDT').initialize();
+check('Recreated components start on the live version', engine.getPipeline('BTCUSDT').marketClassifier.thresholds.cascade.pressure === 0.5);
+
+engine.thresholdManager.rollback();
+check('Rollback propagates to components', engine.marketClassifier.thresholds.cascade.pressure === 0.25 &&
+  engine.mempoolStreamer.thresholds.whaleMinValueUSD === 100000);
+check('Reload stats in engine metrics', engine.getMetrics().components.thresholds.version === 3);
+
+for (const pipeline of engine.pipelines.values()) pipeline.marketClassifier.shutdown();
+fs.rmSync(tempDir, { recursive: true, force: true });
+
+console.log('\n' + '='.repeat(60));
+console.log(`📊 Results: ${passedTests} passed, ${failedTests} failed`);
+process.exit(failedTests === 0 ? 0 : 1);
@@ -0,0 +1,225 @@
+#!/usr/bin/env node
+
+/**
+ * Phoenix v6.1 - Token Registry Test Suite
+ *
+ * Validates the built-in and file-loaded ERC-20 registry, decimals-aware
+ * amount decoding, calldata decoding, USD valuation of token transfers on the
+ * webhook and mempool paths (stablecoins at $1, others via the price oracle)
+ * and engine wiring.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import TokenRegistry, { DEFAULT_TOKENS, loadTokenRegistry, decodeTransferCall, formatTokenAmount } from '../src/phoenix/components/token-registry.js';
+import PriceOracle from '../src/phoenix/components/price-oracle.js';
+import MempoolStreamer from '../src/phoenix/components/mempool-streamer.js';
+import PhoenixEngine from '../src/phoenix/engine.js';
+import { VirtualClock } from '../src/phoenix/components/clock.js';
+import { loadConfig } from '../src/phoenix/config.js';
+
+console.log('🧪 Phoenix v6.1 - Token Registry Test Suite');
+console.log('='.repeat(60));
+
+const silentLogger = {
+  info: () => {},
+  debug: () => {},
+  warn: () => {},
+  error: () => {}
+};
+
+let passedTests = 0;
+let failedTests = 0;
+
+function check(testName, condition, details = '') {
+  if (condition) {
+    console.log(`✅ PASS - ${testName} ${details}`);
+    passedTests++;
+  } else {
+    console.log(`❌ FAIL - ${testName} ${details}`);
+    failedTests++;
+  }
+}
+
+const t0 = 1700000000000;
+const USDT = '0xdac17f958d2ee523a2206206994597c13d831ec7';
+const USDC = '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48';
+const WETH = '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2';
+const WBTC = '0x2260fac5e5542a773aa44fbcfedf7c193bc2c599';
+const PEPE = '0x6982508145454ce325ddbe47a25d4ec3d2311933';
+const whale = '0x3f5ce5fbfe3e9af3971dd833d26ba9b5c936f0be';
+const exchange = '0xa910f92acdaf488fa6ef02174fb86208ad7722ba';
+const wallet = '0x1111111111111111111111111111111111111111';
+
+// ABI words for calldata and log data
+const word = (value) => BigInt(value).toString(16).padStart(64, '0');
+const raw = (units, decimals) => '0x' + word(BigInt(units) * 10n ** BigInt(decimals));
+
+// Test 1: Registry contents
+const registry = new TokenRegistry({ logger: silentLogger });
+check('Major tokens built in with their decimals', registry.getToken(USDT.toUpperCase().replace('0X', '0x')).decimals === 6 &&
+  registry.getToken(WBTC).decimals === 8 && registry.getToken(WETH).decimals === 18 && registry.tokens.size === DEFAULT_TOKENS.length);
+check('Stablecoins flagged, others priced as their source', registry.getToken(USDC).stablecoin === true &&
+  registry.getToken(USDC).priceSource === null && registry.getToken(WETH).priceSource === 'ETH' &&
+  registry.getPriceSources().join(',') === 'ETH,BTC,LINK,UNI');
+check('Unregistered contracts recorded for operators', registry.getToken(PEPE) === null &&
+  registry.getStats().unknownContracts.join(',') === PEPE && registry.getStats().unknownLookups === 1);
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'phoenix-tokens-'));
+const registryFile = path.join(tempDir, 'tokens.json');
+fs.writeFileSync(registryFile, JSON.stringify({
+  tokens: [
+    { address: PEPE, symbol: 'PEPE', decimals: 18 },
+    { address: USDT, symbol: 'USDT', decimals: 6, stablecoin: false, priceSource: 'usdt' }
+  ]
+}));
+const custom = new TokenRegistry({ logger: silentLogger, tokens: loadTokenRegistry(registryFile) });
+check('File adds tokens and overrides built-in ones by address', custom.getToken(PEPE).symbol === 'PEPE' &&
+  custom.getToken(USDT).stablecoin === false && custom.getToken(USDT).priceSource === 'USDT' &&
+  custom.tokens.size === DEFAULT_TOKENS.length + 1);
+
+const badFile = path.join(tempDir, 'bad.json');
+fs.writeFileSync(badFile, JSON.stringify({
+  tokens: [
+    { address: '0x123', symbol: 'BAD', decimals: 6 },
+    { address: PEPE, symbol: 'PEPE', decimals: 18.5 },
+    { address: PEPE, symbol: '', decimals: 18, stablecoin: 'yes' }
+  ]
+}));
+let badError = null;
+try {
+  loadTokenRegistry(badFile);
+} catch (error) {
+  badError = error;
+}
+check('Invalid file rejected listing every problem', badError?.message.includes('tokens[0].address') &&
+  badError.message.includes('tokens[1].decimals') && badError.message.includes('tokens[2].address') &&
+  badError.message.includes('tokens[2].symbol') && badError.message.includes('tokens[2].stablecoin'));
+
+let unreadableError = null;
+try {
+  loadTokenRegistry(path.join(tempDir, 'missing.json'));
+} catch (error) {
+  unreadableError = error;
+}
+check('Unreadable file rejected', unreadableError?.message.startsWith('Unreadable token registry file'));
+
+// Test 2: Decoding
+check('Amounts decoded with the token decimals', formatTokenAmount(raw(5000000, 6), 6) === 5000000 &&
+  formatTokenAmount('0x' + word(1500000n), 6) === 1.5 && formatTokenAmount(raw(12, 8), 8) === 12);
+check('Large 18-decimal amounts exact to Number precision', formatTokenAmount(raw(123456789, 18), 18) === 123456789 &&
+  formatTokenAmount('0x', 18) === 0 && formatTokenAmount('0xzz', 18) === null);
+
+const transferCall = decodeTransferCall('0xa9059cbb' + word(exchange) + word(42n));
+const transferFromCall = decodeTransferCall('0x23b872dd' + word(whale) + word(exchange) + word(7n));
+check('transfer and transferFrom calldata decoded', transferCall.to === exchange && transferCall.from === null &&
+  BigInt(transferCall.value) === 42n && transferFromCall.from === whale && transferFromCall.to === exchange &&
+  BigInt(transferFromCall.value) === 7n);
+check('Other calls and truncated calldata ignored', decodeTransferCall('0x095ea7b3' + word(exchange) + word(1n)) === null &&
+  decodeTransferCall('0xa9059cbb' + word(exchange)) === null && decodeTransferCall(undefined) === null);
+
+// Test 3: Webhook valuation
+const clock = new VirtualClock({ startTime: t0 });
+const oracle = new PriceOracle({ logger: silentLogger, clock });
+oracle.updatePrice('ETH', 3000, t0);
+oracle.updatePrice('BTC', 60000, t0);
+
+const whaleLogs = [];
+const intents = [];
+const streamer = new MempoolStreamer({
+  logger: { ...silentLogger, info: (event, data) => event === 'whale_mempool_transaction' && whaleLogs.push(data) },
+  clock,
+  enableRealTimeFeeds: false,
+  whaleWatchlist: [whale],
+  priceOracle: oracle,
+  tokenRegistry: registry
+});
+streamer.on('WHALE_INTENT_DETECTED', (intent) => intents.push(intent));
+
+const transferLog = (contract, units, decimals, from = whale, to = exchange) => ({
+  address: contract,
+  topics: [
+    '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef',
+    '0x' + word(from),
+    '0x' + word(to)
+  ],
+  data: raw(units, decimals)
+});
+
+streamer.processWebhookPayload({
+  matchingReceipts: [{
+    transactionHash: '0xr1',
+    logs: [
+      transferLog(USDT, 5000000, 6),
+      transferLog(WETH, 40, 18),
+      transferLog(WBTC, 3, 8),
+      transferLog(PEPE, 1000, 18)
+    ]
+  }]
+}, t0);
+
+const [usdtLog, wethLog, wbtcLog, pepeLog] = whaleLogs;
+check('USDT decoded with 6 decimals and valued at $1', usdtLog.asset === 'USDT' && usdtLog.amount === 5000000 &&
+  usdtLog.valueUSD === 5000000 && usdtLog.priceUSD === 1 && usdtLog.priceStale === false && usdtLog.contractAddress === USDT);
+check('WETH valued at the live ETH price', wethLog.asset === 'WETH' && wethLog.amount === 40 && wethLog.valueUSD === 120000 &&
+  wethLog.priceUSD === 3000 && wethLog.valueEth === null);
+check('WBTC decoded with 8 decimals and valued as BTC', wbtcLog.amount === 3 && wbtcLog.valueUSD === 180000);
+check('Unregistered tokens logged without an amount or value', pepeLog.asset === null && pepeLog.amount === null &&
+  pepeLog.valueUSD === 0 && registry.getStats().unknownContracts.includes(PEPE));
+
+// Test 4: Mempool valuation
+const usdcDeposit = {
+  hash: '0xm1',
+  from: whale,
+  to: USDC,
+  value: '0x0',
+  input: '0xa9059cbb' + word(exchange) + word(2000000n * 10n ** 6n)
+};
+const intent = streamer.analyzeWhaleIntent(usdcDeposit, whale);
+check('Pending USDC transfer decoded from calldata', intent?.intentType === 'EXCHANGE_DEPOSIT' && intent.asset === 'USDC' &&
+  intent.estimatedValue === 2000000 && intent.targetExchange === 'COINBASE' && intent.threatLevel === 'HIGH');
+
+streamer.processAlchemyEvent({ params: { result: usdcDeposit } }, t0);
+check('Alchemy path values the token, not the zero ETH value', intents.length === 2 && intents[0].estimatedValue === 2000000 &&
+  intents[1].asset === 'USDC' && whaleLogs[whaleLogs.length - 1].amount === 2000000);
+
+// A token sent to a watched whale is only visible in the calldata
+const inbound = {
+  hash: '0xm2',
+  from: wallet,
+  to: WETH,
+  value: '0x0',
+  input: '0xa9059cbb' + word(whale) + word(50n * 10n ** 18n)
+};
+streamer.processAlchemyEvent({ params: { result: inbound } }, t0);
+check('Token transfers to a whale matched on the decoded recipient', intents.length === 4 &&
+  intents[3].targetExchange === 'BINANCE' && intents[3].estimatedValue === 150000);
+
+const plainCall = { hash: '0xm3', from: whale, to: PEPE, value: '0x0', input: '0xa9059cbb' + word(exchange) + word(10n ** 24n) };
+check('Transfers of unregistered tokens stay below the whale floor', streamer.analyzeWhaleIntent(plainCall, whale) === null);
+
+// Test 5: Engine and configuration
+const engine = new PhoenixEngine({ symbol: 'ETHUSDT', enableRealTimeFeeds: false, stateSnapshot: { enabled: false },
+  tokens: { registryFile } });
+check('Engine loads the registry file', engine.tokenRegistry.getToken(PEPE).symbol === 'PEPE' &&
+  engine.getMetrics().components.tokenRegistry.tokens === DEFAULT_TOKENS.length + 1);
+check('Oracle tracks every registered price source', ['ETH', 'BTC', 'LINK', 'UNI', 'PEPE', 'USDT']
+  .every(asset => engine.priceOracle.config.assets.includes(asset)));
+
+let startupError = null;
+try {
+  new PhoenixEngine({ symbol: 'ETHUSDT', enableRealTimeFeeds: false, stateSnapshot: { enabled: false }, tokens: { registryFile: badFile } });
+} catch (error) {
+  startupError = error;
+}
+check('Bad registry file fails startup', startupError?.message.includes('Invalid token registry file'));
+
+check('Registry file from the environment', loadConfig({ env: {} }).tokens.registryFile === null &&
+  loadConfig({ env: { TOKEN_REGISTRY_FILE: registryFile } }).tokens.registryFile === registryFile);
+
+fs.rmSync(tempDir, { recursive: true, force: true });
+
+console.log('\n' + '='.repeat(60));
+console.log(`📊 Results: ${passedTests} passed, ${failedTests} failed`);
+process.exit(failedTests === 0 ? 0 : 1);
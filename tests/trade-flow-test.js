@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+
+/**
+ * Phoenix v6.1 - Trade Flow Test Suite
+ *
+ * Validates aggTrade ingestion, rolling VWAP / taker volume / CVD / size
+ * distribution, the trade-driven volume profile in the DLS, the classifier's
+ * market data and journal replay.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import TradeFlowMonitor from '../src/phoenix/components/trade-flow-monitor.js';
+import LiquidityAnalyzer from '../src/phoenix/components/liquidity-analyzer.js';
+import SymbolPipeline from '../src/phoenix/components/symbol-pipeline.js';
+import EventJournal from '../src/phoenix/components/event-journal.js';
+import PhoenixEngine from '../src/phoenix/engine.js';
+import { VirtualClock } from '../src/phoenix/components/clock.js';
+import { loadConfig } from '../src/phoenix/config.js';
+
+console.log('🧪 Phoenix v6.1 - Trade Flow Test Suite');
+console.log('='.repeat(60));
+
+const silentLogger = {
+  info: () => {},
+  debug: () => {},
+  warn: () => {},
+  error: () => {}
+};
+
+let passedTests = 0;
+let failedTests = 0;
+
+function check(testName, condition, details = '') {
+  if (condition) {
+    console.log(`✅ PASS - ${testName} ${details}`);
+    passedTests++;
+  } else {
+    console.log(`❌ FAIL - ${testName} ${details}`);
+    failedTests++;
+  }
+}
+
+const near = (a, b, tolerance = 1e-9) => Math.abs(a - b) <= tolerance;
+const start = 1700000000000;
+const MINUTE = 60 * 1000;
+
+function aggTrade(id, time, price, quantity, buyerIsMaker) {
+  return { e: 'aggTrade', E: time, s: 'ETHUSDT', a: id, p: String(price), q: String(quantity), T: time, m: buyerIsMaker };
+}
+
+// Test 1: Rolling order-flow metrics
+const flow = new TradeFlowMonitor({ symbol: 'ETHUSDT', logger: silentLogger });
+check('No metrics before the first trade', flow.getMetrics() === null);
+
+flow.processTrade(aggTrade(1, start, 3000, 0.1, false));        // $300 taker buy
+flow.processTrade(aggTrade(2, start + 1000, 3010, 2, false));   // $6,020 taker buy
+flow.processTrade(aggTrade(3, start + 2000, 2990, 50, true));   // $149,500 taker sell
+check('Duplicate trade ids dropped', flow.processTrade(aggTrade(2, start + 1000, 3010, 2, false)) === false &&
+  flow.getStats().duplicateTradesDropped === 1);
+
+let metrics = flow.getMetrics();
+check('Volume and VWAP', near(metrics.volume, 52.1) && near(metrics.vwap, (300 + 6020 + 149500) / 52.1) && metrics.tradeCount === 3);
+check('Taker buy and sell volume', near(metrics.takerBuyVolume, 2.1) && near(metrics.takerSellVolume, 50) &&
+  near(metrics.takerBuyRatio, 2.1 / 52.1));
+check('Volume delta and CVD', near(metrics.volumeDelta, -47.9) && near(metrics.cumulativeVolumeDelta, -47.9));
+check('Trade-size distribution by notional', metrics.sizeDistribution.map(b => b.count).join(',') === '1,1,0,1' &&
+  metrics.sizeDistribution[3].minUSD === 100000 && metrics.sizeDistribution[3].maxUSD === null &&
+  near(metrics.sizeDistribution[3].volumeShare, 149500 / 155820));
+
+// Test 2: Window expiry
+flow.processTrade(aggTrade(4, start + 61 * MINUTE, 3000, 1, false));
+metrics = flow.getMetrics();
+check('Trades outside the hour expire', metrics.tradeCount === 1 && flow.getStats().tradesInWindow === 1 && near(metrics.vwap, 3000));
+check('CVD keeps running past the window', near(metrics.cumulativeVolumeDelta, -46.9) && near(metrics.volumeDelta, 1));
+check('Shorter sub-window on request', flow.getMetrics({ windowMs: MINUTE, now: start + 70 * MINUTE }) === null);
+
+// Test 3: Trade flow drives the DLS volume profile
+const bids = [['2999.90', '40'], ['2999.50', '60']];
+const asks = [['3000.10', '40'], ['3000.50', '60']];
+
+function flowWithRecentRate(recentPerMinute) {
+  const monitor = new TradeFlowMonitor({ symbol: 'ETHUSDT', logger: silentLogger });
+  for (let minute = 0; minute < 60; minute++) {
+    monitor.processTrade(aggTrade(minute + 1, start + minute * MINUTE, 3000, minute >= 55 ? recentPerMinute : 1, minute % 2 === 0));
+  }
+  return monitor;
+}
+
+const now = start + 59 * MINUTE + 1;
+const busy = new LiquidityAnalyzer({ logger: silentLogger, tradeFlow: flowWithRecentRate(10) });
+const steady = new LiquidityAnalyzer({ logger: silentLogger, tradeFlow: flowWithRecentRate(1) });
+const quiet = new LiquidityAnalyzer({ logger: silentLogger, tradeFlow: flowWithRecentRate(0.01) });
+check('Volume profile follows recent traded volume', busy.calculateVolumeProfile(now) === 1.5 &&
+  near(steady.calculateVolumeProfile(now), 1, 0.05) && quiet.calculateVolumeProfile(now) === 0.5);
+
+const young = new TradeFlowMonitor({ symbol: 'ETHUSDT', logger: silentLogger });
+young.processTrade(aggTrade(1, start, 3000, 5, false));
+check('Neutral until trade flow covers ten minutes', new LiquidityAnalyzer({ logger: silentLogger, tradeFlow: young })
+  .calculateVolumeProfile(start + 5 * MINUTE) === 1.0);
+
+const busyDLS = (await busy.analyzeOrderBook({ bids, asks, timestamp: now })).dls;
+const quietDLS = (await quiet.analyzeOrderBook({ bids, asks, timestamp: now })).dls;
+check('Traded volume moves the DLS', busyDLS > quietDLS, `(${quietDLS} -> ${busyDLS})`);
+
+// Test 4: Classifier market data carries order flow
+const pipeline = new SymbolPipeline({ symbol: 'ETHUSDT', logger: silentLogger });
+pipeline.initialize();
+for (let i = 1; i <= 3; i++) pipeline.tradeFlowMonitor.processTrade(aggTrade(i, start + i * 1000, 3000, i, i === 2));
+
+const marketData = await pipeline.buildMarketData({ bids, asks }, { lastPrice: '3000', priceChangePercent: '0.1' }, start + 5000);
+check('Market data includes trade flow', marketData.tradeFlow.tradeCount === 3 && near(marketData.tradeFlow.volumeDelta, 2));
+pipeline.processMarketData(marketData);
+const diagnostic = pipeline.marketClassifier.stats.lastClassification;
+check('Classifier diagnostics log order flow', diagnostic.inputs.orderFlow.vwap === 3000 && diagnostic.inputs.orderFlow.volumeDelta === 2);
+check('Trade flow stats in pipeline metrics', pipeline.getMetrics().components.tradeFlowMonitor.tradesProcessed === 3);
+
+const noFlow = new SymbolPipeline({ symbol: 'BTCUSDT', logger: silentLogger, tradeFlow: loadConfig({ env: { TRADE_FLOW: 'false' } }).tradeFlow });
+noFlow.initialize();
+check('Trade flow can be disabled', noFlow.tradeFlowMonitor === null && noFlow.liquidityAnalyzer.tradeFlow === null);
+
+// Test 5: Stream drops reconnect with backoff until stop()
+const reconnectClock = new VirtualClock({ startTime: start });
+const reconnecting = new TradeFlowMonitor({ symbol: 'ETHUSDT', logger: silentLogger, clock: reconnectClock,
+  reconnectDelayMs: 1000, maxReconnectDelayMs: 4000 });
+const connects = [];
+let refuseConnects = 4;
+reconnecting.connect = async () => { // WebSocket stand-in
+  connects.push(reconnectClock.now() - start);
+  if (refuseConnects-- > 0) throw new Error('ECONNREFUSED');
+  reconnecting.isStreaming = true;
+  reconnecting.reconnectAttempts = 0;
+};
+
+check('Failed start schedules a reconnect', await reconnecting.start() === false && reconnectClock.pendingTimers === 1);
+await reconnectClock.run(20000);
+check('Retries back off exponentially up to the cap', connects.join(',') === '0,1000,3000,7000,11000' &&
+  reconnecting.isStreaming && reconnecting.getStats().reconnects === 4);
+
+reconnecting.handleConnectionClose();
+await reconnectClock.run(1000);
+check('Backoff resets once connected, so later drops retry too', connects.length === 6 && reconnecting.isStreaming);
+
+reconnecting.handleConnectionClose();
+await reconnecting.stop();
+reconnecting.handleConnectionClose();
+check('stop() cancels and prevents reconnects', reconnectClock.pendingTimers === 0 && connects.length === 6);
+
+// Test 6: Journal replay rebuilds the same metrics
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'phoenix-flow-'));
+const journalPath = path.join(tempDir, 'flow.jsonl');
+const journal = new EventJournal({ logger: silentLogger, filePath: journalPath });
+const recorded = new TradeFlowMonitor({ symbol: 'ETHUSDT', logger: silentLogger, journal });
+recorded.handleTradeMessage(aggTrade(10, start, 3000, 1.5, false));
+recorded.handleTradeMessage(aggTrade(11, start + 500, 3001, 0.5, true));
+recorded.handleTradeMessage(aggTrade(11, start + 500, 3001, 0.5, true));
+journal.close();
+
+const engine = new PhoenixEngine({ symbol: 'ETHUSDT', enableRealTimeFeeds: false, stateSnapshot: { enabled: false } });
+engine.getPipeline('ETHUSDT').initialize();
+const replay = await engine.replayJournal(journalPath);
+const replayed = engine.getPipeline('ETHUSDT').tradeFlowMonitor;
+check('Trades replayed from the journal', replay.replayed === 3 && (await EventJournal.read(journalPath)).every(entry => entry.source === 'trade_flow'));
+check('Replayed metrics match live metrics', JSON.stringify(replayed.getMetrics()) === JSON.stringify(recorded.getMetrics()) &&
+  replayed.getStats().duplicateTradesDropped === 1);
+
+for (const p of [pipeline, noFlow, engine.getPipeline('ETHUSDT')]) p.marketClassifier.shutdown();
+fs.rmSync(tempDir, { recursive: true, force: true });
+
+console.log('\n' + '='.repeat(60));
+console.log(`📊 Results: ${passedTests} passed, ${failedTests} failed`);
+process.exit(failedTests === 0 ? 0 : 1);